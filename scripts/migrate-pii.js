@@ -0,0 +1,35 @@
+import dotenv from 'dotenv';
+import { connectToDatabase, closeDatabase, getDB } from '../src/config/database.js';
+import { getTenantModule } from '../src/config/tenants.js';
+
+dotenv.config();
+
+// Encrypts plaintext customer emails and moves every tenant from unkeyed SHA-256
+// email hashes to the EMAIL_HASH_KEY HMAC. Run it once before serving traffic with
+// the new keys; re-running only picks up customers that still have a plaintext email.
+// Usage: npm run migrate:pii
+async function migrate() {
+  try {
+    await connectToDatabase();
+    const businessIds = await getDB().collection('customers').distinct('businessId', { email: { $type: 'string' } });
+
+    for (const businessId of businessIds) {
+      const mcdRcd = await getTenantModule(businessId);
+      const { migrated, skipped } = await mcdRcd.privacy.migrateLegacyCustomers();
+
+      console.log(`${businessId}: migrated ${migrated} customers`);
+      if (skipped.length) {
+        console.warn(`${businessId}: skipped ${skipped.length} customers that already exist under the new hash: ${skipped.join(', ')}`);
+      }
+    }
+
+    console.log('PII migration complete!');
+  } catch (error) {
+    console.error('PII migration failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await closeDatabase();
+  }
+}
+
+migrate();
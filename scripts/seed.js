@@ -1,12 +1,16 @@
-import { connectDB } from '../src/config/database.js';
-import MCDRCDModule from '../src/models/MCDRCDModule.js';
+import dotenv from 'dotenv';
+import { connectToDatabase, closeDatabase } from '../src/config/database.js';
+import { getTenantModule, getDefaultTenantId } from '../src/config/tenants.js';
 
+dotenv.config();
+
+// Usage: npm run seed -- [businessId]
 async function seed() {
   try {
-    await connectDB();
-    const mcdRcd = new MCDRCDModule();
+    await connectToDatabase();
+    const mcdRcd = await getTenantModule(process.argv[2] || getDefaultTenantId());
     
-    console.log('Seeding database...');
+    console.log(`Seeding database for ${mcdRcd.config.businessId}...`);
     
     // Add marketing spend
     for (const platform of ['google', 'facebook', 'instagram']) {
@@ -23,7 +27,9 @@ async function seed() {
     console.log('Seed complete!');
   } catch (error) {
     console.error('Seed failed:', error);
+  } finally {
+    await closeDatabase();
   }
 }
 
-seed();
\ No newline at end of file
+seed();
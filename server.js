@@ -2,8 +2,12 @@ import express from 'express';
 import cors from 'cors';
 import dotenv from 'dotenv';
 import routes from './src/routes/index.js';
+import { apiKeyAuth } from './src/middleware/auth.js';
+import { requestContext } from './src/middleware/requestContext.js';
 import { connectToDatabase, closeDatabase } from './src/config/database.js';
 import { swaggerUi, specs } from './src/config/swagger.js';
+import { startScheduler, stopScheduler } from './src/jobs/scheduler.js';
+import { registerPricingJobs } from './src/jobs/pricingJobs.js';
 
 dotenv.config();
 
@@ -21,7 +25,7 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(specs, {
 }));
 
 // Routes
-app.use('/api', routes);
+app.use('/api', apiKeyAuth, requestContext, routes);
 
 // Health check
 app.get('/health', (req, res) => {
@@ -41,6 +45,7 @@ app.use((error, req, res, next) => {
 
 process.on('SIGINT', async () => {
   console.log('Shutting down...');
+  stopScheduler();
   await closeDatabase();
   process.exit(0);
 });
@@ -49,6 +54,13 @@ process.on('SIGINT', async () => {
 const startServer = async () => {
   try {
     await connectToDatabase();
+    
+    // Jobs are always registered so they can be triggered manually via /api/admin
+    registerPricingJobs();
+    if (process.env.SCHEDULER_ENABLED !== 'false') {
+      startScheduler();
+    }
+    
     app.listen(PORT, () => {
       console.log(`MCD-RCD API running on port ${PORT}`);
       console.log(`Environment: ${process.env.NODE_ENV}`);
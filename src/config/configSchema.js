@@ -0,0 +1,237 @@
+import Ajv from 'ajv';
+import { ATTRIBUTION_MODELS } from '../models/attribution.js';
+import {
+  OVERLAP_RULES,
+  RECURRING_DATE_PATTERN,
+  ONE_OFF_DATE_PATTERN,
+  isValidTimeZone
+} from '../models/seasonalCalendar.js';
+
+// JSON schema for per-tenant config overrides. Every field is optional; anything
+// left out falls back to the env var or built-in default in MCDRCDModule.
+// Numbers the module reads with `||` must be non-zero, otherwise the default wins.
+const positive = { type: 'number', exclusiveMinimum: 0 };
+const fraction = { type: 'number', exclusiveMinimum: 0, maximum: 1 };
+const percentage = { type: 'number', exclusiveMinimum: 0, maximum: 100 };
+const weightMap = {
+  type: 'object',
+  additionalProperties: { type: 'number', minimum: 0 }
+};
+
+const season = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['name', 'start', 'end'],
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    start: { type: 'string' },
+    end: { type: 'string' },
+    recurring: { type: 'boolean' },
+    priority: { type: 'integer' },
+    multiplier: positive
+  },
+  // Recurring seasons repeat yearly (MM-DD); one-off seasons have full dates
+  if: { properties: { recurring: { const: true } }, required: ['recurring'] },
+  then: {
+    properties: {
+      start: { type: 'string', pattern: RECURRING_DATE_PATTERN },
+      end: { type: 'string', pattern: RECURRING_DATE_PATTERN }
+    }
+  },
+  else: {
+    properties: {
+      start: { type: 'string', pattern: ONE_OFF_DATE_PATTERN },
+      end: { type: 'string', pattern: ONE_OFF_DATE_PATTERN }
+    }
+  }
+};
+
+export const tenantConfigSchema = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    mcd: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        enabled: { type: 'boolean' },
+        updateFrequency: { enum: ['hourly', 'daily', 'weekly', 'monthly'] },
+        sensitivityCoefficient: positive,
+        maxPriceIncrease: fraction,
+        smoothingFactor: fraction,
+        minimumSpendThreshold: positive,
+        platformWeights: weightMap,
+        decayFactor: fraction,
+        minMultiplier: positive,
+        maxMultiplier: positive
+      }
+    },
+    rcd: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        enabled: { type: 'boolean' },
+        maxDiscount: percentage,
+        spendWeight: positive,
+        frequencyWeight: positive,
+        recencyWeight: positive,
+        thresholds: {
+          type: 'object',
+          additionalProperties: false,
+          properties: {
+            minimumSpend: positive,
+            minimumVisits: { type: 'integer', minimum: 1 },
+            loyaltyTier1: positive,
+            loyaltyTier2: positive
+          }
+        },
+        referralBonus: percentage,
+        seasonalMultipliers: {
+          type: 'object',
+          additionalProperties: positive
+        },
+        productCategoryWeights: weightMap,
+        seasonalCalendar: {
+          type: 'object',
+          additionalProperties: false,
+          properties: {
+            timezone: { type: 'string' },
+            overlap: { enum: OVERLAP_RULES },
+            seasons: { type: 'array', items: season }
+          }
+        }
+      }
+    },
+    optimization: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        enabled: { type: 'boolean' },
+        targetROI: positive,
+        maxOverallIncrease: fraction,
+        learningRate: fraction
+      }
+    },
+    attribution: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        model: { enum: ATTRIBUTION_MODELS },
+        halfLifeDays: positive,
+        lookbackDays: { type: 'integer', minimum: 1 }
+      }
+    },
+    quotes: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        ttlMinutes: positive
+      }
+    },
+    referrals: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        minimumPurchase: { type: 'number', minimum: 0 },
+        firstPurchaseOnly: { type: 'boolean' },
+        monthlyBonusCap: positive,
+        velocityWindowHours: positive,
+        velocityMaxReferrals: { type: 'integer', minimum: 1 },
+        disposableDomains: { type: 'array', items: { type: 'string', minLength: 1 } }
+      }
+    },
+    loyalty: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        enabled: { type: 'boolean' },
+        pointsPerCurrency: positive,
+        pointValue: positive,
+        expiryDays: { type: 'integer', minimum: 1 },
+        minRedeemPoints: { type: 'integer', minimum: 0 },
+        maxRedeemShare: fraction,
+        categoryMultipliers: weightMap,
+        tierMultipliers: weightMap
+      }
+    },
+    tiers: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        qualificationDays: { type: 'integer', minimum: 1 },
+        graceDays: { type: 'integer', minimum: 0 },
+        warningDays: { type: 'integer', minimum: 1 }
+      }
+    },
+    webhooks: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        maxAttempts: { type: 'integer', minimum: 1 },
+        retryBaseSeconds: positive,
+        retryMaxSeconds: positive,
+        timeoutSeconds: positive
+      }
+    },
+    currency: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        base: { type: 'string', pattern: '^[A-Z]{3}$' },
+        // Base currency units per unit of each other currency
+        exchangeRates: {
+          type: 'object',
+          propertyNames: { pattern: '^[A-Z]{3}$' },
+          additionalProperties: positive
+        }
+      }
+    }
+  }
+};
+
+const ajv = new Ajv({ allErrors: true });
+const validateSchema = ajv.compile(tenantConfigSchema);
+
+// Returns a list of human-readable problems; empty when the config is valid
+export const validateTenantConfig = (config) => {
+  if (!validateSchema(config)) {
+    // The if/then and propertyNames wrapper errors only repeat the errors beneath them
+    return validateSchema.errors.filter(error => !['if', 'propertyNames'].includes(error.keyword)).map((error) => {
+      const path = error.instancePath.replace(/^\//, '').replace(/\//g, '.') || 'config';
+      if (error.keyword === 'additionalProperties') return `${path}: unknown field ${error.params.additionalProperty}`;
+      if (error.propertyName) return `${path}: key ${error.propertyName} ${error.message}`;
+      return `${path}: ${error.message}`;
+    });
+  }
+
+  // Rules that span fields
+  const errors = [];
+  const { mcd = {}, rcd = {}, webhooks = {} } = config;
+
+  if (mcd.minMultiplier !== undefined && mcd.maxMultiplier !== undefined && mcd.minMultiplier > mcd.maxMultiplier) {
+    errors.push('mcd.minMultiplier: must not exceed mcd.maxMultiplier');
+  }
+
+  const { loyaltyTier1, loyaltyTier2 } = rcd.thresholds || {};
+  if (loyaltyTier1 !== undefined && loyaltyTier2 !== undefined && loyaltyTier1 >= loyaltyTier2) {
+    errors.push('rcd.thresholds.loyaltyTier1: must be below rcd.thresholds.loyaltyTier2');
+  }
+
+  if (webhooks.retryBaseSeconds !== undefined && webhooks.retryMaxSeconds !== undefined &&
+      webhooks.retryBaseSeconds > webhooks.retryMaxSeconds) {
+    errors.push('webhooks.retryBaseSeconds: must not exceed webhooks.retryMaxSeconds');
+  }
+
+  const calendar = rcd.seasonalCalendar || {};
+  if (calendar.timezone !== undefined && !isValidTimeZone(calendar.timezone)) {
+    errors.push(`rcd.seasonalCalendar.timezone: unknown timezone ${calendar.timezone}`);
+  }
+
+  (calendar.seasons || []).forEach((entry, index) => {
+    if (!entry.recurring && entry.start > entry.end) {
+      errors.push(`rcd.seasonalCalendar.seasons.${index}: end must not be before start`);
+    }
+  });
+
+  return errors;
+};
@@ -7,7 +7,7 @@ const options = {
     info: {
       title: 'MCD-RCD API Documentation',
       version: '1.0.0',
-      description: 'API documentation for Marketing Cost Displacement and Returning Customer Discount system',
+      description: 'API documentation for Marketing Cost Displacement and Returning Customer Discount system. Every `/api` route requires an API key. Keys bound to a business always act on it; global keys select the business with the `x-business-id` header or by prefixing any route with `/api/tenants/{businessId}`.',
       contact: {
         name: 'API Support',
         email: 'habeeb@umweltdev.com'
@@ -23,12 +23,33 @@ const options = {
         description: 'Production server'
       }
     ],
+    security: [
+      { ApiKeyAuth: [] },
+      { BearerApiKey: [] }
+    ],
     components: {
       securitySchemes: {
-        BearerAuth: {
+        ApiKeyAuth: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'x-api-key',
+          description: 'API key issued via /api/keys. Keys carry roles: pricing:read, ingest:write, analytics:read, admin.'
+        },
+        BearerApiKey: {
           type: 'http',
           scheme: 'bearer',
-          bearerFormat: 'JWT'
+          description: 'The same API key sent as Authorization: Bearer <key>'
+        }
+      },
+      parameters: {
+        AttributionModel: {
+          in: 'query',
+          name: 'attributionModel',
+          description: 'How revenue is credited across a transaction\'s marketing touchpoints. Defaults to the business config.',
+          schema: {
+            type: 'string',
+            enum: ['last-touch', 'first-touch', 'linear', 'time-decay', 'position-based']
+          }
         }
       },
       schemas: {
@@ -43,6 +64,7 @@ const options = {
           type: 'object',
           properties: {
             basePrice: { type: 'number' },
+            sku: { type: 'string', nullable: true },
             finalPrice: { type: 'number' },
             mcdAdjustment: {
               type: 'object',
@@ -66,6 +88,41 @@ const options = {
                   }
                 }
               }
+            },
+            promotion: {
+              type: 'object',
+              description: 'Only present when a promoCode was given',
+              properties: {
+                code: { type: 'string' },
+                type: { type: 'string', enum: ['percent', 'fixed', 'free-shipping'] },
+                value: { type: 'number', nullable: true },
+                stacking: { type: 'string', enum: ['stack', 'best-of', 'exclusive'] },
+                respectFloor: { type: 'boolean' },
+                applied: { type: 'boolean' },
+                freeShipping: { type: 'boolean' },
+                reason: {
+                  type: 'string',
+                  nullable: true,
+                  description: 'Why the code did not apply, e.g. expired, usage-limit-reached or rcd-discount-is-better'
+                }
+              }
+            },
+            trace: {
+              type: 'array',
+              description: 'Only present with explain=true',
+              items: {
+                type: 'object',
+                properties: {
+                  step: { type: 'integer' },
+                  stage: {
+                    type: 'string',
+                    enum: ['mcd-multiplier', 'apply-mcd', 'customer-discount', 'category-weight', 'apply-discount', 'promotion', 'price-floor']
+                  },
+                  description: { type: 'string' },
+                  inputs: { type: 'object' },
+                  output: { type: 'object' }
+                }
+              }
             }
           }
         }
@@ -0,0 +1,96 @@
+import { getDB } from './database.js';
+import MCDRCDModule from '../models/MCDRCDModule.js';
+import { getTenantConfig, getTenantConfigVersion } from '../models/tenantConfig.js';
+
+// One MCDRCDModule per tenant, shared by every router in this process.
+// Promises are cached so concurrent first requests don't build two instances.
+const tenantModules = new Map();
+
+// Evicted instances, kept until their replacement has taken over what they learned at runtime
+const replacedModules = new Map();
+
+// When each cached instance last compared its config version with the database.
+// Config changes made through another process are picked up within this interval.
+const versionCheckedAt = new Map();
+const getConfigRefreshMs = () => parseFloat(process.env.CONFIG_REFRESH_SECONDS || 30) * 1000;
+
+const TENANT_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+const getDefaultTenantId = () => process.env.BUSINESS_ID || 'default';
+
+const isValidTenantId = (businessId) => typeof businessId === 'string' && TENANT_ID_PATTERN.test(businessId);
+
+// Per-tenant overrides live in the `tenants` collection as { businessId, config, configVersion }
+const createTenantModule = async (businessId) => {
+  const { config, version } = await getTenantConfig(businessId);
+  const mcdRcd = new MCDRCDModule({ ...config, businessId });
+  mcdRcd.configVersion = version;
+  await mcdRcd.loadMCDState();
+
+  const pending = replacedModules.get(businessId);
+  const previous = await pending?.catch(() => null);
+  if (previous) mcdRcd.adoptLearnedState(previous);
+  if (replacedModules.get(businessId) === pending) replacedModules.delete(businessId);
+
+  return mcdRcd;
+};
+
+// Rebuilds the cached instance if its config has moved on since it was built
+const refreshIfConfigChanged = async (businessId) => {
+  const checkedAt = versionCheckedAt.get(businessId) || 0;
+  if (Date.now() - checkedAt < getConfigRefreshMs()) return;
+
+  versionCheckedAt.set(businessId, Date.now());
+  const pending = tenantModules.get(businessId);
+  const [cached, version] = await Promise.all([pending, getTenantConfigVersion(businessId)]);
+
+  // Skip if another request already replaced the instance while we were checking
+  if (cached.configVersion !== version && tenantModules.get(businessId) === pending) {
+    evictTenantModule(businessId);
+  }
+};
+
+const getTenantModule = async (businessId = getDefaultTenantId()) => {
+  if (!isValidTenantId(businessId)) {
+    throw new Error('Invalid business id');
+  }
+
+  if (tenantModules.has(businessId)) {
+    await refreshIfConfigChanged(businessId);
+  }
+
+  if (!tenantModules.has(businessId)) {
+    versionCheckedAt.set(businessId, Date.now());
+    const pending = createTenantModule(businessId).catch((error) => {
+      tenantModules.delete(businessId);
+      throw error;
+    });
+    tenantModules.set(businessId, pending);
+  }
+
+  return tenantModules.get(businessId);
+};
+
+// Every business with config, customers or marketing spend on record
+const listTenantIds = async () => {
+  const db = getDB();
+  const [configured, withCustomers, withSpend] = await Promise.all([
+    db.collection('tenants').distinct('businessId'),
+    db.collection('customers').distinct('businessId'),
+    db.collection('marketingSpend').distinct('businessId')
+  ]);
+
+  return [...new Set([getDefaultTenantId(), ...configured, ...withCustomers, ...withSpend])]
+    .filter(isValidTenantId);
+};
+
+// Drop a cached instance so the next request rebuilds it from fresh config.
+// The rebuilt instance keeps the evicted one's optimised platform weights.
+const evictTenantModule = (businessId) => {
+  if (tenantModules.has(businessId)) {
+    replacedModules.set(businessId, tenantModules.get(businessId));
+  }
+  tenantModules.delete(businessId);
+};
+
+export { getTenantModule, evictTenantModule, listTenantIds, getDefaultTenantId, isValidTenantId };
@@ -0,0 +1,87 @@
+import { registerJob } from './scheduler.js';
+import { getTenantModule, listTenantIds } from '../config/tenants.js';
+
+const MCD_RECALCULATION_JOB = 'mcd-recalculation';
+const RCD_RESCORING_JOB = 'rcd-rescoring';
+const POINTS_EXPIRY_JOB = 'loyalty-points-expiry';
+const WEBHOOK_DELIVERY_JOB = 'webhook-delivery';
+
+const minutes = (value, fallback) => (parseFloat(value) || fallback) * 60 * 1000;
+
+// Runs the callback for every tenant; one tenant failing doesn't stop the rest
+const forEachTenant = async (callback) => {
+  const results = {};
+  const errors = {};
+
+  for (const businessId of await listTenantIds()) {
+    try {
+      const mcdRcd = await getTenantModule(businessId);
+      const result = await callback(mcdRcd);
+      if (result !== undefined) results[businessId] = result;
+    } catch (error) {
+      console.error(`Tenant ${businessId} job error:`, error);
+      errors[businessId] = error.message;
+    }
+  }
+
+  return { results, errors };
+};
+
+// The job wakes up often; each tenant is only recalculated once its own
+// mcd.updateFrequency says the persisted multiplier is due.
+const recalculateDueMultipliers = () => forEachTenant(async (mcdRcd) => {
+  const multiplier = await mcdRcd.recalculateMCDIfDue();
+  if (multiplier === null) return undefined;
+
+  return {
+    multiplier,
+    nextUpdate: mcdRcd.getNextMCDUpdate()
+  };
+});
+
+const rescoreStaleCustomers = () => forEachTenant(async (mcdRcd) => {
+  const refreshed = await mcdRcd.refreshStaleCustomerDiscounts({
+    limit: parseInt(process.env.JOB_RCD_BATCH_SIZE) || 500
+  });
+  return { refreshed };
+});
+
+const expireDuePoints = () => forEachTenant(async (mcdRcd) => {
+  if (!mcdRcd.config.loyalty.enabled) return undefined;
+
+  return await mcdRcd.loyalty.expireDue({
+    limit: parseInt(process.env.JOB_POINTS_EXPIRY_BATCH_SIZE) || 500
+  });
+});
+
+const deliverDueWebhooks = () => forEachTenant(async (mcdRcd) => await mcdRcd.webhooks.deliverDue({
+  limit: parseInt(process.env.JOB_WEBHOOK_BATCH_SIZE) || 100
+}));
+
+const registerPricingJobs = () => {
+  registerJob({
+    name: MCD_RECALCULATION_JOB,
+    intervalMs: minutes(process.env.JOB_MCD_INTERVAL_MINUTES, 15),
+    handler: recalculateDueMultipliers
+  });
+
+  registerJob({
+    name: RCD_RESCORING_JOB,
+    intervalMs: minutes(process.env.JOB_RCD_INTERVAL_MINUTES, 60),
+    handler: rescoreStaleCustomers
+  });
+
+  registerJob({
+    name: POINTS_EXPIRY_JOB,
+    intervalMs: minutes(process.env.JOB_POINTS_EXPIRY_INTERVAL_MINUTES, 60),
+    handler: expireDuePoints
+  });
+
+  registerJob({
+    name: WEBHOOK_DELIVERY_JOB,
+    intervalMs: minutes(process.env.JOB_WEBHOOK_INTERVAL_MINUTES, 1),
+    handler: deliverDueWebhooks
+  });
+};
+
+export { MCD_RECALCULATION_JOB, RCD_RESCORING_JOB, POINTS_EXPIRY_JOB, WEBHOOK_DELIVERY_JOB, registerPricingJobs };
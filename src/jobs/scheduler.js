@@ -0,0 +1,213 @@
+import crypto from 'crypto';
+import os from 'os';
+import { getDB } from '../config/database.js';
+import { runWithContext } from '../middleware/requestContext.js';
+
+// Identifies this process when it holds a job lock
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+const jobs = new Map();
+let running = false;
+
+const registerJob = ({ name, intervalMs, lockTtlMs = intervalMs, handler }) => {
+  if (!name || !intervalMs || typeof handler !== 'function') {
+    throw new Error('Job name, interval and handler are required');
+  }
+
+  jobs.set(name, {
+    name,
+    intervalMs,
+    lockTtlMs,
+    handler,
+    timer: null,
+    running: false,
+    nextRunAt: null
+  });
+};
+
+// Lock documents in `jobLocks` are keyed by job name. The upsert only matches an
+// expired lock (or one we already hold); otherwise the insert hits a duplicate key.
+const acquireLock = async (job) => {
+  const db = getDB();
+  const now = new Date();
+
+  try {
+    await db.collection('jobLocks').findOneAndUpdate(
+      {
+        _id: job.name,
+        $or: [
+          { lockedUntil: { $lte: now } },
+          { owner: INSTANCE_ID }
+        ]
+      },
+      {
+        $set: {
+          owner: INSTANCE_ID,
+          lockedUntil: new Date(now.getTime() + job.lockTtlMs),
+          acquiredAt: now
+        }
+      },
+      { upsert: true }
+    );
+    return true;
+  } catch (error) {
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+const releaseLock = async (job, outcome) => {
+  const db = getDB();
+
+  await db.collection('jobLocks').updateOne(
+    { _id: job.name, owner: INSTANCE_ID },
+    {
+      $set: {
+        lockedUntil: new Date(),
+        lastRunAt: outcome.startedAt,
+        lastFinishedAt: new Date(),
+        lastStatus: outcome.status,
+        lastError: outcome.error || null,
+        lastResult: outcome.result ?? null,
+        lastRunBy: INSTANCE_ID
+      }
+    }
+  );
+};
+
+// Short-lived lock for work outside the schedule, e.g. a recalculation a request
+// triggers. Unlike job locks it isn't re-entrant, so concurrent callers in this
+// process exclude each other too. Resolves { acquired: false } when already held.
+const withLock = async (name, ttlMs, callback) => {
+  const db = getDB();
+  const now = new Date();
+  const token = crypto.randomBytes(8).toString('hex');
+
+  try {
+    await db.collection('jobLocks').findOneAndUpdate(
+      { _id: name, lockedUntil: { $lte: now } },
+      {
+        $set: {
+          owner: INSTANCE_ID,
+          token,
+          lockedUntil: new Date(now.getTime() + ttlMs),
+          acquiredAt: now
+        }
+      },
+      { upsert: true }
+    );
+  } catch (error) {
+    if (error.code === 11000) return { acquired: false };
+    throw error;
+  }
+
+  try {
+    return { acquired: true, result: await callback() };
+  } finally {
+    await db.collection('jobLocks').updateOne({ _id: name, token }, { $set: { lockedUntil: new Date() } });
+  }
+};
+
+const hasJob = (name) => jobs.has(name);
+
+const runJob = async (name) => {
+  const job = jobs.get(name);
+  if (!job) {
+    throw new Error(`Unknown job: ${name}`);
+  }
+
+  if (job.running) {
+    return { name, status: 'already-running' };
+  }
+
+  job.running = true;
+  try {
+    if (!await acquireLock(job)) {
+      return { name, status: 'locked' };
+    }
+
+    const outcome = { startedAt: new Date() };
+    try {
+      // Writes made by the job are attributed to it in the audit log
+      outcome.result = await runWithContext(
+        { requestId: null, actor: { type: 'job', name, instance: INSTANCE_ID } },
+        () => job.handler()
+      );
+      outcome.status = 'succeeded';
+    } catch (error) {
+      console.error(`Job ${name} failed:`, error);
+      outcome.status = 'failed';
+      outcome.error = error.message;
+    }
+
+    await releaseLock(job, outcome);
+    return { name, status: outcome.status, result: outcome.result, error: outcome.error };
+  } finally {
+    job.running = false;
+  }
+};
+
+const scheduleNext = (job) => {
+  if (!running) return;
+
+  job.nextRunAt = new Date(Date.now() + job.intervalMs);
+  job.timer = setTimeout(async () => {
+    try {
+      await runJob(job.name);
+    } catch (error) {
+      console.error(`Job ${job.name} could not run:`, error);
+    }
+    scheduleNext(job);
+  }, job.intervalMs);
+
+  // Never keep the process alive just for a pending job
+  job.timer.unref();
+};
+
+const startScheduler = () => {
+  if (running) return;
+  running = true;
+  jobs.forEach(job => scheduleNext(job));
+  console.log(`Scheduler started with jobs: ${[...jobs.keys()].join(', ')}`);
+};
+
+const stopScheduler = () => {
+  running = false;
+  jobs.forEach((job) => {
+    clearTimeout(job.timer);
+    job.timer = null;
+    job.nextRunAt = null;
+  });
+};
+
+// Combines local timers with the shared lock documents so any instance can report
+const getJobStatus = async () => {
+  const db = getDB();
+  const locks = await db.collection('jobLocks')
+    .find({ _id: { $in: [...jobs.keys()] } })
+    .toArray();
+  const locksByName = Object.fromEntries(locks.map(lock => [lock._id, lock]));
+
+  return [...jobs.values()].map((job) => {
+    const lock = locksByName[job.name] || {};
+    const now = new Date();
+
+    return {
+      name: job.name,
+      intervalMs: job.intervalMs,
+      scheduled: Boolean(job.timer),
+      runningHere: job.running,
+      locked: Boolean(lock.lockedUntil && lock.lockedUntil > now),
+      lockOwner: lock.lockedUntil > now ? lock.owner : null,
+      lastRunAt: lock.lastRunAt || null,
+      lastFinishedAt: lock.lastFinishedAt || null,
+      lastStatus: lock.lastStatus || null,
+      lastError: lock.lastError || null,
+      lastResult: lock.lastResult ?? null,
+      lastRunBy: lock.lastRunBy || null,
+      nextRunAt: job.nextRunAt
+    };
+  });
+};
+
+export { INSTANCE_ID, registerJob, hasJob, runJob, withLock, startScheduler, stopScheduler, getJobStatus };
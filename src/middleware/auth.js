@@ -1,11 +1,63 @@
-export const apiKeyAuth = (req, res, next) => {
-  const apiKey = req.headers['x-api-key'];
-  
+import crypto from 'crypto';
+import { findActiveApiKey } from '../models/apiKeys.js';
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+const readApiKey = (req) => {
+  if (req.headers['x-api-key']) return req.headers['x-api-key'];
+
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+  return scheme === 'Bearer' ? token : null;
+};
+
+// Authenticates the caller and attaches the key record as req.apiKey.
+// API_KEY from the environment acts as a bootstrap key with global admin rights.
+export const apiKeyAuth = async (req, res, next) => {
   if (req.path === '/health' || req.path === '/') return next();
-  
-  if (!apiKey || apiKey !== process.env.API_KEY) {
-    return res.status(401).json({ error: 'Invalid API key' });
+
+  const apiKey = readApiKey(req);
+  if (!apiKey) {
+    return res.status(401).json({ error: 'API key required' });
+  }
+
+  try {
+    if (process.env.API_KEY && safeEqual(apiKey, process.env.API_KEY)) {
+      req.apiKey = { name: 'bootstrap', businessId: null, roles: ['admin'] };
+      return next();
+    }
+
+    const record = await findActiveApiKey(apiKey);
+    if (!record) {
+      return res.status(401).json({ error: 'Invalid API key' });
+    }
+
+    req.apiKey = record;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const hasRole = (apiKey, role) => {
+  const roles = apiKey?.roles || [];
+  return roles.includes('admin') || roles.includes(role);
+};
+
+export const requireRole = (role) => (req, res, next) => {
+  if (!hasRole(req.apiKey, role)) {
+    return res.status(403).json({ error: `Missing required role: ${role}` });
+  }
+  next();
+};
+
+// Cross-tenant operations need an admin key that isn't bound to a business
+export const requireGlobalAdmin = (req, res, next) => {
+  if (!hasRole(req.apiKey, 'admin') || req.apiKey.businessId) {
+    return res.status(403).json({ error: 'Global admin key required' });
   }
-  
   next();
-};
\ No newline at end of file
+};
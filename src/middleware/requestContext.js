@@ -0,0 +1,27 @@
+import crypto from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
+
+// Carries who is acting (API key or background job) through every async call a
+// request or job makes, so deep model code can attribute its writes.
+const storage = new AsyncLocalStorage();
+
+export const getRequestContext = () => storage.getStore() || null;
+
+export const runWithContext = (context, fn) => storage.run(context, fn);
+
+// Must run after apiKeyAuth so the caller's key is known
+export const requestContext = (req, res, next) => {
+  const context = {
+    requestId: req.headers['x-request-id'] || crypto.randomUUID(),
+    actor: {
+      type: 'api-key',
+      keyId: req.apiKey?._id ? String(req.apiKey._id) : null,
+      name: req.apiKey?.name || null
+    },
+    method: req.method,
+    path: req.originalUrl
+  };
+
+  res.set('x-request-id', context.requestId);
+  runWithContext(context, () => next());
+};
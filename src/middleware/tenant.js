@@ -0,0 +1,28 @@
+import { getTenantModule, getDefaultTenantId, isValidTenantId } from '../config/tenants.js';
+
+// Resolution order: the business bound to the caller's API key, then the path
+// (/api/tenants/:businessId/...), the x-business-id header and the deployment default.
+// Only keys not bound to a business may pick a tenant via path or header.
+export const resolveTenant = async (req, res, next) => {
+  try {
+    const requested = req.params.businessId || req.headers['x-business-id'];
+    const keyTenant = req.apiKey?.businessId;
+
+    if (keyTenant && requested && requested !== keyTenant) {
+      return res.status(403).json({ error: 'API key is not valid for this business' });
+    }
+
+    const businessId = keyTenant || requested || getDefaultTenantId();
+
+    if (!isValidTenantId(businessId)) {
+      return res.status(400).json({ error: 'Invalid business id' });
+    }
+
+    req.businessId = businessId;
+    req.mcdRcd = await getTenantModule(businessId);
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,231 @@
+import { getDB } from '../config/database.js';
+import { httpError } from '../utils/httpError.js';
+
+export const CAMPAIGN_STATUSES = ['draft', 'active', 'paused', 'completed'];
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+// How far back spend is read for a campaign id without a campaign record
+const SPEND_LOOKBACK_DAYS = 365;
+const round = (value) => Math.round(value * 100) / 100;
+
+// Marketing campaigns (budget, flight dates, status) for one business
+export class CampaignManager {
+  constructor(mcdRcd) {
+    this.mcdRcd = mcdRcd;
+  }
+
+  get businessId() {
+    return this.mcdRcd.config.businessId;
+  }
+
+  validate(fields, existing = null) {
+    const merged = { ...existing, ...fields };
+
+    if (!merged.campaignId || !merged.name || !merged.platform) {
+      throw httpError(400, 'campaignId, name and platform are required');
+    }
+
+    if (merged.budget !== undefined && merged.budget !== null && !(parseFloat(merged.budget) >= 0)) {
+      throw httpError(400, 'Budget must be zero or positive');
+    }
+
+    if (merged.status && !CAMPAIGN_STATUSES.includes(merged.status)) {
+      throw httpError(400, `Status must be one of: ${CAMPAIGN_STATUSES.join(', ')}`);
+    }
+
+    ['startDate', 'endDate'].forEach((field) => {
+      if (merged[field] && isNaN(new Date(merged[field]).getTime())) {
+        throw httpError(400, `Invalid ${field}`);
+      }
+    });
+
+    if (merged.startDate && merged.endDate && new Date(merged.endDate) < new Date(merged.startDate)) {
+      throw httpError(400, 'endDate must not be before startDate');
+    }
+  }
+
+  toDocument(fields) {
+    const document = {};
+
+    if (fields.campaignId !== undefined) document.campaignId = String(fields.campaignId);
+    if (fields.name !== undefined) document.name = fields.name;
+    if (fields.platform !== undefined) document.platform = fields.platform.toLowerCase();
+    if (fields.budget !== undefined) document.budget = fields.budget === null ? null : parseFloat(fields.budget);
+    if (fields.currency !== undefined) document.currency = fields.currency;
+    if (fields.startDate !== undefined) document.startDate = fields.startDate ? new Date(fields.startDate) : null;
+    if (fields.endDate !== undefined) document.endDate = fields.endDate ? new Date(fields.endDate) : null;
+    if (fields.status !== undefined) document.status = fields.status;
+    if (fields.utmCampaign !== undefined) document.utmCampaign = fields.utmCampaign;
+
+    return document;
+  }
+
+  async list({ status, platform } = {}) {
+    const db = getDB();
+    const query = { businessId: this.businessId };
+
+    if (status) query.status = status;
+    if (platform) query.platform = platform.toLowerCase();
+
+    return await db.collection('campaigns')
+      .find(query)
+      .sort({ startDate: -1, createdAt: -1 })
+      .toArray();
+  }
+
+  async get(campaignId) {
+    const db = getDB();
+    return await db.collection('campaigns').findOne({ businessId: this.businessId, campaignId });
+  }
+
+  async create(fields) {
+    const db = getDB();
+    this.validate(fields);
+
+    if (await this.get(String(fields.campaignId))) {
+      throw httpError(409, 'Campaign already exists');
+    }
+
+    const campaign = {
+      businessId: this.businessId,
+      budget: null,
+      currency: null,
+      startDate: null,
+      endDate: null,
+      status: 'draft',
+      ...this.toDocument(fields),
+      createdAt: new Date(),
+      updatedAt: new Date()
+    };
+    campaign.utmCampaign = campaign.utmCampaign || campaign.campaignId;
+
+    await db.collection('campaigns').insertOne(campaign);
+    return campaign;
+  }
+
+  async update(campaignId, fields) {
+    const db = getDB();
+    const existing = await this.get(campaignId);
+
+    if (!existing) {
+      throw httpError(404, 'Campaign not found');
+    }
+
+    // campaignId is the stable key that spend and touchpoints refer to
+    const { campaignId: ignored, ...changes } = fields;
+    this.validate(changes, existing);
+
+    const update = { ...this.toDocument(changes), updatedAt: new Date() };
+    await db.collection('campaigns').updateOne({ _id: existing._id }, { $set: update });
+
+    return { ...existing, ...update };
+  }
+
+  async remove(campaignId) {
+    const db = getDB();
+    const result = await db.collection('campaigns').deleteOne({ businessId: this.businessId, campaignId });
+
+    if (!result.deletedCount) {
+      throw httpError(404, 'Campaign not found');
+    }
+  }
+
+  // Maps a utm_campaign tag to the campaignId it was registered under
+  async resolveCampaignId(utmCampaign) {
+    if (!utmCampaign) return null;
+
+    const db = getDB();
+    const campaign = await db.collection('campaigns').findOne({
+      businessId: this.businessId,
+      $or: [{ utmCampaign }, { campaignId: utmCampaign }]
+    });
+
+    return campaign?.campaignId || utmCampaign;
+  }
+
+  // Spend, campaign-attributed revenue and budget pacing over the campaign's flight
+  async getPerformance(campaignId, { model = this.mcdRcd.config.attribution.model } = {}) {
+    const db = getDB();
+    const campaign = await this.get(campaignId);
+
+    const now = new Date();
+    // Spend so far from the campaign's start: a flight that hasn't started or finished only
+    // counts its elapsed days
+    const from = campaign?.startDate || new Date(now.getTime() - SPEND_LOOKBACK_DAYS * DAY_MS);
+    const entries = await this.mcdRcd.getAmortizedSpend(from, now, { campaignId });
+    const slices = entries.flatMap(entry => entry.slices);
+    const spend = entries.length ? {
+      totalSpend: entries.reduce((sum, entry) => sum + entry.amortizedAmount, 0),
+      spendEntries: entries.length,
+      firstSpend: slices.reduce((first, { date }) => (date < first ? date : first), slices[0].date),
+      lastSpend: slices.reduce((last, { date }) => (date > last ? date : last), slices[0].date)
+    } : null;
+
+    if (!campaign && !spend &&
+        !await db.collection('marketingSpend').countDocuments({ businessId: this.businessId, campaignId }, { limit: 1 })) {
+      throw httpError(404, 'Campaign not found');
+    }
+
+    const start = campaign?.startDate || spend?.firstSpend || now;
+    // Conversions shortly after the flight still count, up to the attribution lookback
+    const attributionEnd = campaign?.endDate
+      ? new Date(Math.min(now, campaign.endDate.getTime() + this.mcdRcd.config.attribution.lookbackDays * DAY_MS))
+      : now;
+
+    const revenue = await this.mcdRcd.calculateCampaignRevenue(campaignId, {
+      start,
+      end: attributionEnd,
+      model
+    });
+
+    const totalSpend = spend?.totalSpend || 0;
+    const budget = campaign?.budget ?? null;
+
+    let pacing = null;
+    if (budget && campaign?.startDate && campaign?.endDate) {
+      const flightMs = Math.max(DAY_MS, campaign.endDate - campaign.startDate);
+      const elapsed = Math.min(1, Math.max(0, (now - campaign.startDate) / flightMs));
+      const expectedSpend = budget * elapsed;
+
+      pacing = {
+        elapsedPercentage: round(elapsed * 100),
+        expectedSpend: round(expectedSpend),
+        status: expectedSpend === 0 ? 'not-started'
+          : totalSpend > expectedSpend * 1.1 ? 'overspending'
+          : totalSpend < expectedSpend * 0.9 ? 'underspending'
+          : 'on-track'
+      };
+    }
+
+    return {
+      campaign: {
+        id: campaignId,
+        name: campaign?.name || null,
+        platform: campaign?.platform || null,
+        status: campaign?.status || 'untracked',
+        budget,
+        currency: campaign?.currency || null,
+        startDate: campaign?.startDate || null,
+        endDate: campaign?.endDate || null
+      },
+      spend: {
+        total: round(totalSpend),
+        entries: spend?.spendEntries || 0,
+        firstSpend: spend?.firstSpend || null,
+        lastSpend: spend?.lastSpend || null,
+        budgetUtilization: budget ? round((totalSpend / budget) * 100) : null,
+        remainingBudget: budget !== null ? round(budget - totalSpend) : null
+      },
+      performance: {
+        attributionModel: model,
+        revenue: round(revenue),
+        roi: totalSpend > 0 ? round(((revenue - totalSpend) / totalSpend) * 100) : 0,
+        romi: totalSpend > 0 ? round(revenue / totalSpend) : 0,
+        breakEven: revenue >= totalSpend
+      },
+      pacing
+    };
+  }
+}
+
+export default CampaignManager;
@@ -0,0 +1,363 @@
+import mongoose from 'mongoose';
+import { getDB } from '../config/database.js';
+import { httpError } from '../utils/httpError.js';
+import { decryptPII, encryptPII, hashIdentifier } from '../utils/pii.js';
+import { CUSTOMER_HASH_FIELDS } from './PrivacyManager.js';
+
+const { ObjectId } = mongoose.Types;
+
+export const IDENTIFIER_TYPES = ['email', 'phone', 'external-id'];
+
+// What a merge moves to the primary. The audit log is append-only, so its entries keep
+// the hash they were written with and are found through mergedEmailHashes() instead.
+const MERGED_HASH_FIELDS = CUSTOMER_HASH_FIELDS.filter(([collection]) => collection !== 'auditLog');
+
+// Canonical form of an identifier, or null when it isn't valid for its type
+export const normalizeIdentifier = (type, value) => {
+  const raw = String(value ?? '').trim();
+
+  if (type === 'email') {
+    return /^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(raw) ? raw.toLowerCase() : null;
+  }
+  if (type === 'phone') {
+    // E.164: up to 15 digits, country code included
+    const digits = raw.replace(/^00/, '').replace(/[\s().+-]/g, '');
+    return /^\d{7,15}$/.test(digits) ? `+${digits}` : null;
+  }
+  if (type === 'external-id') {
+    return raw || null;
+  }
+  return null;
+};
+
+// Customers are keyed by the hash of their primary email. Other identifiers - extra
+// emails, phone numbers, ids from other systems - live in `customerIdentifiers` and
+// point at that hash, so every lookup by an alias lands on the same customer.
+// Merges are recorded in `customerMerges` with everything they moved, so they can be undone.
+export class IdentityManager {
+  constructor(mcdRcd) {
+    this.mcdRcd = mcdRcd;
+  }
+
+  get businessId() {
+    return this.mcdRcd.config.businessId;
+  }
+
+  // Email identifiers share the customer key's hash, so an alias and a primary email can't collide
+  hashIdentifier(type, normalized) {
+    return type === 'email' ? this.mcdRcd.hashEmail(normalized) : hashIdentifier(`${type}:${normalized}`);
+  }
+
+  identifierId(type, hash) {
+    return `${this.businessId}:${type}:${hash}`;
+  }
+
+  parse(type, value) {
+    if (!IDENTIFIER_TYPES.includes(type)) {
+      throw httpError(400, `type must be one of: ${IDENTIFIER_TYPES.join(', ')}`);
+    }
+
+    const normalized = normalizeIdentifier(type, value);
+    if (!normalized) {
+      throw httpError(400, `Invalid ${type}`);
+    }
+
+    const hash = this.hashIdentifier(type, normalized);
+    return { type, normalized, hash, _id: this.identifierId(type, hash) };
+  }
+
+  // Customer key for an email: the customer it is linked to, else its own hash
+  async resolveEmailHash(email) {
+    const db = getDB();
+    const emailHash = this.mcdRcd.hashEmail(email);
+    const alias = await db.collection('customerIdentifiers').findOne(
+      { _id: this.identifierId('email', emailHash) },
+      { projection: { customerEmailHash: 1 } }
+    );
+
+    return alias?.customerEmailHash || emailHash;
+  }
+
+  async findCustomer(type, value) {
+    const db = getDB();
+    const { _id, hash } = this.parse(type, value);
+    const identifier = await db.collection('customerIdentifiers').findOne({ _id });
+    const emailHash = identifier?.customerEmailHash || (type === 'email' ? hash : null);
+
+    if (!emailHash) return null;
+    return await db.collection('customers').findOne({ businessId: this.businessId, emailHash });
+  }
+
+  async list(customerEmailHash) {
+    const db = getDB();
+    const identifiers = await db.collection('customerIdentifiers')
+      .find({ businessId: this.businessId, customerEmailHash })
+      .sort({ linkedAt: 1 })
+      .toArray();
+
+    return identifiers.map(({ _id, type, valueEncrypted, source, mergeId, linkedAt }) => ({
+      id: _id,
+      type,
+      value: decryptPII(valueEncrypted),
+      source,
+      mergeId,
+      linkedAt
+    }));
+  }
+
+  async link(customer, type, value) {
+    const db = getDB();
+    const identifier = this.parse(type, value);
+
+    if (type === 'email') {
+      const owner = await db.collection('customers').findOne(
+        { businessId: this.businessId, emailHash: identifier.hash },
+        { projection: { _id: 1 } }
+      );
+      if (owner) {
+        throw owner._id.equals(customer._id)
+          ? httpError(409, 'This is the customer\'s primary email')
+          : httpError(409, 'Another customer uses this email; merge the customers instead');
+      }
+    }
+
+    const document = {
+      _id: identifier._id,
+      businessId: this.businessId,
+      type,
+      customerEmailHash: customer.emailHash,
+      valueEncrypted: encryptPII(identifier.normalized),
+      source: 'manual',
+      mergeId: null,
+      linkedAt: new Date()
+    };
+
+    try {
+      await db.collection('customerIdentifiers').insertOne(document);
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+
+      const existing = await db.collection('customerIdentifiers').findOne({ _id: identifier._id });
+      if (existing?.customerEmailHash !== customer.emailHash) {
+        throw httpError(409, `This ${type} is already linked to another customer`);
+      }
+    }
+
+    return { id: identifier._id, type, value: identifier.normalized, source: 'manual' };
+  }
+
+  async unlink(customer, type, value) {
+    const db = getDB();
+    const { _id } = this.parse(type, value);
+    const existing = await db.collection('customerIdentifiers').findOne({
+      _id,
+      customerEmailHash: customer.emailHash
+    });
+
+    if (!existing) {
+      throw httpError(404, 'Identifier not found');
+    }
+    if (existing.source === 'merge') {
+      throw httpError(409, 'This email came from a merge; unmerge the customers instead');
+    }
+
+    await db.collection('customerIdentifiers').deleteOne({ _id });
+  }
+
+  // Folds the secondary customer into the primary: every record keyed by the
+  // secondary's hash moves over, the secondary email becomes an alias, and the
+  // primary's discount, tier and points balance are recomputed from the combined history.
+  async merge(primaryEmail, secondaryEmail) {
+    const db = getDB();
+    const [primary, secondary] = await Promise.all([
+      this.mcdRcd.getCustomerInfo(primaryEmail),
+      this.mcdRcd.getCustomerInfo(secondaryEmail)
+    ]);
+
+    if (!primary || !secondary) {
+      throw httpError(404, 'Customer not found');
+    }
+    if (primary._id.equals(secondary._id)) {
+      throw httpError(400, 'Both emails already belong to this customer');
+    }
+
+    const from = secondary.emailHash;
+    const to = primary.emailHash;
+
+    // Ids are recorded before anything moves, so an interrupted merge can still be undone
+    const moved = [];
+    for (const [collection, field] of [...MERGED_HASH_FIELDS, ['customerIdentifiers', 'customerEmailHash']]) {
+      const ids = (await db.collection(collection)
+        .find({ businessId: this.businessId, [field]: from }, { projection: { _id: 1 } })
+        .toArray()).map(({ _id }) => _id);
+      if (ids.length) moved.push({ collection, field, ids });
+    }
+    const promotionUsage = await this.mcdRcd.privacy.findPromotionUsage(from);
+    const referralCodes = [secondary.referralCode, ...(secondary.referralCodeAliases || [])].filter(Boolean);
+
+    const merge = {
+      _id: new ObjectId(),
+      businessId: this.businessId,
+      primaryEmailHash: to,
+      secondaryEmailHash: from,
+      secondaryCustomer: secondary,
+      primaryBefore: { firstPurchaseDate: primary.firstPurchaseDate || null },
+      moved,
+      promotionUsage,
+      status: 'merged',
+      mergedAt: new Date()
+    };
+    await db.collection('customerMerges').insertOne(merge);
+
+    for (const { collection, field, ids } of moved) {
+      await db.collection(collection).updateMany({ _id: { $in: ids } }, { $set: { [field]: to } });
+    }
+
+    // Per-customer promo limits count both customers' uses
+    for (const usage of promotionUsage) {
+      await db.collection('promotionUsage').updateOne(
+        { _id: usage._id.slice(0, -from.length) + to },
+        { $inc: { count: usage.count || 0 }, $max: { lastUsedAt: usage.lastUsedAt } },
+        { upsert: true }
+      );
+      await db.collection('promotionUsage').deleteOne({ _id: usage._id });
+    }
+
+    await db.collection('customers').deleteOne({ _id: secondary._id });
+    await db.collection('customerIdentifiers').replaceOne(
+      { _id: this.identifierId('email', from) },
+      {
+        businessId: this.businessId,
+        type: 'email',
+        customerEmailHash: to,
+        valueEncrypted: encryptPII(this.mcdRcd.getCustomerEmail(secondary)),
+        source: 'merge',
+        mergeId: merge._id,
+        linkedAt: merge.mergedAt
+      },
+      { upsert: true }
+    );
+
+    // The secondary's referral links keep crediting the merged customer
+    await db.collection('customers').updateOne(
+      { _id: primary._id },
+      {
+        $inc: { referralCount: secondary.referralCount || 0 },
+        ...(secondary.firstPurchaseDate && { $min: { firstPurchaseDate: secondary.firstPurchaseDate } }),
+        ...(referralCodes.length && { $addToSet: { referralCodeAliases: { $each: referralCodes } } })
+      }
+    );
+
+    const discount = await this.refreshCustomer(to, 'identity-merge');
+
+    await this.mcdRcd.audit({
+      entityType: 'customer-identity',
+      entityId: String(merge._id),
+      customerEmailHash: to,
+      action: 'merge',
+      cause: 'identity-merge',
+      details: { secondaryEmailHash: from, moved: moved.map(({ collection, field, ids }) => ({ collection, field, count: ids.length })) }
+    });
+
+    return { mergeId: merge._id, primaryEmailHash: to, secondaryEmailHash: from, discount };
+  }
+
+  // Restores the secondary customer and moves back exactly the records the merge
+  // moved. Purchases made with either email after the merge stay with the primary.
+  async unmerge(mergeId) {
+    const db = getDB();
+    if (!ObjectId.isValid(mergeId)) {
+      throw httpError(404, 'Merge not found');
+    }
+
+    const merge = await db.collection('customerMerges').findOneAndUpdate(
+      { _id: new ObjectId(mergeId), businessId: this.businessId, status: 'merged' },
+      { $set: { status: 'unmerged', unmergedAt: new Date() } },
+      { returnDocument: 'after' }
+    );
+
+    if (!merge) {
+      const exists = await db.collection('customerMerges').countDocuments({ _id: new ObjectId(mergeId), businessId: this.businessId });
+      throw exists ? httpError(409, 'Merge was already undone') : httpError(404, 'Merge not found');
+    }
+
+    const { primaryEmailHash: to, secondaryEmailHash: from, secondaryCustomer: secondary } = merge;
+
+    await db.collection('customers').replaceOne({ _id: secondary._id }, secondary, { upsert: true });
+    await db.collection('customerIdentifiers').deleteOne({ _id: this.identifierId('email', from), mergeId: merge._id });
+
+    for (const { collection, field, ids } of merge.moved) {
+      await db.collection(collection).updateMany({ _id: { $in: ids } }, { $set: { [field]: from } });
+    }
+
+    for (const usage of merge.promotionUsage) {
+      await db.collection('promotionUsage').replaceOne({ _id: usage._id }, usage, { upsert: true });
+      await db.collection('promotionUsage').updateOne(
+        { _id: usage._id.slice(0, -from.length) + to },
+        { $inc: { count: -(usage.count || 0) } }
+      );
+    }
+
+    const referralCodes = [secondary.referralCode, ...(secondary.referralCodeAliases || [])].filter(Boolean);
+    await db.collection('customers').updateOne(
+      { businessId: this.businessId, emailHash: to },
+      {
+        $inc: { referralCount: -(secondary.referralCount || 0) },
+        $set: { firstPurchaseDate: merge.primaryBefore.firstPurchaseDate },
+        $pull: { referralCodeAliases: { $in: referralCodes } }
+      }
+    );
+
+    await this.refreshCustomer(to, 'identity-unmerge');
+    await this.refreshCustomer(from, 'identity-unmerge');
+
+    await this.mcdRcd.audit({
+      entityType: 'customer-identity',
+      entityId: String(merge._id),
+      customerEmailHash: to,
+      action: 'unmerge',
+      cause: 'identity-unmerge',
+      details: { secondaryEmailHash: from }
+    });
+
+    return { mergeId: merge._id, primaryEmailHash: to, secondaryEmailHash: from, status: 'unmerged' };
+  }
+
+  // The customer's hash and those of every customer merged into it, directly or
+  // through an earlier merge, for looking up records that weren't moved
+  async mergedEmailHashes(emailHash) {
+    const db = getDB();
+    const hashes = [emailHash];
+
+    for (let index = 0; index < hashes.length; index++) {
+      const merges = await db.collection('customerMerges')
+        .find({ businessId: this.businessId, primaryEmailHash: hashes[index], status: 'merged' }, { projection: { secondaryEmailHash: 1 } })
+        .toArray();
+      for (const { secondaryEmailHash } of merges) {
+        if (!hashes.includes(secondaryEmailHash)) hashes.push(secondaryEmailHash);
+      }
+    }
+
+    return hashes;
+  }
+
+  async listMerges(customerEmailHash) {
+    const db = getDB();
+    return await db.collection('customerMerges')
+      .find(
+        { businessId: this.businessId, $or: [{ primaryEmailHash: customerEmailHash }, { secondaryEmailHash: customerEmailHash }] },
+        { projection: { secondaryCustomer: 0, moved: 0, promotionUsage: 0 } }
+      )
+      .sort({ mergedAt: -1 })
+      .toArray();
+  }
+
+  // Recomputes what's derived from a customer's history after records moved
+  async refreshCustomer(emailHash, cause) {
+    const db = getDB();
+    await this.mcdRcd.loyalty.syncBalance(emailHash);
+
+    const customer = await db.collection('customers').findOne({ businessId: this.businessId, emailHash });
+    return customer ? await this.mcdRcd.updateCustomerVector(customer, null, cause) : null;
+  }
+}
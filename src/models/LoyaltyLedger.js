@@ -0,0 +1,411 @@
+import { getDB } from '../config/database.js';
+import { getRequestContext } from '../middleware/requestContext.js';
+import { httpError } from '../utils/httpError.js';
+
+export const LEDGER_ENTRY_TYPES = ['earn', 'redeem', 'expire', 'adjust', 'reversal'];
+
+const EXPIRING_SOON_DAYS = 30;
+
+// Points for a purchase: amount x pointsPerCurrency, scaled by the best multiplier
+// among the purchased categories and by the customer's loyalty tier. Rounded down.
+export const calculateEarnedPoints = (amount, productCategories = [], loyaltyTier = null, rules) => {
+  const categoryMultiplier = Math.max(
+    1,
+    ...productCategories.map(category => rules.categoryMultipliers[category] || 1)
+  );
+  const tierMultiplier = rules.tierMultipliers[loyaltyTier] || 1;
+
+  return Math.max(0, Math.floor(amount * rules.pointsPerCurrency * categoryMultiplier * tierMultiplier));
+};
+
+// Replays a customer's ledger into lots of points. Every credit is a lot; debits use up
+// the oldest lots still valid at the time, and anything left over is a deficit that
+// later credits pay off first. Lots past their expiry that no expire entry has closed
+// yet are returned as `expired`.
+export const computePointLots = (entries, now = new Date()) => {
+  const lots = [];
+  const lotsById = new Map();
+  let deficit = 0;
+
+  [...entries]
+    .sort((a, b) => a.createdAt - b.createdAt)
+    .forEach((entry) => {
+      if (entry.type === 'expire') {
+        const lot = lotsById.get(String(entry.lotId));
+        if (lot) {
+          lot.remaining = Math.max(0, lot.remaining + entry.points);
+          lot.closed = true;
+        }
+        return;
+      }
+
+      if (entry.points > 0) {
+        const repaid = Math.min(deficit, entry.points);
+        deficit -= repaid;
+
+        const lot = { id: String(entry._id), remaining: entry.points - repaid, expiresAt: entry.expiresAt || null, closed: false };
+        lots.push(lot);
+        lotsById.set(lot.id, lot);
+        return;
+      }
+
+      let owed = -entry.points;
+      for (const lot of lots) {
+        if (!owed) break;
+        if (lot.closed || lot.remaining <= 0) continue;
+        if (lot.expiresAt && lot.expiresAt <= entry.createdAt) continue;
+
+        const used = Math.min(owed, lot.remaining);
+        lot.remaining -= used;
+        owed -= used;
+      }
+      deficit += owed;
+    });
+
+  const open = lots.filter(lot => !lot.closed && lot.remaining > 0);
+  const active = open.filter(lot => !lot.expiresAt || lot.expiresAt > now);
+  const expiries = active.filter(lot => lot.expiresAt).map(lot => lot.expiresAt.getTime());
+
+  return {
+    balance: active.reduce((sum, lot) => sum + lot.remaining, 0) - deficit,
+    deficit,
+    active: active.map(({ id, remaining, expiresAt }) => ({ id, remaining, expiresAt })),
+    expired: open
+      .filter(lot => lot.expiresAt && lot.expiresAt <= now)
+      .map(({ id, remaining, expiresAt }) => ({ id, remaining, expiresAt })),
+    nextExpiry: expiries.length ? new Date(Math.min(...expiries)) : null
+  };
+};
+
+// Loyalty points as an append-only ledger in `loyaltyLedger`. Entries are never
+// changed or deleted; corrections are new entries. The customer's `loyaltyPoints` is
+// a running total of the ledger used to claim redemptions atomically.
+export class LoyaltyLedger {
+  constructor(mcdRcd) {
+    this.mcdRcd = mcdRcd;
+  }
+
+  get businessId() {
+    return this.mcdRcd.config.businessId;
+  }
+
+  get rules() {
+    return this.mcdRcd.config.loyalty;
+  }
+
+  expiryFrom(date = new Date()) {
+    return new Date(date.getTime() + this.rules.expiryDays * 24 * 60 * 60 * 1000);
+  }
+
+  buildEntry(emailHash, { type, points, reason = null, transactionId = null, lotId = null, reversalOf = null, expiresAt = null }) {
+    const context = getRequestContext();
+
+    return {
+      businessId: this.businessId,
+      customerEmailHash: emailHash,
+      type,
+      points,
+      reason,
+      transactionId,
+      lotId,
+      reversalOf,
+      expiresAt,
+      actor: context?.actor || { type: 'system', name: null },
+      createdAt: new Date()
+    };
+  }
+
+  // Writes an entry and moves the running total with it
+  async append(emailHash, fields) {
+    const db = getDB();
+    const entry = this.buildEntry(emailHash, fields);
+
+    await db.collection('loyaltyLedger').insertOne(entry);
+    await db.collection('customers').updateOne(
+      { businessId: this.businessId, emailHash },
+      {
+        $inc: { loyaltyPoints: entry.points },
+        ...(entry.expiresAt && { $min: { nextPointsExpiry: entry.expiresAt } })
+      }
+    );
+
+    return entry;
+  }
+
+  async getEntries(emailHash) {
+    const db = getDB();
+    return await db.collection('loyaltyLedger')
+      .find({ businessId: this.businessId, customerEmailHash: emailHash })
+      .toArray();
+  }
+
+  // Rebuilds the running total and next expiry from the ledger, e.g. after an
+  // identity merge moved entries between customers
+  async syncBalance(emailHash) {
+    const db = getDB();
+    const entries = await this.getEntries(emailHash);
+    const { expired, nextExpiry } = computePointLots(entries);
+    const points = entries.reduce((sum, entry) => sum + entry.points, 0);
+    // Lots already past expiry make the customer due for the expiry job straight away
+    const dueAt = expired.length ? new Date() : nextExpiry;
+
+    await db.collection('customers').updateOne(
+      { businessId: this.businessId, emailHash },
+      dueAt
+        ? { $set: { loyaltyPoints: points, nextPointsExpiry: dueAt } }
+        : { $set: { loyaltyPoints: points }, $unset: { nextPointsExpiry: '' } }
+    );
+  }
+
+  async getBalance(emailHash) {
+    const now = new Date();
+    const { balance, active, nextExpiry } = computePointLots(await this.getEntries(emailHash), now);
+    const soon = new Date(now.getTime() + EXPIRING_SOON_DAYS * 24 * 60 * 60 * 1000);
+
+    return {
+      points: balance,
+      value: Math.round(balance * this.rules.pointValue * 100) / 100,
+      expiringSoon: active
+        .filter(lot => lot.expiresAt && lot.expiresAt <= soon)
+        .reduce((sum, lot) => sum + lot.remaining, 0),
+      nextExpiry
+    };
+  }
+
+  async getHistory(emailHash, { type, limit = 50, skip = 0 } = {}) {
+    const db = getDB();
+    const query = { businessId: this.businessId, customerEmailHash: emailHash };
+
+    if (type) query.type = type;
+
+    const [entries, total] = await Promise.all([
+      db.collection('loyaltyLedger')
+        .find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .toArray(),
+      db.collection('loyaltyLedger').countDocuments(query)
+    ]);
+
+    return { entries, total };
+  }
+
+  async earn(customer, transaction) {
+    const points = calculateEarnedPoints(
+      transaction.amount,
+      transaction.productCategories,
+      customer.loyaltyTier,
+      this.rules
+    );
+
+    if (points > 0) {
+      await this.append(customer.emailHash, {
+        type: 'earn',
+        points,
+        transactionId: transaction._id,
+        expiresAt: this.expiryFrom(transaction.timestamp)
+      });
+    }
+
+    return points;
+  }
+
+  // Value of redeeming points on an order, checked against the program limits.
+  // orderTotal is the price before points are taken off.
+  quoteRedemption(points, orderTotal) {
+    if (!this.rules.enabled) {
+      throw httpError(400, 'Loyalty points are not enabled');
+    }
+
+    if (!Number.isInteger(points) || points <= 0) {
+      throw httpError(400, 'redeemPoints must be a positive integer');
+    }
+
+    if (points < this.rules.minRedeemPoints) {
+      throw httpError(400, `At least ${this.rules.minRedeemPoints} points must be redeemed`);
+    }
+
+    const value = Math.round(points * this.rules.pointValue * 100) / 100;
+    const maxValue = Math.round(orderTotal * this.rules.maxRedeemShare * 100) / 100;
+
+    if (value > maxValue) {
+      throw httpError(400, `Points can cover at most ${this.rules.maxRedeemShare * 100}% of the order (${maxValue})`);
+    }
+
+    return { points, value };
+  }
+
+  async previewRedemption(emailHash, points, orderTotal) {
+    const redemption = this.quoteRedemption(points, orderTotal);
+    const { points: balance } = await this.getBalance(emailHash);
+
+    if (balance < points) {
+      throw httpError(400, `Not enough loyalty points (balance ${balance})`);
+    }
+
+    return { ...redemption, balance };
+  }
+
+  // Spends points on a checkout. The running total only moves if it covers the
+  // points, so concurrent checkouts can't overspend.
+  async redeem(emailHash, points, { transactionId, orderTotal }) {
+    const db = getDB();
+    const redemption = this.quoteRedemption(points, orderTotal);
+
+    await this.expire(emailHash);
+
+    const claimed = await db.collection('customers').findOneAndUpdate(
+      { businessId: this.businessId, emailHash, loyaltyPoints: { $gte: points } },
+      { $inc: { loyaltyPoints: -points } }
+    );
+
+    if (!claimed) {
+      throw httpError(400, 'Not enough loyalty points');
+    }
+
+    await db.collection('loyaltyLedger').insertOne(
+      this.buildEntry(emailHash, { type: 'redeem', points: -points, transactionId })
+    );
+
+    return redemption;
+  }
+
+  // Gives back points from a checkout that was not recorded
+  async cancelRedemption(emailHash, points, transactionId) {
+    await this.append(emailHash, {
+      type: 'reversal',
+      points,
+      reversalOf: 'redeem',
+      reason: 'checkout-failed',
+      transactionId,
+      expiresAt: this.expiryFrom()
+    });
+  }
+
+  async adjust(emailHash, points, reason) {
+    const db = getDB();
+
+    if (!Number.isInteger(points) || points === 0) {
+      throw httpError(400, 'points must be a non-zero integer');
+    }
+
+    if (!reason) {
+      throw httpError(400, 'A reason is required for adjustments');
+    }
+
+    const customer = await db.collection('customers').findOne({ businessId: this.businessId, emailHash });
+    if (!customer) {
+      throw httpError(404, 'Customer not found');
+    }
+
+    if (points < 0) {
+      const { points: balance } = await this.getBalance(emailHash);
+      if (balance + points < 0) {
+        throw httpError(400, `Adjustment exceeds the balance of ${balance} points`);
+      }
+    }
+
+    return await this.append(emailHash, {
+      type: 'adjust',
+      points,
+      reason,
+      expiresAt: points > 0 ? this.expiryFrom() : null
+    });
+  }
+
+  // Keeps points in line with a refund: earned points are taken back and redeemed
+  // points returned in proportion to how much of the transaction has been refunded.
+  async reverseTransaction(transaction, refundedAmount) {
+    const db = getDB();
+    const entries = await db.collection('loyaltyLedger')
+      .find({ businessId: this.businessId, transactionId: transaction._id })
+      .toArray();
+
+    const sumOf = (filter) => entries.filter(filter).reduce((sum, entry) => sum + entry.points, 0);
+    const share = Math.min(1, refundedAmount / transaction.amount);
+
+    const earned = sumOf(entry => entry.type === 'earn');
+    const earnedTaken = -sumOf(entry => entry.type === 'reversal' && entry.reversalOf === 'earn');
+    const takeBack = Math.round(earned * share) - earnedTaken;
+
+    const redeemed = -sumOf(entry => entry.type === 'redeem');
+    const redeemedReturned = sumOf(entry => entry.type === 'reversal' && entry.reversalOf === 'redeem');
+    const giveBack = Math.round(redeemed * share) - redeemedReturned;
+
+    if (takeBack > 0) {
+      await this.append(transaction.customerEmailHash, {
+        type: 'reversal',
+        points: -takeBack,
+        reversalOf: 'earn',
+        reason: 'refund',
+        transactionId: transaction._id
+      });
+    }
+
+    if (giveBack > 0) {
+      await this.append(transaction.customerEmailHash, {
+        type: 'reversal',
+        points: giveBack,
+        reversalOf: 'redeem',
+        reason: 'refund',
+        transactionId: transaction._id,
+        expiresAt: this.expiryFrom()
+      });
+    }
+
+    return { pointsReversed: Math.max(0, takeBack), pointsReturned: Math.max(0, giveBack) };
+  }
+
+  // Closes lots past their expiry with expire entries. Entry ids are derived from
+  // the lot so two runs can't expire the same points twice.
+  async expire(emailHash) {
+    const db = getDB();
+    const { expired, nextExpiry } = computePointLots(await this.getEntries(emailHash));
+
+    let expiredPoints = 0;
+    for (const lot of expired) {
+      try {
+        await db.collection('loyaltyLedger').insertOne({
+          _id: `${lot.id}:expire`,
+          ...this.buildEntry(emailHash, { type: 'expire', points: -lot.remaining, lotId: lot.id, reason: 'expired' })
+        });
+        expiredPoints += lot.remaining;
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+      }
+    }
+
+    await db.collection('customers').updateOne(
+      { businessId: this.businessId, emailHash },
+      {
+        $inc: { loyaltyPoints: -expiredPoints },
+        // Unset rather than null, so the next credit's $min can set it again
+        ...(nextExpiry ? { $set: { nextPointsExpiry: nextExpiry } } : { $unset: { nextPointsExpiry: '' } })
+      }
+    );
+
+    return expiredPoints;
+  }
+
+  async expireDue({ limit = 500 } = {}) {
+    const db = getDB();
+    const customers = await db.collection('customers')
+      .find(
+        { businessId: this.businessId, nextPointsExpiry: { $lte: new Date() } },
+        { projection: { emailHash: 1 } }
+      )
+      .sort({ nextPointsExpiry: 1 })
+      .limit(limit)
+      .toArray();
+
+    let points = 0;
+    for (const customer of customers) {
+      points += await this.expire(customer.emailHash);
+    }
+
+    return { customers: customers.length, points };
+  }
+}
+
+export default LoyaltyLedger;
@@ -1,5 +1,39 @@
 import crypto from 'crypto';
+import mongoose from 'mongoose';
 import { getDB } from '../config/database.js';
+import { NET_AMOUNT, COUNTABLE_TRANSACTION, REVERSED_STATUSES } from './transactionFilters.js';
+import { httpError } from '../utils/httpError.js';
+import { decryptPII, encryptPII, hashIdentifier } from '../utils/pii.js';
+import { attributeRevenue, isAttributionModel, normalizeTouchpoints, touchpointFromUtm } from './attribution.js';
+import { CampaignManager } from './CampaignManager.js';
+import { PromotionManager, applyPromotion } from './PromotionManager.js';
+import { QuoteManager } from './QuoteManager.js';
+import { ProductCatalog } from './ProductCatalog.js';
+import { LoyaltyLedger, calculateEarnedPoints } from './LoyaltyLedger.js';
+import { WebhookManager } from './WebhookManager.js';
+import { PrivacyManager } from './PrivacyManager.js';
+import { IdentityManager } from './IdentityManager.js';
+import { TransactionImporter } from './TransactionImporter.js';
+import { SpendImporter } from './SpendImporter.js';
+import { ReferralManager, DEFAULT_DISPOSABLE_DOMAINS, evaluateReferral, hashNormalizedEmail } from './ReferralManager.js';
+import { getDefaultSeasonalCalendar, resolveSeason } from './seasonalCalendar.js';
+import { buildPriceTrace } from './priceTrace.js';
+import { amortizeSpend, spendOverlapQuery, startOfUTCDay, validateAmortization } from './spendAmortization.js';
+import { assessDowngradeRisk, resolveTierChange, tierEvents, tierForSpend } from './tierLifecycle.js';
+import { recordAudit } from './auditLog.js';
+import { withLock } from '../jobs/scheduler.js';
+
+const { ObjectId } = mongoose.Types;
+
+// Customer discounts older than this are recalculated before use
+const DISCOUNT_MAX_AGE_HOURS = 24;
+
+// Longest a recalculation may hold the tenant's MCD lock if its process dies
+const MCD_RECALCULATION_LOCK_MS = 5 * 60 * 1000;
+
+// Descriptive campaign fields a caller may attach to a spend entry; everything else
+// on the entry (tenant, dates, weights) is set by the server
+const CAMPAIGN_DATA_FIELDS = ['campaignId', 'campaignName', 'targetAudience'];
 
 export class MCDRCDModule {
   constructor(config = {}) {
@@ -44,6 +78,11 @@ export class MCDRCDModule {
           'summer': 1.1,
           'default': 1.0
         },
+        // Named date ranges that decide which seasonalMultipliers entry applies
+        seasonalCalendar: {
+          ...getDefaultSeasonalCalendar(),
+          ...config.rcd?.seasonalCalendar
+        },
         productCategoryWeights: config.rcd?.productCategoryWeights || {
           'premium': 1.5,
           'standard': 1.0,
@@ -56,6 +95,61 @@ export class MCDRCDModule {
         targetROI: parseFloat(config.optimization?.targetROI || process.env.TARGET_ROI || 3.0),
         maxOverallIncrease: parseFloat(config.optimization?.maxOverallIncrease || process.env.MAX_OVERALL_INCREASE || 0.25),
         learningRate: parseFloat(config.optimization?.learningRate || process.env.LEARNING_RATE || 0.1)
+      },
+      // Marketing attribution used for platform and campaign revenue
+      attribution: {
+        model: config.attribution?.model || process.env.ATTRIBUTION_MODEL || 'last-touch',
+        halfLifeDays: parseFloat(config.attribution?.halfLifeDays || process.env.ATTRIBUTION_HALF_LIFE_DAYS || 7),
+        lookbackDays: parseInt(config.attribution?.lookbackDays || process.env.ATTRIBUTION_LOOKBACK_DAYS || 30)
+      },
+      quotes: {
+        ttlMinutes: parseFloat(config.quotes?.ttlMinutes || process.env.QUOTE_TTL_MINUTES || 15)
+      },
+      // Who earns rcd.referralBonus, and which referrals are held for review
+      referrals: {
+        minimumPurchase: parseFloat(config.referrals?.minimumPurchase ?? process.env.REFERRAL_MIN_PURCHASE ?? 0),
+        firstPurchaseOnly: config.referrals?.firstPurchaseOnly ?? (process.env.REFERRAL_FIRST_PURCHASE_ONLY !== 'false'),
+        monthlyBonusCap: parseFloat(config.referrals?.monthlyBonusCap || process.env.REFERRAL_MONTHLY_BONUS_CAP || 10),
+        velocityWindowHours: parseFloat(config.referrals?.velocityWindowHours || process.env.REFERRAL_VELOCITY_WINDOW_HOURS || 24),
+        velocityMaxReferrals: parseInt(config.referrals?.velocityMaxReferrals || process.env.REFERRAL_VELOCITY_MAX || 5),
+        disposableDomains: config.referrals?.disposableDomains || DEFAULT_DISPOSABLE_DOMAINS
+      },
+      // Points earned per purchase and spent at checkout, alongside the RCD percentage
+      loyalty: {
+        enabled: config.loyalty?.enabled ?? (process.env.LOYALTY_ENABLED !== 'false'),
+        pointsPerCurrency: parseFloat(config.loyalty?.pointsPerCurrency || process.env.LOYALTY_POINTS_PER_CURRENCY || 1),
+        pointValue: parseFloat(config.loyalty?.pointValue || process.env.LOYALTY_POINT_VALUE || 0.01),
+        expiryDays: parseInt(config.loyalty?.expiryDays || process.env.LOYALTY_EXPIRY_DAYS || 365),
+        minRedeemPoints: parseInt(config.loyalty?.minRedeemPoints ?? process.env.LOYALTY_MIN_REDEEM_POINTS ?? 100),
+        maxRedeemShare: parseFloat(config.loyalty?.maxRedeemShare || process.env.LOYALTY_MAX_REDEEM_SHARE || 0.5),
+        categoryMultipliers: config.loyalty?.categoryMultipliers || {
+          'premium': 1.5,
+          'standard': 1.0,
+          'budget': 1.0
+        },
+        tierMultipliers: config.loyalty?.tierMultipliers || {
+          'bronze': 1.0,
+          'silver': 1.25,
+          'gold': 1.5
+        }
+      },
+      // How loyalty tiers are earned and lost; the spend thresholds live in rcd.thresholds
+      tiers: {
+        qualificationDays: parseInt(config.tiers?.qualificationDays || process.env.TIER_QUALIFICATION_DAYS || 365),
+        graceDays: parseInt(config.tiers?.graceDays ?? process.env.TIER_GRACE_DAYS ?? 30),
+        warningDays: parseInt(config.tiers?.warningDays || process.env.TIER_WARNING_DAYS || 30)
+      },
+      // Delivery of webhook events to subscribed downstream systems
+      webhooks: {
+        maxAttempts: parseInt(config.webhooks?.maxAttempts || process.env.WEBHOOK_MAX_ATTEMPTS || 8),
+        retryBaseSeconds: parseFloat(config.webhooks?.retryBaseSeconds || process.env.WEBHOOK_RETRY_BASE_SECONDS || 30),
+        retryMaxSeconds: parseFloat(config.webhooks?.retryMaxSeconds || process.env.WEBHOOK_RETRY_MAX_SECONDS || 6 * 60 * 60),
+        timeoutSeconds: parseFloat(config.webhooks?.timeoutSeconds || process.env.WEBHOOK_TIMEOUT_SECONDS || 10)
+      },
+      // Imported ad spend in other currencies is converted to base at these rates
+      currency: {
+        base: (config.currency?.base || process.env.BASE_CURRENCY || 'USD').toUpperCase(),
+        exchangeRates: config.currency?.exchangeRates || {}
       }
     };
     
@@ -63,10 +157,22 @@ export class MCDRCDModule {
     this.lastMCDUpdate = null;
     this.customerSegments = {}; // Cache for customer segmentation
     this.platformPerformance = {}; // Track platform ROI
+    this.configuredPlatformWeights = { ...this.config.mcd.platformWeights }; // Before ROI optimisation
+    this.campaigns = new CampaignManager(this);
+    this.quotes = new QuoteManager(this);
+    this.products = new ProductCatalog(this);
+    this.promotions = new PromotionManager(this);
+    this.referrals = new ReferralManager(this);
+    this.loyalty = new LoyaltyLedger(this);
+    this.webhooks = new WebhookManager(this);
+    this.privacy = new PrivacyManager(this);
+    this.identities = new IdentityManager(this);
+    this.imports = new TransactionImporter(this);
+    this.spendImports = new SpendImporter(this);
   }
 
   // Enhanced MCD Methods
-  async recordMarketingSpend(platform, amount, campaignData = {}) {
+  async recordMarketingSpend(platform, amount, campaignData = {}, { startDate = null, endDate = null, amortizationCurve = null } = {}) {
     const db = getDB();
     
     if (!platform || amount === undefined) {
@@ -77,12 +183,34 @@ export class MCDRCDModule {
       throw new Error('Amount must be positive');
     }
     
+    // Spend for a flight is amortised over its days; otherwise it lands on one date
+    const date = startDate ? new Date(startDate) : new Date();
+    const flightEnd = endDate ? new Date(endDate) : null;
+    if (Number.isNaN(date.getTime()) || (flightEnd && Number.isNaN(flightEnd.getTime()))) {
+      throw httpError(400, 'startDate and endDate must be valid dates');
+    }
+    
+    const flight = flightEnd
+      ? { date: startOfUTCDay(date), endDate: startOfUTCDay(flightEnd) }
+      : { date, endDate: null };
+    const errors = validateAmortization({ ...flight, curve: amortizationCurve });
+    if (errors.length) {
+      throw httpError(400, errors.join('; '));
+    }
+    
+    const campaignFields = Object.fromEntries(
+      CAMPAIGN_DATA_FIELDS
+        .filter(field => campaignData?.[field] !== undefined)
+        .map(field => [field, campaignData[field]])
+    );
+    
     const spend = {
+      ...campaignFields,
       businessId: this.config.businessId,
       platform: platform.toLowerCase(),
       amount: parseFloat(amount),
-      date: new Date(),
-      ...campaignData,
+      ...flight,
+      amortizationCurve,
       platformWeight: this.config.mcd.platformWeights[platform.toLowerCase()] || 1.0,
       createdAt: new Date()
     };
@@ -90,25 +218,24 @@ export class MCDRCDModule {
     await db.collection('marketingSpend').insertOne(spend);
     
     // Update platform performance tracking
-    await this.updatePlatformPerformance(platform, amount);
+    await this.updatePlatformPerformance(platform);
     
-    if (this.shouldRecalculateMCD()) {
-      await this.calculateMCDMultiplier();
-    }
+    await this.getCurrentMCDMultiplier();
     
     return spend;
   }
 
-  async updatePlatformPerformance(platform, amount) {
-    const db = getDB();
+  async updatePlatformPerformance(platform) {
     const platformKey = platform.toLowerCase();
+    const lookbackStart = this.getAttributionLookbackStart();
     
-    // Get revenue attributed to this platform (simplified attribution)
+    // ROI over the attribution window: attributed revenue vs. spend in the same window
     const revenue = await this.calculatePlatformRevenue(platformKey);
-    const roi = revenue > 0 ? (revenue / amount) : 0;
+    const spend = await this.calculatePlatformSpend(platformKey, lookbackStart);
+    const roi = spend > 0 ? (revenue / spend) : 0;
     
     this.platformPerformance[platformKey] = {
-      totalSpend: (this.platformPerformance[platformKey]?.totalSpend || 0) + amount,
+      totalSpend: spend,
       totalRevenue: revenue,
       roi: roi,
       lastUpdated: new Date()
@@ -118,35 +245,95 @@ export class MCDRCDModule {
     await this.optimizePlatformWeights();
   }
 
-  async calculatePlatformRevenue(platform) {
+  getAttributionLookbackStart() {
+    const start = new Date();
+    start.setDate(start.getDate() - this.config.attribution.lookbackDays);
+    return start;
+  }
+
+  async calculatePlatformSpend(platform, start, end = new Date()) {
+    const spend = await this.getAmortizedSpend(start, end, { platform });
+    return spend.reduce((sum, entry) => sum + entry.amortizedAmount, 0);
+  }
+  
+  // Spend entries whose flight overlaps [start, end], each with its daily slices inside
+  // the window and the part of its amount amortised into it
+  async getAmortizedSpend(start, end = new Date(), query = {}) {
     const db = getDB();
-    const thirtyDaysAgo = new Date();
-    thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
     
-    // Simplified attribution - in real implementation, use proper attribution model
-    const revenue = await db.collection('transactions')
-      .aggregate([
-        {
-          $match: {
-            businessId: this.config.businessId,
-            timestamp: { $gte: thirtyDaysAgo },
-            referralSource: platform // Assuming you track referral sources
-          }
-        },
-        {
-          $group: {
-            _id: null,
-            total: { $sum: '$amount' }
-          }
-        }
-      ]).toArray();
+    const entries = await db.collection('marketingSpend')
+      .find({
+        businessId: this.config.businessId,
+        ...query,
+        ...spendOverlapQuery(start, end)
+      })
+      .toArray();
+    
+    return entries
+      .map(entry => ({ ...entry, slices: amortizeSpend(entry, start, end) }))
+      .filter(entry => entry.slices.length)
+      .map(entry => ({ ...entry, amortizedAmount: entry.slices.reduce((sum, slice) => sum + slice.amount, 0) }));
+  }
+
+  // Revenue credited to each touchpoint key (e.g. source or campaignId) by the
+  // selected attribution model. Transactions recorded with only a legacy
+  // referralSource are treated as having a single touchpoint.
+  async getAttributedRevenue({ groupBy = 'source', start = this.getAttributionLookbackStart(), end = new Date(), model = this.config.attribution.model } = {}) {
+    const db = getDB();
+    
+    if (!isAttributionModel(model)) {
+      throw httpError(400, `Unknown attribution model: ${model}`);
+    }
+    
+    const cursor = db.collection('transactions').find(
+      {
+        businessId: this.config.businessId,
+        timestamp: { $gte: start, $lte: end },
+        $or: [
+          { 'touchpoints.0': { $exists: true } },
+          { referralSource: { $exists: true, $ne: null } }
+        ],
+        ...COUNTABLE_TRANSACTION
+      },
+      { projection: { amount: 1, netAmount: 1, touchpoints: 1, referralSource: 1, timestamp: 1 } }
+    );
     
-    return revenue[0]?.total || 0;
+    const totals = {};
+    for await (const transaction of cursor) {
+      const touchpoints = transaction.touchpoints?.length
+        ? transaction.touchpoints
+        : [{ source: transaction.referralSource, timestamp: transaction.timestamp }];
+      
+      const credited = attributeRevenue(
+        transaction.netAmount ?? transaction.amount,
+        touchpoints,
+        model,
+        { conversionTime: transaction.timestamp, halfLifeDays: this.config.attribution.halfLifeDays }
+      );
+      
+      credited.forEach((touchpoint) => {
+        const key = touchpoint[groupBy];
+        if (key) totals[key] = (totals[key] || 0) + touchpoint.revenue;
+      });
+    }
+    
+    return totals;
+  }
+
+  async calculatePlatformRevenue(platform, options = {}) {
+    const revenue = await this.getAttributedRevenue({ ...options, groupBy: 'source' });
+    return revenue[platform.toLowerCase()] || 0;
+  }
+
+  async calculateCampaignRevenue(campaignId, options = {}) {
+    const revenue = await this.getAttributedRevenue({ ...options, groupBy: 'campaignId' });
+    return revenue[campaignId] || 0;
   }
 
   async optimizePlatformWeights() {
     if (!this.config.optimization.enabled) return;
     
+    const changes = [];
     Object.entries(this.platformPerformance).forEach(([platform, data]) => {
       if (data.roi > 0) {
         const currentWeight = this.config.mcd.platformWeights[platform] || 1.0;
@@ -158,8 +345,144 @@ export class MCDRCDModule {
         
         // Apply bounds
         this.config.mcd.platformWeights[platform] = Math.max(0.5, Math.min(2.0, newWeight));
+        
+        changes.push({ platform, before: currentWeight, after: this.config.mcd.platformWeights[platform], roi: data.roi });
+      }
+    });
+    
+    for (const { platform, before, after, roi } of changes) {
+      if (before === after) continue;
+      await this.audit({
+        entityType: 'platform-weight',
+        entityId: platform,
+        action: 'update',
+        before,
+        after,
+        cause: 'roi-optimization',
+        details: { roi, targetROI: this.config.optimization.targetROI }
+      });
+    }
+  }
+
+  // Carries ROI tracking and optimised platform weights over from the instance this one
+  // replaces after a config change. A platform whose configured weight changed starts
+  // from the new value instead.
+  adoptLearnedState(previous) {
+    this.platformPerformance = { ...previous.platformPerformance };
+    
+    Object.entries(previous.config.mcd.platformWeights).forEach(([platform, weight]) => {
+      if (previous.configuredPlatformWeights[platform] === this.configuredPlatformWeights[platform]) {
+        this.config.mcd.platformWeights[platform] = weight;
+      }
+    });
+  }
+
+  // Load the latest active multiplier so every instance and process starts from
+  // the same persisted state instead of resetting to 1.0
+  async loadMCDState() {
+    const db = getDB();
+    
+    const latest = await db.collection('priceAdjustments').findOne(
+      {
+        businessId: this.config.businessId,
+        status: 'active'
+      },
+      { sort: { effectiveFrom: -1 } }
+    );
+    
+    if (latest) {
+      this.currentMCDMultiplier = latest.mcdMultiplier;
+      this.lastMCDUpdate = latest.effectiveFrom.getTime();
+    }
+    
+    return latest;
+  }
+
+  // Authoritative multiplier: persisted state, recalculated when it is due
+  async getCurrentMCDMultiplier() {
+    if (!this.config.mcd.enabled) return 1.0;
+    
+    await this.recalculateMCDIfDue();
+    
+    return this.currentMCDMultiplier;
+  }
+  
+  // Recalculates once the persisted multiplier is due. Requests and the scheduled job
+  // share a per-tenant lock, so only one of them recalculates and persists; the others
+  // carry on with the persisted multiplier. Returns null when nothing was recalculated.
+  async recalculateMCDIfDue() {
+    await this.loadMCDState();
+    if (!this.shouldRecalculateMCD()) return null;
+    
+    const { acquired, result } = await withLock(
+      `mcd-recalculation:${this.config.businessId}`,
+      MCD_RECALCULATION_LOCK_MS,
+      async () => {
+        // Someone else may have persisted a new multiplier since the check above
+        await this.loadMCDState();
+        return this.shouldRecalculateMCD() ? await this.calculateMCDMultiplier() : null;
+      }
+    );
+    
+    return acquired ? result : null;
+  }
+
+  async persistMCDMultiplier(adjustment) {
+    const db = getDB();
+    const priceAdjustments = db.collection('priceAdjustments');
+    
+    const record = {
+      businessId: this.config.businessId,
+      mcdMultiplier: this.currentMCDMultiplier,
+      effectiveFrom: new Date(this.lastMCDUpdate),
+      ...adjustment,
+      status: 'active'
+    };
+    
+    const { insertedId } = await priceAdjustments.insertOne(record);
+    const previousMultiplier = record.calculationDetails?.previousMultiplier ?? null;
+    
+    await this.audit({
+      entityType: 'mcd-multiplier',
+      entityId: String(insertedId),
+      action: 'recalculate',
+      before: previousMultiplier,
+      after: record.mcdMultiplier,
+      cause: record.calculationDetails?.reason || 'roi-adjustment',
+      details: {
+        marketingSpendUsed: record.marketingSpendUsed,
+        revenueInPeriod: record.revenueInPeriod,
+        roi: record.roi
       }
     });
+    
+    if (previousMultiplier !== record.mcdMultiplier) {
+      await this.webhooks.publish('mcd.multiplier-changed', {
+        multiplier: record.mcdMultiplier,
+        previousMultiplier,
+        effectiveFrom: record.effectiveFrom,
+        reason: record.calculationDetails?.reason || 'roi-adjustment'
+      });
+    }
+    
+    // Only older records are superseded, so concurrent writers converge on the newest
+    await priceAdjustments.updateMany(
+      {
+        businessId: this.config.businessId,
+        status: 'active',
+        _id: { $ne: insertedId },
+        effectiveFrom: { $lte: record.effectiveFrom }
+      },
+      {
+        $set: {
+          status: 'superseded',
+          supersededAt: new Date(),
+          supersededBy: insertedId
+        }
+      }
+    );
+    
+    return record;
   }
 
   async calculateMCDMultiplier() {
@@ -170,58 +493,52 @@ export class MCDRCDModule {
       return 1.0;
     }
     
+    // Smoothing and decay build on the last persisted multiplier, not process memory
+    await this.loadMCDState();
+    
     const period = this.getPeriodFromFrequency(this.config.mcd.updateFrequency);
     
-    // Get weighted marketing spend
-    const marketingSpend = await db.collection('marketingSpend')
-      .aggregate([
-        {
-          $match: {
-            businessId: this.config.businessId,
-            date: { $gte: period.start, $lte: period.end }
-          }
-        },
-        {
-          $addFields: {
-            weightedAmount: {
-              $multiply: [
-                '$amount',
-                { $ifNull: ['$platformWeight', 1.0] }
-              ]
-            }
-          }
-        },
-        {
-          $group: {
-            _id: null,
-            total: { $sum: '$weightedAmount' },
-            rawTotal: { $sum: '$amount' }
-          }
-        }
-      ]).toArray();
+    // Get weighted marketing spend; a campaign's flight only counts for the part inside the period
+    const marketingSpend = await this.getAmortizedSpend(period.start, period.end);
     
     const revenue = await db.collection('transactions')
       .aggregate([
         {
           $match: {
             businessId: this.config.businessId,
-            timestamp: { $gte: period.start, $lte: period.end }
+            timestamp: { $gte: period.start, $lte: period.end },
+            ...COUNTABLE_TRANSACTION
           }
         },
         {
           $group: {
             _id: null,
-            total: { $sum: '$amount' }
+            total: { $sum: NET_AMOUNT }
           }
         }
       ]).toArray();
     
-    const totalSpend = marketingSpend[0]?.total || 0;
-    const rawSpend = marketingSpend[0]?.rawTotal || 0;
+    const totalSpend = marketingSpend.reduce((sum, spend) => sum + spend.amortizedAmount * (spend.platformWeight ?? 1.0), 0);
+    const rawSpend = marketingSpend.reduce((sum, spend) => sum + spend.amortizedAmount, 0);
     const totalRevenue = revenue[0]?.total || 1;
     
     if (rawSpend < this.config.mcd.minimumSpendThreshold) {
+      const previousMultiplier = this.currentMCDMultiplier;
       this.currentMCDMultiplier = 1.0;
+      this.lastMCDUpdate = Date.now();
+      
+      await this.persistMCDMultiplier({
+        marketingSpendUsed: totalSpend,
+        revenueInPeriod: totalRevenue,
+        calculationDetails: {
+          period: { ...period, frequency: this.config.mcd.updateFrequency },
+          rawSpend,
+          minimumSpendThreshold: this.config.mcd.minimumSpendThreshold,
+          previousMultiplier,
+          reason: 'below-minimum-spend'
+        }
+      });
+      
       return 1.0;
     }
     
@@ -253,19 +570,24 @@ export class MCDRCDModule {
     
     this.lastMCDUpdate = Date.now();
     
-    await db.collection('priceAdjustments').insertOne({
-      businessId: this.config.businessId,
-      mcdMultiplier: this.currentMCDMultiplier,
-      effectiveFrom: new Date(),
+    await this.persistMCDMultiplier({
       marketingSpendUsed: totalSpend,
       revenueInPeriod: totalRevenue,
       roi: roi,
       calculatedROI: roi,
-      status: 'active',
       calculationDetails: {
+        period: { ...period, frequency: this.config.mcd.updateFrequency },
+        rawSpend,
+        targetROI,
+        sensitivityCoefficient: this.config.mcd.sensitivityCoefficient,
         rawMultiplier,
         previousMultiplier,
-        smoothedMultiplier
+        decayFactor: this.config.mcd.decayFactor,
+        decayedPrevious,
+        smoothingFactor: this.config.mcd.smoothingFactor,
+        smoothedMultiplier,
+        minMultiplier: this.config.mcd.minMultiplier,
+        maxMultiplier: this.config.mcd.maxMultiplier
       }
     });
     
@@ -273,20 +595,140 @@ export class MCDRCDModule {
   }
 
   // Enhanced RCD Methods
-  async recordTransaction(email, amount, referralCode = null, productIds = [], productCategories = []) {
+  async recordTransaction(email, amount, referralCode = null, productIds = [], productCategories = [], options = {}) {
     const db = getDB();
     
     if (!email || amount === undefined) {
       throw new Error('Email and amount are required');
     }
     
-    const emailHash = this.hashEmail(email);
+    // UTM tags from the checkout landing page become the final touchpoint
+    const rawTouchpoints = [...(options.touchpoints || [])];
+    const utmTouchpoint = touchpointFromUtm(options.utm || {});
+    if (utmTouchpoint) {
+      utmTouchpoint.campaignId = await this.campaigns.resolveCampaignId(utmTouchpoint.campaignId);
+      rawTouchpoints.push(utmTouchpoint);
+    }
+    
+    let touchpoints;
+    try {
+      touchpoints = normalizeTouchpoints(rawTouchpoints);
+    } catch (error) {
+      throw httpError(400, error.message);
+    }
+    
+    const emailHash = await this.identities.resolveEmailHash(email);
     amount = parseFloat(amount);
     
     if (amount <= 0) {
       throw new Error('Amount must be positive');
     }
     
+    // Points spent at checkout are on top of the amount charged. Their value is checked
+    // against the redemption limits before anything is claimed.
+    const redeemPoints = options.redeemPoints ? Number(options.redeemPoints) : 0;
+    const pointsValue = redeemPoints
+      ? this.loyalty.quoteRedemption(redeemPoints, amount + redeemPoints * this.config.loyalty.pointValue).value
+      : 0;
+    const orderTotal = amount + pointsValue;
+    
+    // A quoted checkout must pay exactly what was quoted to this customer, in cash and points
+    const quote = options.quoteToken
+      ? await this.quotes.claim(options.quoteToken, { emailHash, amount: orderTotal })
+      : null;
+    
+    // A code priced into the quote is redeemed with it, for the quoted product's category
+    const promoCode = quote?.request.promoCode || options.promoCode || null;
+    if (!productCategories?.length && quote?.request.productCategory) {
+      productCategories = [quote.request.productCategory];
+    }
+    
+    const transactionId = new ObjectId();
+    
+    let customer;
+    let isNewCustomer;
+    let transaction;
+    let promotion = null;
+    let pointsRedemption = null;
+    try {
+      if (promoCode) {
+        promotion = await this.promotions.redeem(promoCode, { emailHash, productCategories: productCategories || [] });
+      }
+      
+      ({ customer, isNewCustomer } = await this.findOrCreateCustomer(email, emailHash));
+      
+      if (redeemPoints) {
+        pointsRedemption = await this.loyalty.redeem(emailHash, redeemPoints, {
+          transactionId,
+          orderTotal
+        });
+      }
+      
+      const timestamp = new Date();
+      const season = this.getSeason(timestamp);
+      
+      transaction = {
+        _id: transactionId,
+        businessId: this.config.businessId,
+        customerEmailHash: emailHash,
+        amount,
+        netAmount: amount,
+        refundedAmount: 0,
+        status: 'completed',
+        timestamp,
+        discountApplied: quote ? quote.breakdown.rcdDiscount : customer.currentDiscountPercentage,
+        quoteId: quote?.quoteId || null,
+        promotion: promotion ? { code: promotion.code, type: promotion.type, value: promotion.value } : null,
+        pointsRedeemed: pointsRedemption?.points || 0,
+        pointsValue: pointsRedemption?.value || 0,
+        referralCodeUsed: referralCode,
+        productIds: productIds || [],
+        productCategories: productCategories || [],
+        touchpoints,
+        season: season.season,
+        seasonalMultiplier: season.multiplier,
+        isNewCustomer: isNewCustomer
+      };
+    
+      await db.collection('transactions').insertOne(transaction);
+    } catch (error) {
+      // Let the customer retry checkout with the same quote and code
+      if (quote) await this.quotes.release(quote.quoteId);
+      if (promotion) await this.promotions.release(promotion.code, emailHash);
+      if (pointsRedemption) await this.loyalty.cancelRedemption(emailHash, pointsRedemption.points, transactionId);
+      throw error;
+    }
+    
+    if (quote) {
+      await this.quotes.attachTransaction(quote.quoteId, transaction._id);
+    }
+    
+    // Handle referral rewards
+    if (referralCode) {
+      await this.processReferral(referralCode, emailHash, amount, transaction._id, { email, isNewCustomer });
+    }
+    
+    // Earned at the tier the customer held when they bought
+    const pointsEarned = this.config.loyalty.enabled ? await this.loyalty.earn(customer, transaction) : 0;
+    
+    const newDiscount = await this.updateCustomerVector(customer, transaction);
+    
+    return {
+      discount: newDiscount,
+      referralCode: customer.referralCode,
+      loyalty: {
+        pointsEarned,
+        pointsRedeemed: transaction.pointsRedeemed
+      },
+      transaction,
+      customerSegment: customer.customerSegment,
+      loyaltyTier: customer.loyaltyTier
+    };
+  }
+
+  async findOrCreateCustomer(email, emailHash) {
+    const db = getDB();
+    
     let customer = await db.collection('customers').findOne({
       businessId: this.config.businessId,
       emailHash
@@ -298,7 +740,7 @@ export class MCDRCDModule {
       customer = {
         businessId: this.config.businessId,
         emailHash,
-        email: email.toLowerCase(),
+        emailEncrypted: encryptPII(email.toLowerCase().trim()),
         totalSpend365: 0,
         purchaseCount365: 0,
         firstPurchaseDate: new Date(),
@@ -314,75 +756,296 @@ export class MCDRCDModule {
       await db.collection('customers').insertOne(customer);
     }
     
-    const transaction = {
+    return { customer, isNewCustomer };
+  }
+
+  // Applies the referral program rules. Rejected and flagged referrals are recorded
+  // without a bonus; flagged ones wait in the review queue.
+  async processReferral(referralCode, referredEmailHash, purchaseAmount, transactionId = null, { email = null, isNewCustomer = true } = {}) {
+    const db = getDB();
+    
+    const referrer = await db.collection('customers').findOne({
       businessId: this.config.businessId,
-      customerEmailHash: emailHash,
-      amount,
-      timestamp: new Date(),
-      discountApplied: customer.currentDiscountPercentage,
-      referralCodeUsed: referralCode,
-      productIds: productIds || [],
-      productCategories: productCategories || [],
-      seasonalMultiplier: this.getSeasonalMultiplier(),
-      isNewCustomer: isNewCustomer
+      // Codes of customers merged into this one keep working
+      $or: [
+        { referralCode: referralCode.toUpperCase() },
+        { referralCodeAliases: referralCode.toUpperCase() }
+      ]
+    });
+    
+    if (!referrer || referrer.emailHash === referredEmailHash) return null;
+    
+    const referredNormalizedHash = email ? hashNormalizedEmail(email) : referredEmailHash;
+    const [monthlyBonusEarned, recentReferrals, alreadyReferred] = await Promise.all([
+      this.referrals.getMonthlyBonusEarned(referrer.emailHash),
+      this.referrals.countRecentReferrals(referrer.emailHash),
+      this.referrals.wasAlreadyReferred(referredNormalizedHash)
+    ]);
+    
+    const outcome = evaluateReferral({
+      rules: this.config.referrals,
+      bonus: this.config.rcd.referralBonus,
+      purchaseAmount,
+      isFirstPurchase: isNewCustomer,
+      referrerEmail: this.getCustomerEmail(referrer),
+      referredEmail: email,
+      monthlyBonusEarned,
+      recentReferrals,
+      alreadyReferred
+    });
+    
+    const timestamp = new Date();
+    const activity = {
+      businessId: this.config.businessId,
+      referrerEmailHash: referrer.emailHash,
+      referredEmailHash: referredEmailHash,
+      referredNormalizedHash,
+      purchaseAmount: purchaseAmount,
+      bonusApplied: outcome.status === 'granted' ? outcome.bonus : 0,
+      pendingBonus: outcome.status === 'flagged' ? outcome.bonus : 0,
+      transactionId,
+      status: outcome.status,
+      reason: outcome.reason,
+      flags: outcome.flags,
+      ...(outcome.status === 'granted' && { grantedAt: timestamp }),
+      timestamp
     };
     
-    await db.collection('transactions').insertOne(transaction);
+    // Record referral activity
+    await db.collection('referralActivities').insertOne(activity);
     
-    // Handle referral rewards
-    if (referralCode) {
-      await this.processReferral(referralCode, emailHash, amount);
+    if (outcome.status === 'granted') {
+      await this.grantReferralBonus(referrer.emailHash, outcome.bonus, {
+        cause: 'referral',
+        transactionId,
+        referredEmailHash,
+        purchaseAmount
+      });
     }
     
-    const newDiscount = await this.updateCustomerVector(customer, transaction);
+    return activity;
+  }
+
+  async grantReferralBonus(referrerEmailHash, bonus, { cause, transactionId = null, referredEmailHash, purchaseAmount }) {
+    const db = getDB();
     
-    return {
-      discount: newDiscount,
-      referralCode: customer.referralCode,
-      transaction,
-      customerSegment: customer.customerSegment,
-      loyaltyTier: customer.loyaltyTier
-    };
+    const referrer = await db.collection('customers').findOne({
+      businessId: this.config.businessId,
+      emailHash: referrerEmailHash
+    });
+    
+    if (!referrer) return;
+    
+    // Update referrer's discount
+    const newDiscount = Math.min(
+      this.config.rcd.maxDiscount,
+      (referrer.currentDiscountPercentage || 0) + bonus
+    );
+    
+    await db.collection('customers').updateOne(
+      { _id: referrer._id },
+      {
+        $inc: { referralCount: 1 },
+        $set: {
+          currentDiscountPercentage: newDiscount,
+          lastReferralDate: new Date()
+        }
+      }
+    );
+    
+    await this.audit({
+      entityType: 'referral-bonus',
+      entityId: transactionId ? String(transactionId) : null,
+      customerEmailHash: referrer.emailHash,
+      action: 'grant',
+      before: referrer.currentDiscountPercentage || 0,
+      after: newDiscount,
+      cause,
+      details: { bonus, referredEmailHash, purchaseAmount }
+    });
+    
+    await this.webhooks.publish('referral.bonus-granted', {
+      referrerEmail: this.getCustomerEmail(referrer),
+      referrerEmailHash: referrer.emailHash,
+      referredEmailHash,
+      bonus,
+      discountPercentage: newDiscount,
+      purchaseAmount,
+      transactionId: transactionId ? String(transactionId) : null,
+      cause
+    });
   }
 
-  async processReferral(referralCode, referredEmailHash, purchaseAmount) {
+  // Reverse the bonus a referrer earned from a transaction that was later refunded
+  async clawbackReferralBonus(transactionId) {
     const db = getDB();
     
+    // A referral still waiting for review is simply closed
+    await db.collection('referralActivities').updateOne(
+      { businessId: this.config.businessId, transactionId, status: 'flagged' },
+      { $set: { status: 'rejected', reason: 'transaction-reversed', pendingBonus: 0 } }
+    );
+    
+    const activity = await db.collection('referralActivities').findOneAndUpdate(
+      {
+        businessId: this.config.businessId,
+        transactionId,
+        status: 'granted'
+      },
+      {
+        $set: {
+          status: 'clawed_back',
+          clawedBackAt: new Date()
+        }
+      }
+    );
+    
+    if (!activity) return null;
+    
     const referrer = await db.collection('customers').findOne({
       businessId: this.config.businessId,
-      referralCode: referralCode.toUpperCase()
+      emailHash: activity.referrerEmailHash
     });
     
-    if (referrer && referrer.emailHash !== referredEmailHash) {
-      const bonus = this.config.rcd.referralBonus;
+    if (!referrer) return null;
+    
+    const newDiscount = Math.max(0, (referrer.currentDiscountPercentage || 0) - activity.bonusApplied);
+    
+    await db.collection('customers').updateOne(
+      { _id: referrer._id },
+      {
+        $inc: { referralCount: -1 },
+        $set: { currentDiscountPercentage: newDiscount }
+      }
+    );
+    
+    await this.audit({
+      entityType: 'referral-bonus',
+      entityId: String(transactionId),
+      customerEmailHash: referrer.emailHash,
+      action: 'clawback',
+      before: referrer.currentDiscountPercentage || 0,
+      after: newDiscount,
+      cause: 'referral-clawback',
+      details: { bonusRemoved: activity.bonusApplied, referredEmailHash: activity.referredEmailHash }
+    });
+    
+    return {
+      referrerEmailHash: referrer.emailHash,
+      bonusRemoved: activity.bonusApplied,
+      newDiscount
+    };
+  }
+
+  // Refund part or all of a transaction, or void it. The reversal is stored in
+  // `refunds` and linked to the original, whose netAmount drives every revenue figure.
+  async refundTransaction(transactionId, { amount, reason = null, type = 'refund' } = {}) {
+    const db = getDB();
+    
+    if (!['refund', 'void'].includes(type)) {
+      throw httpError(400, 'Reversal type must be refund or void');
+    }
+    
+    if (!ObjectId.isValid(transactionId)) {
+      throw httpError(404, 'Transaction not found');
+    }
+    
+    const transaction = await db.collection('transactions').findOne({
+      _id: new ObjectId(transactionId),
+      businessId: this.config.businessId
+    });
+    
+    if (!transaction) {
+      throw httpError(404, 'Transaction not found');
+    }
+    
+    if (REVERSED_STATUSES.includes(transaction.status)) {
+      throw httpError(409, 'Transaction has already been fully reversed');
+    }
+    
+    const refundedSoFar = transaction.refundedAmount || 0;
+    const remaining = Math.round((transaction.amount - refundedSoFar) * 100) / 100;
+    
+    let refundAmount = remaining;
+    if (type === 'refund' && amount !== undefined && amount !== null) {
+      refundAmount = parseFloat(amount);
       
-      // Update referrer's discount
-      const newDiscount = Math.min(
-        this.config.rcd.maxDiscount,
-        (referrer.currentDiscountPercentage || 0) + bonus
-      );
+      if (!(refundAmount > 0)) {
+        throw httpError(400, 'Refund amount must be positive');
+      }
       
-      await db.collection('customers').updateOne(
-        { _id: referrer._id },
-        {
-          $inc: { referralCount: 1 },
-          $set: {
-            currentDiscountPercentage: newDiscount,
-            lastReferralDate: new Date()
-          }
+      if (refundAmount > remaining) {
+        throw httpError(400, `Refund amount exceeds remaining balance of ${remaining}`);
+      }
+    }
+    
+    const netAmount = Math.round((remaining - refundAmount) * 100) / 100;
+    const refundedAmount = Math.round((refundedSoFar + refundAmount) * 100) / 100;
+    const status = type === 'void' ? 'voided' : netAmount <= 0 ? 'refunded' : 'partially_refunded';
+    
+    // Guard on the refunded total so two concurrent refunds can't both apply
+    const update = await db.collection('transactions').updateOne(
+      {
+        _id: transaction._id,
+        refundedAmount: refundedSoFar ? refundedSoFar : { $in: [0, null] }
+      },
+      {
+        $set: {
+          netAmount,
+          refundedAmount,
+          status,
+          lastReversalAt: new Date()
         }
-      );
-      
-      // Record referral activity
-      await db.collection('referralActivities').insertOne({
-        businessId: this.config.businessId,
-        referrerEmailHash: referrer.emailHash,
-        referredEmailHash: referredEmailHash,
-        purchaseAmount: purchaseAmount,
-        bonusApplied: bonus,
-        timestamp: new Date()
-      });
+      }
+    );
+    
+    if (!update.modifiedCount) {
+      throw httpError(409, 'Transaction was modified concurrently, please retry');
+    }
+    
+    const reversal = {
+      businessId: this.config.businessId,
+      originalTransactionId: transaction._id,
+      customerEmailHash: transaction.customerEmailHash,
+      type,
+      amount: refundAmount,
+      reason,
+      remainingAmount: netAmount,
+      timestamp: new Date()
+    };
+    
+    await db.collection('refunds').insertOne(reversal);
+    
+    const referralClawback = REVERSED_STATUSES.includes(status)
+      ? await this.clawbackReferralBonus(transaction._id)
+      : null;
+    
+    const loyalty = await this.loyalty.reverseTransaction(transaction, refundedAmount);
+    
+    // A fully reversed order gives its promo code use back
+    if (REVERSED_STATUSES.includes(status) && transaction.promotion) {
+      await this.promotions.release(transaction.promotion.code, transaction.customerEmailHash);
     }
+    
+    const customer = await db.collection('customers').findOne({
+      businessId: this.config.businessId,
+      emailHash: transaction.customerEmailHash
+    });
+    
+    const discount = customer ? await this.updateCustomerVector(customer, null, type) : 0;
+    
+    return {
+      reversal,
+      transaction: {
+        ...transaction,
+        netAmount,
+        refundedAmount,
+        status
+      },
+      discount,
+      referralClawback,
+      loyalty
+    };
   }
 
   determineCustomerSegment(totalSpend, purchaseCount, isNew = false) {
@@ -395,20 +1058,16 @@ export class MCDRCDModule {
     return 'occasional';
   }
 
-  getSeasonalMultiplier() {
-    const now = new Date();
-    const month = now.getMonth();
-    const date = now.getDate();
-    
-    // Simple seasonal detection - expand as needed
-    if (month === 11 && date > 20) return this.config.rcd.seasonalMultipliers['christmas'];
-    if (month === 10 && date > 20) return this.config.rcd.seasonalMultipliers['black-friday'];
-    if (month >= 5 && month <= 8) return this.config.rcd.seasonalMultipliers['summer'];
-    
-    return this.config.rcd.seasonalMultipliers['default'];
+  getSeasonalMultiplier(date = new Date()) {
+    return this.getSeason(date).multiplier;
+  }
+
+  // Season in effect on a date according to the tenant's seasonal calendar
+  getSeason(date = new Date()) {
+    return resolveSeason(this.config.rcd.seasonalCalendar, date, this.config.rcd.seasonalMultipliers);
   }
 
-  async updateCustomerVector(customer, transaction = null) {
+  async updateCustomerVector(customer, transaction = null, cause = transaction ? 'transaction' : 'rescore') {
     const db = getDB();
     
     if (!this.config.rcd.enabled) return customer.currentDiscountPercentage || 0;
@@ -422,15 +1081,16 @@ export class MCDRCDModule {
           $match: {
             businessId: this.config.businessId,
             customerEmailHash: customer.emailHash,
-            timestamp: { $gte: oneYearAgo }
+            timestamp: { $gte: oneYearAgo },
+            ...COUNTABLE_TRANSACTION
           }
         },
         {
           $group: {
             _id: null,
-            totalSpend: { $sum: '$amount' },
+            totalSpend: { $sum: NET_AMOUNT },
             count: { $sum: 1 },
-            avgPurchase: { $avg: '$amount' },
+            avgPurchase: { $avg: NET_AMOUNT },
             lastPurchase: { $max: '$timestamp' }
           }
         }
@@ -447,10 +1107,20 @@ export class MCDRCDModule {
             totalSpend365: totalSpend,
             purchaseCount365: count,
             currentDiscountPercentage: 0,
-            lastCalculated: new Date()
+            // Kept so a price can be explained later
+            discountComponents: {
+              reason: 'below-threshold',
+              totalSpend,
+              count,
+              minimumSpend: this.config.rcd.thresholds.minimumSpend,
+              minimumVisits: this.config.rcd.thresholds.minimumVisits
+            },
+            lastCalculated: new Date(),
+            ...await this.evaluateTier(customer, cause, transaction)
           }
         }
       );
+      await this.auditDiscountChange(customer, 0, cause, transaction);
       return 0;
     }
     
@@ -467,7 +1137,10 @@ export class MCDRCDModule {
                         (this.config.rcd.spendWeight + this.config.rcd.frequencyWeight + this.config.rcd.recencyWeight);
     
     // Apply seasonal multiplier
-    const seasonalMultiplier = transaction?.seasonalMultiplier || this.getSeasonalMultiplier();
+    const season = transaction?.seasonalMultiplier
+      ? { season: transaction.season || null, multiplier: transaction.seasonalMultiplier }
+      : this.getSeason();
+    const seasonalMultiplier = season.multiplier;
     const adjustedDiscount = baseDiscount * seasonalMultiplier * 100;
     
     const discount = Math.min(
@@ -477,7 +1150,7 @@ export class MCDRCDModule {
     
     // Determine customer segment and loyalty tier
     const customerSegment = this.determineCustomerSegment(totalSpend, count);
-    const loyaltyTier = this.getLoyaltyTier(totalSpend);
+    const tierFields = await this.evaluateTier(customer, cause, transaction);
     
     await db.collection('customers').updateOne(
       { _id: customer._id },
@@ -487,76 +1160,434 @@ export class MCDRCDModule {
           purchaseCount365: count,
           averagePurchase: avgPurchase,
           currentDiscountPercentage: discount,
-          lastPurchaseDate: new Date(),
+          discountComponents: {
+            totalSpend,
+            count,
+            recencyScore,
+            spendComponent,
+            frequencyComponent,
+            recencyComponent,
+            weights: {
+              spend: this.config.rcd.spendWeight,
+              frequency: this.config.rcd.frequencyWeight,
+              recency: this.config.rcd.recencyWeight
+            },
+            baseDiscount,
+            season: season.season,
+            seasonalMultiplier,
+            uncappedDiscount: Math.round(adjustedDiscount * 100) / 100,
+            maxDiscount: this.config.rcd.maxDiscount
+          },
+          lastPurchaseDate: lastPurchase || customer.lastPurchaseDate,
           lastCalculated: new Date(),
           customerSegment: customerSegment,
-          loyaltyTier: loyaltyTier
+          ...tierFields
         }
       }
     );
     
+    await this.auditDiscountChange(customer, discount, cause, transaction);
     return discount;
   }
 
+  // Only actual changes are logged, so routine re-scoring doesn't flood the audit log
+  async auditDiscountChange(customer, discount, cause, transaction = null) {
+    const before = customer.currentDiscountPercentage || 0;
+    if (before === discount) return;
+    
+    await this.audit({
+      entityType: 'customer-discount',
+      entityId: String(customer._id),
+      customerEmailHash: customer.emailHash,
+      action: 'update',
+      before,
+      after: discount,
+      cause,
+      details: { transactionId: transaction?._id ? String(transaction._id) : null }
+    });
+  }
+
+  async audit(entry) {
+    await recordAudit({ businessId: this.config.businessId, ...entry });
+  }
+
   getLoyaltyTier(totalSpend) {
-    if (totalSpend > this.config.rcd.thresholds.loyaltyTier2) return 'gold';
-    if (totalSpend > this.config.rcd.thresholds.loyaltyTier1) return 'silver';
-    return 'bronze';
+    return tierForSpend(totalSpend, this.config.rcd.thresholds);
+  }
+
+  // Spend inside the tier qualification window, and how much of it leaves the
+  // window within tiers.warningDays
+  async getTierSpend(emailHash, now = new Date()) {
+    const db = getDB();
+    const dayMs = 24 * 60 * 60 * 1000;
+    const since = new Date(now.getTime() - this.config.tiers.qualificationDays * dayMs);
+    const expiringBefore = new Date(since.getTime() + this.config.tiers.warningDays * dayMs);
+    
+    const stats = await db.collection('transactions')
+      .aggregate([
+        {
+          $match: {
+            businessId: this.config.businessId,
+            customerEmailHash: emailHash,
+            timestamp: { $gte: since },
+            ...COUNTABLE_TRANSACTION
+          }
+        },
+        {
+          $group: {
+            _id: null,
+            qualifyingSpend: { $sum: NET_AMOUNT },
+            expiringSpend: { $sum: { $cond: [{ $lt: ['$timestamp', expiringBefore] }, NET_AMOUNT, 0] } }
+          }
+        }
+      ]).toArray();
+    
+    const { qualifyingSpend = 0, expiringSpend = 0 } = stats[0] || {};
+    return { qualifyingSpend, expiringSpend };
+  }
+
+  // Re-evaluates the customer's tier under the grace rules in tierLifecycle.js and
+  // returns the customer fields to store
+  async evaluateTier(customer, cause, transaction = null) {
+    const now = new Date();
+    const { qualifyingSpend } = await this.getTierSpend(customer.emailHash, now);
+    const change = resolveTierChange({
+      currentTier: customer.loyaltyTier,
+      graceUntil: customer.tierGraceUntil || null,
+      qualifiedTier: this.getLoyaltyTier(qualifyingSpend),
+      now,
+      graceDays: this.config.tiers.graceDays
+    });
+    
+    if (change.event) {
+      await this.recordTierEvent(customer, { ...change, qualifyingSpend, cause, transaction, now });
+    }
+    
+    return {
+      loyaltyTier: change.tier,
+      tierGraceUntil: change.graceUntil,
+      tierQualifyingSpend: qualifyingSpend,
+      ...(change.tier !== customer.loyaltyTier && { tierSince: now })
+    };
+  }
+
+  async recordTierEvent(customer, { event, from, to, graceUntil, qualifyingSpend, cause, transaction, now }) {
+    const db = getDB();
+    const entry = {
+      businessId: this.config.businessId,
+      customerEmailHash: customer.emailHash,
+      event,
+      from,
+      to,
+      graceUntil,
+      qualifyingSpend,
+      cause,
+      transactionId: transaction?._id ? String(transaction._id) : null,
+      createdAt: now
+    };
+    
+    await db.collection('tierHistory').insertOne(entry);
+    
+    // A failing listener mustn't fail the purchase or re-score that changed the tier
+    try {
+      tierEvents.emit(event, entry);
+    } catch (error) {
+      console.error('Tier event listener error:', error);
+    }
+    
+    await this.webhooks.publish(`tier.${event}`, {
+      email: this.getCustomerEmail(customer),
+      customerEmailHash: customer.emailHash,
+      from,
+      to,
+      graceUntil,
+      qualifyingSpend,
+      cause
+    });
+  }
+
+  async getTierStatus(customer) {
+    const { qualifyingSpend, expiringSpend } = await this.getTierSpend(customer.emailHash);
+    
+    return {
+      ...assessDowngradeRisk({
+        tier: customer.loyaltyTier,
+        graceUntil: customer.tierGraceUntil || null,
+        qualifyingSpend,
+        expiringSpend,
+        thresholds: this.config.rcd.thresholds
+      }),
+      tierSince: customer.tierSince || null
+    };
+  }
+
+  async getTierHistory(emailHash, { limit = 50, skip = 0 } = {}) {
+    const db = getDB();
+    const query = { businessId: this.config.businessId, customerEmailHash: emailHash };
+    
+    const [entries, total] = await Promise.all([
+      db.collection('tierHistory')
+        .find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .toArray(),
+      db.collection('tierHistory').countDocuments(query)
+    ]);
+    
+    return { entries, total };
   }
 
   // Enhanced Combined Pricing
-  async calculateFinalPrice(basePrice, customerEmail = null, productCategory = 'standard') {
+  async calculateFinalPrice(basePrice, customerEmail = null, productCategory = 'standard', options = {}) {
+    // A catalog sku supplies the price (unless overridden), category, floor and eligibility
+    let product = null;
+    if (options.sku) {
+      product = (await this.products.getForPricing([options.sku])).get(String(options.sku));
+      basePrice = basePrice || product.basePrice;
+      productCategory = product.productCategory;
+    }
+    
     basePrice = parseFloat(basePrice);
     if (basePrice <= 0) {
       throw new Error('Base price must be positive');
     }
     
-    if (this.shouldRecalculateMCD()) {
-      await this.calculateMCDMultiplier();
-    }
-    
-    const mcdMultiplier = this.currentMCDMultiplier;
-    const priceAfterMCD = basePrice * mcdMultiplier;
+    const mcdMultiplier = await this.getCurrentMCDMultiplier();
     
-    let rcdDiscount = 0;
+    let customerDiscount = 0;
     let customerSegment = 'guest';
+    let customer = null;
     
     if (customerEmail) {
-      rcdDiscount = await this.getCustomerDiscount(customerEmail);
-      
-      // Apply product category weighting
-      const categoryWeight = this.config.rcd.productCategoryWeights[productCategory] || 1.0;
-      rcdDiscount = rcdDiscount * categoryWeight;
+      customerDiscount = await this.getCustomerDiscount(customerEmail);
       
       // Get customer segment for reporting
-      const customer = await this.getCustomerInfo(customerEmail);
+      customer = await this.getCustomerInfo(customerEmail);
       customerSegment = customer?.customerSegment || 'guest';
     }
     
-    const discountAmount = priceAfterMCD * (rcdDiscount / 100);
-    let finalPrice = priceAfterMCD - discountAmount;
+    // A promo code that can't be used is reported with the price rather than failing it
+    let promotion = null;
+    let promotionStatus = null;
+    if (options.promoCode) {
+      const evaluation = await this.promotions.evaluate(options.promoCode, {
+        emailHash: customer?.emailHash || (customerEmail ? this.hashEmail(customerEmail) : null),
+        productCategories: [productCategory]
+      });
+      promotion = evaluation.eligible ? evaluation.promotion : null;
+      promotionStatus = { code: evaluation.code, applied: false, reason: evaluation.reason };
+    }
     
-    // Ensure price doesn't go below cost (simplified)
-    const minPrice = basePrice * 0.7; // 30% minimum margin
-    finalPrice = Math.max(minPrice, finalPrice);
+    const unit = this.priceUnit(basePrice, productCategory, mcdMultiplier, customerDiscount, product, promotion);
+    const { appliedMCDMultiplier, priceAfterMCD, rcdDiscount, discountAmount, promotionAmount, finalPrice } = unit;
+    
+    // Explain mode: the persisted MCD calculation and stored customer discount components
+    let trace;
+    if (options.explain) {
+      const adjustment = this.config.mcd.enabled ? await this.loadMCDState() : null;
+      trace = buildPriceTrace({
+        basePrice,
+        productCategory,
+        product,
+        categoryWeight: unit.categoryWeight,
+        mcd: { enabled: this.config.mcd.enabled, multiplier: mcdMultiplier, adjustment },
+        rcd: { customer, customerDiscount },
+        unit
+      });
+    }
     
     return {
       basePrice,
-      mcdMultiplier: Math.round(mcdMultiplier * 1000) / 1000,
+      sku: product?.sku || null,
+      mcdMultiplier: Math.round(appliedMCDMultiplier * 1000) / 1000,
       priceAfterMCD: Math.round(priceAfterMCD * 100) / 100,
       rcdDiscount: Math.round(rcdDiscount * 100) / 100,
       discountAmount: Math.round(discountAmount * 100) / 100,
+      promotionDiscount: Math.round(promotionAmount * 100) / 100,
       finalPrice: Math.round(finalPrice * 100) / 100,
-      savings: Math.round(discountAmount * 100) / 100,
+      savings: Math.round((discountAmount + promotionAmount) * 100) / 100,
       customerSegment,
       productCategory,
+      ...((unit.promotion || promotionStatus) && { promotion: unit.promotion || promotionStatus }),
+      calculatedAt: new Date(),
+      ...(trace && { trace })
+    };
+  }
+
+  // Prices a single unit from an already-resolved MCD multiplier and customer discount.
+  // Catalog products can opt out of MCD or RCD and carry their own cost-based floor.
+  // An eligible promotion is combined with RCD according to its stacking rule.
+  priceUnit(basePrice, productCategory, mcdMultiplier, customerDiscount, product = null, promotion = null) {
+    const appliedMCDMultiplier = product?.mcdEligible === false ? 1.0 : mcdMultiplier;
+    const priceAfterMCD = basePrice * appliedMCDMultiplier;
+    
+    // Apply product category weighting
+    const categoryWeight = this.config.rcd.productCategoryWeights[productCategory] || 1.0;
+    let rcdDiscount = product?.rcdEligible === false ? 0 : customerDiscount * categoryWeight;
+    
+    let discountAmount = priceAfterMCD * (rcdDiscount / 100);
+    let discountedPrice = priceAfterMCD - discountAmount;
+    
+    // Ensure price doesn't go below cost. A floor above the undiscounted price would
+    // raise it instead, so it is capped there and such products get no discount.
+    const minPrice = Math.min(ProductCatalog.getPriceFloor(product, basePrice), priceAfterMCD);
+    let finalPrice = Math.max(minPrice, discountedPrice);
+    
+    let promotionResult = null;
+    if (promotion) {
+      promotionResult = applyPromotion({ priceAfterMCD, rcdAmount: discountAmount, minPrice, promotion });
+      if (promotionResult.rcdAmount !== discountAmount) {
+        rcdDiscount = 0;
+        discountAmount = 0;
+      }
+      discountedPrice = promotionResult.discountedPrice;
+      finalPrice = promotionResult.finalPrice;
+    }
+    
+    return {
+      appliedMCDMultiplier,
+      priceAfterMCD,
+      categoryWeight,
+      rcdDiscount,
+      discountAmount,
+      promotionAmount: promotionResult?.promotionAmount || 0,
+      discountedPrice,
+      minPrice,
+      floorApplied: finalPrice > discountedPrice,
+      finalPrice,
+      ...(promotionResult && {
+        promotion: {
+          code: promotion.code,
+          type: promotion.type,
+          value: promotion.value,
+          stacking: promotion.stacking || 'stack',
+          respectFloor: promotion.respectFloor !== false,
+          applied: promotionResult.promotionAmount > 0 || promotionResult.freeShipping,
+          freeShipping: promotionResult.freeShipping,
+          reason: promotionResult.reason
+        }
+      })
+    };
+  }
+
+  // Prices a basket of line items ({ sku, quantity, unitPrice, productCategory }).
+  // MCD and the customer's discount are resolved once and applied per line, and the
+  // minimum-price floor is enforced on each line rather than on the basket total.
+  // Lines whose sku is in the catalog take their price (unless given) and category from it;
+  // other skus are priced from the line itself.
+  // Known customers also see the points the cart earns and, with options.redeemPoints,
+  // what they would pay after spending points.
+  async calculateCartPrice(lineItems, customerEmail = null, options = {}) {
+    if (!Array.isArray(lineItems) || !lineItems.length) {
+      throw httpError(400, 'At least one line item is required');
+    }
+    
+    const skus = lineItems.filter(item => item?.sku).map(item => item.sku);
+    const products = skus.length ? await this.products.findActive(skus) : new Map();
+    
+    const items = lineItems.map((item, index) => {
+      const product = item?.sku ? products.get(String(item.sku)) : null;
+      const unitPrice = parseFloat(item?.unitPrice ?? product?.basePrice);
+      const quantity = item?.quantity === undefined ? 1 : Number(item.quantity);
+      
+      if (item?.sku && !product && item.unitPrice === undefined) {
+        throw httpError(404, `Line ${index + 1}: unknown or inactive product ${item.sku}`);
+      }
+      if (!(unitPrice > 0)) {
+        throw httpError(400, `Line ${index + 1}: unitPrice must be positive`);
+      }
+      if (!Number.isInteger(quantity) || quantity <= 0) {
+        throw httpError(400, `Line ${index + 1}: quantity must be a positive integer`);
+      }
+      
+      return {
+        sku: item.sku || null,
+        quantity,
+        unitPrice,
+        productCategory: product?.productCategory || item.productCategory || item.category || 'standard',
+        product
+      };
+    });
+    
+    const mcdMultiplier = await this.getCurrentMCDMultiplier();
+    
+    let customerDiscount = 0;
+    let customerSegment = 'guest';
+    let customer = null;
+    
+    if (customerEmail) {
+      customerDiscount = await this.getCustomerDiscount(customerEmail);
+      customer = await this.getCustomerInfo(customerEmail);
+      customerSegment = customer?.customerSegment || 'guest';
+    }
+    
+    const round = value => Math.round(value * 100) / 100;
+    
+    const lines = items.map(({ product, ...item }) => {
+      const unit = this.priceUnit(item.unitPrice, item.productCategory, mcdMultiplier, customerDiscount, product);
+      const unitFinalPrice = round(unit.finalPrice);
+      
+      return {
+        ...item,
+        rcdDiscount: round(unit.rcdDiscount),
+        unitPriceAfterMCD: round(unit.priceAfterMCD),
+        unitFinalPrice,
+        floorApplied: unit.floorApplied,
+        subtotal: round(item.unitPrice * item.quantity),
+        mcdAdjustment: round((unit.priceAfterMCD - item.unitPrice) * item.quantity),
+        discountAmount: round(Math.max(0, unit.priceAfterMCD - unit.finalPrice) * item.quantity),
+        lineTotal: round(unitFinalPrice * item.quantity)
+      };
+    });
+    
+    const sum = field => round(lines.reduce((total, line) => total + line[field], 0));
+    
+    let loyalty;
+    if (customer && this.config.loyalty.enabled) {
+      const total = sum('lineTotal');
+      const redemption = options.redeemPoints
+        ? await this.loyalty.previewRedemption(customer.emailHash || this.hashEmail(customerEmail), Number(options.redeemPoints), total)
+        : null;
+      const amountDue = round(total - (redemption?.value || 0));
+      
+      loyalty = {
+        pointsToEarn: calculateEarnedPoints(
+          amountDue,
+          [...new Set(lines.map(line => line.productCategory))],
+          customer.loyaltyTier,
+          this.config.loyalty
+        ),
+        redeemPoints: redemption?.points || 0,
+        redeemValue: redemption?.value || 0,
+        amountDue
+      };
+    } else if (options.redeemPoints) {
+      throw httpError(400, 'Points can only be redeemed by a known customer');
+    }
+    
+    return {
+      lines,
+      totals: {
+        itemCount: lines.reduce((total, line) => total + line.quantity, 0),
+        subtotal: sum('subtotal'),
+        mcdAdjustment: sum('mcdAdjustment'),
+        discountAmount: sum('discountAmount'),
+        total: sum('lineTotal'),
+        savings: sum('discountAmount')
+      },
+      mcdMultiplier: Math.round(mcdMultiplier * 1000) / 1000,
+      customerDiscount: round(customerDiscount),
+      customerSegment,
+      flooredLines: lines.filter(line => line.floorApplied).length,
+      ...(loyalty && { loyalty }),
       calculatedAt: new Date()
     };
   }
 
   // New Methods for Analytics and Insights
   async getCustomerLifetimeValue(email) {
-    const emailHash = this.hashEmail(email);
+    const emailHash = await this.identities.resolveEmailHash(email);
     const db = getDB();
     
     const customerData = await db.collection('transactions')
@@ -564,13 +1595,14 @@ export class MCDRCDModule {
         {
           $match: {
             businessId: this.config.businessId,
-            customerEmailHash: emailHash
+            customerEmailHash: emailHash,
+            ...COUNTABLE_TRANSACTION
           }
         },
         {
           $group: {
             _id: null,
-            totalSpent: { $sum: '$amount' },
+            totalSpent: { $sum: NET_AMOUNT },
             purchaseCount: { $sum: 1 },
             firstPurchase: { $min: '$timestamp' },
             lastPurchase: { $max: '$timestamp' }
@@ -591,57 +1623,54 @@ export class MCDRCDModule {
     };
   }
 
-  async getMarketingROI() {
+  async getMarketingROI({ model = this.config.attribution.model } = {}) {
     const db = getDB();
     const thirtyDaysAgo = new Date();
     thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
     
-    const marketingSpend = await db.collection('marketingSpend')
-      .aggregate([
-        {
-          $match: {
-            businessId: this.config.businessId,
-            date: { $gte: thirtyDaysAgo }
-          }
-        },
-        {
-          $group: {
-            _id: '$platform',
-            totalSpend: { $sum: '$amount' }
-          }
-        }
-      ]).toArray();
+    const spendByPlatform = {};
+    for (const entry of await this.getAmortizedSpend(thirtyDaysAgo)) {
+      spendByPlatform[entry.platform] = (spendByPlatform[entry.platform] || 0) + entry.amortizedAmount;
+    }
+    const marketingSpend = Object.entries(spendByPlatform).map(([platform, totalSpend]) => ({ _id: platform, totalSpend }));
     
     const revenue = await db.collection('transactions')
       .aggregate([
         {
           $match: {
             businessId: this.config.businessId,
-            timestamp: { $gte: thirtyDaysAgo }
+            timestamp: { $gte: thirtyDaysAgo },
+            ...COUNTABLE_TRANSACTION
           }
         },
         {
           $group: {
             _id: null,
-            totalRevenue: { $sum: '$amount' }
+            totalRevenue: { $sum: NET_AMOUNT }
           }
         }
       ]).toArray();
     
     const totalSpend = marketingSpend.reduce((sum, item) => sum + item.totalSpend, 0);
     const totalRevenue = revenue[0]?.totalRevenue || 0;
+    const attributed = await this.getAttributedRevenue({ start: thirtyDaysAgo, model });
     
     return {
       totalSpend,
       totalRevenue,
       roi: totalSpend > 0 ? (totalRevenue - totalSpend) / totalSpend : 0,
-      byPlatform: marketingSpend
+      attributionModel: model,
+      byPlatform: marketingSpend.map(item => ({
+        ...item,
+        attributedRevenue: attributed[item._id] || 0,
+        roi: item.totalSpend > 0 ? ((attributed[item._id] || 0) - item.totalSpend) / item.totalSpend : 0
+      }))
     };
   }
 
   async getCustomerInfo(email) {
     const db = getDB();
-    const emailHash = this.hashEmail(email);
+    const emailHash = await this.identities.resolveEmailHash(email);
     
     return await db.collection('customers').findOne({
       businessId: this.config.businessId,
@@ -651,7 +1680,14 @@ export class MCDRCDModule {
 
   // Utility Methods (unchanged)
   hashEmail(email) {
-    return crypto.createHash('sha256').update(email.toLowerCase().trim()).digest('hex');
+    return hashIdentifier(email.toLowerCase().trim());
+  }
+
+  // Customers stored before emails were encrypted still carry a plaintext email
+  // until scripts/migrate-pii.js has run
+  getCustomerEmail(customer) {
+    if (customer?.emailEncrypted) return decryptPII(customer.emailEncrypted);
+    return customer?.email || null;
   }
 
   generateReferralCode(emailHash) {
@@ -683,24 +1719,38 @@ export class MCDRCDModule {
     return { start, end };
   }
 
+  getMCDUpdateIntervalHours() {
+    switch (this.config.mcd.updateFrequency) {
+      case 'hourly': return 1;
+      case 'daily': return 24;
+      case 'weekly': return 168;
+      case 'monthly': return 720;
+      default: return null;
+    }
+  }
+
   shouldRecalculateMCD() {
     if (!this.config.mcd.enabled) return false;
     if (!this.lastMCDUpdate) return true;
     
+    const intervalHours = this.getMCDUpdateIntervalHours();
+    if (!intervalHours) return false;
+    
     const hoursSinceUpdate = (Date.now() - this.lastMCDUpdate) / (1000 * 60 * 60);
+    return hoursSinceUpdate >= intervalHours;
+  }
+
+  getNextMCDUpdate() {
+    const intervalHours = this.getMCDUpdateIntervalHours();
+    if (!this.config.mcd.enabled || !intervalHours) return null;
+    if (!this.lastMCDUpdate) return new Date();
     
-    switch (this.config.mcd.updateFrequency) {
-      case 'hourly': return hoursSinceUpdate >= 1;
-      case 'daily': return hoursSinceUpdate >= 24;
-      case 'weekly': return hoursSinceUpdate >= 168;
-      case 'monthly': return hoursSinceUpdate >= 720;
-      default: return false;
-    }
+    return new Date(this.lastMCDUpdate + intervalHours * 60 * 60 * 1000);
   }
 
   async getCustomerDiscount(email) {
     const db = getDB();
-    const emailHash = this.hashEmail(email);
+    const emailHash = await this.identities.resolveEmailHash(email);
     
     const customer = await db.collection('customers').findOne({
       businessId: this.config.businessId,
@@ -711,13 +1761,39 @@ export class MCDRCDModule {
     
     if (customer.lastCalculated) {
       const hoursSinceCalculation = (Date.now() - customer.lastCalculated.getTime()) / (1000 * 60 * 60);
-      if (hoursSinceCalculation > 24) {
-        return await this.updateCustomerVector(customer);
+      if (hoursSinceCalculation > DISCOUNT_MAX_AGE_HOURS) {
+        return await this.updateCustomerVector(customer, null, 'stale-recalculation');
       }
     }
     
     return customer.currentDiscountPercentage || 0;
   }
+
+  // Batch re-score customers whose discount has not been recalculated recently
+  async refreshStaleCustomerDiscounts({ maxAgeHours = DISCOUNT_MAX_AGE_HOURS, limit = 500 } = {}) {
+    const db = getDB();
+    const staleBefore = new Date(Date.now() - maxAgeHours * 60 * 60 * 1000);
+    
+    const customers = await db.collection('customers')
+      .find({
+        businessId: this.config.businessId,
+        $or: [
+          { lastCalculated: { $lt: staleBefore } },
+          { lastCalculated: { $exists: false } },
+          // Grace windows that have run out, so the downgrade lands on time
+          { tierGraceUntil: { $lte: new Date() } }
+        ]
+      })
+      .sort({ lastCalculated: 1 })
+      .limit(limit)
+      .toArray();
+    
+    for (const customer of customers) {
+      await this.updateCustomerVector(customer, null, 'scheduled-rescore');
+    }
+    
+    return customers.length;
+  }
 }
 
 export default MCDRCDModule;
\ No newline at end of file
@@ -0,0 +1,237 @@
+import crypto from 'crypto';
+import { getDB } from '../config/database.js';
+import { httpError } from '../utils/httpError.js';
+import { encryptPII } from '../utils/pii.js';
+import { hashNormalizedEmail } from './ReferralManager.js';
+
+// Every field outside `customers` that identifies a customer by email hash. Erasure
+// and the hash migration rewrite all of them together, so records stay linked.
+export const CUSTOMER_HASH_FIELDS = [
+  ['transactions', 'customerEmailHash'],
+  ['refunds', 'customerEmailHash'],
+  ['loyaltyLedger', 'customerEmailHash'],
+  ['tierHistory', 'customerEmailHash'],
+  ['priceQuotes', 'emailHash'],
+  ['referralActivities', 'referrerEmailHash'],
+  ['referralActivities', 'referredEmailHash'],
+  ['auditLog', 'customerEmailHash'],
+  ['auditLog', 'details.referredEmailHash'],
+  ['auditLog', 'details.secondaryEmailHash'],
+  ['webhookDeliveries', 'payload.data.customerEmailHash'],
+  ['webhookDeliveries', 'payload.data.referrerEmailHash'],
+  ['webhookDeliveries', 'payload.data.referredEmailHash']
+];
+
+// Replaces an erased customer's hash. Unique per erasure and unrelated to the email,
+// so the records can't be linked back while per-customer counts still add up.
+export const createPseudonym = () => `erased-${crypto.randomBytes(16).toString('hex')}`;
+
+const escapeRegex = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Subject-access export and right-to-erasure for one tenant's customers
+export class PrivacyManager {
+  constructor(mcdRcd) {
+    this.mcdRcd = mcdRcd;
+  }
+
+  get businessId() {
+    return this.mcdRcd.config.businessId;
+  }
+
+  async findCustomer(email) {
+    const customer = await this.mcdRcd.getCustomerInfo(email);
+    if (!customer) {
+      throw httpError(404, 'Customer not found');
+    }
+    return customer;
+  }
+
+  // Everything stored about the customer, newest first within each list
+  async export(email) {
+    const db = getDB();
+    const customer = await this.findCustomer(email);
+    const { emailHash } = customer;
+    const find = (collection, query, sort = { timestamp: -1 }) => db.collection(collection)
+      .find({ businessId: this.businessId, ...query })
+      .sort(sort)
+      .toArray();
+
+    const [transactions, refunds, referralsMade, referralsReceived, loyaltyLedger, tierHistory, quotes, auditLog] = await Promise.all([
+      find('transactions', { customerEmailHash: emailHash }),
+      find('refunds', { customerEmailHash: emailHash }),
+      find('referralActivities', { referrerEmailHash: emailHash }),
+      find('referralActivities', { referredEmailHash: emailHash }),
+      find('loyaltyLedger', { customerEmailHash: emailHash }, { createdAt: -1 }),
+      find('tierHistory', { customerEmailHash: emailHash }, { createdAt: -1 }),
+      find('priceQuotes', { emailHash }, { createdAt: -1 }),
+      find('auditLog', { customerEmailHash: { $in: await this.mcdRcd.identities.mergedEmailHashes(emailHash) } })
+    ]);
+
+    const identifiers = await this.mcdRcd.identities.list(emailHash);
+    const { emailEncrypted, email: legacyEmail, ...profile } = customer;
+
+    await this.mcdRcd.audit({
+      entityType: 'customer-privacy',
+      entityId: String(customer._id),
+      customerEmailHash: emailHash,
+      action: 'export',
+      cause: 'subject-access-request'
+    });
+
+    return {
+      exportedAt: new Date(),
+      customer: { ...profile, email: this.mcdRcd.getCustomerEmail(customer) },
+      identifiers,
+      transactions,
+      refunds,
+      referrals: { made: referralsMade, received: referralsReceived },
+      loyaltyLedger,
+      tierHistory,
+      quotes,
+      auditLog
+    };
+  }
+
+  // Points every reference from one hash to another. Referrals the customer received
+  // also get `normalizedHash` as their duplicate-identity hash.
+  async replaceCustomerHash(fromHash, toHash, normalizedHash) {
+    const db = getDB();
+    const updated = {};
+
+    await db.collection('referralActivities').updateMany(
+      { businessId: this.businessId, referredEmailHash: fromHash },
+      { $set: { referredNormalizedHash: normalizedHash } }
+    );
+
+    for (const [collection, field] of CUSTOMER_HASH_FIELDS) {
+      const result = await db.collection(collection).updateMany(
+        { businessId: this.businessId, [field]: fromHash },
+        { $set: { [field]: toHash } }
+      );
+      updated[collection] = (updated[collection] || 0) + result.modifiedCount;
+    }
+
+    return updated;
+  }
+
+  // Per-customer promo usage is keyed `${businessId}:${CODE}:${emailHash}`
+  async findPromotionUsage(emailHash) {
+    const db = getDB();
+    return await db.collection('promotionUsage')
+      .find({ _id: { $regex: `^${escapeRegex(this.businessId)}:.*:${emailHash}$` } })
+      .toArray();
+  }
+
+  // Removes the email and pseudonymises every record that points at the customer.
+  // Amounts, dates and statuses are kept, so revenue, ROI and segment analytics don't change.
+  async erase(email) {
+    const db = getDB();
+    const customer = await this.findCustomer(email);
+    const pseudonym = createPseudonym();
+
+    // Queued webhook payloads carry the plaintext email
+    await db.collection('webhookDeliveries').updateMany(
+      { businessId: this.businessId, 'payload.data.customerEmailHash': customer.emailHash },
+      { $set: { 'payload.data.email': null } }
+    );
+    await db.collection('webhookDeliveries').updateMany(
+      { businessId: this.businessId, 'payload.data.referrerEmailHash': customer.emailHash },
+      { $set: { 'payload.data.referrerEmail': null } }
+    );
+
+    // Audit entries of customers merged into this one still carry their own hashes
+    const mergedHashes = await this.mcdRcd.identities.mergedEmailHashes(customer.emailHash);
+    const updated = await this.replaceCustomerHash(customer.emailHash, pseudonym, pseudonym);
+    for (const mergedHash of mergedHashes.slice(1)) {
+      const merged = await this.replaceCustomerHash(mergedHash, pseudonym, pseudonym);
+      Object.entries(merged).forEach(([collection, count]) => { updated[collection] += count; });
+    }
+
+    const usage = await this.findPromotionUsage(customer.emailHash);
+    if (usage.length) {
+      await db.collection('promotionUsage').deleteMany({ _id: { $in: usage.map(({ _id }) => _id) } });
+    }
+
+    // Linked emails, phones and ids, and merge records holding a copy of a merged customer
+    await db.collection('customerIdentifiers').deleteMany({ businessId: this.businessId, customerEmailHash: customer.emailHash });
+    await db.collection('customerMerges').deleteMany({
+      businessId: this.businessId,
+      $or: [{ primaryEmailHash: customer.emailHash }, { secondaryEmailHash: customer.emailHash }]
+    });
+
+    await db.collection('customers').updateOne(
+      { _id: customer._id },
+      {
+        $set: { emailHash: pseudonym, erasedAt: new Date() },
+        $unset: { email: '', emailEncrypted: '', referralCode: '', referralCodeAliases: '' }
+      }
+    );
+
+    await this.mcdRcd.audit({
+      entityType: 'customer-privacy',
+      entityId: String(customer._id),
+      customerEmailHash: pseudonym,
+      action: 'erase',
+      cause: 'erasure-request',
+      details: { updated, promotionUsageRemoved: usage.length }
+    });
+
+    return { erased: true, customerId: customer._id, updated };
+  }
+
+  // Moves one customer stored before encryption (plaintext email, unkeyed SHA-256
+  // hash) to an encrypted email and the keyed hash. Safe to re-run after a failure:
+  // the customer keeps its plaintext email until everything else has moved.
+  // Returns false, changing nothing, if a customer already exists under the new hash.
+  async migrateLegacyCustomer(customer) {
+    const db = getDB();
+    const email = customer.email.toLowerCase().trim();
+    const emailHash = this.mcdRcd.hashEmail(email);
+
+    if (customer.emailHash !== emailHash) {
+      const duplicate = await db.collection('customers').countDocuments({
+        businessId: this.businessId,
+        emailHash,
+        _id: { $ne: customer._id }
+      });
+      if (duplicate) return false;
+
+      await this.replaceCustomerHash(customer.emailHash, emailHash, hashNormalizedEmail(email));
+
+      for (const usage of await this.findPromotionUsage(customer.emailHash)) {
+        const { _id, ...fields } = usage;
+        await db.collection('promotionUsage').updateOne(
+          { _id: _id.slice(0, -customer.emailHash.length) + emailHash },
+          { $set: fields },
+          { upsert: true }
+        );
+        await db.collection('promotionUsage').deleteOne({ _id });
+      }
+    }
+
+    await db.collection('customers').updateOne(
+      { _id: customer._id },
+      {
+        $set: { emailHash, emailEncrypted: encryptPII(email) },
+        $unset: { email: '' }
+      }
+    );
+    return true;
+  }
+
+  async migrateLegacyCustomers() {
+    const db = getDB();
+    const customers = db.collection('customers').find({ businessId: this.businessId, email: { $type: 'string' } });
+    const outcome = { migrated: 0, skipped: [] };
+
+    for await (const customer of customers) {
+      if (await this.migrateLegacyCustomer(customer)) {
+        outcome.migrated += 1;
+      } else {
+        outcome.skipped.push(String(customer._id));
+      }
+    }
+
+    return outcome;
+  }
+}
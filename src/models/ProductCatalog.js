@@ -0,0 +1,176 @@
+import { getDB } from '../config/database.js';
+import { httpError } from '../utils/httpError.js';
+
+// Used when a product has no unit cost on file
+export const DEFAULT_FLOOR_RATIO = 0.7;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Products (price, cost, category, discount eligibility) for one business
+export class ProductCatalog {
+  constructor(mcdRcd) {
+    this.mcdRcd = mcdRcd;
+  }
+
+  get businessId() {
+    return this.mcdRcd.config.businessId;
+  }
+
+  get categories() {
+    return Object.keys(this.mcdRcd.config.rcd.productCategoryWeights);
+  }
+
+  validate(fields, existing = null) {
+    const merged = { ...existing, ...fields };
+
+    if (!merged.sku || !merged.name) {
+      throw httpError(400, 'sku and name are required');
+    }
+
+    if (!(parseFloat(merged.basePrice) > 0)) {
+      throw httpError(400, 'basePrice must be positive');
+    }
+
+    if (merged.unitCost !== undefined && merged.unitCost !== null && !(parseFloat(merged.unitCost) >= 0)) {
+      throw httpError(400, 'unitCost must be zero or positive');
+    }
+
+    if (merged.minMargin !== undefined && merged.minMargin !== null) {
+      const minMargin = parseFloat(merged.minMargin);
+      if (!(minMargin >= 0 && minMargin < 1)) {
+        throw httpError(400, 'minMargin must be a fraction between 0 and 1');
+      }
+    }
+
+    if (merged.productCategory && !this.categories.includes(merged.productCategory)) {
+      throw httpError(400, `productCategory must be one of: ${this.categories.join(', ')}`);
+    }
+
+    ['mcdEligible', 'rcdEligible', 'active'].forEach((field) => {
+      if (merged[field] !== undefined && typeof merged[field] !== 'boolean') {
+        throw httpError(400, `${field} must be a boolean`);
+      }
+    });
+  }
+
+  toDocument(fields) {
+    const document = {};
+
+    if (fields.sku !== undefined) document.sku = String(fields.sku);
+    if (fields.name !== undefined) document.name = fields.name;
+    if (fields.basePrice !== undefined) document.basePrice = parseFloat(fields.basePrice);
+    if (fields.unitCost !== undefined) document.unitCost = fields.unitCost === null ? null : parseFloat(fields.unitCost);
+    if (fields.minMargin !== undefined) document.minMargin = fields.minMargin === null ? null : parseFloat(fields.minMargin);
+    if (fields.productCategory !== undefined) document.productCategory = fields.productCategory;
+    if (fields.mcdEligible !== undefined) document.mcdEligible = fields.mcdEligible;
+    if (fields.rcdEligible !== undefined) document.rcdEligible = fields.rcdEligible;
+    if (fields.active !== undefined) document.active = fields.active;
+
+    return document;
+  }
+
+  async list({ productCategory, active } = {}) {
+    const db = getDB();
+    const query = { businessId: this.businessId };
+
+    if (productCategory) query.productCategory = productCategory;
+    if (active !== undefined) query.active = active;
+
+    return await db.collection('products')
+      .find(query)
+      .sort({ sku: 1 })
+      .toArray();
+  }
+
+  async get(sku) {
+    const db = getDB();
+    return await db.collection('products').findOne({ businessId: this.businessId, sku });
+  }
+
+  // Active products keyed by sku
+  async findActive(skus) {
+    const db = getDB();
+
+    const products = await db.collection('products')
+      .find({ businessId: this.businessId, sku: { $in: [...new Set(skus.map(String))] }, active: { $ne: false } })
+      .toArray();
+
+    return new Map(products.map(product => [product.sku, product]));
+  }
+
+  // Like findActive, but unknown or inactive skus are a 404
+  async getForPricing(skus) {
+    const bySku = await this.findActive(skus);
+
+    const missing = [...new Set(skus.map(String))].filter(sku => !bySku.has(sku));
+    if (missing.length) {
+      throw httpError(404, `Unknown or inactive product: ${missing.join(', ')}`);
+    }
+
+    return bySku;
+  }
+
+  async create(fields) {
+    const db = getDB();
+    this.validate(fields);
+
+    if (await this.get(String(fields.sku))) {
+      throw httpError(409, 'Product already exists');
+    }
+
+    const product = {
+      businessId: this.businessId,
+      unitCost: null,
+      minMargin: null,
+      productCategory: 'standard',
+      mcdEligible: true,
+      rcdEligible: true,
+      active: true,
+      ...this.toDocument(fields),
+      createdAt: new Date(),
+      updatedAt: new Date()
+    };
+
+    await db.collection('products').insertOne(product);
+    return product;
+  }
+
+  async update(sku, fields) {
+    const db = getDB();
+    const existing = await this.get(sku);
+
+    if (!existing) {
+      throw httpError(404, 'Product not found');
+    }
+
+    // sku is the key transactions and carts refer to
+    const { sku: ignored, ...changes } = fields;
+    this.validate(changes, existing);
+
+    const update = { ...this.toDocument(changes), updatedAt: new Date() };
+    await db.collection('products').updateOne({ _id: existing._id }, { $set: update });
+
+    return { ...existing, ...update };
+  }
+
+  async remove(sku) {
+    const db = getDB();
+    const result = await db.collection('products').deleteOne({ businessId: this.businessId, sku });
+
+    if (!result.deletedCount) {
+      throw httpError(404, 'Product not found');
+    }
+  }
+
+  // Lowest unit price allowed for a product. With cost data the floor keeps the
+  // configured margin over cost; otherwise it falls back to a share of the price.
+  static getPriceFloor(product, basePrice) {
+    if (product?.unitCost !== undefined && product?.unitCost !== null) {
+      return round(product.unitCost / (1 - (product.minMargin || 0)));
+    }
+
+    return basePrice * DEFAULT_FLOOR_RATIO;
+  }
+}
+
+export default ProductCatalog;
@@ -0,0 +1,325 @@
+import { getDB } from '../config/database.js';
+import { httpError } from '../utils/httpError.js';
+
+export const PROMOTION_TYPES = ['percent', 'fixed', 'free-shipping'];
+
+// How a promotion combines with the customer's RCD discount:
+//   stack     - promotion applies on top of the RCD-discounted price
+//   best-of   - whichever of promotion and RCD saves the customer more
+//   exclusive - promotion replaces RCD
+export const STACKING_RULES = ['stack', 'best-of', 'exclusive'];
+
+const normalizeCode = (code) => String(code).trim().toUpperCase();
+
+// Discount amount a promotion gives on a price
+const promotionAmountOn = (promotion, price) => {
+  if (promotion.type === 'percent') return price * (promotion.value / 100);
+  if (promotion.type === 'fixed') return Math.min(promotion.value, price);
+  return 0;
+};
+
+// Combines an eligible promotion with the RCD discount on one unit. Returns the
+// RCD and promotion amounts actually given and the final price after the floor.
+// Unless a promotion sets respectFloor: false, the floor applies to the combined price;
+// otherwise the floor still limits RCD, but the promotion may take the price below it.
+export const applyPromotion = ({ priceAfterMCD, rcdAmount, minPrice, promotion }) => {
+  const stacking = promotion.stacking || 'stack';
+  let appliedRCD = rcdAmount;
+  let promotionAmount;
+  let reason = null;
+
+  if (stacking === 'exclusive') {
+    appliedRCD = 0;
+    promotionAmount = promotionAmountOn(promotion, priceAfterMCD);
+  } else if (stacking === 'best-of') {
+    promotionAmount = promotionAmountOn(promotion, priceAfterMCD);
+    if (promotionAmount > rcdAmount) {
+      appliedRCD = 0;
+    } else {
+      promotionAmount = 0;
+      reason = 'rcd-discount-is-better';
+    }
+  } else {
+    promotionAmount = promotionAmountOn(promotion, priceAfterMCD - rcdAmount);
+  }
+
+  const discountedPrice = priceAfterMCD - appliedRCD - promotionAmount;
+  const finalPrice = promotion.respectFloor === false
+    ? Math.max(0, Math.max(minPrice, priceAfterMCD - appliedRCD) - promotionAmount)
+    : Math.max(minPrice, discountedPrice);
+
+  return {
+    rcdAmount: appliedRCD,
+    promotionAmount,
+    discountedPrice,
+    finalPrice,
+    freeShipping: promotion.type === 'free-shipping',
+    reason
+  };
+};
+
+// Promo codes for one business. Usage is counted on the promotion itself and per
+// customer in `promotionUsage`, both claimed atomically when a transaction is recorded.
+export class PromotionManager {
+  constructor(mcdRcd) {
+    this.mcdRcd = mcdRcd;
+  }
+
+  get businessId() {
+    return this.mcdRcd.config.businessId;
+  }
+
+  validate(fields, existing = null) {
+    const merged = { ...existing, ...fields };
+
+    if (!merged.code || !merged.type) {
+      throw httpError(400, 'code and type are required');
+    }
+
+    if (!PROMOTION_TYPES.includes(merged.type)) {
+      throw httpError(400, `type must be one of: ${PROMOTION_TYPES.join(', ')}`);
+    }
+
+    const value = parseFloat(merged.value);
+    if (merged.type === 'percent' && !(value > 0 && value <= 100)) {
+      throw httpError(400, 'Percent promotions need a value between 0 and 100');
+    }
+    if (merged.type === 'fixed' && !(value > 0)) {
+      throw httpError(400, 'Fixed promotions need a positive value');
+    }
+
+    if (merged.stacking && !STACKING_RULES.includes(merged.stacking)) {
+      throw httpError(400, `stacking must be one of: ${STACKING_RULES.join(', ')}`);
+    }
+
+    ['usageLimit', 'perCustomerLimit'].forEach((field) => {
+      const limit = merged[field];
+      if (limit !== undefined && limit !== null && !(Number.isInteger(limit) && limit > 0)) {
+        throw httpError(400, `${field} must be a positive integer`);
+      }
+    });
+
+    ['startsAt', 'endsAt'].forEach((field) => {
+      if (merged[field] && isNaN(new Date(merged[field]).getTime())) {
+        throw httpError(400, `Invalid ${field}`);
+      }
+    });
+
+    if (merged.startsAt && merged.endsAt && new Date(merged.endsAt) < new Date(merged.startsAt)) {
+      throw httpError(400, 'endsAt must not be before startsAt');
+    }
+
+    if (merged.productCategories !== undefined && merged.productCategories !== null &&
+        !Array.isArray(merged.productCategories)) {
+      throw httpError(400, 'productCategories must be an array');
+    }
+
+    ['active', 'respectFloor'].forEach((field) => {
+      if (merged[field] !== undefined && typeof merged[field] !== 'boolean') {
+        throw httpError(400, `${field} must be a boolean`);
+      }
+    });
+  }
+
+  toDocument(fields) {
+    const document = {};
+
+    if (fields.code !== undefined) document.code = normalizeCode(fields.code);
+    if (fields.name !== undefined) document.name = fields.name;
+    if (fields.type !== undefined) document.type = fields.type;
+    if (fields.value !== undefined) document.value = fields.value === null ? null : parseFloat(fields.value);
+    if (fields.stacking !== undefined) document.stacking = fields.stacking;
+    if (fields.respectFloor !== undefined) document.respectFloor = fields.respectFloor;
+    if (fields.usageLimit !== undefined) document.usageLimit = fields.usageLimit;
+    if (fields.perCustomerLimit !== undefined) document.perCustomerLimit = fields.perCustomerLimit;
+    if (fields.startsAt !== undefined) document.startsAt = fields.startsAt ? new Date(fields.startsAt) : null;
+    if (fields.endsAt !== undefined) document.endsAt = fields.endsAt ? new Date(fields.endsAt) : null;
+    if (fields.productCategories !== undefined) document.productCategories = fields.productCategories;
+    if (fields.active !== undefined) document.active = fields.active;
+
+    return document;
+  }
+
+  async list({ active } = {}) {
+    const db = getDB();
+    const query = { businessId: this.businessId };
+
+    if (active !== undefined) query.active = active;
+
+    return await db.collection('promotions')
+      .find(query)
+      .sort({ createdAt: -1 })
+      .toArray();
+  }
+
+  async get(code) {
+    const db = getDB();
+    return await db.collection('promotions').findOne({ businessId: this.businessId, code: normalizeCode(code) });
+  }
+
+  async create(fields) {
+    const db = getDB();
+    this.validate(fields);
+
+    if (await this.get(fields.code)) {
+      throw httpError(409, 'Promotion code already exists');
+    }
+
+    const promotion = {
+      businessId: this.businessId,
+      name: null,
+      value: null,
+      stacking: 'stack',
+      respectFloor: true,
+      usageLimit: null,
+      perCustomerLimit: null,
+      startsAt: null,
+      endsAt: null,
+      productCategories: null,
+      active: true,
+      ...this.toDocument(fields),
+      usageCount: 0,
+      createdAt: new Date(),
+      updatedAt: new Date()
+    };
+
+    await db.collection('promotions').insertOne(promotion);
+    return promotion;
+  }
+
+  async update(code, fields) {
+    const db = getDB();
+    const existing = await this.get(code);
+
+    if (!existing) {
+      throw httpError(404, 'Promotion not found');
+    }
+
+    // The code is what customers type and transactions record; usage is counted by redemptions
+    const { code: ignoredCode, usageCount: ignoredCount, ...changes } = fields;
+    this.validate(changes, existing);
+
+    const update = { ...this.toDocument(changes), updatedAt: new Date() };
+    await db.collection('promotions').updateOne({ _id: existing._id }, { $set: update });
+
+    return { ...existing, ...update };
+  }
+
+  async remove(code) {
+    const db = getDB();
+    const result = await db.collection('promotions').deleteOne({ businessId: this.businessId, code: normalizeCode(code) });
+
+    if (!result.deletedCount) {
+      throw httpError(404, 'Promotion not found');
+    }
+  }
+
+  usageId(code, emailHash) {
+    return `${this.businessId}:${normalizeCode(code)}:${emailHash}`;
+  }
+
+  // Why a promotion can't be used right now, or null if it can
+  async getIneligibleReason(promotion, { emailHash = null, productCategories = [], now = new Date() } = {}) {
+    if (!promotion) return 'unknown-code';
+    if (!promotion.active) return 'inactive';
+    if (promotion.startsAt && now < promotion.startsAt) return 'not-started';
+    if (promotion.endsAt && now > promotion.endsAt) return 'expired';
+    if (promotion.usageLimit && promotion.usageCount >= promotion.usageLimit) return 'usage-limit-reached';
+
+    // A restricted code needs at least one qualifying category on the order
+    if (promotion.productCategories?.length &&
+        !productCategories.some(category => promotion.productCategories.includes(category))) {
+      return 'category-not-eligible';
+    }
+
+    if (promotion.perCustomerLimit) {
+      if (!emailHash) return 'customer-required';
+
+      const db = getDB();
+      const usage = await db.collection('promotionUsage').findOne({ _id: this.usageId(promotion.code, emailHash) });
+      if ((usage?.count || 0) >= promotion.perCustomerLimit) return 'customer-limit-reached';
+    }
+
+    return null;
+  }
+
+  // Looks up a code for pricing. Ineligible codes are reported, not thrown,
+  // so a price can still be shown with the reason the code didn't apply.
+  async evaluate(code, context = {}) {
+    const promotion = await this.get(code);
+    const reason = await this.getIneligibleReason(promotion, context);
+
+    return { code: normalizeCode(code), promotion, eligible: !reason, reason };
+  }
+
+  // Claims one use of the code for this customer. Both counters only move when
+  // below their limits; call release() if the transaction is not stored.
+  async redeem(code, { emailHash, productCategories = [] }) {
+    const db = getDB();
+    const now = new Date();
+    const { promotion, reason } = await this.evaluate(code, { emailHash, productCategories, now });
+
+    if (reason) {
+      throw httpError(reason === 'unknown-code' ? 404 : 400, `Promotion cannot be used: ${reason}`);
+    }
+
+    if (promotion.perCustomerLimit) {
+      // Keyed by _id, so an upsert against a customer at the limit fails with a duplicate key
+      try {
+        await db.collection('promotionUsage').findOneAndUpdate(
+          { _id: this.usageId(promotion.code, emailHash), count: { $lt: promotion.perCustomerLimit } },
+          { $inc: { count: 1 }, $set: { lastUsedAt: now } },
+          { upsert: true }
+        );
+      } catch (error) {
+        if (error.code === 11000) throw httpError(409, 'Promotion cannot be used: customer-limit-reached');
+        throw error;
+      }
+    }
+
+    const claimed = await db.collection('promotions').findOneAndUpdate(
+      {
+        _id: promotion._id,
+        active: true,
+        $or: [
+          { usageLimit: null },
+          { $expr: { $lt: ['$usageCount', '$usageLimit'] } }
+        ]
+      },
+      { $inc: { usageCount: 1 } },
+      { returnDocument: 'after' }
+    );
+
+    if (!claimed) {
+      await this.releaseCustomerUsage(promotion, emailHash);
+      throw httpError(409, 'Promotion cannot be used: usage-limit-reached');
+    }
+
+    return claimed;
+  }
+
+  async releaseCustomerUsage(promotion, emailHash) {
+    if (!promotion.perCustomerLimit) return;
+
+    const db = getDB();
+    await db.collection('promotionUsage').updateOne(
+      { _id: this.usageId(promotion.code, emailHash), count: { $gt: 0 } },
+      { $inc: { count: -1 } }
+    );
+  }
+
+  // Gives a use back, e.g. when checkout fails or the transaction is reversed
+  async release(code, emailHash) {
+    const db = getDB();
+    const promotion = await db.collection('promotions').findOneAndUpdate(
+      { businessId: this.businessId, code: normalizeCode(code), usageCount: { $gt: 0 } },
+      { $inc: { usageCount: -1 } }
+    );
+
+    if (promotion) {
+      await this.releaseCustomerUsage(promotion, emailHash);
+    }
+  }
+}
+
+export default PromotionManager;
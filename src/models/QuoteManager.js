@@ -0,0 +1,160 @@
+import crypto from 'crypto';
+import { getDB } from '../config/database.js';
+import { httpError } from '../utils/httpError.js';
+
+const getSigningSecret = () => {
+  const secret = process.env.QUOTE_SIGNING_SECRET;
+  if (!secret) {
+    throw new Error('QUOTE_SIGNING_SECRET is not configured');
+  }
+  return secret;
+};
+
+const sign = (encodedPayload, secret) => crypto
+  .createHmac('sha256', secret)
+  .update(encodedPayload)
+  .digest('base64url');
+
+// Token format: base64url(JSON payload).base64url(HMAC-SHA256 of the encoded payload)
+export const signQuoteToken = (payload, secret = getSigningSecret()) => {
+  const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${encodedPayload}.${sign(encodedPayload, secret)}`;
+};
+
+// Returns the payload, or null when the token is malformed or the signature is wrong
+export const verifyQuoteToken = (token, secret = getSigningSecret()) => {
+  if (typeof token !== 'string') return null;
+
+  const [encodedPayload, signature, extra] = token.split('.');
+  if (!encodedPayload || !signature || extra !== undefined) return null;
+
+  const expected = Buffer.from(sign(encodedPayload, secret));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+};
+
+// Time-limited, signed price quotes that a later transaction can redeem
+export class QuoteManager {
+  constructor(mcdRcd) {
+    this.mcdRcd = mcdRcd;
+  }
+
+  get businessId() {
+    return this.mcdRcd.config.businessId;
+  }
+
+  get ttlMinutes() {
+    return this.mcdRcd.config.quotes.ttlMinutes;
+  }
+
+  async createQuote({ basePrice, email = null, productCategory = 'standard', sku = null, promoCode = null }) {
+    const db = getDB();
+    const pricing = await this.mcdRcd.calculateFinalPrice(basePrice, email, productCategory, { sku, promoCode });
+
+    const quoteId = `qt_${crypto.randomUUID()}`;
+    const createdAt = new Date();
+    const expiresAt = new Date(createdAt.getTime() + this.ttlMinutes * 60 * 1000);
+    const emailHash = email ? await this.mcdRcd.identities.resolveEmailHash(email) : null;
+
+    const quote = {
+      businessId: this.businessId,
+      quoteId,
+      emailHash,
+      request: {
+        basePrice: pricing.basePrice,
+        productCategory: pricing.productCategory,
+        sku: pricing.sku,
+        // Only a code that shaped the quoted price is redeemed at checkout
+        promoCode: pricing.promotion?.applied ? pricing.promotion.code : null
+      },
+      breakdown: pricing,
+      finalPrice: pricing.finalPrice,
+      status: 'open',
+      expiresAt,
+      createdAt
+    };
+
+    await db.collection('priceQuotes').insertOne(quote);
+
+    const token = signQuoteToken({
+      qid: quoteId,
+      bid: this.businessId,
+      fp: pricing.finalPrice,
+      eh: emailHash,
+      exp: Math.floor(expiresAt.getTime() / 1000)
+    });
+
+    return { quoteId, token, expiresAt, ...pricing };
+  }
+
+  async getQuote(quoteId) {
+    const db = getDB();
+    return await db.collection('priceQuotes').findOne({ businessId: this.businessId, quoteId });
+  }
+
+  // Verifies the token against the checkout and atomically marks the quote as used.
+  // Call attachTransaction() once the transaction is stored, or release() if it fails.
+  async claim(token, { emailHash, amount }) {
+    const db = getDB();
+    const payload = verifyQuoteToken(token);
+
+    if (!payload || payload.bid !== this.businessId) {
+      throw httpError(400, 'Invalid quote token');
+    }
+
+    if (payload.exp * 1000 <= Date.now()) {
+      throw httpError(410, 'Quote has expired');
+    }
+
+    if (payload.eh && payload.eh !== emailHash) {
+      throw httpError(400, 'Quote was issued to a different customer');
+    }
+
+    if (Math.abs(parseFloat(amount) - payload.fp) > 0.01) {
+      throw httpError(400, `Charged amount ${amount} does not match quoted price ${payload.fp}`);
+    }
+
+    const quote = await db.collection('priceQuotes').findOneAndUpdate(
+      {
+        businessId: this.businessId,
+        quoteId: payload.qid,
+        status: 'open',
+        expiresAt: { $gt: new Date() }
+      },
+      { $set: { status: 'redeemed', redeemedAt: new Date() } },
+      { returnDocument: 'after' }
+    );
+
+    if (!quote) {
+      throw httpError(409, 'Quote has already been used or is no longer valid');
+    }
+
+    return quote;
+  }
+
+  async attachTransaction(quoteId, transactionId) {
+    const db = getDB();
+    await db.collection('priceQuotes').updateOne(
+      { businessId: this.businessId, quoteId },
+      { $set: { transactionId } }
+    );
+  }
+
+  async release(quoteId) {
+    const db = getDB();
+    await db.collection('priceQuotes').updateOne(
+      { businessId: this.businessId, quoteId, status: 'redeemed', transactionId: { $exists: false } },
+      { $set: { status: 'open' }, $unset: { redeemedAt: '' } }
+    );
+  }
+}
+
+export default QuoteManager;
@@ -0,0 +1,231 @@
+import mongoose from 'mongoose';
+import { getDB } from '../config/database.js';
+import { httpError } from '../utils/httpError.js';
+import { hashIdentifier } from '../utils/pii.js';
+
+const { ObjectId } = mongoose.Types;
+
+export const DEFAULT_DISPOSABLE_DOMAINS = [
+  'mailinator.com',
+  'guerrillamail.com',
+  'sharklasers.com',
+  '10minutemail.com',
+  'tempmail.com',
+  'temp-mail.org',
+  'yopmail.com',
+  'trashmail.com',
+  'getnada.com',
+  'dispostable.com'
+];
+
+// Providers that ignore dots in the local part
+const DOTLESS_DOMAINS = ['gmail.com', 'googlemail.com'];
+
+// Canonical form of a mailbox for spotting the same person behind different
+// addresses: lowercased, "+tag" dropped, and dots dropped where the provider ignores them.
+// Only used for referral checks; customers are still keyed by the exact address.
+export const normalizeEmail = (email) => {
+  const [local, domain] = String(email).toLowerCase().trim().split('@');
+  if (!domain) return local;
+
+  let mailbox = local.split('+')[0];
+  const canonicalDomain = domain === 'googlemail.com' ? 'gmail.com' : domain;
+  if (DOTLESS_DOMAINS.includes(canonicalDomain)) {
+    mailbox = mailbox.replace(/\./g, '');
+  }
+
+  return `${mailbox}@${canonicalDomain}`;
+};
+
+export const hashNormalizedEmail = (email) => hashIdentifier(normalizeEmail(email));
+
+export const isDisposableEmail = (email, domains = DEFAULT_DISPOSABLE_DOMAINS) => {
+  const domain = String(email).toLowerCase().trim().split('@')[1];
+  return !!domain && domains.some(blocked => domain === blocked || domain.endsWith(`.${blocked}`));
+};
+
+// Decides what happens to one referral. Rule failures reject it outright; fraud
+// signals hold the bonus for review. Returns the bonus that may be granted.
+export const evaluateReferral = ({
+  rules,
+  bonus,
+  purchaseAmount,
+  isFirstPurchase,
+  referrerEmail,
+  referredEmail,
+  monthlyBonusEarned = 0,
+  recentReferrals = 0,
+  alreadyReferred = false
+}) => {
+  if (referrerEmail && referredEmail && normalizeEmail(referrerEmail) === normalizeEmail(referredEmail)) {
+    return { status: 'rejected', reason: 'self-referral', bonus: 0, flags: [] };
+  }
+
+  if (purchaseAmount < rules.minimumPurchase) {
+    return { status: 'rejected', reason: 'below-minimum-purchase', bonus: 0, flags: [] };
+  }
+
+  if (rules.firstPurchaseOnly && !isFirstPurchase) {
+    return { status: 'rejected', reason: 'not-first-purchase', bonus: 0, flags: [] };
+  }
+
+  const allowedBonus = Math.min(bonus, rules.monthlyBonusCap - monthlyBonusEarned);
+  if (allowedBonus <= 0) {
+    return { status: 'rejected', reason: 'monthly-cap-reached', bonus: 0, flags: [] };
+  }
+
+  const flags = [];
+  if (referredEmail && isDisposableEmail(referredEmail, rules.disposableDomains)) flags.push('disposable-email');
+  if (alreadyReferred) flags.push('duplicate-identity');
+  if (recentReferrals >= rules.velocityMaxReferrals) flags.push('velocity');
+
+  return {
+    status: flags.length ? 'flagged' : 'granted',
+    reason: null,
+    bonus: Math.round(allowedBonus * 100) / 100,
+    flags
+  };
+};
+
+// Referral program rules and the queue of referrals held for manual review
+export class ReferralManager {
+  constructor(mcdRcd) {
+    this.mcdRcd = mcdRcd;
+  }
+
+  get businessId() {
+    return this.mcdRcd.config.businessId;
+  }
+
+  get rules() {
+    return this.mcdRcd.config.referrals;
+  }
+
+  // Bonus a referrer has been granted since the start of the current UTC month
+  async getMonthlyBonusEarned(referrerEmailHash, now = new Date()) {
+    const db = getDB();
+    const monthStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+
+    const [result] = await db.collection('referralActivities').aggregate([
+      {
+        $match: {
+          businessId: this.businessId,
+          referrerEmailHash,
+          status: 'granted',
+          grantedAt: { $gte: monthStart }
+        }
+      },
+      { $group: { _id: null, total: { $sum: '$bonusApplied' } } }
+    ]).toArray();
+
+    return result?.total || 0;
+  }
+
+  async countRecentReferrals(referrerEmailHash, now = new Date()) {
+    const db = getDB();
+    const since = new Date(now.getTime() - this.rules.velocityWindowHours * 60 * 60 * 1000);
+
+    return await db.collection('referralActivities').countDocuments({
+      businessId: this.businessId,
+      referrerEmailHash,
+      status: { $in: ['granted', 'flagged'] },
+      timestamp: { $gte: since }
+    });
+  }
+
+  async wasAlreadyReferred(referredNormalizedHash) {
+    const db = getDB();
+    const previous = await db.collection('referralActivities').findOne({
+      businessId: this.businessId,
+      referredNormalizedHash,
+      status: { $in: ['granted', 'flagged'] }
+    });
+    return !!previous;
+  }
+
+  async listFlagged({ limit = 50, skip = 0 } = {}) {
+    const db = getDB();
+    const query = { businessId: this.businessId, status: 'flagged' };
+
+    const [referrals, total] = await Promise.all([
+      db.collection('referralActivities')
+        .find(query)
+        .sort({ timestamp: 1 })
+        .skip(skip)
+        .limit(limit)
+        .toArray(),
+      db.collection('referralActivities').countDocuments(query)
+    ]);
+
+    return { referrals, total };
+  }
+
+  // Resolves a flagged referral. Approval grants the held bonus, still within the monthly cap.
+  async review(activityId, decision, { note = null } = {}) {
+    const db = getDB();
+
+    if (!['approve', 'reject'].includes(decision)) {
+      throw httpError(400, 'Decision must be approve or reject');
+    }
+
+    if (!ObjectId.isValid(activityId)) {
+      throw httpError(404, 'Flagged referral not found');
+    }
+
+    const activity = await db.collection('referralActivities').findOne({
+      _id: new ObjectId(activityId),
+      businessId: this.businessId
+    });
+
+    if (!activity) {
+      throw httpError(404, 'Flagged referral not found');
+    }
+
+    if (activity.status !== 'flagged') {
+      throw httpError(409, `Referral has already been resolved as ${activity.status}`);
+    }
+
+    let bonus = 0;
+    let status = 'rejected';
+    let reason = 'review-rejected';
+
+    if (decision === 'approve') {
+      const earned = await this.getMonthlyBonusEarned(activity.referrerEmailHash);
+      bonus = Math.round(Math.max(0, Math.min(activity.pendingBonus, this.rules.monthlyBonusCap - earned)) * 100) / 100;
+      status = bonus > 0 ? 'granted' : 'rejected';
+      reason = bonus > 0 ? null : 'monthly-cap-reached';
+    }
+
+    const now = new Date();
+    const resolved = await db.collection('referralActivities').findOneAndUpdate(
+      { _id: activity._id, status: 'flagged' },
+      {
+        $set: {
+          status,
+          reason,
+          bonusApplied: bonus,
+          ...(status === 'granted' && { grantedAt: now }),
+          review: { decision, note, reviewedAt: now }
+        }
+      },
+      { returnDocument: 'after' }
+    );
+
+    if (!resolved) {
+      throw httpError(409, 'Referral was resolved concurrently');
+    }
+
+    if (status === 'granted') {
+      await this.mcdRcd.grantReferralBonus(activity.referrerEmailHash, bonus, {
+        cause: 'referral-review',
+        transactionId: activity.transactionId,
+        referredEmailHash: activity.referredEmailHash,
+        purchaseAmount: activity.purchaseAmount
+      });
+    }
+
+    return resolved;
+  }
+}
+
+export default ReferralManager;
@@ -0,0 +1,298 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import { getDB } from '../config/database.js';
+import { getRequestContext } from '../middleware/requestContext.js';
+import { httpError } from '../utils/httpError.js';
+import { parseCsvRecords } from '../utils/csv.js';
+import { validateAmortization } from './spendAmortization.js';
+
+const { ObjectId } = mongoose.Types;
+
+// Column layouts of the ad platforms' CSV exports. Headers match case-insensitively,
+// and "Amount spent (EUR)" matches "Amount spent" with EUR as the file's currency.
+export const SPEND_IMPORT_SOURCES = {
+  'google-ads': {
+    platform: 'google',
+    columns: { date: 'Day', campaignId: 'Campaign ID', campaignName: 'Campaign', amount: 'Cost', currency: 'Currency code' }
+  },
+  'meta-ads': {
+    platform: 'facebook',
+    columns: { date: 'Reporting starts', endDate: 'Reporting ends', campaignId: 'Campaign ID', campaignName: 'Campaign name', amount: 'Amount spent', currency: 'Currency' }
+  },
+  generic: {
+    platform: null,
+    columns: { date: 'date', endDate: 'endDate', campaignId: 'campaignId', campaignName: 'campaign', amount: 'cost', currency: 'currency', platform: 'platform' }
+  }
+};
+
+export const SPEND_COLUMNS = ['date', 'endDate', 'campaignId', 'campaignName', 'amount', 'currency', 'platform'];
+const REQUIRED_COLUMNS = ['date', 'amount'];
+
+// Exports put a report title and date range above the header row
+const MAX_HEADER_SEARCH_ROWS = 10;
+const MAX_REPORTED_ERRORS = 1000;
+const DAY_PATTERN = /^(\d{4}-\d{2}-\d{2})(T.*)?$/;
+
+const normalizeHeader = header => header.trim().toLowerCase();
+
+// Finds each mapped column in a header row. Returns null until every required column is present.
+export const resolveSpendColumns = (headers, columns) => {
+  const indices = {};
+  let headerCurrency = null;
+
+  for (const field of SPEND_COLUMNS) {
+    if (!columns[field]) continue;
+    const name = normalizeHeader(columns[field]);
+
+    const index = headers.findIndex(header => {
+      const normalized = normalizeHeader(header);
+      return normalized === name || (normalized.startsWith(`${name} (`) && normalized.endsWith(')'));
+    });
+    if (index === -1) continue;
+
+    indices[field] = index;
+    const suffix = headers[index].trim().match(/\(([A-Za-z]{3})\)$/);
+    if (suffix && field === 'amount') headerCurrency = suffix[1].toUpperCase();
+  }
+
+  if (!REQUIRED_COLUMNS.every(field => field in indices)) return null;
+  return { indices, headerCurrency };
+};
+
+// Converts to the tenant's base currency; rates are base units per unit of the other currency
+export const convertSpend = (amount, currency, { base, exchangeRates }) => {
+  if (currency === base) return { amount, exchangeRate: 1 };
+
+  const rate = exchangeRates[currency];
+  if (!rate) return null;
+  return { amount: Math.round(amount * rate * 100) / 100, exchangeRate: rate };
+};
+
+// Re-importing a report replaces the spend for each platform, reporting period and
+// campaign instead of adding to it
+export const spendImportKey = ({ source, platform, date, endDate, campaignId, campaignName, originalCurrency }) => crypto
+  .createHash('sha256')
+  .update(JSON.stringify([source, platform, date.toISOString(), endDate.toISOString(), campaignId, campaignName, originalCurrency]))
+  .digest('hex');
+
+const parseAmount = value => {
+  const cleaned = String(value ?? '').replace(/[,\s]/g, '');
+  // Google Ads writes "--" for days without cost
+  if (cleaned === '--') return 0;
+  return cleaned === '' ? NaN : Number(cleaned);
+};
+
+// Validates one export row. Returns { spend }, { skip } for summary rows, or { errors }.
+export const parseSpendRow = (values, { indices, headerCurrency }, { source, platform, currency, currencies, now = new Date() }) => {
+  const cell = field => (field in indices ? String(values[indices[field]] ?? '').trim() : '');
+  const day = cell('date');
+
+  // Totals the platforms append below the data
+  if (/^total/i.test(day) || (!day && !cell('amount'))) return { skip: true };
+
+  const errors = [];
+  const parseDay = value => {
+    const match = value.match(DAY_PATTERN);
+    return match ? new Date(`${match[1]}T00:00:00.000Z`) : null;
+  };
+  const date = parseDay(day);
+  // Rows are daily totals unless the export has a reporting end date
+  const endDate = cell('endDate') ? parseDay(cell('endDate')) : date;
+  const amount = parseAmount(cell('amount'));
+  const rowPlatform = (cell('platform') || platform || '').toLowerCase();
+  const originalCurrency = (cell('currency') || headerCurrency || currency || currencies.base).toUpperCase();
+  const converted = Number.isFinite(amount) ? convertSpend(amount, originalCurrency, currencies) : null;
+
+  if (!date || Number.isNaN(date.getTime())) {
+    errors.push('date must be YYYY-MM-DD');
+  } else if (date > now) {
+    errors.push('date is in the future');
+  } else if (!endDate || Number.isNaN(endDate.getTime())) {
+    errors.push('endDate must be YYYY-MM-DD');
+  } else {
+    errors.push(...validateAmortization({ date, endDate }));
+  }
+  if (!Number.isFinite(amount) || amount < 0) {
+    errors.push('amount must be a non-negative number');
+  } else if (!converted) {
+    errors.push(`no exchange rate for ${originalCurrency}`);
+  }
+  if (!rowPlatform) errors.push('platform is required');
+
+  if (errors.length) return { errors };
+
+  const spend = {
+    source,
+    platform: rowPlatform,
+    date,
+    endDate,
+    campaignId: cell('campaignId') || null,
+    campaignName: cell('campaignName') || null,
+    amount: converted.amount,
+    currency: currencies.base,
+    originalAmount: amount,
+    originalCurrency,
+    exchangeRate: converted.exchangeRate
+  };
+  return { spend: { ...spend, importKey: spendImportKey(spend) } };
+};
+
+// Loads daily spend from ad-platform CSV exports into `marketingSpend`
+export class SpendImporter {
+  constructor(mcdRcd) {
+    this.mcdRcd = mcdRcd;
+  }
+
+  get businessId() {
+    return this.mcdRcd.config.businessId;
+  }
+
+  // Rows for the same platform, day, campaign and currency are summed, so breakdowns
+  // by device or placement add up. A dry run only validates and totals.
+  async run(input, { source, platform = null, currency = null, columns = {}, dryRun = false } = {}) {
+    const layout = SPEND_IMPORT_SOURCES[source];
+    if (!layout) {
+      throw httpError(400, `source must be one of: ${Object.keys(SPEND_IMPORT_SOURCES).join(', ')}`);
+    }
+
+    const unknownColumns = Object.keys(columns).filter(field => !SPEND_COLUMNS.includes(field));
+    if (unknownColumns.length) {
+      throw httpError(400, `Unknown columns: ${unknownColumns.join(', ')}; expected ${SPEND_COLUMNS.join(', ')}`);
+    }
+
+    const mapping = { ...layout.columns, ...columns };
+    const options = {
+      source,
+      platform: platform || layout.platform,
+      currency: currency ? currency.toUpperCase() : null,
+      currencies: this.mcdRcd.config.currency,
+      now: new Date()
+    };
+    const report = {
+      _id: new ObjectId(),
+      businessId: this.businessId,
+      source,
+      dryRun,
+      status: 'running',
+      rows: 0,
+      skipped: 0,
+      invalid: 0,
+      entries: 0,
+      inserted: 0,
+      updated: 0,
+      unchanged: 0,
+      totalAmount: 0,
+      currency: options.currencies.base,
+      platforms: [],
+      errors: [],
+      errorsTruncated: false,
+      failure: null,
+      actor: getRequestContext()?.actor || null,
+      startedAt: options.now,
+      completedAt: null
+    };
+    const entries = new Map();
+    let header = null;
+    let preamble = 0;
+
+    if (!dryRun) {
+      await getDB().collection('marketingSpendImports').insertOne(report);
+    }
+
+    try {
+      for await (const values of parseCsvRecords(input)) {
+        // Past the search limit the rest of the body is read and ignored
+        if (!header) {
+          if (preamble++ < MAX_HEADER_SEARCH_ROWS) header = resolveSpendColumns(values, mapping);
+          continue;
+        }
+
+        report.rows += 1;
+        const parsed = parseSpendRow(values, header, options);
+
+        if (parsed.skip) {
+          report.skipped += 1;
+        } else if (parsed.errors) {
+          report.invalid += 1;
+          if (report.errors.length < MAX_REPORTED_ERRORS) {
+            report.errors.push({ row: report.rows, errors: parsed.errors });
+          } else {
+            report.errorsTruncated = true;
+          }
+        } else {
+          const existing = entries.get(parsed.spend.importKey);
+          if (existing) {
+            existing.amount = Math.round((existing.amount + parsed.spend.amount) * 100) / 100;
+            existing.originalAmount = Math.round((existing.originalAmount + parsed.spend.originalAmount) * 100) / 100;
+          } else {
+            entries.set(parsed.spend.importKey, parsed.spend);
+          }
+        }
+      }
+
+      if (!header) {
+        throw new Error(`No header row with columns ${REQUIRED_COLUMNS.map(field => mapping[field]).join(', ')}`);
+      }
+
+      const spends = [...entries.values()];
+      report.entries = spends.length;
+      report.totalAmount = Math.round(spends.reduce((sum, spend) => sum + spend.amount, 0) * 100) / 100;
+      report.platforms = [...new Set(spends.map(spend => spend.platform))];
+
+      if (!dryRun) {
+        await this.writeSpends(spends, report);
+      }
+      report.status = 'completed';
+    } catch (error) {
+      report.status = 'failed';
+      report.failure = error.message;
+    }
+
+    report.completedAt = new Date();
+    if (!dryRun) {
+      await getDB().collection('marketingSpendImports').replaceOne({ _id: report._id }, report);
+    }
+
+    return report;
+  }
+
+  async writeSpends(spends, report) {
+    if (!spends.length) return;
+    const db = getDB();
+    const { platformWeights } = this.mcdRcd.config.mcd;
+    const now = new Date();
+
+    const result = await db.collection('marketingSpend').bulkWrite(spends.map(({ importKey, ...spend }) => ({
+      updateOne: {
+        filter: { businessId: this.businessId, importKey },
+        update: {
+          $set: { ...spend, platformWeight: platformWeights[spend.platform] || 1.0 },
+          $setOnInsert: { businessId: this.businessId, importKey, importId: report._id, createdAt: now }
+        },
+        upsert: true
+      }
+    })));
+
+    report.inserted = result.upsertedCount;
+    report.updated = result.modifiedCount;
+    report.unchanged = result.matchedCount - result.modifiedCount;
+
+    // Same follow-up as a single recorded spend
+    for (const platform of report.platforms) {
+      await this.mcdRcd.updatePlatformPerformance(platform);
+    }
+    await this.mcdRcd.getCurrentMCDMultiplier();
+  }
+
+  async get(id) {
+    const db = getDB();
+    const report = ObjectId.isValid(id)
+      ? await db.collection('marketingSpendImports').findOne({ _id: new ObjectId(id), businessId: this.businessId })
+      : null;
+
+    if (!report) {
+      throw httpError(404, 'Import not found');
+    }
+    return report;
+  }
+}
@@ -0,0 +1,315 @@
+import readline from 'readline';
+import mongoose from 'mongoose';
+import { getDB } from '../config/database.js';
+import { getRequestContext } from '../middleware/requestContext.js';
+import { httpError } from '../utils/httpError.js';
+import { encryptPII } from '../utils/pii.js';
+import { parseCsv } from '../utils/csv.js';
+import { normalizeIdentifier } from './IdentityManager.js';
+
+const { ObjectId } = mongoose.Types;
+
+export const IMPORT_FORMATS = ['csv', 'ndjson'];
+
+const BATCH_SIZE = 500;
+// Invalid rows beyond this are counted but not listed in the report
+const MAX_REPORTED_ERRORS = 1000;
+
+// CSV columns hold lists as "a;b"; NDJSON rows may use arrays
+const parseList = value => {
+  if (value === undefined || value === null || value === '') return [];
+  if (Array.isArray(value)) return value.map(String);
+  if (typeof value === 'string') return value.split(';').map(item => item.trim()).filter(Boolean);
+  return null;
+};
+
+// Validates one historical order. Returns { order } or { errors } listing every problem.
+export const parseImportRow = (row, now = new Date()) => {
+  if (!row || typeof row !== 'object' || Array.isArray(row)) {
+    return { errors: ['row must be an object'] };
+  }
+
+  const errors = [];
+  const orderId = row.orderId === undefined || row.orderId === null ? '' : String(row.orderId).trim();
+  const email = typeof row.email === 'string' ? normalizeIdentifier('email', row.email) : null;
+  const amount = typeof row.amount === 'number' ? row.amount : Number(String(row.amount ?? '').trim() || NaN);
+  const timestamp = row.timestamp ? new Date(row.timestamp) : null;
+  const productIds = parseList(row.productIds);
+  const productCategories = parseList(row.productCategories);
+
+  if (!orderId) errors.push('orderId is required');
+  if (!email) errors.push('email is missing or invalid');
+  if (!Number.isFinite(amount) || amount <= 0) errors.push('amount must be a positive number');
+  if (!timestamp || Number.isNaN(timestamp.getTime())) {
+    errors.push('timestamp is missing or invalid');
+  } else if (timestamp > now) {
+    errors.push('timestamp is in the future');
+  }
+  if (!productIds) errors.push('productIds must be a list');
+  if (!productCategories) errors.push('productCategories must be a list');
+
+  if (errors.length) return { errors };
+  return { order: { orderId, email, amount, timestamp, productIds, productCategories } };
+};
+
+// Yields { row } per record, or { errors } for an NDJSON line that isn't JSON
+export async function* readImportRows(input, format) {
+  if (format === 'csv') {
+    for await (const row of parseCsv(input)) {
+      yield { row };
+    }
+    return;
+  }
+
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+
+    let row;
+    try {
+      row = JSON.parse(line);
+    } catch {
+      yield { errors: ['line is not valid JSON'] };
+      continue;
+    }
+    yield { row };
+  }
+}
+
+// Bulk import of historical orders for onboarding tenants. Imported orders count
+// towards spend, visits and tiers like live ones but earn no points or referral bonuses.
+export class TransactionImporter {
+  constructor(mcdRcd) {
+    this.mcdRcd = mcdRcd;
+  }
+
+  get businessId() {
+    return this.mcdRcd.config.businessId;
+  }
+
+  // Streams the rows in, skipping orders whose orderId was already imported, then
+  // re-scores every customer that gained orders. A dry run only validates and counts.
+  async run(input, { format, dryRun = false } = {}) {
+    if (!IMPORT_FORMATS.includes(format)) {
+      throw httpError(400, `format must be one of: ${IMPORT_FORMATS.join(', ')}`);
+    }
+
+    const now = new Date();
+    const report = {
+      _id: new ObjectId(),
+      businessId: this.businessId,
+      format,
+      dryRun,
+      status: 'running',
+      rows: 0,
+      imported: 0,
+      duplicates: 0,
+      invalid: 0,
+      customersUpdated: 0,
+      errors: [],
+      errorsTruncated: false,
+      failure: null,
+      actor: getRequestContext()?.actor || null,
+      startedAt: now,
+      completedAt: null
+    };
+    const state = { seen: new Set(), emailHashes: new Map(), affected: new Set() };
+    let batch = [];
+
+    if (!dryRun) {
+      await getDB().collection('transactionImports').insertOne(report);
+    }
+
+    try {
+      for await (const { row, errors } of readImportRows(input, format)) {
+        report.rows += 1;
+        const parsed = errors ? { errors } : parseImportRow(row, now);
+
+        if (parsed.errors) {
+          report.invalid += 1;
+          if (report.errors.length < MAX_REPORTED_ERRORS) {
+            report.errors.push({ row: report.rows, orderId: row?.orderId ?? null, errors: parsed.errors });
+          } else {
+            report.errorsTruncated = true;
+          }
+          continue;
+        }
+
+        batch.push(parsed.order);
+        if (batch.length >= BATCH_SIZE) {
+          await this.writeBatch(batch, report, state);
+          batch = [];
+        }
+      }
+      await this.writeBatch(batch, report, state);
+
+      if (!dryRun) {
+        report.customersUpdated = await this.rescoreCustomers(state.affected);
+      }
+      report.status = 'completed';
+    } catch (error) {
+      // Batches already written stay; re-running the file skips them as duplicates
+      report.status = 'failed';
+      report.failure = error.message;
+    }
+
+    report.completedAt = new Date();
+    if (!dryRun) {
+      await getDB().collection('transactionImports').replaceOne({ _id: report._id }, report);
+    }
+
+    return report;
+  }
+
+  async writeBatch(orders, report, { seen, emailHashes, affected }) {
+    if (!orders.length) return;
+    const db = getDB();
+
+    const existing = new Set(await db.collection('transactions').distinct('externalOrderId', {
+      businessId: this.businessId,
+      externalOrderId: { $in: orders.map(({ orderId }) => orderId) }
+    }));
+    const fresh = orders.filter(({ orderId }) => {
+      if (existing.has(orderId) || seen.has(orderId)) return false;
+      seen.add(orderId);
+      return true;
+    });
+    report.duplicates += orders.length - fresh.length;
+
+    if (report.dryRun || !fresh.length) {
+      if (report.dryRun) report.imported += fresh.length;
+      return;
+    }
+
+    // Orders for linked or merged emails belong to the customer the email resolves to
+    for (const { email } of fresh) {
+      if (!emailHashes.has(email)) {
+        emailHashes.set(email, await this.mcdRcd.identities.resolveEmailHash(email));
+      }
+    }
+
+    const transactions = fresh.map(order => this.buildTransaction(order, emailHashes.get(order.email), report._id));
+
+    // Upserts keyed by orderId pick up orders another import wrote since the check above
+    const result = await db.collection('transactions').bulkWrite(transactions.map(transaction => ({
+      updateOne: {
+        filter: { businessId: this.businessId, externalOrderId: transaction.externalOrderId },
+        update: { $setOnInsert: transaction },
+        upsert: true
+      }
+    })));
+    const inserted = Object.keys(result.upsertedIds).map(index => transactions[index]);
+    report.imported += inserted.length;
+    report.duplicates += transactions.length - inserted.length;
+
+    await this.upsertCustomers(inserted, fresh);
+    for (const { customerEmailHash } of inserted) {
+      affected.add(customerEmailHash);
+    }
+  }
+
+  // Same shape as a live transaction, marked with where it came from
+  buildTransaction({ orderId, amount, timestamp, productIds, productCategories }, emailHash, importId) {
+    const season = this.mcdRcd.getSeason(timestamp);
+
+    return {
+      _id: new ObjectId(),
+      businessId: this.businessId,
+      customerEmailHash: emailHash,
+      amount,
+      netAmount: amount,
+      refundedAmount: 0,
+      status: 'completed',
+      timestamp,
+      discountApplied: 0,
+      quoteId: null,
+      promotion: null,
+      pointsRedeemed: 0,
+      pointsValue: 0,
+      referralCodeUsed: null,
+      productIds,
+      productCategories,
+      touchpoints: [],
+      season: season.season,
+      seasonalMultiplier: season.multiplier,
+      externalOrderId: orderId,
+      source: 'import',
+      importId,
+      importedAt: new Date()
+    };
+  }
+
+  // Creates customers seen for the first time and widens the purchase dates of existing ones
+  async upsertCustomers(transactions, orders) {
+    if (!transactions.length) return;
+    const db = getDB();
+    const emails = new Map(orders.map(({ orderId, email }) => [orderId, email]));
+    const customers = new Map();
+
+    for (const { customerEmailHash, externalOrderId, timestamp } of transactions) {
+      const customer = customers.get(customerEmailHash);
+      if (!customer) {
+        customers.set(customerEmailHash, { email: emails.get(externalOrderId), first: timestamp, last: timestamp });
+      } else {
+        if (timestamp < customer.first) customer.first = timestamp;
+        if (timestamp > customer.last) customer.last = timestamp;
+      }
+    }
+
+    await db.collection('customers').bulkWrite([...customers].map(([emailHash, { email, first, last }]) => ({
+      updateOne: {
+        filter: { businessId: this.businessId, emailHash },
+        update: {
+          $setOnInsert: {
+            businessId: this.businessId,
+            emailHash,
+            emailEncrypted: encryptPII(email),
+            totalSpend365: 0,
+            purchaseCount365: 0,
+            currentDiscountPercentage: 0,
+            referralCode: this.mcdRcd.generateReferralCode(emailHash),
+            referralCount: 0,
+            loyaltyTier: 'new',
+            customerSegment: this.mcdRcd.determineCustomerSegment(null, null, true),
+            createdAt: new Date()
+          },
+          $min: { firstPurchaseDate: first },
+          $max: { lastPurchaseDate: last }
+        },
+        upsert: true
+      }
+    })));
+  }
+
+  // One re-score per customer after all rows are in, rather than one per order
+  async rescoreCustomers(emailHashes) {
+    const db = getDB();
+    const hashes = [...emailHashes];
+    let updated = 0;
+
+    for (let start = 0; start < hashes.length; start += BATCH_SIZE) {
+      const customers = await db.collection('customers')
+        .find({ businessId: this.businessId, emailHash: { $in: hashes.slice(start, start + BATCH_SIZE) } })
+        .toArray();
+
+      for (const customer of customers) {
+        await this.mcdRcd.updateCustomerVector(customer, null, 'import');
+        updated += 1;
+      }
+    }
+
+    return updated;
+  }
+
+  async get(id) {
+    const db = getDB();
+    const report = ObjectId.isValid(id)
+      ? await db.collection('transactionImports').findOne({ _id: new ObjectId(id), businessId: this.businessId })
+      : null;
+
+    if (!report) {
+      throw httpError(404, 'Import not found');
+    }
+    return report;
+  }
+}
@@ -0,0 +1,359 @@
+import crypto from 'crypto';
+import dns from 'dns';
+import net from 'net';
+import mongoose from 'mongoose';
+import { getDB } from '../config/database.js';
+import { httpError } from '../utils/httpError.js';
+import { TIER_EVENTS } from './tierLifecycle.js';
+
+const { ObjectId } = mongoose.Types;
+
+export const WEBHOOK_EVENTS = [
+  'mcd.multiplier-changed',
+  ...TIER_EVENTS.map(event => `tier.${event}`),
+  'referral.bonus-granted'
+];
+
+export const DELIVERY_STATUSES = ['pending', 'delivered', 'dead'];
+
+// Receivers recompute HMAC-SHA256(secret, `${timestamp}.${body}`) and compare it with
+// the x-webhook-signature header; the timestamp lets them reject replays
+export const signWebhookPayload = (secret, timestamp, body) => `sha256=${crypto
+  .createHmac('sha256', secret)
+  .update(`${timestamp}.${body}`)
+  .digest('hex')}`;
+
+// Seconds to wait before retry number `attempt` (1-based): doubles each time, capped
+export const getRetryDelaySeconds = (attempt, { retryBaseSeconds, retryMaxSeconds }) => Math.min(
+  retryMaxSeconds,
+  retryBaseSeconds * 2 ** Math.max(0, attempt - 1)
+);
+
+// Loopback, private, link-local (cloud metadata) and other non-public ranges. A webhook
+// URL is chosen by the tenant and its response status is shown back to them, so it
+// must not reach anything on our own network.
+const INTERNAL_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => INTERNAL_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => INTERNAL_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+const INTERNAL_HOSTNAMES = ['localhost', '.localhost', '.local', '.internal'];
+
+// IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are matched against the IPv4 ranges
+export const isInternalAddress = (address) => {
+  const family = net.isIP(address);
+  return family !== 0 && INTERNAL_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+// Host part of a URL (IPv6 without brackets) when it names an internal address or host
+export const isInternalHost = (hostname) => {
+  const host = hostname.replace(/^\[|\]$/g, '').replace(/\.$/, '').toLowerCase();
+  return isInternalAddress(host) ||
+    INTERNAL_HOSTNAMES.some(name => (name.startsWith('.') ? host.endsWith(name) : host === name));
+};
+
+// A public hostname can still resolve to an internal address, so deliveries check what
+// it resolves to right before sending
+const resolvesToInternalAddress = async (hostname) => {
+  const host = hostname.replace(/^\[|\]$/g, '');
+  if (isInternalHost(host)) return true;
+  if (net.isIP(host)) return false;
+  const addresses = await dns.promises.lookup(host, { all: true });
+  return addresses.some(({ address }) => isInternalAddress(address));
+};
+
+const toObjectId = (id, label) => {
+  if (!ObjectId.isValid(id)) {
+    throw httpError(404, `${label} not found`);
+  }
+  return new ObjectId(id);
+};
+
+// Per-tenant webhook subscriptions (`webhooks`) and their delivery queue
+// (`webhookDeliveries`). Events are queued when they happen and sent by the
+// webhook-delivery job, so a slow or failing receiver never holds up pricing.
+export class WebhookManager {
+  constructor(mcdRcd) {
+    this.mcdRcd = mcdRcd;
+  }
+
+  get businessId() {
+    return this.mcdRcd.config.businessId;
+  }
+
+  get rules() {
+    return this.mcdRcd.config.webhooks;
+  }
+
+  validate(fields, existing = {}) {
+    const merged = { ...existing, ...fields };
+
+    let url;
+    try {
+      url = new URL(merged.url);
+    } catch (error) {
+      throw httpError(400, 'A valid url is required');
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      throw httpError(400, 'url must use http or https');
+    }
+    if (url.protocol !== 'https:' && process.env.NODE_ENV !== 'development') {
+      throw httpError(400, 'url must use https');
+    }
+    if (isInternalHost(url.hostname)) {
+      throw httpError(400, 'url must not point to a private or local address');
+    }
+
+    if (!Array.isArray(merged.events) || merged.events.length === 0) {
+      throw httpError(400, 'events must be a non-empty array');
+    }
+    const unknown = merged.events.filter(event => event !== '*' && !WEBHOOK_EVENTS.includes(event));
+    if (unknown.length) {
+      throw httpError(400, `Unknown events: ${unknown.join(', ')}. Use '*' or any of: ${WEBHOOK_EVENTS.join(', ')}`);
+    }
+
+    if (merged.active !== undefined && typeof merged.active !== 'boolean') {
+      throw httpError(400, 'active must be a boolean');
+    }
+  }
+
+  // The signing secret is only returned when the webhook is created
+  async list() {
+    const db = getDB();
+    return await db.collection('webhooks')
+      .find({ businessId: this.businessId }, { projection: { secret: 0 } })
+      .sort({ createdAt: -1 })
+      .toArray();
+  }
+
+  async get(id) {
+    const db = getDB();
+    const webhook = await db.collection('webhooks').findOne(
+      { _id: toObjectId(id, 'Webhook'), businessId: this.businessId },
+      { projection: { secret: 0 } }
+    );
+
+    if (!webhook) {
+      throw httpError(404, 'Webhook not found');
+    }
+    return webhook;
+  }
+
+  async create({ url, events, description = null, active = true }) {
+    const db = getDB();
+    this.validate({ url, events, active });
+
+    const webhook = {
+      businessId: this.businessId,
+      url,
+      events,
+      description,
+      active,
+      secret: crypto.randomBytes(32).toString('hex'),
+      createdAt: new Date(),
+      updatedAt: new Date()
+    };
+
+    await db.collection('webhooks').insertOne(webhook);
+    return webhook;
+  }
+
+  async update(id, fields) {
+    const db = getDB();
+    const existing = await this.get(id);
+
+    const changes = {};
+    ['url', 'events', 'description', 'active'].forEach((field) => {
+      if (fields[field] !== undefined) changes[field] = fields[field];
+    });
+    this.validate(changes, existing);
+
+    const update = { ...changes, updatedAt: new Date() };
+    await db.collection('webhooks').updateOne({ _id: existing._id }, { $set: update });
+
+    return { ...existing, ...update };
+  }
+
+  // Queued deliveries for the webhook are dropped with it
+  async remove(id) {
+    const db = getDB();
+    const _id = toObjectId(id, 'Webhook');
+    const result = await db.collection('webhooks').deleteOne({ _id, businessId: this.businessId });
+
+    if (!result.deletedCount) {
+      throw httpError(404, 'Webhook not found');
+    }
+
+    await db.collection('webhookDeliveries').deleteMany({ businessId: this.businessId, webhookId: _id, status: 'pending' });
+  }
+
+  // Queues `event` for every active subscription that wants it. Never throws: a
+  // webhook problem mustn't fail the purchase or recalculation that raised the event.
+  async publish(event, data) {
+    try {
+      const db = getDB();
+      const subscriptions = await db.collection('webhooks')
+        .find({ businessId: this.businessId, active: true, events: { $in: [event, '*'] } }, { projection: { _id: 1 } })
+        .toArray();
+
+      if (!subscriptions.length) return 0;
+
+      const now = new Date();
+      const payload = {
+        id: crypto.randomUUID(),
+        event,
+        businessId: this.businessId,
+        createdAt: now.toISOString(),
+        data
+      };
+
+      await db.collection('webhookDeliveries').insertMany(subscriptions.map(({ _id }) => ({
+        businessId: this.businessId,
+        webhookId: _id,
+        event,
+        payload,
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: now,
+        lastAttemptAt: null,
+        lastError: null,
+        responseStatus: null,
+        createdAt: now
+      })));
+
+      return subscriptions.length;
+    } catch (error) {
+      console.error(`Webhook publish error (${event}):`, error);
+      return 0;
+    }
+  }
+
+  async listDeliveries({ status, webhookId, limit = 50, skip = 0 } = {}) {
+    const db = getDB();
+    const query = { businessId: this.businessId };
+
+    if (status) query.status = status;
+    if (webhookId) query.webhookId = toObjectId(webhookId, 'Webhook');
+
+    const [deliveries, total] = await Promise.all([
+      db.collection('webhookDeliveries')
+        .find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .toArray(),
+      db.collection('webhookDeliveries').countDocuments(query)
+    ]);
+
+    return { deliveries, total };
+  }
+
+  // Sends every delivery that is due; called by the webhook-delivery job
+  async deliverDue({ limit = 100 } = {}) {
+    const db = getDB();
+    const due = await db.collection('webhookDeliveries')
+      .find({ businessId: this.businessId, status: 'pending', nextAttemptAt: { $lte: new Date() } })
+      .sort({ nextAttemptAt: 1 })
+      .limit(limit)
+      .toArray();
+
+    const outcome = { delivered: 0, retrying: 0, dead: 0 };
+    for (const delivery of due) {
+      const result = await this.deliver(delivery);
+      if (result?.status === 'delivered') outcome.delivered += 1;
+      else if (result?.status === 'dead') outcome.dead += 1;
+      else if (result) outcome.retrying += 1;
+    }
+
+    return outcome;
+  }
+
+  // One attempt at a pending delivery. The claim pushes nextAttemptAt past the request
+  // timeout, so a redelivery racing the job can't send it twice. Returns the updated
+  // delivery, or null when someone else claimed it first.
+  async deliver(delivery) {
+    const db = getDB();
+    const now = new Date();
+    const timeoutMs = this.rules.timeoutSeconds * 1000;
+
+    const claimed = await db.collection('webhookDeliveries').findOneAndUpdate(
+      { _id: delivery._id, status: 'pending', nextAttemptAt: { $lte: now } },
+      { $set: { nextAttemptAt: new Date(now.getTime() + 2 * timeoutMs) } },
+      { returnDocument: 'after' }
+    );
+    if (!claimed) return null;
+
+    const webhook = await db.collection('webhooks').findOne({ _id: claimed.webhookId, businessId: this.businessId });
+
+    let error = null;
+    let responseStatus = null;
+    if (!webhook || !webhook.active) {
+      error = webhook ? 'webhook-disabled' : 'webhook-removed';
+    } else {
+      const body = JSON.stringify(claimed.payload);
+      const timestamp = Math.floor(now.getTime() / 1000);
+
+      try {
+        if (await resolvesToInternalAddress(new URL(webhook.url).hostname)) {
+          throw new Error('blocked-address');
+        }
+
+        // Redirects are not followed: they could lead to an internal address
+        const response = await fetch(webhook.url, {
+          method: 'POST',
+          redirect: 'manual',
+          headers: {
+            'content-type': 'application/json',
+            'x-webhook-id': String(claimed._id),
+            'x-webhook-event': claimed.event,
+            'x-webhook-timestamp': String(timestamp),
+            'x-webhook-signature': signWebhookPayload(webhook.secret, timestamp, body)
+          },
+          body,
+          signal: AbortSignal.timeout(timeoutMs)
+        });
+        responseStatus = response.status;
+        if (!response.ok) error = `HTTP ${response.status}`;
+      } catch (requestError) {
+        error = requestError.name === 'TimeoutError' ? 'timeout' : requestError.message;
+      }
+    }
+
+    const attempts = claimed.attempts + 1;
+    const update = { attempts, lastAttemptAt: now, lastError: error, responseStatus };
+
+    if (!error) {
+      Object.assign(update, { status: 'delivered', deliveredAt: new Date() });
+    } else if (!webhook || !webhook.active || attempts >= this.rules.maxAttempts) {
+      // Dead letters stay until someone redelivers them
+      Object.assign(update, { status: 'dead', deadAt: new Date() });
+    } else {
+      update.nextAttemptAt = new Date(now.getTime() + getRetryDelaySeconds(attempts, this.rules) * 1000);
+    }
+
+    await db.collection('webhookDeliveries').updateOne({ _id: claimed._id }, { $set: update });
+    return { ...claimed, ...update };
+  }
+
+  // Puts a dead (or already delivered) delivery back in the queue with a fresh set
+  // of attempts and sends it straight away
+  async redeliver(id) {
+    const db = getDB();
+    const requeued = await db.collection('webhookDeliveries').findOneAndUpdate(
+      { _id: toObjectId(id, 'Delivery'), businessId: this.businessId, status: { $in: ['dead', 'delivered'] } },
+      { $set: { status: 'pending', attempts: 0, nextAttemptAt: new Date(), redeliveredAt: new Date() } },
+      { returnDocument: 'after' }
+    );
+
+    if (!requeued) {
+      const exists = await db.collection('webhookDeliveries').countDocuments({ _id: new ObjectId(id), businessId: this.businessId });
+      throw exists ? httpError(409, 'Delivery is already queued') : httpError(404, 'Delivery not found');
+    }
+
+    return await this.deliver(requeued) || requeued;
+  }
+}
@@ -0,0 +1,156 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import { getDB } from '../config/database.js';
+import { httpError } from '../utils/httpError.js';
+
+const { ObjectId } = mongoose.Types;
+
+export const ROLES = ['pricing:read', 'ingest:write', 'analytics:read', 'admin'];
+
+const KEY_PREFIX = 'trk_';
+
+// Longest a rotated key may keep working alongside its replacement
+export const MAX_GRACE_MINUTES = 7 * 24 * 60;
+
+// Keys are 192 random bits, so a plain SHA-256 is enough to store them safely
+export const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+const generateKey = () => `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+
+// Never hand the hash back to callers
+const toPublicKey = ({ keyHash, ...record }) => record;
+
+export const validateRoles = (roles) => {
+  if (!Array.isArray(roles) || !roles.length) {
+    throw new Error('At least one role is required');
+  }
+
+  const unknown = roles.filter(role => !ROLES.includes(role));
+  if (unknown.length) {
+    throw new Error(`Unknown roles: ${unknown.join(', ')}`);
+  }
+};
+
+export const createApiKey = async ({ name, businessId = null, roles, expiresAt = null, rotatedFrom = null }) => {
+  const db = getDB();
+
+  if (!name) {
+    throw new Error('Key name is required');
+  }
+  validateRoles(roles);
+
+  const key = generateKey();
+  const record = {
+    name,
+    businessId,
+    roles,
+    keyHash: hashApiKey(key),
+    keyPrefix: key.substring(0, KEY_PREFIX.length + 6),
+    status: 'active',
+    expiresAt: expiresAt ? new Date(expiresAt) : null,
+    rotatedFrom,
+    lastUsedAt: null,
+    createdAt: new Date()
+  };
+
+  await db.collection('apiKeys').insertOne(record);
+
+  // The plaintext key is only ever returned here
+  return { key, apiKey: toPublicKey(record) };
+};
+
+export const findActiveApiKey = async (key) => {
+  const db = getDB();
+  const now = new Date();
+
+  const record = await db.collection('apiKeys').findOne({
+    keyHash: hashApiKey(key),
+    status: 'active',
+    $or: [
+      { expiresAt: null },
+      { expiresAt: { $gt: now } }
+    ]
+  });
+
+  if (!record) return null;
+
+  db.collection('apiKeys')
+    .updateOne({ _id: record._id }, { $set: { lastUsedAt: now } })
+    .catch(error => console.error('API key usage update failed:', error));
+
+  return toPublicKey(record);
+};
+
+export const listApiKeys = async (businessId) => {
+  const db = getDB();
+
+  const keys = await db.collection('apiKeys')
+    .find({ businessId })
+    .sort({ createdAt: -1 })
+    .toArray();
+
+  return keys.map(toPublicKey);
+};
+
+const findKeyForTenant = async (id, businessId) => {
+  const db = getDB();
+  if (!ObjectId.isValid(id)) return null;
+
+  return await db.collection('apiKeys').findOne({ _id: new ObjectId(id), businessId });
+};
+
+// Issues a replacement key; the old one keeps working for the grace period,
+// but never past its own expiry. Expired keys can't be rotated.
+export const rotateApiKey = async (id, businessId, { graceMinutes = 0 } = {}) => {
+  const db = getDB();
+
+  if (!Number.isInteger(graceMinutes) || graceMinutes < 0 || graceMinutes > MAX_GRACE_MINUTES) {
+    throw httpError(400, `graceMinutes must be an integer between 0 and ${MAX_GRACE_MINUTES}`);
+  }
+
+  const now = new Date();
+  const existing = await findKeyForTenant(id, businessId);
+  if (!existing || existing.status !== 'active' || (existing.expiresAt && existing.expiresAt <= now)) {
+    return null;
+  }
+
+  const replacement = await createApiKey({
+    name: existing.name,
+    businessId: existing.businessId,
+    roles: existing.roles,
+    expiresAt: existing.expiresAt,
+    rotatedFrom: existing._id
+  });
+
+  const graceEndsAt = new Date(Math.min(
+    now.getTime() + graceMinutes * 60 * 1000,
+    existing.expiresAt ? existing.expiresAt.getTime() : Infinity
+  ));
+  await db.collection('apiKeys').updateOne(
+    { _id: existing._id },
+    {
+      $set: {
+        expiresAt: graceEndsAt,
+        rotatedTo: replacement.apiKey._id,
+        rotatedAt: now
+      }
+    }
+  );
+
+  return replacement;
+};
+
+export const revokeApiKey = async (id, businessId) => {
+  const db = getDB();
+
+  const existing = await findKeyForTenant(id, businessId);
+  if (!existing) return null;
+
+  const revokedAt = new Date();
+  await db.collection('apiKeys').updateOne(
+    { _id: existing._id },
+    { $set: { status: 'revoked', revokedAt } }
+  );
+
+  return toPublicKey({ ...existing, status: 'revoked', revokedAt });
+};
@@ -0,0 +1,97 @@
+// Marketing attribution: splits a transaction's revenue across the touchpoints
+// (source, medium, campaignId, timestamp) that led to it.
+
+export const ATTRIBUTION_MODELS = ['last-touch', 'first-touch', 'linear', 'time-decay', 'position-based'];
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+export const isAttributionModel = (model) => ATTRIBUTION_MODELS.includes(model);
+
+// Validates raw touchpoints and returns them oldest first
+export const normalizeTouchpoints = (touchpoints = [], fallbackTimestamp = new Date()) => {
+  if (!Array.isArray(touchpoints)) {
+    throw new Error('Touchpoints must be an array');
+  }
+
+  return touchpoints
+    .map((touchpoint) => {
+      if (!touchpoint?.source) {
+        throw new Error('Every touchpoint needs a source');
+      }
+
+      const timestamp = touchpoint.timestamp ? new Date(touchpoint.timestamp) : new Date(fallbackTimestamp);
+      if (isNaN(timestamp.getTime())) {
+        throw new Error(`Invalid touchpoint timestamp: ${touchpoint.timestamp}`);
+      }
+
+      return {
+        source: String(touchpoint.source).toLowerCase(),
+        medium: touchpoint.medium ? String(touchpoint.medium).toLowerCase() : null,
+        campaignId: touchpoint.campaignId ? String(touchpoint.campaignId) : null,
+        timestamp
+      };
+    })
+    .sort((a, b) => a.timestamp - b.timestamp);
+};
+
+// Credit share for each (chronologically ordered) touchpoint; shares sum to 1
+export const getTouchpointWeights = (touchpoints, model = 'last-touch', options = {}) => {
+  const count = touchpoints.length;
+  if (!count) return [];
+
+  switch (model) {
+    case 'first-touch':
+      return touchpoints.map((_, index) => (index === 0 ? 1 : 0));
+
+    case 'linear':
+      return touchpoints.map(() => 1 / count);
+
+    case 'time-decay': {
+      const { conversionTime = new Date(), halfLifeDays = 7 } = options;
+      const raw = touchpoints.map((touchpoint) => {
+        const ageDays = Math.max(0, (new Date(conversionTime) - new Date(touchpoint.timestamp)) / DAY_MS);
+        return Math.pow(0.5, ageDays / halfLifeDays);
+      });
+      const total = raw.reduce((sum, weight) => sum + weight, 0);
+      return raw.map(weight => weight / total);
+    }
+
+    case 'position-based': {
+      // 40% first, 40% last, remaining 20% spread across the middle
+      if (count === 1) return [1];
+      if (count === 2) return [0.5, 0.5];
+      const middleShare = 0.2 / (count - 2);
+      return touchpoints.map((_, index) => (index === 0 || index === count - 1 ? 0.4 : middleShare));
+    }
+
+    case 'last-touch':
+      return touchpoints.map((_, index) => (index === count - 1 ? 1 : 0));
+
+    default:
+      throw new Error(`Unknown attribution model: ${model}`);
+  }
+};
+
+export const attributeRevenue = (amount, touchpoints, model = 'last-touch', options = {}) => {
+  const weights = getTouchpointWeights(touchpoints, model, options);
+
+  return touchpoints.map((touchpoint, index) => ({
+    ...touchpoint,
+    credit: weights[index],
+    revenue: amount * weights[index]
+  }));
+};
+
+// Builds a touchpoint from UTM tags ({ utm_source, utm_medium, utm_campaign } or
+// the same keys without the utm_ prefix). Returns null when no source is tagged.
+export const touchpointFromUtm = (utm = {}, timestamp = new Date()) => {
+  const source = utm.utm_source || utm.source;
+  if (!source) return null;
+
+  return {
+    source,
+    medium: utm.utm_medium || utm.medium || null,
+    campaignId: utm.utm_campaign || utm.campaign || null,
+    timestamp
+  };
+};
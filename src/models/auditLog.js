@@ -0,0 +1,80 @@
+import { getDB } from '../config/database.js';
+import { getRequestContext } from '../middleware/requestContext.js';
+
+// Append-only history of pricing decisions and discount changes. Entries are only
+// ever inserted; the one exception is a right-to-erasure request, which replaces the
+// customer's email hash with a pseudonym (see PrivacyManager).
+
+export const AUDIT_ENTITY_TYPES = ['mcd-multiplier', 'customer-discount', 'referral-bonus', 'platform-weight', 'customer-privacy', 'customer-identity'];
+
+// Writes one entry. The actor comes from the current request or job context.
+// Failures are logged rather than thrown so auditing never blocks a pricing write.
+export const recordAudit = async ({
+  businessId,
+  entityType,
+  entityId = null,
+  customerEmailHash = null,
+  action,
+  before = null,
+  after = null,
+  cause = null,
+  details = {}
+}) => {
+  const context = getRequestContext();
+
+  try {
+    const db = getDB();
+    await db.collection('auditLog').insertOne({
+      businessId,
+      entityType,
+      entityId,
+      customerEmailHash,
+      action,
+      before,
+      after,
+      cause,
+      details,
+      actor: context?.actor || { type: 'system', name: null },
+      requestId: context?.requestId || null,
+      timestamp: new Date()
+    });
+  } catch (error) {
+    console.error('Audit log write failed:', error);
+  }
+};
+
+// customerEmailHash may be a list, e.g. a customer and the customers merged into it
+export const queryAuditLog = async (businessId, {
+  customerEmailHash,
+  entityType,
+  entityId,
+  from,
+  to,
+  limit = 100,
+  skip = 0
+} = {}) => {
+  const db = getDB();
+  const query = { businessId };
+
+  if (Array.isArray(customerEmailHash)) query.customerEmailHash = { $in: customerEmailHash };
+  else if (customerEmailHash) query.customerEmailHash = customerEmailHash;
+  if (entityType) query.entityType = entityType;
+  if (entityId) query.entityId = entityId;
+  if (from || to) {
+    query.timestamp = {};
+    if (from) query.timestamp.$gte = from;
+    if (to) query.timestamp.$lte = to;
+  }
+
+  const [entries, total] = await Promise.all([
+    db.collection('auditLog')
+      .find(query)
+      .sort({ timestamp: -1 })
+      .skip(skip)
+      .limit(limit)
+      .toArray(),
+    db.collection('auditLog').countDocuments(query)
+  ]);
+
+  return { entries, total };
+};
@@ -0,0 +1,166 @@
+// Step-by-step explanation of how a price was reached, assembled from the values
+// calculateMCDMultiplier persists on priceAdjustments, the discount components
+// updateCustomerVector stores on the customer, and the per-unit pricing result.
+
+const round = (value, places = 2) => (
+  typeof value === 'number' ? Math.round(value * 10 ** places) / 10 ** places : value
+);
+
+const describeMCD = ({ enabled, multiplier, adjustment }) => {
+  if (!enabled) {
+    return { reason: 'mcd-disabled' };
+  }
+
+  if (!adjustment) {
+    return { reason: 'no-calculation-yet' };
+  }
+
+  const details = adjustment.calculationDetails || {};
+
+  return {
+    reason: details.reason || 'roi-adjusted',
+    calculatedAt: adjustment.effectiveFrom,
+    spendWindow: details.period || null,
+    rawSpend: round(details.rawSpend),
+    weightedSpend: round(adjustment.marketingSpendUsed),
+    minimumSpendThreshold: details.minimumSpendThreshold,
+    revenue: round(adjustment.revenueInPeriod),
+    roi: round(adjustment.roi, 3),
+    targetROI: details.targetROI,
+    rawMultiplier: round(details.rawMultiplier, 4),
+    previousMultiplier: round(details.previousMultiplier, 4),
+    decayedPrevious: round(details.decayedPrevious, 4),
+    smoothingFactor: details.smoothingFactor,
+    smoothedMultiplier: round(details.smoothedMultiplier, 4),
+    bounds: details.minMultiplier !== undefined
+      ? { min: details.minMultiplier, max: details.maxMultiplier }
+      : undefined,
+    clamped: details.smoothedMultiplier !== undefined
+      ? round(details.smoothedMultiplier, 4) !== round(multiplier, 4)
+      : undefined
+  };
+};
+
+const describeRCD = ({ customer, customerDiscount }) => {
+  if (!customer) {
+    return { reason: 'guest' };
+  }
+
+  const components = customer.discountComponents;
+  if (!components) {
+    return { reason: 'stored-discount', storedDiscount: customerDiscount };
+  }
+
+  if (components.reason) {
+    return components;
+  }
+
+  return {
+    reason: components.uncappedDiscount > components.maxDiscount ? 'capped-at-max-discount' : 'scored',
+    totalSpend365: round(components.totalSpend),
+    purchaseCount365: components.count,
+    recencyScore: round(components.recencyScore, 4),
+    spendComponent: round(components.spendComponent, 4),
+    frequencyComponent: round(components.frequencyComponent, 4),
+    recencyComponent: round(components.recencyComponent, 4),
+    weights: components.weights,
+    baseDiscount: round(components.baseDiscount * 100),
+    season: components.season,
+    seasonalMultiplier: components.seasonalMultiplier,
+    uncappedDiscount: components.uncappedDiscount,
+    maxDiscount: components.maxDiscount,
+    calculatedAt: customer.lastCalculated
+  };
+};
+
+const describePromotion = (promotion) => {
+  if (promotion.reason === 'rcd-discount-is-better') {
+    return 'Promo code is best-of with RCD and the customer discount was larger, so it was not applied';
+  }
+  if (promotion.freeShipping) return 'Promo code grants free shipping and leaves the price unchanged';
+  if (promotion.stacking === 'exclusive') return 'Promo code replaces the customer discount';
+  if (promotion.stacking === 'best-of') return 'Promo code was larger than the customer discount and replaces it';
+  return 'Promo code taken off the RCD-discounted price';
+};
+
+export const buildPriceTrace = ({
+  basePrice,
+  productCategory,
+  product = null,
+  categoryWeight,
+  mcd,
+  rcd,
+  unit
+}) => {
+  const rcdPrice = unit.priceAfterMCD - unit.discountAmount;
+  const discountedPrice = unit.discountedPrice ?? rcdPrice;
+
+  const steps = [
+    {
+      stage: 'mcd-multiplier',
+      description: 'Marketing Cost Displacement multiplier from recent spend and revenue',
+      inputs: describeMCD(mcd),
+      output: { multiplier: round(mcd.multiplier, 4) }
+    },
+    {
+      stage: 'apply-mcd',
+      description: product?.mcdEligible === false
+        ? 'Product is excluded from MCD, so the base price is kept'
+        : 'Base price multiplied by the MCD multiplier',
+      inputs: { basePrice, multiplier: round(unit.appliedMCDMultiplier, 4), sku: product?.sku },
+      output: { priceAfterMCD: round(unit.priceAfterMCD) }
+    },
+    {
+      stage: 'customer-discount',
+      description: 'Returning Customer Discount from spend, frequency and recency over the last 365 days',
+      inputs: describeRCD(rcd),
+      output: { discountPercentage: round(rcd.customerDiscount) }
+    },
+    {
+      stage: 'category-weight',
+      description: product?.rcdEligible === false
+        ? 'Product is excluded from RCD, so no discount applies'
+        : 'Customer discount scaled by the product category weight',
+      inputs: { productCategory, categoryWeight, discountPercentage: round(rcd.customerDiscount) },
+      output: { rcdDiscount: round(unit.rcdDiscount) }
+    },
+    {
+      stage: 'apply-discount',
+      description: 'Weighted discount taken off the MCD-adjusted price',
+      inputs: { priceAfterMCD: round(unit.priceAfterMCD), rcdDiscount: round(unit.rcdDiscount) },
+      output: { discountAmount: round(unit.discountAmount), discountedPrice: round(rcdPrice) }
+    },
+    unit.promotion && {
+      stage: 'promotion',
+      description: describePromotion(unit.promotion),
+      inputs: {
+        code: unit.promotion.code,
+        type: unit.promotion.type,
+        value: unit.promotion.value,
+        stacking: unit.promotion.stacking,
+        respectFloor: unit.promotion.respectFloor
+      },
+      output: {
+        promotionAmount: round(unit.promotionAmount),
+        discountedPrice: round(discountedPrice),
+        freeShipping: unit.promotion.freeShipping
+      }
+    },
+    {
+      stage: 'price-floor',
+      description: unit.floorApplied
+        ? 'Discounted price was below the minimum and was raised to the floor'
+        : 'Discounted price is above the minimum',
+      inputs: {
+        floorSource: product?.unitCost !== undefined && product?.unitCost !== null ? 'unit-cost' : 'default-ratio',
+        unitCost: product?.unitCost,
+        minMargin: product?.minMargin,
+        minPrice: round(unit.minPrice),
+        discountedPrice: round(discountedPrice)
+      },
+      output: { finalPrice: round(unit.finalPrice), floorApplied: unit.floorApplied }
+    }
+  ];
+
+  return steps.filter(Boolean).map((step, index) => ({ step: index + 1, ...step }));
+};
@@ -0,0 +1,77 @@
+// Pure calculations behind GET /api/analytics/referrals
+
+// Depth of every referred customer in the referral tree: 1 for customers referred
+// by someone who was not referred themselves, 2 for their referrals, and so on.
+// Edges are { referrerEmailHash, referredEmailHash }; cycles are cut where they close.
+// Pass customers to only count those, with the edges above them for their depth.
+export const computeReferralDepths = (edges, customers = null) => {
+  const referrerOf = new Map();
+  edges.forEach(({ referrerEmailHash, referredEmailHash }) => {
+    if (!referrerOf.has(referredEmailHash)) referrerOf.set(referredEmailHash, referrerEmailHash);
+  });
+
+  const depths = new Map();
+  const depthOf = (customer, visiting = new Set()) => {
+    if (depths.has(customer)) return depths.get(customer);
+    if (!referrerOf.has(customer) || visiting.has(customer)) return 0;
+
+    visiting.add(customer);
+    const depth = depthOf(referrerOf.get(customer), visiting) + 1;
+    depths.set(customer, depth);
+    return depth;
+  };
+
+  const counted = customers ? [...new Set(customers)] : [...referrerOf.keys()];
+  const distribution = {};
+  let maxDepth = 0;
+  counted.forEach((customer) => {
+    const depth = depthOf(customer);
+    if (!depth) return;
+    distribution[depth] = (distribution[depth] || 0) + 1;
+    maxDepth = Math.max(maxDepth, depth);
+  });
+
+  return {
+    maxDepth,
+    distribution: Object.entries(distribution)
+      .map(([depth, customers]) => ({ depth: Number(depth), customers }))
+      .sort((a, b) => a.depth - b.depth)
+  };
+};
+
+// Discount given away because of referral bonuses. A bonus raises the referrer's
+// discount until it is next re-scored, which happens on their next purchase, so each
+// grant is charged to that purchase: the bonus points (up to the discount actually
+// applied) on the pre-discount price. Grants clawed back before that purchase cost nothing.
+// Re-scoring without a purchase also drops the bonus, so this is an upper bound.
+export const estimateBonusCost = (grants, transactions) => {
+  const byReferrer = new Map();
+  transactions.forEach((transaction) => {
+    const list = byReferrer.get(transaction.customerEmailHash) || [];
+    list.push(transaction);
+    byReferrer.set(transaction.customerEmailHash, list);
+  });
+  byReferrer.forEach(list => list.sort((a, b) => a.timestamp - b.timestamp));
+
+  const pendingPoints = new Map();
+  grants.forEach((grant) => {
+    const next = (byReferrer.get(grant.referrerEmailHash) || [])
+      .find(transaction => transaction.timestamp > grant.grantedAt);
+
+    if (!next) return;
+    if (grant.clawedBackAt && grant.clawedBackAt <= next.timestamp) return;
+
+    pendingPoints.set(next, (pendingPoints.get(next) || 0) + grant.bonusApplied);
+  });
+
+  let cost = 0;
+  pendingPoints.forEach((points, transaction) => {
+    const discount = transaction.discountApplied || 0;
+    if (discount <= 0 || discount >= 100) return;
+
+    const amount = transaction.netAmount ?? transaction.amount;
+    cost += amount * Math.min(points, discount) / (100 - discount);
+  });
+
+  return Math.round(cost * 100) / 100;
+};
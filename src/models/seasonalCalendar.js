@@ -0,0 +1,96 @@
+// Seasonal calendar: named date ranges that scale RCD discounts.
+//
+// Recurring seasons use MM-DD bounds and repeat every year (a range may wrap
+// past New Year, e.g. 12-20 to 01-05). One-off seasons use YYYY-MM-DD bounds.
+// Both bounds are inclusive and evaluated in the calendar's timezone.
+
+export const OVERLAP_RULES = ['priority', 'highest', 'lowest'];
+
+export const RECURRING_DATE_PATTERN = '^(0[1-9]|1[0-2])-(0[1-9]|[12][0-9]|3[01])$';
+export const ONE_OFF_DATE_PATTERN = '^\\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12][0-9]|3[01])$';
+
+const getServerTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+// Matches the previous hardcoded month/day checks; multipliers come from rcd.seasonalMultipliers
+export const getDefaultSeasonalCalendar = () => ({
+  timezone: process.env.SEASONAL_TIMEZONE || getServerTimeZone(),
+  overlap: 'priority',
+  seasons: [
+    { name: 'christmas', start: '12-21', end: '12-31', recurring: true, priority: 3 },
+    { name: 'black-friday', start: '11-21', end: '11-30', recurring: true, priority: 2 },
+    { name: 'summer', start: '06-01', end: '09-30', recurring: true, priority: 1 }
+  ]
+});
+
+export const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Calendar date (YYYY-MM-DD) of an instant in the given timezone
+export const getLocalDate = (date, timeZone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' })
+      .formatToParts(date)
+      .map(part => [part.type, part.value])
+  );
+  return `${parts.year}-${parts.month}-${parts.day}`;
+};
+
+export const seasonIncludes = (season, localDate) => {
+  if (!season.recurring) {
+    return season.start <= localDate && localDate <= season.end;
+  }
+
+  const monthDay = localDate.substring(5);
+  return season.start <= season.end
+    ? season.start <= monthDay && monthDay <= season.end
+    : monthDay >= season.start || monthDay <= season.end;
+};
+
+// Seasons whose range contains the date, with their multipliers resolved
+export const getActiveSeasons = (calendar, date = new Date(), multipliers = {}) => {
+  const localDate = getLocalDate(new Date(date), calendar.timezone);
+
+  return (calendar.seasons || [])
+    .filter(season => seasonIncludes(season, localDate))
+    .map(season => ({
+      ...season,
+      priority: season.priority || 0,
+      multiplier: season.multiplier ?? multipliers[season.name] ?? multipliers.default ?? 1.0
+    }));
+};
+
+// Picks the season that applies on a date. Overlaps are settled by the calendar's
+// rule: highest priority (first listed wins ties), or the highest / lowest multiplier.
+export const resolveSeason = (calendar, date = new Date(), multipliers = {}) => {
+  const matches = getActiveSeasons(calendar, date, multipliers);
+  const localDate = getLocalDate(new Date(date), calendar.timezone);
+
+  const compare = {
+    priority: (a, b) => b.priority - a.priority,
+    highest: (a, b) => b.multiplier - a.multiplier,
+    lowest: (a, b) => a.multiplier - b.multiplier
+  }[calendar.overlap || 'priority'];
+
+  if (!compare) {
+    throw new Error(`Unknown overlap rule: ${calendar.overlap}`);
+  }
+
+  // Array.prototype.sort is stable, so ties keep calendar order
+  const [winner] = [...matches].sort(compare);
+
+  return {
+    date: new Date(date),
+    localDate,
+    timezone: calendar.timezone,
+    season: winner?.name || 'default',
+    multiplier: winner ? winner.multiplier : (multipliers.default ?? 1.0),
+    overlapRule: calendar.overlap || 'priority',
+    matches: matches.map(({ name, priority, multiplier }) => ({ name, priority, multiplier }))
+  };
+};
@@ -0,0 +1,92 @@
+// Spreads a marketing spend entry over its flight dates, so a window that covers part
+// of a campaign only sees that part of its spend. Entries are amortised by UTC day:
+// `date` is the first day and `endDate` the last, both inclusive. Entries without an
+// endDate are a single point in time at `date`.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Longest flight a single entry may be spread over
+export const MAX_FLIGHT_DAYS = 366;
+
+export const startOfUTCDay = date => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+export const flightDays = (date, endDate) => Math.round((startOfUTCDay(endDate) - startOfUTCDay(date)) / DAY_MS) + 1;
+
+// Stretches or squeezes a curve of relative weights to one weight per day, keeping its
+// shape: each day takes the area of the curve that falls in its share of the flight
+export const resampleCurve = (curve, days) => {
+  const scale = curve.length / days;
+
+  return Array.from({ length: days }, (_, day) => {
+    const from = day * scale;
+    const to = (day + 1) * scale;
+    let weight = 0;
+
+    for (let index = Math.floor(from); index < Math.min(curve.length, Math.ceil(to)); index++) {
+      weight += curve[index] * (Math.min(to, index + 1) - Math.max(from, index));
+    }
+    return weight;
+  });
+};
+
+// Problems with a flight and curve; empty when they are valid
+export const validateAmortization = ({ date, endDate = null, curve = null }) => {
+  const errors = [];
+
+  if (endDate) {
+    const days = flightDays(date, endDate);
+    if (days < 1) errors.push('endDate must not be before startDate');
+    if (days > MAX_FLIGHT_DAYS) errors.push(`flight must not be longer than ${MAX_FLIGHT_DAYS} days`);
+  }
+
+  if (curve !== null) {
+    if (!endDate) errors.push('amortizationCurve needs an endDate');
+    if (!Array.isArray(curve) || !curve.length || curve.length > MAX_FLIGHT_DAYS ||
+        !curve.every(weight => Number.isFinite(weight) && weight >= 0) ||
+        !curve.some(weight => weight > 0)) {
+      errors.push(`amortizationCurve must be 1 to ${MAX_FLIGHT_DAYS} non-negative weights, at least one above 0`);
+    }
+  }
+
+  return errors;
+};
+
+// The spend per day of the flight, evenly or following the entry's curve
+export const spendSlices = ({ amount, date, endDate = null, amortizationCurve = null }) => {
+  if (!endDate) return [{ start: date, end: date, amount }];
+
+  const first = startOfUTCDay(date);
+  const days = Math.max(1, flightDays(date, endDate));
+  const weights = amortizationCurve?.length ? resampleCurve(amortizationCurve, days) : new Array(days).fill(1);
+  const total = weights.reduce((sum, weight) => sum + weight, 0) || days;
+
+  return weights.map((weight, day) => ({
+    start: new Date(first.getTime() + day * DAY_MS),
+    end: new Date(first.getTime() + (day + 1) * DAY_MS),
+    amount: amount * weight / total
+  }));
+};
+
+// The slices that fall within [start, end], clipped to it; partial days count pro rata
+export const amortizeSpend = (spend, start, end) => spendSlices(spend).flatMap((slice) => {
+  if (slice.start.getTime() === slice.end.getTime()) {
+    return slice.start >= start && slice.start <= end ? [{ date: slice.start, amount: slice.amount }] : [];
+  }
+
+  const overlap = Math.min(slice.end, end) - Math.max(slice.start, start);
+  if (overlap <= 0) return [];
+  return [{ date: new Date(Math.max(slice.start, start)), amount: slice.amount * overlap / (slice.end - slice.start) }];
+});
+
+// Query for entries whose flight overlaps [start, end]. A flight runs until the end of its last day.
+export const spendOverlapQuery = (start, end = new Date()) => ({
+  date: { $lte: end },
+  $or: [
+    { endDate: { $gt: new Date(start.getTime() - DAY_MS) } },
+    { endDate: null, date: { $gte: start } }
+  ]
+});
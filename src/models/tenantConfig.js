@@ -0,0 +1,178 @@
+import { getDB } from '../config/database.js';
+import { validateTenantConfig } from '../config/configSchema.js';
+import { httpError } from '../utils/httpError.js';
+
+// Current overrides live on the tenant record ({ businessId, config, configVersion });
+// every change is also appended to tenantConfigVersions so it can be diffed or restored.
+
+// One tenant record per business. The first versioned write upserts it, so the index
+// is what stops two concurrent first writes from creating a record each.
+let tenantIndex = null;
+const ensureTenantIndex = (db) => {
+  tenantIndex ||= db.collection('tenants')
+    .createIndex({ businessId: 1 }, { unique: true })
+    .catch((error) => {
+      tenantIndex = null;
+      throw error;
+    });
+  return tenantIndex;
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Leaf-level differences between two config objects, as { path, from, to }
+export const diffConfigs = (from = {}, to = {}, prefix = '') => {
+  const keys = [...new Set([...Object.keys(from || {}), ...Object.keys(to || {})])].sort();
+
+  return keys.flatMap((key) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    const before = from?.[key];
+    const after = to?.[key];
+
+    if (isPlainObject(before) && isPlainObject(after)) {
+      return diffConfigs(before, after, path);
+    }
+
+    if (JSON.stringify(before) === JSON.stringify(after)) return [];
+
+    return [{ path, from: before, to: after }];
+  });
+};
+
+export const getTenantConfig = async (businessId) => {
+  const db = getDB();
+  const tenant = await db.collection('tenants').findOne({ businessId });
+
+  return {
+    businessId,
+    version: tenant?.configVersion || 0,
+    config: tenant?.config || {},
+    updatedAt: tenant?.configUpdatedAt || null,
+    updatedBy: tenant?.configUpdatedBy || null
+  };
+};
+
+export const getTenantConfigVersion = async (businessId) => {
+  const db = getDB();
+  const tenant = await db.collection('tenants').findOne(
+    { businessId },
+    { projection: { configVersion: 1 } }
+  );
+  return tenant?.configVersion || 0;
+};
+
+export const listConfigVersions = async (businessId, { limit = 50 } = {}) => {
+  const db = getDB();
+
+  return await db.collection('tenantConfigVersions')
+    .find({ businessId })
+    .sort({ version: -1 })
+    .limit(limit)
+    .toArray();
+};
+
+export const getConfigVersion = async (businessId, version) => {
+  const db = getDB();
+  return await db.collection('tenantConfigVersions').findOne({ businessId, version });
+};
+
+// Replaces the tenant's overrides with `config` as a new version.
+// Pass expectedVersion to fail with 409 if someone else changed it first.
+export const updateTenantConfig = async (businessId, config, {
+  actor = null,
+  reason = null,
+  expectedVersion,
+  action = 'update',
+  restoredFrom = null
+} = {}) => {
+  const db = getDB();
+
+  if (!isPlainObject(config)) {
+    throw httpError(400, 'config must be an object');
+  }
+
+  const errors = validateTenantConfig(config);
+  if (errors.length) {
+    throw Object.assign(httpError(400, `Invalid config: ${errors.join('; ')}`), { details: errors });
+  }
+
+  const current = await getTenantConfig(businessId);
+  if (expectedVersion !== undefined && expectedVersion !== current.version) {
+    throw httpError(409, `Config is at version ${current.version}, expected ${expectedVersion}`);
+  }
+
+  const version = current.version + 1;
+  const changedAt = new Date();
+
+  // Records written before versioning have no configVersion, which matches null
+  await ensureTenantIndex(db);
+  let result;
+  try {
+    result = await db.collection('tenants').updateOne(
+      { businessId, configVersion: current.version ? current.version : { $in: [null, 0] } },
+      {
+        $set: {
+          config,
+          configVersion: version,
+          configUpdatedAt: changedAt,
+          configUpdatedBy: actor
+        }
+      },
+      { upsert: !current.version }
+    );
+  } catch (error) {
+    // Another first write created the record between our read and upsert
+    if (error.code === 11000) throw httpError(409, 'Config was changed concurrently, reload and retry');
+    throw error;
+  }
+
+  if (!result.matchedCount && !result.upsertedCount) {
+    throw httpError(409, 'Config was changed concurrently, reload and retry');
+  }
+
+  // Keep whatever was configured before versioning so it can be restored too
+  if (!current.version) {
+    await db.collection('tenantConfigVersions').insertOne({
+      businessId,
+      version: 0,
+      config: current.config,
+      changes: [],
+      action: 'baseline',
+      restoredFrom: null,
+      reason: 'Configuration before versioning',
+      changedBy: null,
+      changedAt: current.updatedAt || changedAt
+    });
+  }
+
+  const record = {
+    businessId,
+    version,
+    config,
+    changes: diffConfigs(current.config, config),
+    action,
+    restoredFrom,
+    reason,
+    changedBy: actor,
+    changedAt
+  };
+
+  await db.collection('tenantConfigVersions').insertOne(record);
+  return record;
+};
+
+// Restores an earlier version's overrides as a new version
+export const rollbackTenantConfig = async (businessId, version, { actor = null, reason = null } = {}) => {
+  const target = await getConfigVersion(businessId, version);
+
+  if (!target) {
+    throw httpError(404, `Config version ${version} not found`);
+  }
+
+  return await updateTenantConfig(businessId, target.config, {
+    actor,
+    reason: reason || `Rollback to version ${version}`,
+    action: 'rollback',
+    restoredFrom: version
+  });
+};
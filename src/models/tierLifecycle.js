@@ -0,0 +1,94 @@
+import { EventEmitter } from 'events';
+
+// Loyalty tiers from lowest to highest. Customers start as 'new', which ranks with bronze.
+export const TIER_ORDER = ['bronze', 'silver', 'gold'];
+
+export const TIER_EVENTS = ['upgrade', 'downgrade', 'downgrade-warning', 'downgrade-cancelled'];
+
+// Emits every tier event as ({ businessId, customerEmailHash, event, from, to, graceUntil, ... })
+export const tierEvents = new EventEmitter();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const tierRank = tier => Math.max(0, TIER_ORDER.indexOf(tier));
+
+// Tier earned by qualifying spend; each tier needs more than its threshold
+export const tierForSpend = (spend, thresholds) => {
+  if (spend > thresholds.loyaltyTier2) return 'gold';
+  if (spend > thresholds.loyaltyTier1) return 'silver';
+  return 'bronze';
+};
+
+export const tierThreshold = (tier, thresholds) => ({
+  silver: thresholds.loyaltyTier1,
+  gold: thresholds.loyaltyTier2
+})[tier] ?? 0;
+
+// Decides what a re-score does to a customer's tier. Upgrades apply at once; qualifying
+// for a lower tier starts a grace window, and the downgrade only lands if the customer
+// still falls short once it has passed. Returns the tier to store, the grace deadline
+// (null when none is running) and the event to record, if any.
+export const resolveTierChange = ({ currentTier, graceUntil = null, qualifiedTier, now = new Date(), graceDays = 0 }) => {
+  const from = currentTier || 'new';
+  const currentRank = tierRank(from);
+  const qualifiedRank = tierRank(qualifiedTier);
+
+  if (qualifiedRank > currentRank) {
+    return { tier: qualifiedTier, graceUntil: null, event: 'upgrade', from, to: qualifiedTier };
+  }
+
+  if (qualifiedRank === currentRank) {
+    return {
+      tier: TIER_ORDER[currentRank],
+      graceUntil: null,
+      event: graceUntil ? 'downgrade-cancelled' : null,
+      from,
+      to: TIER_ORDER[currentRank]
+    };
+  }
+
+  if (graceDays <= 0 || (graceUntil && now >= graceUntil)) {
+    return { tier: qualifiedTier, graceUntil: null, event: 'downgrade', from, to: qualifiedTier };
+  }
+
+  if (!graceUntil) {
+    return {
+      tier: from,
+      graceUntil: new Date(now.getTime() + graceDays * DAY_MS),
+      event: 'downgrade-warning',
+      from,
+      to: qualifiedTier
+    };
+  }
+
+  return { tier: from, graceUntil, event: null, from, to: qualifiedTier };
+};
+
+// Downgrade outlook shown to customers. `expiringSpend` is the part of the qualifying
+// spend that leaves the qualification window within the warning horizon; if what is
+// left no longer holds the current tier, the customer is at risk before any grace starts.
+export const assessDowngradeRisk = ({ tier, graceUntil = null, qualifyingSpend, expiringSpend = 0, thresholds }) => {
+  const currentTier = TIER_ORDER[tierRank(tier)];
+  const projectedSpend = Math.max(0, qualifyingSpend - expiringSpend);
+  const threshold = tierThreshold(currentTier, thresholds);
+
+  let downgradeRisk = 'none';
+  let spendNeeded = 0;
+  if (graceUntil) {
+    downgradeRisk = 'in-grace';
+    spendNeeded = threshold - qualifyingSpend;
+  } else if (tierRank(tierForSpend(projectedSpend, thresholds)) < tierRank(currentTier)) {
+    downgradeRisk = 'at-risk';
+    spendNeeded = threshold - projectedSpend;
+  }
+
+  return {
+    tier: currentTier,
+    downgradeRisk,
+    downgradeTo: downgradeRisk === 'none' ? null : tierForSpend(graceUntil ? qualifyingSpend : projectedSpend, thresholds),
+    graceUntil,
+    qualifyingSpend,
+    expiringSpend,
+    spendToKeepTier: Math.max(0, Math.round(spendNeeded * 100) / 100)
+  };
+};
@@ -0,0 +1,8 @@
+// Shared aggregation fragments for the `transactions` collection.
+
+// Revenue after refunds; transactions recorded before refunds existed have no netAmount
+export const NET_AMOUNT = { $ifNull: ['$netAmount', '$amount'] };
+
+// Fully refunded or voided orders no longer count as purchases
+export const REVERSED_STATUSES = ['refunded', 'voided'];
+export const COUNTABLE_TRANSACTION = { status: { $nin: REVERSED_STATUSES } };
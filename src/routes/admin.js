@@ -0,0 +1,158 @@
+import { Router } from 'express';
+import { getJobStatus, hasJob, runJob, INSTANCE_ID } from '../jobs/scheduler.js';
+import { getTenantModule, listTenantIds } from '../config/tenants.js';
+
+const router = Router();
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Admin
+ *     description: Background jobs and operational controls
+ */
+
+/**
+ * @swagger
+ * /api/admin/jobs:
+ *   get:
+ *     summary: Get background job status
+ *     description: Returns every scheduled job with its lock holder, last run outcome and next run, plus the MCD schedule of each tenant
+ *     tags: [Admin]
+ *     responses:
+ *       200:
+ *         description: Job status retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 instance:
+ *                   type: string
+ *                 jobs:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       name:
+ *                         type: string
+ *                       intervalMs:
+ *                         type: integer
+ *                       locked:
+ *                         type: boolean
+ *                       lockOwner:
+ *                         type: string
+ *                       lastRunAt:
+ *                         type: string
+ *                         format: date-time
+ *                       lastStatus:
+ *                         type: string
+ *                         enum: [succeeded, failed]
+ *                       nextRunAt:
+ *                         type: string
+ *                         format: date-time
+ *                 mcdSchedule:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       businessId:
+ *                         type: string
+ *                       updateFrequency:
+ *                         type: string
+ *                       multiplier:
+ *                         type: number
+ *                       lastUpdate:
+ *                         type: string
+ *                         format: date-time
+ *                       nextUpdate:
+ *                         type: string
+ *                         format: date-time
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+// Get background job status
+router.get('/jobs', async (req, res) => {
+  try {
+    const jobs = await getJobStatus();
+
+    const mcdSchedule = [];
+    for (const businessId of await listTenantIds()) {
+      const mcdRcd = await getTenantModule(businessId);
+      await mcdRcd.loadMCDState();
+
+      mcdSchedule.push({
+        businessId,
+        updateFrequency: mcdRcd.config.mcd.updateFrequency,
+        multiplier: mcdRcd.currentMCDMultiplier,
+        lastUpdate: mcdRcd.lastMCDUpdate ? new Date(mcdRcd.lastMCDUpdate) : null,
+        nextUpdate: mcdRcd.getNextMCDUpdate()
+      });
+    }
+
+    res.json({
+      instance: INSTANCE_ID,
+      jobs,
+      mcdSchedule
+    });
+
+  } catch (error) {
+    console.error('Job status error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/jobs/{name}/run:
+ *   post:
+ *     summary: Run a background job now
+ *     description: Triggers a job immediately. The run is skipped if another instance currently holds the job lock.
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [mcd-recalculation, rcd-rescoring, loyalty-points-expiry, webhook-delivery]
+ *     responses:
+ *       200:
+ *         description: Job run finished or was skipped
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 name:
+ *                   type: string
+ *                 status:
+ *                   type: string
+ *                   enum: [succeeded, failed, locked, already-running]
+ *                 result:
+ *                   type: object
+ *       404:
+ *         description: Unknown job
+ *       500:
+ *         description: Internal server error
+ */
+// Trigger a job immediately
+router.post('/jobs/:name/run', async (req, res) => {
+  try {
+    if (!hasJob(req.params.name)) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const outcome = await runJob(req.params.name);
+    res.json(outcome);
+
+  } catch (error) {
+    console.error('Job run error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
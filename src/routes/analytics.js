@@ -1,8 +1,91 @@
 import { Router } from 'express';
+import { requireRole } from '../middleware/auth.js';
 import { getDB } from '../config/database.js';
+import { NET_AMOUNT, COUNTABLE_TRANSACTION } from '../models/transactionFilters.js';
+import { computeReferralDepths, estimateBonusCost } from '../models/referralAnalytics.js';
 
 const router = Router();
 
+router.use(requireRole('analytics:read'));
+
+// Calculate date range based on period
+const getPeriodStart = (period) => {
+  const startDate = new Date();
+  switch (period) {
+    case '7d':
+      startDate.setDate(startDate.getDate() - 7);
+      break;
+    case '90d':
+      startDate.setDate(startDate.getDate() - 90);
+      break;
+    case 'ytd':
+      startDate.setMonth(0, 1); // January 1st
+      startDate.setHours(0, 0, 0, 0);
+      break;
+    default: // 30d
+      startDate.setDate(startDate.getDate() - 30);
+  }
+  return startDate;
+};
+
+// Referral chains are followed at most this many levels above the period's referrals
+const MAX_REFERRAL_DEPTH = 25;
+
+// Granted referrals above the given customers, one level per query, so depths can be
+// measured without reading every referral the business has ever granted
+const getReferralAncestry = async (db, businessId, customers) => {
+  const edges = [];
+  const seen = new Set(customers);
+  let frontier = customers;
+
+  for (let level = 1; level < MAX_REFERRAL_DEPTH && frontier.length; level++) {
+    const parents = await db.collection('referralActivities')
+      .find(
+        { businessId, status: 'granted', referredEmailHash: { $in: frontier } },
+        { projection: { referrerEmailHash: 1, referredEmailHash: 1 } }
+      )
+      .toArray();
+
+    edges.push(...parents);
+    frontier = [...new Set(parents.map(edge => edge.referrerEmailHash))].filter(hash => !seen.has(hash));
+    frontier.forEach(hash => seen.add(hash));
+  }
+
+  return edges;
+};
+
+// Net revenue in the period per customer who was ever referred, starting from the period's
+// buyers rather than every referred customer
+const getReferredRevenue = async (db, businessId, startDate) => {
+  const revenue = await db.collection('transactions').aggregate([
+    { $match: { businessId, timestamp: { $gte: startDate }, ...COUNTABLE_TRANSACTION } },
+    { $group: { _id: '$customerEmailHash', revenue: { $sum: NET_AMOUNT } } }
+  ]).toArray();
+
+  const referred = new Set(await db.collection('referralActivities').distinct('referredEmailHash', {
+    businessId,
+    status: 'granted',
+    referredEmailHash: { $in: revenue.map(item => item._id) }
+  }));
+  return revenue.filter(item => referred.has(item._id));
+};
+
+// $group key for time series by day, week or month
+const getGroupFormat = (groupBy, field = '$timestamp') => {
+  switch (groupBy) {
+    case 'week':
+      return { week: { $week: field }, year: { $year: field } };
+    case 'month':
+      return { month: { $month: field }, year: { $year: field } };
+    default: // day
+      return {
+        year: { $year: field },
+        month: { $month: field },
+        day: { $dayOfMonth: field }
+      };
+  }
+};
+
 /**
  * @swagger
  * /api/analytics/overview:
@@ -76,38 +159,24 @@ router.get('/overview', async (req, res) => {
   try {
     const db = getDB();
     const { period = '30d' } = req.query; // 7d, 30d, 90d, ytd
-    
-    // Calculate date range based on period
-    const startDate = new Date();
-    switch (period) {
-      case '7d':
-        startDate.setDate(startDate.getDate() - 7);
-        break;
-      case '90d':
-        startDate.setDate(startDate.getDate() - 90);
-        break;
-      case 'ytd':
-        startDate.setMonth(0, 1); // January 1st
-        startDate.setHours(0, 0, 0, 0);
-        break;
-      default: // 30d
-        startDate.setDate(startDate.getDate() - 30);
-    }
+    const startDate = getPeriodStart(period);
 
     // Get total revenue
     const revenueData = await db.collection('transactions')
       .aggregate([
         {
           $match: {
-            timestamp: { $gte: startDate }
+            businessId: req.businessId,
+            timestamp: { $gte: startDate },
+            ...COUNTABLE_TRANSACTION
           }
         },
         {
           $group: {
             _id: null,
-            totalRevenue: { $sum: '$amount' },
+            totalRevenue: { $sum: NET_AMOUNT },
             transactionCount: { $sum: 1 },
-            averageOrderValue: { $avg: '$amount' }
+            averageOrderValue: { $avg: NET_AMOUNT }
           }
         }
       ]).toArray();
@@ -117,6 +186,7 @@ router.get('/overview', async (req, res) => {
       .aggregate([
         {
           $match: {
+            businessId: req.businessId,
             createdAt: { $gte: startDate }
           }
         },
@@ -129,27 +199,16 @@ router.get('/overview', async (req, res) => {
       ]).toArray();
 
     // Get total customers
-    const totalCustomers = await db.collection('customers').countDocuments();
+    const totalCustomers = await db.collection('customers').countDocuments({ businessId: req.businessId });
 
-    // Get marketing spend
-    const marketingData = await db.collection('marketingSpend')
-      .aggregate([
-        {
-          $match: {
-            date: { $gte: startDate }
-          }
-        },
-        {
-          $group: {
-            _id: null,
-            totalSpend: { $sum: '$amount' },
-            campaignCount: { $sum: 1 }
-          }
-        }
-      ]).toArray();
+    // Get marketing spend; campaign flights only count for the days inside the period
+    const spendEntries = await req.mcdRcd.getAmortizedSpend(startDate);
 
     const revenue = revenueData[0] || { totalRevenue: 0, transactionCount: 0, averageOrderValue: 0 };
-    const marketing = marketingData[0] || { totalSpend: 0, campaignCount: 0 };
+    const marketing = {
+      totalSpend: spendEntries.reduce((sum, entry) => sum + entry.amortizedAmount, 0),
+      campaignCount: spendEntries.length
+    };
     const newCustomers = customerData[0]?.newCustomers || 0;
 
     // Calculate ROI
@@ -253,33 +312,21 @@ router.get('/revenue-trends', async (req, res) => {
     const startDate = new Date();
     startDate.setDate(startDate.getDate() - parseInt(days));
 
-    let groupFormat;
-    switch (groupBy) {
-      case 'week':
-        groupFormat = { week: { $week: '$timestamp' }, year: { $year: '$timestamp' } };
-        break;
-      case 'month':
-        groupFormat = { month: { $month: '$timestamp' }, year: { $year: '$timestamp' } };
-        break;
-      default: // day
-        groupFormat = { 
-          year: { $year: '$timestamp' },
-          month: { $month: '$timestamp' },
-          day: { $dayOfMonth: '$timestamp' }
-        };
-    }
+    const groupFormat = getGroupFormat(groupBy);
 
     const revenueTrends = await db.collection('transactions')
       .aggregate([
         {
           $match: {
-            timestamp: { $gte: startDate }
+            businessId: req.businessId,
+            timestamp: { $gte: startDate },
+            ...COUNTABLE_TRANSACTION
           }
         },
         {
           $group: {
             _id: groupFormat,
-            totalRevenue: { $sum: '$amount' },
+            totalRevenue: { $sum: NET_AMOUNT },
             transactionCount: { $sum: 1 },
             date: { $first: '$timestamp' }
           }
@@ -366,6 +413,9 @@ router.get('/customer-segments', async (req, res) => {
 
     const segments = await db.collection('customers')
       .aggregate([
+        {
+          $match: { businessId: req.businessId }
+        },
         {
           $group: {
             _id: '$customerSegment',
@@ -381,6 +431,9 @@ router.get('/customer-segments', async (req, res) => {
 
     const loyaltyTiers = await db.collection('customers')
       .aggregate([
+        {
+          $match: { businessId: req.businessId }
+        },
         {
           $group: {
             _id: '$loyaltyTier',
@@ -419,6 +472,304 @@ router.get('/customer-segments', async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/analytics/referrals:
+ *   get:
+ *     summary: Get referral program analytics
+ *     description: Referral volume and outcomes, revenue from referred customers against the discount given away as referral bonuses, top referrers, referral tree depth and a time series
+ *     tags: [Analytics]
+ *     parameters:
+ *       - in: query
+ *         name: period
+ *         schema:
+ *           type: string
+ *           enum: [7d, 30d, 90d, ytd]
+ *         example: 90d
+ *       - in: query
+ *         name: groupBy
+ *         schema:
+ *           type: string
+ *           enum: [day, week, month]
+ *         description: Grouping interval for the time series
+ *         example: week
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Number of top referrers
+ *     responses:
+ *       200:
+ *         description: Referral analytics retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 period:
+ *                   type: string
+ *                 referrals:
+ *                   type: object
+ *                   description: Referral attempts in the period by outcome
+ *                   properties:
+ *                     total:
+ *                       type: integer
+ *                     granted:
+ *                       type: integer
+ *                     flagged:
+ *                       type: integer
+ *                     rejected:
+ *                       type: integer
+ *                     clawedBack:
+ *                       type: integer
+ *                 conversion:
+ *                   type: object
+ *                   properties:
+ *                     rate:
+ *                       type: number
+ *                       description: Percentage of referral attempts that earned a bonus
+ *                     referredShareOfNewCustomers:
+ *                       type: number
+ *                       description: Percentage of new customers who arrived through a granted referral
+ *                     repeatPurchaseRate:
+ *                       type: number
+ *                       description: Percentage of customers referred in the period who have bought again
+ *                 revenue:
+ *                   type: object
+ *                   properties:
+ *                     fromReferredCustomers:
+ *                       type: number
+ *                       description: Net revenue in the period from every customer ever referred
+ *                     referredCustomers:
+ *                       type: integer
+ *                       description: Customers ever referred who bought in the period
+ *                 bonusCost:
+ *                   type: object
+ *                   properties:
+ *                     bonusPointsGranted:
+ *                       type: number
+ *                     estimatedDiscountCost:
+ *                       type: number
+ *                       description: Upper-bound estimate of the discount referrers received because of their bonuses
+ *                     revenuePerBonusDollar:
+ *                       type: number
+ *                       nullable: true
+ *                 topReferrers:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       referrerEmailHash:
+ *                         type: string
+ *                       referralCode:
+ *                         type: string
+ *                       referrals:
+ *                         type: integer
+ *                       bonusPoints:
+ *                         type: number
+ *                       referredRevenue:
+ *                         type: number
+ *                 tree:
+ *                   type: object
+ *                   description: Depth in the referral tree of the customers referred in the period
+ *                   properties:
+ *                     maxDepth:
+ *                       type: integer
+ *                     distribution:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           depth:
+ *                             type: integer
+ *                           customers:
+ *                             type: integer
+ *                 timeSeries:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       period:
+ *                         type: object
+ *                       referrals:
+ *                         type: integer
+ *                       granted:
+ *                         type: integer
+ *                       bonusPoints:
+ *                         type: number
+ *                       firstPurchaseRevenue:
+ *                         type: number
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+// Get referral program analytics
+router.get('/referrals', async (req, res) => {
+  try {
+    const db = getDB();
+    const { period = '90d', groupBy = 'week' } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 10, 100);
+    const startDate = getPeriodStart(period);
+    const round = value => Math.round(value * 100) / 100;
+    const percent = (part, whole) => (whole > 0 ? round((part / whole) * 100) : 0);
+
+    // Bonuses granted in the period; older grants are only read to place these in the tree
+    const grants = await db.collection('referralActivities')
+      .find(
+        {
+          businessId: req.businessId,
+          status: { $in: ['granted', 'clawed_back'] },
+          $or: [
+            { grantedAt: { $gte: startDate } },
+            { grantedAt: { $exists: false }, timestamp: { $gte: startDate } }
+          ]
+        },
+        { projection: { referrerEmailHash: 1, referredEmailHash: 1, bonusApplied: 1, purchaseAmount: 1, status: 1, grantedAt: 1, clawedBackAt: 1, timestamp: 1 } }
+      )
+      .toArray();
+    grants.forEach((grant) => {
+      grant.grantedAt = grant.grantedAt || grant.timestamp;
+    });
+
+    const activeGrants = grants.filter(grant => grant.status === 'granted');
+    const referredInPeriod = [...new Set(activeGrants.map(grant => grant.referredEmailHash))];
+    const referrers = [...new Set(grants.map(grant => grant.referrerEmailHash))];
+
+    const [statusCounts, timeSeries, newCustomers, referredRevenue, purchaseCounts, referrerTransactions] = await Promise.all([
+      db.collection('referralActivities').aggregate([
+        { $match: { businessId: req.businessId, timestamp: { $gte: startDate } } },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ]).toArray(),
+      db.collection('referralActivities').aggregate([
+        { $match: { businessId: req.businessId, timestamp: { $gte: startDate } } },
+        {
+          $group: {
+            _id: getGroupFormat(groupBy),
+            referrals: { $sum: 1 },
+            granted: { $sum: { $cond: [{ $in: ['$status', ['granted', 'clawed_back']] }, 1, 0] } },
+            bonusPoints: { $sum: { $cond: [{ $eq: ['$status', 'granted'] }, '$bonusApplied', 0] } },
+            firstPurchaseRevenue: { $sum: { $cond: [{ $eq: ['$status', 'granted'] }, '$purchaseAmount', 0] } }
+          }
+        },
+        { $sort: { '_id.year': 1, '_id.month': 1, '_id.day': 1, '_id.week': 1 } }
+      ]).toArray(),
+      db.collection('customers').countDocuments({ businessId: req.businessId, createdAt: { $gte: startDate } }),
+      getReferredRevenue(db, req.businessId, startDate),
+      db.collection('transactions').aggregate([
+        {
+          $match: {
+            businessId: req.businessId,
+            customerEmailHash: { $in: referredInPeriod },
+            ...COUNTABLE_TRANSACTION
+          }
+        },
+        { $group: { _id: '$customerEmailHash', purchases: { $sum: 1 } } }
+      ]).toArray(),
+      db.collection('transactions')
+        .find(
+          {
+            businessId: req.businessId,
+            customerEmailHash: { $in: referrers },
+            timestamp: { $gte: startDate },
+            ...COUNTABLE_TRANSACTION
+          },
+          { projection: { customerEmailHash: 1, amount: 1, netAmount: 1, discountApplied: 1, timestamp: 1 } }
+        )
+        .toArray()
+    ]);
+
+    const byStatus = Object.fromEntries(statusCounts.map(item => [item._id, item.count]));
+    const totalReferrals = statusCounts.reduce((sum, item) => sum + item.count, 0);
+    const grantedReferrals = (byStatus.granted || 0) + (byStatus.clawed_back || 0);
+
+    const revenueByCustomer = new Map(referredRevenue.map(item => [item._id, item.revenue]));
+    const fromReferredCustomers = referredRevenue.reduce((sum, item) => sum + item.revenue, 0);
+    const bonusPointsGranted = activeGrants.reduce((sum, grant) => sum + grant.bonusApplied, 0);
+    const estimatedDiscountCost = estimateBonusCost(grants, referrerTransactions);
+
+    // Top referrers by granted referrals in the period, with what their referrals spent
+    const referrerStats = new Map();
+    activeGrants.forEach((grant) => {
+      const stats = referrerStats.get(grant.referrerEmailHash) || { referrals: 0, bonusPoints: 0, referred: new Set() };
+      stats.referrals += 1;
+      stats.bonusPoints += grant.bonusApplied;
+      stats.referred.add(grant.referredEmailHash);
+      referrerStats.set(grant.referrerEmailHash, stats);
+    });
+
+    const top = [...referrerStats.entries()]
+      .sort(([, a], [, b]) => b.referrals - a.referrals || b.bonusPoints - a.bonusPoints)
+      .slice(0, limit);
+
+    const referrerCustomers = await db.collection('customers')
+      .find(
+        { businessId: req.businessId, emailHash: { $in: top.map(([emailHash]) => emailHash) } },
+        { projection: { emailHash: 1, referralCode: 1 } }
+      )
+      .toArray();
+    const referralCodes = new Map(referrerCustomers.map(customer => [customer.emailHash, customer.referralCode]));
+
+    res.json({
+      period,
+      dateRange: {
+        start: startDate,
+        end: new Date()
+      },
+      referrals: {
+        total: totalReferrals,
+        granted: byStatus.granted || 0,
+        flagged: byStatus.flagged || 0,
+        rejected: byStatus.rejected || 0,
+        clawedBack: byStatus.clawed_back || 0
+      },
+      conversion: {
+        rate: percent(grantedReferrals, totalReferrals),
+        referredShareOfNewCustomers: percent(referredInPeriod.length, newCustomers),
+        repeatPurchaseRate: percent(purchaseCounts.filter(item => item.purchases > 1).length, referredInPeriod.length)
+      },
+      revenue: {
+        fromReferredCustomers: round(fromReferredCustomers),
+        referredCustomers: referredRevenue.length
+      },
+      bonusCost: {
+        bonusPointsGranted: round(bonusPointsGranted),
+        estimatedDiscountCost,
+        revenuePerBonusDollar: estimatedDiscountCost > 0 ? round(fromReferredCustomers / estimatedDiscountCost) : null
+      },
+      topReferrers: top.map(([referrerEmailHash, stats]) => ({
+        referrerEmailHash,
+        referralCode: referralCodes.get(referrerEmailHash) || null,
+        referrals: stats.referrals,
+        bonusPoints: round(stats.bonusPoints),
+        referredRevenue: round([...stats.referred].reduce((sum, hash) => sum + (revenueByCustomer.get(hash) || 0), 0))
+      })),
+      tree: computeReferralDepths(
+        [...activeGrants, ...await getReferralAncestry(db, req.businessId, referrers)],
+        referredInPeriod
+      ),
+      timeSeries: timeSeries.map(item => ({
+        period: item._id,
+        referrals: item.referrals,
+        granted: item.granted,
+        bonusPoints: round(item.bonusPoints),
+        firstPurchaseRevenue: round(item.firstPurchaseRevenue)
+      })),
+      calculatedAt: new Date()
+    });
+
+  } catch (error) {
+    console.error('Referral analytics error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch referral analytics',
+      message: error.message
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/analytics/health:
@@ -0,0 +1,326 @@
+import { Router } from 'express';
+import { requireRole } from '../middleware/auth.js';
+import {
+  ROLES,
+  validateRoles,
+  createApiKey,
+  listApiKeys,
+  rotateApiKey,
+  revokeApiKey
+} from '../models/apiKeys.js';
+import { httpError } from '../utils/httpError.js';
+
+const router = Router();
+
+router.use(requireRole('admin'));
+
+// Keys not bound to any business are managed with ?scope=global, by global admins only
+const keyScope = (req) => {
+  if (req.query.scope !== 'global') return req.businessId;
+
+  if (req.apiKey.businessId) {
+    throw httpError(403, 'Only global admin keys can manage global keys');
+  }
+  return null;
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ApiKey:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         name:
+ *           type: string
+ *           example: checkout-service
+ *         businessId:
+ *           type: string
+ *           nullable: true
+ *           description: Business the key is bound to; null for global keys
+ *         roles:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [pricing:read, ingest:write, analytics:read, admin]
+ *         keyPrefix:
+ *           type: string
+ *           example: trk_a1B2c3
+ *         status:
+ *           type: string
+ *           enum: [active, revoked]
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         lastUsedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     IssuedApiKey:
+ *       type: object
+ *       properties:
+ *         success:
+ *           type: boolean
+ *         key:
+ *           type: string
+ *           description: Plaintext key. It is only returned once.
+ *         apiKey:
+ *           $ref: '#/components/schemas/ApiKey'
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   - name: API Keys
+ *     description: Issue, rotate and revoke API keys (requires the admin role)
+ */
+
+/**
+ * @swagger
+ * /api/keys:
+ *   get:
+ *     summary: List API keys
+ *     description: Lists every key issued for the current business, or the global keys with `scope=global`. Key hashes are never returned.
+ *     tags: [API Keys]
+ *     parameters:
+ *       - in: query
+ *         name: scope
+ *         schema:
+ *           type: string
+ *           enum: [global]
+ *         description: Target keys that are not bound to any business instead of the current business's keys. Global admin keys only.
+ *     responses:
+ *       200:
+ *         description: Keys retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 keys:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ApiKey'
+ *                 availableRoles:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *       403:
+ *         description: Admin role required, or a tenant key asked for global keys
+ *       500:
+ *         description: Internal server error
+ */
+// List API keys for the current business
+router.get('/', async (req, res) => {
+  try {
+    const keys = await listApiKeys(keyScope(req));
+    res.json({ keys, availableRoles: ROLES });
+  } catch (error) {
+    console.error('List API keys error:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/keys:
+ *   post:
+ *     summary: Issue a new API key
+ *     description: Creates a named key bound to the current business. Global admin keys may pass `global` to issue a key that is not bound to any business.
+ *     tags: [API Keys]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - roles
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: checkout-service
+ *               roles:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["pricing:read", "ingest:write"]
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *               global:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       201:
+ *         description: Key issued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/IssuedApiKey'
+ *       400:
+ *         description: Bad request - missing name or unknown roles
+ *       403:
+ *         description: Admin role required
+ *       500:
+ *         description: Internal server error
+ */
+// Issue a new API key
+router.post('/', async (req, res) => {
+  try {
+    const { name, roles, expiresAt, global = false } = req.body;
+
+    if (!name) {
+      return res.status(400).json({ error: 'Key name is required' });
+    }
+
+    try {
+      validateRoles(roles);
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+
+    if (global && req.apiKey.businessId) {
+      return res.status(403).json({ error: 'Only global admin keys can issue global keys' });
+    }
+
+    const issued = await createApiKey({
+      name,
+      roles,
+      expiresAt,
+      businessId: global ? null : req.businessId
+    });
+
+    res.status(201).json({ success: true, ...issued });
+  } catch (error) {
+    console.error('Create API key error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/keys/{id}/rotate:
+ *   post:
+ *     summary: Rotate an API key
+ *     description: Issues a replacement key with the same name and roles. The old key stays valid for the optional grace period, but never past its own expiry. Expired keys can't be rotated.
+ *     tags: [API Keys]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: scope
+ *         schema:
+ *           type: string
+ *           enum: [global]
+ *         description: Target keys that are not bound to any business instead of the current business's keys. Global admin keys only.
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               graceMinutes:
+ *                 type: integer
+ *                 minimum: 0
+ *                 maximum: 10080
+ *                 default: 0
+ *                 example: 60
+ *     responses:
+ *       200:
+ *         description: Key rotated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/IssuedApiKey'
+ *       400:
+ *         description: graceMinutes is not an integer between 0 and 10080
+ *       403:
+ *         description: A tenant key asked for a global key
+ *       404:
+ *         description: Active key not found
+ *       500:
+ *         description: Internal server error
+ */
+// Rotate an API key
+router.post('/:id/rotate', async (req, res) => {
+  try {
+    const graceMinutes = req.body?.graceMinutes === undefined ? 0 : Number(req.body.graceMinutes);
+    const rotated = await rotateApiKey(req.params.id, keyScope(req), { graceMinutes });
+
+    if (!rotated) {
+      return res.status(404).json({ error: 'Active API key not found' });
+    }
+
+    res.json({ success: true, ...rotated });
+  } catch (error) {
+    console.error('Rotate API key error:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/keys/{id}:
+ *   delete:
+ *     summary: Revoke an API key
+ *     description: Immediately and permanently disables a key
+ *     tags: [API Keys]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: scope
+ *         schema:
+ *           type: string
+ *           enum: [global]
+ *         description: Target keys that are not bound to any business instead of the current business's keys. Global admin keys only.
+ *     responses:
+ *       200:
+ *         description: Key revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 apiKey:
+ *                   $ref: '#/components/schemas/ApiKey'
+ *       403:
+ *         description: A tenant key asked for a global key
+ *       404:
+ *         description: Key not found
+ *       500:
+ *         description: Internal server error
+ */
+// Revoke an API key
+router.delete('/:id', async (req, res) => {
+  try {
+    const revoked = await revokeApiKey(req.params.id, keyScope(req));
+
+    if (!revoked) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    res.json({ success: true, apiKey: revoked });
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,174 @@
+import { Router } from 'express';
+import { requireRole } from '../middleware/auth.js';
+import { AUDIT_ENTITY_TYPES, queryAuditLog } from '../models/auditLog.js';
+
+const router = Router();
+
+router.use(requireRole('admin'));
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AuditEntry:
+ *       type: object
+ *       properties:
+ *         businessId:
+ *           type: string
+ *         entityType:
+ *           type: string
+ *           enum: [mcd-multiplier, customer-discount, referral-bonus, platform-weight, customer-privacy, customer-identity]
+ *         entityId:
+ *           type: string
+ *           nullable: true
+ *           description: priceAdjustments id, customer id, transaction id or platform name
+ *         customerEmailHash:
+ *           type: string
+ *           nullable: true
+ *         action:
+ *           type: string
+ *           example: update
+ *         before:
+ *           type: number
+ *           nullable: true
+ *         after:
+ *           type: number
+ *           nullable: true
+ *         cause:
+ *           type: string
+ *           example: transaction
+ *         details:
+ *           type: object
+ *         actor:
+ *           type: object
+ *           properties:
+ *             type:
+ *               type: string
+ *               enum: [api-key, job, system]
+ *             keyId:
+ *               type: string
+ *               nullable: true
+ *             name:
+ *               type: string
+ *               nullable: true
+ *         requestId:
+ *           type: string
+ *           nullable: true
+ *         timestamp:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Audit
+ *     description: Append-only history of pricing decisions and discount changes
+ */
+
+/**
+ * @swagger
+ * /api/audit:
+ *   get:
+ *     summary: Query the audit log
+ *     description: Every MCD recalculation, customer discount change, referral bonus and platform weight update, newest first
+ *     tags: [Audit]
+ *     parameters:
+ *       - in: query
+ *         name: email
+ *         schema:
+ *           type: string
+ *         description: Only entries about this customer
+ *       - in: query
+ *         name: entityType
+ *         schema:
+ *           type: string
+ *           enum: [mcd-multiplier, customer-discount, referral-bonus, platform-weight, customer-privacy, customer-identity]
+ *       - in: query
+ *         name: entityId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *     responses:
+ *       200:
+ *         description: Audit entries retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 entries:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AuditEntry'
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     page:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     total:
+ *                       type: integer
+ *       400:
+ *         description: Invalid filter
+ *       500:
+ *         description: Internal server error
+ */
+// Query audit entries
+router.get('/', async (req, res) => {
+  try {
+    const { mcdRcd } = req;
+    const { email, entityType, entityId, startDate, endDate } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+
+    if (entityType && !AUDIT_ENTITY_TYPES.includes(entityType)) {
+      return res.status(400).json({ error: `entityType must be one of: ${AUDIT_ENTITY_TYPES.join(', ')}` });
+    }
+
+    const from = startDate ? new Date(startDate) : null;
+    const to = endDate ? new Date(endDate) : null;
+    if ((from && isNaN(from.getTime())) || (to && isNaN(to.getTime()))) {
+      return res.status(400).json({ error: 'Invalid date range' });
+    }
+
+    const { entries, total } = await queryAuditLog(req.businessId, {
+      customerEmailHash: email
+        ? await mcdRcd.identities.mergedEmailHashes(await mcdRcd.identities.resolveEmailHash(email))
+        : null,
+      entityType,
+      entityId,
+      from,
+      to,
+      limit,
+      skip: (page - 1) * limit
+    });
+
+    res.json({ entries, pagination: { page, limit, total } });
+  } catch (error) {
+    console.error('Audit query error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
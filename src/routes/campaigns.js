@@ -0,0 +1,347 @@
+import { Router } from 'express';
+import { requireRole } from '../middleware/auth.js';
+import { isAttributionModel } from '../models/attribution.js';
+
+const router = Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Campaign:
+ *       type: object
+ *       required:
+ *         - campaignId
+ *         - name
+ *         - platform
+ *       properties:
+ *         campaignId:
+ *           type: string
+ *           description: Identifier used by marketing spend records and transaction touchpoints
+ *           example: camp_12345
+ *         name:
+ *           type: string
+ *           example: Summer Sale
+ *         platform:
+ *           type: string
+ *           example: google
+ *         budget:
+ *           type: number
+ *           example: 10000
+ *         currency:
+ *           type: string
+ *           example: USD
+ *         startDate:
+ *           type: string
+ *           format: date-time
+ *         endDate:
+ *           type: string
+ *           format: date-time
+ *         status:
+ *           type: string
+ *           enum: [draft, active, paused, completed]
+ *           default: draft
+ *         utmCampaign:
+ *           type: string
+ *           description: utm_campaign tag that maps to this campaign. Defaults to campaignId.
+ *           example: summer-sale
+ *     CampaignPerformance:
+ *       type: object
+ *       properties:
+ *         campaign:
+ *           $ref: '#/components/schemas/Campaign'
+ *         spend:
+ *           type: object
+ *           properties:
+ *             total:
+ *               type: number
+ *             entries:
+ *               type: integer
+ *             budgetUtilization:
+ *               type: number
+ *               description: Spend as a percentage of budget
+ *             remainingBudget:
+ *               type: number
+ *         performance:
+ *           type: object
+ *           properties:
+ *             attributionModel:
+ *               type: string
+ *             revenue:
+ *               type: number
+ *               description: Revenue attributed to this campaign's touchpoints
+ *             roi:
+ *               type: number
+ *             romi:
+ *               type: number
+ *             breakEven:
+ *               type: boolean
+ *         pacing:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             elapsedPercentage:
+ *               type: number
+ *             expectedSpend:
+ *               type: number
+ *             status:
+ *               type: string
+ *               enum: [not-started, underspending, on-track, overspending]
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Campaigns
+ *     description: Marketing campaign management and performance
+ */
+
+/**
+ * @swagger
+ * /api/campaigns:
+ *   get:
+ *     summary: List campaigns
+ *     tags: [Campaigns]
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, active, paused, completed]
+ *       - in: query
+ *         name: platform
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Campaigns retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 campaigns:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Campaign'
+ *       500:
+ *         description: Internal server error
+ */
+// List campaigns
+router.get('/', requireRole('analytics:read'), async (req, res) => {
+  try {
+    const { mcdRcd } = req;
+    const { status, platform } = req.query;
+
+    const campaigns = await mcdRcd.campaigns.list({ status, platform });
+    res.json({ campaigns });
+  } catch (error) {
+    console.error('List campaigns error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/campaigns:
+ *   post:
+ *     summary: Create a campaign
+ *     tags: [Campaigns]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Campaign'
+ *     responses:
+ *       201:
+ *         description: Campaign created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Campaign'
+ *       400:
+ *         description: Invalid campaign fields
+ *       409:
+ *         description: Campaign already exists
+ *       500:
+ *         description: Internal server error
+ */
+// Create a campaign
+router.post('/', requireRole('ingest:write'), async (req, res) => {
+  try {
+    const { mcdRcd } = req;
+    const campaign = await mcdRcd.campaigns.create(req.body);
+    res.status(201).json(campaign);
+  } catch (error) {
+    console.error('Create campaign error:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/campaigns/{campaignId}:
+ *   get:
+ *     summary: Get a campaign
+ *     tags: [Campaigns]
+ *     parameters:
+ *       - in: path
+ *         name: campaignId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Campaign retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Campaign'
+ *       404:
+ *         description: Campaign not found
+ *       500:
+ *         description: Internal server error
+ */
+// Get a campaign
+router.get('/:campaignId', requireRole('analytics:read'), async (req, res) => {
+  try {
+    const { mcdRcd } = req;
+    const campaign = await mcdRcd.campaigns.get(req.params.campaignId);
+
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+
+    res.json(campaign);
+  } catch (error) {
+    console.error('Get campaign error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/campaigns/{campaignId}:
+ *   put:
+ *     summary: Update a campaign
+ *     description: Updates budget, dates, status or other fields. The campaignId itself cannot be changed.
+ *     tags: [Campaigns]
+ *     parameters:
+ *       - in: path
+ *         name: campaignId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Campaign'
+ *     responses:
+ *       200:
+ *         description: Campaign updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Campaign'
+ *       400:
+ *         description: Invalid campaign fields
+ *       404:
+ *         description: Campaign not found
+ *       500:
+ *         description: Internal server error
+ */
+// Update a campaign
+router.put('/:campaignId', requireRole('ingest:write'), async (req, res) => {
+  try {
+    const { mcdRcd } = req;
+    const campaign = await mcdRcd.campaigns.update(req.params.campaignId, req.body);
+    res.json(campaign);
+  } catch (error) {
+    console.error('Update campaign error:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/campaigns/{campaignId}:
+ *   delete:
+ *     summary: Delete a campaign
+ *     description: Removes the campaign definition. Recorded spend and transaction touchpoints are kept.
+ *     tags: [Campaigns]
+ *     parameters:
+ *       - in: path
+ *         name: campaignId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Campaign deleted
+ *       404:
+ *         description: Campaign not found
+ *       500:
+ *         description: Internal server error
+ */
+// Delete a campaign
+router.delete('/:campaignId', requireRole('ingest:write'), async (req, res) => {
+  try {
+    const { mcdRcd } = req;
+    await mcdRcd.campaigns.remove(req.params.campaignId);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete campaign error:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/campaigns/{campaignId}/performance:
+ *   get:
+ *     summary: Get campaign performance
+ *     description: Spend, campaign-attributed revenue, ROI and budget pacing over the campaign's flight dates
+ *     tags: [Campaigns]
+ *     parameters:
+ *       - in: path
+ *         name: campaignId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/AttributionModel'
+ *     responses:
+ *       200:
+ *         description: Performance report generated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CampaignPerformance'
+ *       400:
+ *         description: Unknown attribution model
+ *       404:
+ *         description: Campaign not found
+ *       500:
+ *         description: Internal server error
+ */
+// Get campaign performance
+router.get('/:campaignId/performance', requireRole('analytics:read'), async (req, res) => {
+  try {
+    const { mcdRcd } = req;
+    const { attributionModel = mcdRcd.config.attribution.model } = req.query;
+
+    if (!isAttributionModel(attributionModel)) {
+      return res.status(400).json({ error: `Unknown attribution model: ${attributionModel}` });
+    }
+
+    const report = await mcdRcd.campaigns.getPerformance(req.params.campaignId, { model: attributionModel });
+    res.json(report);
+  } catch (error) {
+    console.error('Campaign performance error:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,415 @@
+import { Router } from 'express';
+import { requireRole } from '../middleware/auth.js';
+import { evictTenantModule } from '../config/tenants.js';
+import {
+  diffConfigs,
+  getTenantConfig,
+  getConfigVersion,
+  listConfigVersions,
+  updateTenantConfig,
+  rollbackTenantConfig
+} from '../models/tenantConfig.js';
+
+const router = Router();
+
+router.use(requireRole('admin'));
+
+// Who made a change, as recorded in the version history
+const getActor = (req) => ({
+  keyId: req.apiKey?._id ? String(req.apiKey._id) : null,
+  name: req.apiKey?.name || null
+});
+
+const parseVersion = (value) => {
+  const version = Number(value);
+  return Number.isInteger(version) && version >= 0 ? version : null;
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     TenantConfigOverrides:
+ *       type: object
+ *       description: Per-tenant overrides. Omitted fields use env vars or built-in defaults. Unknown fields are rejected.
+ *       properties:
+ *         mcd:
+ *           type: object
+ *           example: { sensitivityCoefficient: 1.2, platformWeights: { google: 1.3 } }
+ *         rcd:
+ *           type: object
+ *           example: { maxDiscount: 15, thresholds: { minimumSpend: 75 } }
+ *         optimization:
+ *           type: object
+ *           example: { targetROI: 2.5 }
+ *         attribution:
+ *           type: object
+ *           example: { model: linear }
+ *         quotes:
+ *           type: object
+ *           example: { ttlMinutes: 30 }
+ *         referrals:
+ *           type: object
+ *           example: { minimumPurchase: 25, monthlyBonusCap: 15, velocityMaxReferrals: 3 }
+ *         loyalty:
+ *           type: object
+ *           example: { pointsPerCurrency: 2, expiryDays: 180, tierMultipliers: { gold: 2 } }
+ *         tiers:
+ *           type: object
+ *           example: { qualificationDays: 180, graceDays: 14 }
+ *         webhooks:
+ *           type: object
+ *           example: { maxAttempts: 5, retryBaseSeconds: 60 }
+ *         currency:
+ *           type: object
+ *           example: { base: EUR, exchangeRates: { USD: 0.92, GBP: 1.17 } }
+ *     TenantConfigVersion:
+ *       type: object
+ *       properties:
+ *         version:
+ *           type: integer
+ *         config:
+ *           $ref: '#/components/schemas/TenantConfigOverrides'
+ *         changes:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ConfigChange'
+ *         action:
+ *           type: string
+ *           enum: [baseline, update, rollback]
+ *         restoredFrom:
+ *           type: integer
+ *           nullable: true
+ *         reason:
+ *           type: string
+ *           nullable: true
+ *         changedBy:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             keyId:
+ *               type: string
+ *               nullable: true
+ *             name:
+ *               type: string
+ *         changedAt:
+ *           type: string
+ *           format: date-time
+ *     ConfigChange:
+ *       type: object
+ *       properties:
+ *         path:
+ *           type: string
+ *           example: rcd.maxDiscount
+ *         from: {}
+ *         to: {}
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Config
+ *     description: Versioned runtime configuration per business
+ */
+
+/**
+ * @swagger
+ * /api/config:
+ *   get:
+ *     summary: Get the current configuration
+ *     description: Returns the stored overrides with their version and the effective configuration the pricing engine is using
+ *     tags: [Config]
+ *     responses:
+ *       200:
+ *         description: Configuration retrieved successfully
+ *       500:
+ *         description: Internal server error
+ */
+// Get current config
+router.get('/', async (req, res) => {
+  try {
+    const { mcdRcd } = req;
+    const { businessId, version, config, updatedAt, updatedBy } = await getTenantConfig(req.businessId);
+
+    res.json({
+      businessId,
+      version,
+      overrides: config,
+      effective: mcdRcd.config,
+      updatedAt,
+      updatedBy
+    });
+  } catch (error) {
+    console.error('Get config error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/config:
+ *   put:
+ *     summary: Replace the configuration
+ *     description: Validates the overrides against the config schema, stores them as a new version and applies them without a restart
+ *     tags: [Config]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - config
+ *             properties:
+ *               config:
+ *                 $ref: '#/components/schemas/TenantConfigOverrides'
+ *               reason:
+ *                 type: string
+ *                 example: Lower max discount for Q4 margins
+ *               expectedVersion:
+ *                 type: integer
+ *                 description: Fail with 409 if the current version differs
+ *     responses:
+ *       200:
+ *         description: Configuration updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TenantConfigVersion'
+ *       400:
+ *         description: Config failed validation
+ *       409:
+ *         description: Config was changed by someone else
+ *       500:
+ *         description: Internal server error
+ */
+// Replace config
+router.put('/', async (req, res) => {
+  try {
+    const { config, reason, expectedVersion } = req.body;
+
+    const record = await updateTenantConfig(req.businessId, config, {
+      actor: getActor(req),
+      reason,
+      expectedVersion
+    });
+    evictTenantModule(req.businessId);
+
+    res.json(record);
+  } catch (error) {
+    console.error('Update config error:', error);
+    res.status(error.statusCode || 500).json({ error: error.message, details: error.details });
+  }
+});
+
+/**
+ * @swagger
+ * /api/config/history:
+ *   get:
+ *     summary: List configuration versions
+ *     tags: [Config]
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Versions, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 versions:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/TenantConfigVersion'
+ *       500:
+ *         description: Internal server error
+ */
+// List config history
+router.get('/history', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const versions = await listConfigVersions(req.businessId, { limit });
+    res.json({ versions });
+  } catch (error) {
+    console.error('Config history error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/config/diff:
+ *   get:
+ *     summary: Diff two configuration versions
+ *     tags: [Config]
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: integer
+ *         description: Defaults to the current version
+ *     responses:
+ *       200:
+ *         description: Field-level changes between the versions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 from:
+ *                   type: integer
+ *                 to:
+ *                   type: integer
+ *                 changes:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ConfigChange'
+ *       400:
+ *         description: Invalid version numbers
+ *       404:
+ *         description: Version not found
+ *       409:
+ *         description: Config was changed concurrently
+ *       500:
+ *         description: Internal server error
+ */
+// Diff two versions
+router.get('/diff', async (req, res) => {
+  try {
+    const current = await getTenantConfig(req.businessId);
+    const from = parseVersion(req.query.from);
+    const to = req.query.to === undefined ? current.version : parseVersion(req.query.to);
+
+    if (from === null || to === null) {
+      return res.status(400).json({ error: 'from and to must be version numbers' });
+    }
+
+    const [fromVersion, toVersion] = await Promise.all([
+      getConfigVersion(req.businessId, from),
+      to === current.version ? current : getConfigVersion(req.businessId, to)
+    ]);
+
+    if (!fromVersion || !toVersion) {
+      return res.status(404).json({ error: 'Config version not found' });
+    }
+
+    res.json({ from, to, changes: diffConfigs(fromVersion.config, toVersion.config) });
+  } catch (error) {
+    console.error('Config diff error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/config/versions/{version}:
+ *   get:
+ *     summary: Get a configuration version
+ *     tags: [Config]
+ *     parameters:
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Version retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TenantConfigVersion'
+ *       404:
+ *         description: Version not found
+ *       409:
+ *         description: Config was changed concurrently
+ *       500:
+ *         description: Internal server error
+ */
+// Get one version
+router.get('/versions/:version', async (req, res) => {
+  try {
+    const version = parseVersion(req.params.version);
+    const record = version === null ? null : await getConfigVersion(req.businessId, version);
+
+    if (!record) {
+      return res.status(404).json({ error: 'Config version not found' });
+    }
+
+    res.json(record);
+  } catch (error) {
+    console.error('Get config version error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/config/rollback:
+ *   post:
+ *     summary: Roll back to an earlier configuration
+ *     description: Restores the overrides from an earlier version as a new version and applies them without a restart
+ *     tags: [Config]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - version
+ *             properties:
+ *               version:
+ *                 type: integer
+ *                 example: 3
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Configuration rolled back
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TenantConfigVersion'
+ *       400:
+ *         description: Invalid version, or the stored config no longer passes validation
+ *       404:
+ *         description: Version not found
+ *       409:
+ *         description: Config was changed concurrently
+ *       500:
+ *         description: Internal server error
+ */
+// Roll back to a version
+router.post('/rollback', async (req, res) => {
+  try {
+    const version = parseVersion(req.body.version);
+
+    if (version === null) {
+      return res.status(400).json({ error: 'Version number required' });
+    }
+
+    const record = await rollbackTenantConfig(req.businessId, version, {
+      actor: getActor(req),
+      reason: req.body.reason
+    });
+    evictTenantModule(req.businessId);
+
+    res.json(record);
+  } catch (error) {
+    console.error('Config rollback error:', error);
+    res.status(error.statusCode || 500).json({ error: error.message, details: error.details });
+  }
+});
+
+export default router;
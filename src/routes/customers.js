@@ -0,0 +1,384 @@
+import { Router } from 'express';
+import { requireRole } from '../middleware/auth.js';
+
+const router = Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CustomerIdentifier:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [email, phone, external-id]
+ *         value:
+ *           type: string
+ *           description: Normalised value; emails lowercased, phones in E.164
+ *         source:
+ *           type: string
+ *           enum: [manual, merge]
+ *         mergeId:
+ *           type: string
+ *           nullable: true
+ *         linkedAt:
+ *           type: string
+ *           format: date-time
+ *     CustomerMerge:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         primaryEmailHash:
+ *           type: string
+ *         secondaryEmailHash:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [merged, unmerged]
+ *         mergedAt:
+ *           type: string
+ *           format: date-time
+ *         unmergedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Customers
+ *     description: Customer identities - linked emails, phone numbers and external ids, merges and unmerges
+ */
+
+/**
+ * @swagger
+ * /api/customers/lookup:
+ *   get:
+ *     summary: Find a customer by any linked identifier
+ *     tags: [Customers]
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [email, phone, external-id]
+ *       - in: query
+ *         name: value
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Customer found
+ *       400:
+ *         description: Unknown type or invalid value
+ *       404:
+ *         description: No customer has this identifier
+ *       500:
+ *         description: Internal server error
+ */
+// Look up customer
+router.get('/lookup', requireRole('pricing:read'), async (req, res) => {
+  try {
+    const { mcdRcd } = req;
+    const customer = await mcdRcd.identities.findCustomer(req.query.type, req.query.value);
+
+    if (!customer) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+
+    res.json({
+      emailHash: customer.emailHash,
+      customerSegment: customer.customerSegment,
+      loyaltyTier: customer.loyaltyTier,
+      discountPercentage: customer.currentDiscountPercentage || 0,
+      totalSpend365: customer.totalSpend365 || 0,
+      purchaseCount365: customer.purchaseCount365 || 0
+    });
+  } catch (error) {
+    console.error('Customer lookup error:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/customers/{email}/identifiers:
+ *   get:
+ *     summary: List a customer's linked identifiers and merges
+ *     tags: [Customers]
+ *     parameters:
+ *       - in: path
+ *         name: email
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Primary email or any linked email
+ *     responses:
+ *       200:
+ *         description: Identifiers retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 identifiers:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CustomerIdentifier'
+ *                 merges:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CustomerMerge'
+ *       404:
+ *         description: Customer not found
+ *       500:
+ *         description: Internal server error
+ */
+// List identifiers
+router.get('/:email/identifiers', requireRole('pricing:read'), async (req, res) => {
+  try {
+    const { mcdRcd } = req;
+    const customer = await mcdRcd.getCustomerInfo(req.params.email);
+
+    if (!customer) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+
+    const [identifiers, merges] = await Promise.all([
+      mcdRcd.identities.list(customer.emailHash),
+      mcdRcd.identities.listMerges(customer.emailHash)
+    ]);
+
+    res.json({ identifiers, merges });
+  } catch (error) {
+    console.error('List identifiers error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/customers/{email}/identifiers:
+ *   post:
+ *     summary: Link an identifier to a customer
+ *     description: Purchases and lookups by a linked email count towards this customer. An email that already has its own customer has to be merged instead.
+ *     tags: [Customers]
+ *     parameters:
+ *       - in: path
+ *         name: email
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - type
+ *               - value
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [email, phone, external-id]
+ *               value:
+ *                 type: string
+ *                 example: '+49 170 1234567'
+ *     responses:
+ *       201:
+ *         description: Identifier linked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CustomerIdentifier'
+ *       400:
+ *         description: Unknown type or invalid value
+ *       404:
+ *         description: Customer not found
+ *       409:
+ *         description: Identifier belongs to another customer
+ *       500:
+ *         description: Internal server error
+ */
+// Link identifier
+router.post('/:email/identifiers', requireRole('admin'), async (req, res) => {
+  try {
+    const { mcdRcd } = req;
+    const customer = await mcdRcd.getCustomerInfo(req.params.email);
+
+    if (!customer) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+
+    const identifier = await mcdRcd.identities.link(customer, req.body.type, req.body.value);
+    res.status(201).json(identifier);
+  } catch (error) {
+    console.error('Link identifier error:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/customers/{email}/identifiers/{type}/{value}:
+ *   delete:
+ *     summary: Unlink an identifier
+ *     description: Emails linked by a merge can only be removed by undoing the merge.
+ *     tags: [Customers]
+ *     parameters:
+ *       - in: path
+ *         name: email
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [email, phone, external-id]
+ *       - in: path
+ *         name: value
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Identifier unlinked
+ *       404:
+ *         description: Customer or identifier not found
+ *       409:
+ *         description: Identifier was linked by a merge
+ *       500:
+ *         description: Internal server error
+ */
+// Unlink identifier
+router.delete('/:email/identifiers/:type/:value', requireRole('admin'), async (req, res) => {
+  try {
+    const { mcdRcd } = req;
+    const customer = await mcdRcd.getCustomerInfo(req.params.email);
+
+    if (!customer) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+
+    await mcdRcd.identities.unlink(customer, req.params.type, req.params.value);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Unlink identifier error:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/customers/{email}/merge:
+ *   post:
+ *     summary: Merge another customer into this one
+ *     description: Moves the other customer's transactions, refunds, referrals, loyalty points, tier history and promo usage to this customer, links their email as an alias and recomputes the discount, tier and points balance from the combined history.
+ *     tags: [Customers]
+ *     parameters:
+ *       - in: path
+ *         name: email
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The customer to keep
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 description: The customer to merge in
+ *                 example: jane.work@example.com
+ *     responses:
+ *       200:
+ *         description: Customers merged
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 mergeId:
+ *                   type: string
+ *                 primaryEmailHash:
+ *                   type: string
+ *                 secondaryEmailHash:
+ *                   type: string
+ *                 discount:
+ *                   type: number
+ *                   description: The merged customer's recomputed discount percentage
+ *       400:
+ *         description: Missing email, or both emails already belong to one customer
+ *       404:
+ *         description: Customer not found
+ *       500:
+ *         description: Internal server error
+ */
+// Merge customers
+router.post('/:email/merge', requireRole('admin'), async (req, res) => {
+  try {
+    const { mcdRcd } = req;
+
+    if (!req.body.email) {
+      return res.status(400).json({ error: 'email of the customer to merge in is required' });
+    }
+
+    const result = await mcdRcd.identities.merge(req.params.email, req.body.email);
+    res.json(result);
+  } catch (error) {
+    console.error('Merge customers error:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/customers/merges/{id}/unmerge:
+ *   post:
+ *     summary: Undo a merge
+ *     description: Restores the merged-in customer and moves back exactly the records the merge moved, then recomputes both customers. Purchases made after the merge stay with the customer that was kept.
+ *     tags: [Customers]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Merge undone
+ *       404:
+ *         description: Merge not found
+ *       409:
+ *         description: Merge was already undone
+ *       500:
+ *         description: Internal server error
+ */
+// Unmerge customers
+router.post('/merges/:id/unmerge', requireRole('admin'), async (req, res) => {
+  try {
+    const { mcdRcd } = req;
+    const result = await mcdRcd.identities.unmerge(req.params.id);
+    res.json(result);
+  } catch (error) {
+    console.error('Unmerge customers error:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+export default router;
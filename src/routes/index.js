@@ -2,13 +2,39 @@ import { Router } from 'express';
 import pricing from './pricing.js';
 import transactions from './transactions.js';
 import analytics from './analytics.js';
+import admin from './admin.js';
+import apiKeys from './apiKeys.js';
+import campaigns from './campaigns.js';
+import products from './products.js';
+import promotions from './promotions.js';
+import referrals from './referrals.js';
+import loyalty from './loyalty.js';
+import webhooks from './webhooks.js';
+import privacy from './privacy.js';
+import customers from './customers.js';
+import config from './config.js';
+import audit from './audit.js';
+import { requireGlobalAdmin } from '../middleware/auth.js';
+import { resolveTenant } from '../middleware/tenant.js';
 
 const router = Router();
+const tenantRoutes = Router();
 
 // Import route modules
-router.use('/pricing', pricing);
-router.use('/transactions', transactions);
-router.use('/analytics', analytics);
+tenantRoutes.use('/pricing', pricing);
+tenantRoutes.use('/transactions', transactions);
+tenantRoutes.use('/analytics', analytics);
+tenantRoutes.use('/campaigns', campaigns);
+tenantRoutes.use('/products', products);
+tenantRoutes.use('/promotions', promotions);
+tenantRoutes.use('/referrals', referrals);
+tenantRoutes.use('/loyalty', loyalty);
+tenantRoutes.use('/webhooks', webhooks);
+tenantRoutes.use('/privacy', privacy);
+tenantRoutes.use('/customers', customers);
+tenantRoutes.use('/keys', apiKeys);
+tenantRoutes.use('/config', config);
+tenantRoutes.use('/audit', audit);
 
 // Info endpoint
 router.get('/', (req, res) => {
@@ -18,11 +44,45 @@ router.get('/', (req, res) => {
     endpoints: [
       'GET /health',
       'GET /api/pricing/calculate',
+      'POST /api/pricing/cart',
+      'POST /api/pricing/quote',
       'POST /api/transactions',
       'POST /api/transactions/marketing',
-      'GET /api/analytics'
-    ]
+      'POST /api/transactions/import',
+      'GET /api/transactions/imports/:id',
+      'POST /api/transactions/marketing/import',
+      'GET /api/transactions/marketing/imports/:id',
+      'POST /api/transactions/:id/refund',
+      'POST /api/transactions/:id/void',
+      'GET /api/analytics',
+      'GET /api/analytics/referrals',
+      'GET /api/campaigns',
+      'GET /api/products',
+      'GET /api/promotions',
+      'GET /api/referrals/flagged',
+      'GET /api/loyalty/customers/:email',
+      'GET /api/loyalty/customers/:email/tier-history',
+      'GET /api/webhooks',
+      'GET /api/webhooks/deliveries',
+      'GET /api/customers/lookup',
+      'GET /api/customers/:email/identifiers',
+      'POST /api/customers/:email/merge',
+      'GET /api/privacy/customers/:email/export',
+      'DELETE /api/privacy/customers/:email',
+      'GET /api/config',
+      'GET /api/audit',
+      'GET /api/admin/jobs'
+    ],
+    authentication: 'Send an API key in x-api-key (or Authorization: Bearer <key>)',
+    tenancy: 'Keys bound to a business use it automatically; global keys send x-business-id or use /api/tenants/:businessId/...'
   });
 });
 
-export default router;
\ No newline at end of file
+// Operational endpoints span all tenants
+router.use('/admin', requireGlobalAdmin, admin);
+
+// Tenant can be named in the path or resolved from headers / API key
+router.use('/tenants/:businessId', resolveTenant, tenantRoutes);
+router.use(resolveTenant, tenantRoutes);
+
+export default router;
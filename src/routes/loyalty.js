@@ -0,0 +1,366 @@
+import { Router } from 'express';
+import { requireRole } from '../middleware/auth.js';
+import { LEDGER_ENTRY_TYPES } from '../models/LoyaltyLedger.js';
+
+const router = Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     LoyaltyLedgerEntry:
+ *       type: object
+ *       properties:
+ *         type:
+ *           type: string
+ *           enum: [earn, redeem, expire, adjust, reversal]
+ *         points:
+ *           type: integer
+ *           description: Positive for credits, negative for debits
+ *         reason:
+ *           type: string
+ *           nullable: true
+ *         transactionId:
+ *           type: string
+ *           nullable: true
+ *         reversalOf:
+ *           type: string
+ *           nullable: true
+ *           enum: [earn, redeem]
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         actor:
+ *           type: object
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     LoyaltyBalance:
+ *       type: object
+ *       properties:
+ *         email:
+ *           type: string
+ *         points:
+ *           type: integer
+ *         value:
+ *           type: number
+ *           description: Currency value of the points at checkout
+ *         expiringSoon:
+ *           type: integer
+ *           description: Points that expire within 30 days
+ *         nextExpiry:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *     TierStatus:
+ *       type: object
+ *       properties:
+ *         tier:
+ *           type: string
+ *           enum: [bronze, silver, gold]
+ *         tierSince:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         downgradeRisk:
+ *           type: string
+ *           enum: [none, at-risk, in-grace]
+ *           description: at-risk when purchases leaving the qualification window within tiers.warningDays would drop the tier; in-grace once the downgrade is scheduled
+ *         downgradeTo:
+ *           type: string
+ *           nullable: true
+ *         graceUntil:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: When the downgrade lands unless the customer qualifies again
+ *         qualifyingSpend:
+ *           type: number
+ *         expiringSpend:
+ *           type: number
+ *           description: Qualifying spend that leaves the window within tiers.warningDays
+ *         spendToKeepTier:
+ *           type: number
+ *     TierHistoryEntry:
+ *       type: object
+ *       properties:
+ *         event:
+ *           type: string
+ *           enum: [upgrade, downgrade, downgrade-warning, downgrade-cancelled]
+ *         from:
+ *           type: string
+ *         to:
+ *           type: string
+ *           description: New tier, or the tier a warning would downgrade to
+ *         graceUntil:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         qualifyingSpend:
+ *           type: number
+ *         cause:
+ *           type: string
+ *         transactionId:
+ *           type: string
+ *           nullable: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Loyalty
+ *     description: Loyalty points earned on purchases and spent at checkout
+ */
+
+/**
+ * @swagger
+ * /api/loyalty/customers/{email}:
+ *   get:
+ *     summary: Get a customer's points balance
+ *     tags: [Loyalty]
+ *     parameters:
+ *       - in: path
+ *         name: email
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Balance retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/LoyaltyBalance'
+ *       500:
+ *         description: Internal server error
+ */
+// Get points balance
+router.get('/customers/:email', requireRole('pricing:read'), async (req, res) => {
+  try {
+    const { mcdRcd } = req;
+    const { email } = req.params;
+
+    const balance = await mcdRcd.loyalty.getBalance(await mcdRcd.identities.resolveEmailHash(email));
+    res.json({ email, ...balance });
+  } catch (error) {
+    console.error('Loyalty balance error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/loyalty/customers/{email}/history:
+ *   get:
+ *     summary: Get a customer's points history
+ *     description: Ledger entries, newest first. Entries are never edited; corrections appear as adjustments and reversals.
+ *     tags: [Loyalty]
+ *     parameters:
+ *       - in: path
+ *         name: email
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [earn, redeem, expire, adjust, reversal]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *     responses:
+ *       200:
+ *         description: History retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 entries:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/LoyaltyLedgerEntry'
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     page:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     total:
+ *                       type: integer
+ *       400:
+ *         description: Unknown entry type
+ *       500:
+ *         description: Internal server error
+ */
+// Get points history
+router.get('/customers/:email/history', requireRole('pricing:read'), async (req, res) => {
+  try {
+    const { mcdRcd } = req;
+    const { type } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+
+    if (type && !LEDGER_ENTRY_TYPES.includes(type)) {
+      return res.status(400).json({ error: `type must be one of: ${LEDGER_ENTRY_TYPES.join(', ')}` });
+    }
+
+    const { entries, total } = await mcdRcd.loyalty.getHistory(await mcdRcd.identities.resolveEmailHash(req.params.email), {
+      type,
+      limit,
+      skip: (page - 1) * limit
+    });
+
+    res.json({ entries, pagination: { page, limit, total } });
+  } catch (error) {
+    console.error('Loyalty history error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/loyalty/customers/{email}/tier-history:
+ *   get:
+ *     summary: Get a customer's tier history
+ *     description: Upgrades, downgrades and downgrade warnings, newest first, with the customer's current tier status.
+ *     tags: [Loyalty]
+ *     parameters:
+ *       - in: path
+ *         name: email
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *     responses:
+ *       200:
+ *         description: Tier history retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   $ref: '#/components/schemas/TierStatus'
+ *                 entries:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/TierHistoryEntry'
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     page:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     total:
+ *                       type: integer
+ *       404:
+ *         description: Customer not found
+ *       500:
+ *         description: Internal server error
+ */
+// Get tier history
+router.get('/customers/:email/tier-history', requireRole('pricing:read'), async (req, res) => {
+  try {
+    const { mcdRcd } = req;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+
+    const customer = await mcdRcd.getCustomerInfo(req.params.email);
+    if (!customer) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+
+    const [status, { entries, total }] = await Promise.all([
+      mcdRcd.getTierStatus(customer),
+      mcdRcd.getTierHistory(customer.emailHash, { limit, skip: (page - 1) * limit })
+    ]);
+
+    res.json({ status, entries, pagination: { page, limit, total } });
+  } catch (error) {
+    console.error('Tier history error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/loyalty/customers/{email}/adjustments:
+ *   post:
+ *     summary: Adjust a customer's points
+ *     description: Adds or removes points with a reason, e.g. goodwill credits or corrections. Removals cannot take the balance below zero.
+ *     tags: [Loyalty]
+ *     parameters:
+ *       - in: path
+ *         name: email
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - points
+ *               - reason
+ *             properties:
+ *               points:
+ *                 type: integer
+ *                 example: 250
+ *               reason:
+ *                 type: string
+ *                 example: Late delivery goodwill
+ *     responses:
+ *       201:
+ *         description: Adjustment recorded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/LoyaltyLedgerEntry'
+ *       400:
+ *         description: Invalid points or missing reason
+ *       404:
+ *         description: Customer not found
+ *       500:
+ *         description: Internal server error
+ */
+// Adjust points
+router.post('/customers/:email/adjustments', requireRole('admin'), async (req, res) => {
+  try {
+    const { mcdRcd } = req;
+    const { points, reason } = req.body;
+
+    const entry = await mcdRcd.loyalty.adjust(await mcdRcd.identities.resolveEmailHash(req.params.email), Number(points), reason);
+    res.status(201).json(entry);
+  } catch (error) {
+    console.error('Loyalty adjustment error:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+export default router;
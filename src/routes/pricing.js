@@ -1,9 +1,58 @@
 import { Router } from 'express';
-import MCDRCDModule from '../models/MCDRCDModule.js';
+import { requireRole } from '../middleware/auth.js';
+import { isAttributionModel } from '../models/attribution.js';
 import { getDB } from '../config/database.js';
 
 const router = Router();
-const mcdRcd = new MCDRCDModule();
+
+// Week of the year as MongoDB's $week counts it: weeks start on Sunday, days before the first Sunday are week 0
+const weekOfYear = (date) => {
+  const dayOfYear = Math.floor((date - Date.UTC(date.getUTCFullYear(), 0, 1)) / (24 * 60 * 60 * 1000));
+  return Math.floor((dayOfYear + 7 - date.getUTCDay()) / 7);
+};
+
+// Start of a reporting period (7d, 30d, 90d, 180d or ytd); anything else is 30d
+const periodStart = (period) => {
+  const startDate = new Date();
+  switch (period) {
+    case '7d':
+      startDate.setDate(startDate.getDate() - 7);
+      break;
+    case '90d':
+      startDate.setDate(startDate.getDate() - 90);
+      break;
+    case '180d':
+      startDate.setDate(startDate.getDate() - 180);
+      break;
+    case 'ytd':
+      startDate.setMonth(0, 1); // January 1st
+      startDate.setHours(0, 0, 0, 0);
+      break;
+    default: // 30d
+      startDate.setDate(startDate.getDate() - 30);
+  }
+  return startDate;
+};
+
+// Groups the daily slices of amortised spend entries, keeping each entry's share per group
+const groupAmortizedSpend = (entries, keyOf) => {
+  const groups = new Map();
+
+  for (const entry of entries) {
+    for (const slice of entry.slices) {
+      const _id = keyOf(entry, slice);
+      const key = JSON.stringify(_id);
+      const group = groups.get(key) || { _id, entrySpend: new Map(), firstSpendDate: slice.date, lastSpendDate: slice.date };
+
+      group.entrySpend.set(entry._id, (group.entrySpend.get(entry._id) || 0) + slice.amount);
+      if (slice.date < group.firstSpendDate) group.firstSpendDate = slice.date;
+      if (slice.date > group.lastSpendDate) group.lastSpendDate = slice.date;
+      groups.set(key, group);
+    }
+  }
+
+  return [...groups.values()];
+};
 
 /**
  * @swagger
@@ -15,12 +64,17 @@ const mcdRcd = new MCDRCDModule();
  *     parameters:
  *       - in: query
  *         name: basePrice
- *         required: true
  *         schema:
  *           type: number
- *         description: Base price of the product/service
+ *         description: Base price of the product/service. Required unless a sku is given.
  *         example: 100.00
  *       - in: query
+ *         name: sku
+ *         schema:
+ *           type: string
+ *         description: Catalog product to price. Supplies the default price, category, cost floor and discount eligibility.
+ *         example: SKU-1001
+ *       - in: query
  *         name: email
  *         schema:
  *           type: string
@@ -31,8 +85,19 @@ const mcdRcd = new MCDRCDModule();
  *         schema:
  *           type: string
  *           enum: [premium, standard, budget]
- *         description: Product category for discount weighting
+ *         description: Product category for discount weighting. Ignored when a sku is given.
  *         example: standard
+ *       - in: query
+ *         name: promoCode
+ *         schema:
+ *           type: string
+ *         description: Promo code to preview. A code that can't be used is reported in `promotion` with the reason.
+ *         example: SUMMER10
+ *       - in: query
+ *         name: explain
+ *         schema:
+ *           type: boolean
+ *         description: Include a step-by-step trace of every pricing stage with its inputs and outputs
  *     responses:
  *       200:
  *         description: Price calculated successfully
@@ -41,7 +106,9 @@ const mcdRcd = new MCDRCDModule();
  *             schema:
  *               $ref: '#/components/schemas/PriceCalculation'
  *       400:
- *         description: Bad request - missing basePrice
+ *         description: Bad request - missing basePrice and sku
+ *       404:
+ *         description: Unknown or inactive sku
  *       500:
  *         description: Internal server error
  *         content:
@@ -50,21 +117,27 @@ const mcdRcd = new MCDRCDModule();
  *               $ref: '#/components/schemas/Error'
  */
 // Calculate price with MCD and RCD logic
-router.get('/calculate', async (req, res) => {
+router.get('/calculate', requireRole('pricing:read'), async (req, res) => {
   try {
-    const { basePrice, email, productCategory = 'standard' } = req.query;
+    const { mcdRcd } = req;
+    const { basePrice, email, productCategory = 'standard', sku, promoCode, explain } = req.query;
     
-    if (!basePrice) {
-      return res.status(400).json({ error: 'Base price required' });
+    if (!basePrice && !sku) {
+      return res.status(400).json({ error: 'Base price or sku required' });
     }
     
     const numericBasePrice = parseFloat(basePrice);
     
     // Use the enhanced model to calculate final price
-    const priceResult = await mcdRcd.calculateFinalPrice(numericBasePrice, email, productCategory);
+    const priceResult = await mcdRcd.calculateFinalPrice(numericBasePrice, email, productCategory, {
+      sku,
+      promoCode,
+      explain: explain === 'true'
+    });
     
     res.json({
       basePrice: priceResult.basePrice,
+      sku: priceResult.sku,
       finalPrice: priceResult.finalPrice,
       mcdAdjustment: {
         multiplier: priceResult.mcdMultiplier,
@@ -83,14 +156,300 @@ router.get('/calculate', async (req, res) => {
       breakdown: {
         priceAfterMCD: priceResult.priceAfterMCD,
         discountAmount: priceResult.discountAmount,
+        promotionDiscount: priceResult.promotionDiscount,
         finalPrice: priceResult.finalPrice,
         savings: priceResult.savings
       },
+      promotion: priceResult.promotion,
+      trace: priceResult.trace,
       calculatedAt: priceResult.calculatedAt
     });
     
   } catch (error) {
     console.error('Price calculation error:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CartLineItem:
+ *       type: object
+ *       description: Either unitPrice or a catalog sku is required
+ *       properties:
+ *         sku:
+ *           type: string
+ *           description: Product identifier. When the sku is in the catalog its category, cost floor and discount eligibility apply, and its price is used if unitPrice is omitted.
+ *           example: SKU-1001
+ *         quantity:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *           example: 2
+ *         unitPrice:
+ *           type: number
+ *           example: 49.99
+ *         productCategory:
+ *           type: string
+ *           enum: [premium, standard, budget]
+ *           default: standard
+ *     CartPrice:
+ *       type: object
+ *       properties:
+ *         lines:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               sku:
+ *                 type: string
+ *               quantity:
+ *                 type: integer
+ *               unitPrice:
+ *                 type: number
+ *               productCategory:
+ *                 type: string
+ *               rcdDiscount:
+ *                 type: number
+ *                 description: Category-weighted discount percentage for this line
+ *               unitPriceAfterMCD:
+ *                 type: number
+ *               unitFinalPrice:
+ *                 type: number
+ *               floorApplied:
+ *                 type: boolean
+ *                 description: True when the minimum-price floor limited the discount
+ *               subtotal:
+ *                 type: number
+ *               mcdAdjustment:
+ *                 type: number
+ *               discountAmount:
+ *                 type: number
+ *                 description: Discount actually given on the line, after the floor
+ *               lineTotal:
+ *                 type: number
+ *         totals:
+ *           type: object
+ *           properties:
+ *             itemCount:
+ *               type: integer
+ *             subtotal:
+ *               type: number
+ *             mcdAdjustment:
+ *               type: number
+ *             discountAmount:
+ *               type: number
+ *             total:
+ *               type: number
+ *             savings:
+ *               type: number
+ *         mcdMultiplier:
+ *           type: number
+ *         customerDiscount:
+ *           type: number
+ *           description: Customer's unweighted RCD percentage
+ *         customerSegment:
+ *           type: string
+ *         flooredLines:
+ *           type: integer
+ *         loyalty:
+ *           type: object
+ *           description: Only for known customers while loyalty points are enabled
+ *           properties:
+ *             pointsToEarn:
+ *               type: integer
+ *             redeemPoints:
+ *               type: integer
+ *             redeemValue:
+ *               type: number
+ *             amountDue:
+ *               type: number
+ *               description: Basket total after redeemed points; record the transaction with this amount and the same redeemPoints
+ */
+
+/**
+ * @swagger
+ * /api/pricing/cart:
+ *   post:
+ *     summary: Price a basket of line items
+ *     description: Applies MCD and the customer's category-weighted RCD to every line, enforces the minimum-price floor per line and returns line and basket totals
+ *     tags: [Pricing]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - items
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 example: customer@example.com
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/CartLineItem'
+ *               redeemPoints:
+ *                 type: integer
+ *                 description: Loyalty points to preview spending on the basket
+ *                 example: 500
+ *     responses:
+ *       200:
+ *         description: Cart priced successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CartPrice'
+ *       400:
+ *         description: Bad request - missing or invalid line items
+ *       404:
+ *         description: A line has no unitPrice and its sku is not an active catalog product
+ *       500:
+ *         description: Internal server error
+ */
+// Price a multi-line cart
+router.post('/cart', requireRole('pricing:read'), async (req, res) => {
+  try {
+    const { mcdRcd } = req;
+    const { items, email, redeemPoints } = req.body;
+    
+    const cart = await mcdRcd.calculateCartPrice(items, email, { redeemPoints });
+    
+    res.json(cart);
+    
+  } catch (error) {
+    console.error('Cart pricing error:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/pricing/quote:
+ *   post:
+ *     summary: Create a signed price quote
+ *     description: Calculates the price like /calculate, stores the full breakdown and returns a quote ID plus an HMAC-signed token that expires. Pass the token as quoteToken when recording the transaction to lock in the quoted price and discount.
+ *     tags: [Pricing]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             description: Either basePrice or a catalog sku is required
+ *             properties:
+ *               basePrice:
+ *                 type: number
+ *                 example: 100.00
+ *               sku:
+ *                 type: string
+ *                 example: SKU-1001
+ *               email:
+ *                 type: string
+ *                 example: customer@example.com
+ *               productCategory:
+ *                 type: string
+ *                 enum: [premium, standard, budget]
+ *                 example: standard
+ *               promoCode:
+ *                 type: string
+ *                 description: Promo code to price into the quote. If it applies, it is redeemed when the quote is used.
+ *               redeemPoints:
+ *                 type: integer
+ *                 description: Loyalty points spent on this order, on top of the amount charged. Limited by the balance and loyalty.maxRedeemShare.
+ *                 example: SUMMER10
+ *     responses:
+ *       201:
+ *         description: Quote created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 quoteId:
+ *                   type: string
+ *                   example: qt_3b2f0c4e-8f1d-4c55-9d8a-2f6e0d1b7a90
+ *                 token:
+ *                   type: string
+ *                 expiresAt:
+ *                   type: string
+ *                   format: date-time
+ *                 basePrice:
+ *                   type: number
+ *                 mcdMultiplier:
+ *                   type: number
+ *                 rcdDiscount:
+ *                   type: number
+ *                 finalPrice:
+ *                   type: number
+ *       400:
+ *         description: Bad request - missing basePrice and sku
+ *       404:
+ *         description: Unknown or inactive sku
+ *       500:
+ *         description: Internal server error
+ */
+// Create a signed, time-limited quote
+router.post('/quote', requireRole('pricing:read'), async (req, res) => {
+  try {
+    const { mcdRcd } = req;
+    const { basePrice, email, productCategory = 'standard', sku, promoCode } = req.body;
+    
+    if (!basePrice && !sku) {
+      return res.status(400).json({ error: 'Base price or sku required' });
+    }
+    
+    const quote = await mcdRcd.quotes.createQuote({ basePrice, email, productCategory, sku, promoCode });
+    
+    res.status(201).json(quote);
+    
+  } catch (error) {
+    console.error('Quote error:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/pricing/quote/{quoteId}:
+ *   get:
+ *     summary: Get a stored quote
+ *     description: Returns the stored quote with its pricing breakdown, status and, once redeemed, the transaction that used it
+ *     tags: [Pricing]
+ *     parameters:
+ *       - in: path
+ *         name: quoteId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Quote retrieved successfully
+ *       404:
+ *         description: Quote not found
+ *       500:
+ *         description: Internal server error
+ */
+// Get a stored quote for auditing
+router.get('/quote/:quoteId', requireRole('pricing:read'), async (req, res) => {
+  try {
+    const { mcdRcd } = req;
+    const quote = await mcdRcd.quotes.getQuote(req.params.quoteId);
+    
+    if (!quote) {
+      return res.status(404).json({ error: 'Quote not found' });
+    }
+    
+    res.json({
+      ...quote,
+      expired: quote.status === 'open' && quote.expiresAt <= new Date()
+    });
+    
+  } catch (error) {
+    console.error('Get quote error:', error);
     res.status(500).json({ error: error.message });
   }
 });
@@ -128,6 +487,20 @@ router.get('/calculate', async (req, res) => {
  *                 type: string
  *                 description: Campaign identifier
  *                 example: camp_12345
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *                 example: '2024-03-01'
+ *               endDate:
+ *                 type: string
+ *                 format: date
+ *                 description: Last day of the flight; the amount is amortised across it
+ *                 example: '2024-03-31'
+ *               amortizationCurve:
+ *                 type: array
+ *                 items:
+ *                   type: number
+ *                 description: Relative weights stretched over the flight instead of an even split
  *     responses:
  *       200:
  *         description: Marketing spend recorded successfully
@@ -145,14 +518,15 @@ router.get('/calculate', async (req, res) => {
  *                 currentMCDMultiplier:
  *                   type: number
  *       400:
- *         description: Bad request - missing required fields
+ *         description: Bad request - missing required fields, or an invalid flight or amortization curve
  *       500:
  *         description: Internal server error
  */
 // Record marketing spend (new endpoint)
-router.post('/marketing-spend', async (req, res) => {
+router.post('/marketing-spend', requireRole('ingest:write'), async (req, res) => {
   try {
-    const { platform, amount, campaignName, campaignId } = req.body;
+    const { mcdRcd } = req;
+    const { platform, amount, campaignName, campaignId, startDate, endDate, amortizationCurve } = req.body;
     
     if (!platform || !amount) {
       return res.status(400).json({ error: 'Platform and amount are required' });
@@ -161,18 +535,18 @@ router.post('/marketing-spend', async (req, res) => {
     const spendRecord = await mcdRcd.recordMarketingSpend(platform, amount, {
       campaignName,
       campaignId
-    });
+    }, { startDate, endDate, amortizationCurve });
     
     res.json({
       success: true,
       message: 'Marketing spend recorded successfully',
       record: spendRecord,
-      currentMCDMultiplier: mcdRcd.currentMCDMultiplier
+      currentMCDMultiplier: await mcdRcd.getCurrentMCDMultiplier()
     });
     
   } catch (error) {
     console.error('Marketing spend recording error:', error);
-    res.status(500).json({ error: error.message });
+    res.status(error.statusCode || 500).json({ error: error.message });
   }
 });
 
@@ -217,6 +591,19 @@ router.post('/marketing-spend', async (req, res) => {
  *                   type: string
  *                 description: Array of product categories
  *                 example: ["electronics", "accessories"]
+ *               touchpoints:
+ *                 type: array
+ *                 description: Marketing touchpoints used for revenue attribution
+ *                 items:
+ *                   $ref: '#/components/schemas/Touchpoint'
+ *               utm:
+ *                 $ref: '#/components/schemas/UtmTags'
+ *               quoteToken:
+ *                 type: string
+ *                 description: Token from POST /api/pricing/quote. The amount must match the quoted final price.
+ *               promoCode:
+ *                 type: string
+ *                 description: Promo code to redeem. Usage and per-customer limits are claimed atomically; a code priced into the quote is redeemed automatically.
  *     responses:
  *       200:
  *         description: Transaction recorded successfully
@@ -230,9 +617,10 @@ router.post('/marketing-spend', async (req, res) => {
  *         description: Internal server error
  */
 // Record transaction (new endpoint)
-router.post('/transaction', async (req, res) => {
+router.post('/transaction', requireRole('ingest:write'), async (req, res) => {
   try {
-    const { email, amount, referralCode, productIds, productCategories } = req.body;
+    const { mcdRcd } = req;
+    const { email, amount, referralCode, productIds, productCategories, touchpoints, utm, quoteToken, promoCode, redeemPoints } = req.body;
     
     if (!email || !amount) {
       return res.status(400).json({ error: 'Email and amount are required' });
@@ -243,7 +631,8 @@ router.post('/transaction', async (req, res) => {
       amount, 
       referralCode, 
       productIds, 
-      productCategories
+      productCategories,
+      { touchpoints, utm, quoteToken, promoCode, redeemPoints }
     );
     
     res.json({
@@ -253,12 +642,13 @@ router.post('/transaction', async (req, res) => {
       discount: transactionResult.discount,
       referralCode: transactionResult.referralCode,
       customerSegment: transactionResult.customerSegment,
-      loyaltyTier: transactionResult.loyaltyTier
+      loyaltyTier: transactionResult.loyaltyTier,
+      loyalty: transactionResult.loyalty
     });
     
   } catch (error) {
     console.error('Transaction recording error:', error);
-    res.status(500).json({ error: error.message });
+    res.status(error.statusCode || 500).json({ error: error.message });
   }
 });
 
@@ -267,7 +657,7 @@ router.post('/transaction', async (req, res) => {
  * /api/pricing/customer/{email}/discount:
  *   get:
  *     summary: Get customer discount details
- *     description: Retrieves discount eligibility and details for a specific customer
+ *     description: Retrieves discount eligibility and details for a specific customer. `tierStatus` warns when the customer's tier is in its grace window or will be once older purchases leave the qualification window.
  *     tags: [Pricing]
  *     parameters:
  *       - in: path
@@ -290,8 +680,9 @@ router.post('/transaction', async (req, res) => {
  *         description: Internal server error
  */
 // Get customer discount details
-router.get('/customer/:email/discount', async (req, res) => {
+router.get('/customer/:email/discount', requireRole('pricing:read'), async (req, res) => {
   try {
+    const { mcdRcd } = req;
     const { email } = req.params;
     
     if (!email) {
@@ -339,6 +730,8 @@ router.get('/customer/:email/discount', async (req, res) => {
       progressToNextTier = Math.min((totalSpend365 / mcdRcd.config.rcd.thresholds.loyaltyTier2) * 100, 100);
     }
     
+    const tierStatus = await mcdRcd.getTierStatus(customerInfo);
+    
     // Time-based metrics
     const daysSinceLastPurchase = lastPurchaseDate 
       ? Math.floor((new Date() - new Date(lastPurchaseDate)) / (1000 * 60 * 60 * 24))
@@ -363,6 +756,7 @@ router.get('/customer/:email/discount', async (req, res) => {
         requiredSpend: Math.max(0, requiredSpend),
         currentSpend: totalSpend365
       } : null,
+      tierStatus,
       personalizedMessage: `As a ${loyaltyTier} ${customerSegment} customer, you qualify for ${currentDiscountPercentage}% off your next purchase!`,
       validUntil: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString().split('T')[0]
     });
@@ -404,8 +798,9 @@ router.get('/customer/:email/discount', async (req, res) => {
  */
 
 // Get customer lifetime value
-router.get('/customer/:email/lifetime-value', async (req, res) => {
+router.get('/customer/:email/lifetime-value', requireRole('analytics:read'), async (req, res) => {
   try {
+    const { mcdRcd } = req;
     const { email } = req.params;
     
     if (!email) {
@@ -437,8 +832,10 @@ router.get('/customer/:email/lifetime-value', async (req, res) => {
  * /api/pricing/analytics/marketing-roi:
  *   get:
  *     summary: Get marketing ROI analytics
- *     description: Retrieves marketing return on investment analytics data
+ *     description: Retrieves marketing return on investment analytics data, with per-platform revenue credited by the selected attribution model
  *     tags: [Pricing]
+ *     parameters:
+ *       - $ref: '#/components/parameters/AttributionModel'
  *     responses:
  *       200:
  *         description: Marketing ROI data retrieved successfully
@@ -451,19 +848,22 @@ router.get('/customer/:email/lifetime-value', async (req, res) => {
  */
 
 // Get marketing ROI analytics
-router.get('/analytics/marketing-roi', async (req, res) => {
+router.get('/analytics/marketing-roi', requireRole('analytics:read'), async (req, res) => {
   try {
-    const roiData = await mcdRcd.getMarketingROI();
+    const { mcdRcd } = req;
+    const roiData = await mcdRcd.getMarketingROI({
+      model: req.query.attributionModel || mcdRcd.config.attribution.model
+    });
     
     res.json({
       analytics: roiData,
-      currentMCDMultiplier: mcdRcd.currentMCDMultiplier,
+      currentMCDMultiplier: await mcdRcd.getCurrentMCDMultiplier(),
       platformWeights: mcdRcd.config.mcd.platformWeights
     });
     
   } catch (error) {
     console.error('Marketing ROI error:', error);
-    res.status(500).json({ error: error.message });
+    res.status(error.statusCode || 500).json({ error: error.message });
   }
 });
 
@@ -508,8 +908,9 @@ router.get('/analytics/marketing-roi', async (req, res) => {
  *         description: Internal server error
  */
 // Get price simulation for multiple scenarios
-router.get('/simulate', async (req, res) => {
+router.get('/simulate', requireRole('pricing:read'), async (req, res) => {
   try {
+    const { mcdRcd } = req;
     const { basePrice, email, productCategory = 'standard' } = req.query;
     
     if (!basePrice) {
@@ -520,7 +921,7 @@ router.get('/simulate', async (req, res) => {
     const scenarios = [];
     
     // Get current MCD multiplier
-    const currentMultiplier = mcdRcd.currentMCDMultiplier;
+    const currentMultiplier = await mcdRcd.getCurrentMCDMultiplier();
     
     // Scenario 1: Base price only
     scenarios.push({
@@ -607,6 +1008,81 @@ router.get('/simulate', async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/pricing/season:
+ *   get:
+ *     summary: Preview the season on a date
+ *     description: Resolves which season of the business's seasonal calendar applies at the given instant, in the calendar's timezone, and the RCD multiplier it carries. Lists every overlapping season and the rule used to pick one.
+ *     tags: [Pricing]
+ *     parameters:
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Instant to check. Defaults to now.
+ *         example: 2024-12-24T18:00:00Z
+ *     responses:
+ *       200:
+ *         description: Season resolved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 date:
+ *                   type: string
+ *                   format: date-time
+ *                 localDate:
+ *                   type: string
+ *                   example: 2024-12-24
+ *                 timezone:
+ *                   type: string
+ *                   example: Europe/Berlin
+ *                 season:
+ *                   type: string
+ *                   example: christmas
+ *                 multiplier:
+ *                   type: number
+ *                   example: 1.2
+ *                 overlapRule:
+ *                   type: string
+ *                   enum: [priority, highest, lowest]
+ *                 matches:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       name:
+ *                         type: string
+ *                       priority:
+ *                         type: integer
+ *                       multiplier:
+ *                         type: number
+ *       400:
+ *         description: Invalid date
+ *       500:
+ *         description: Internal server error
+ */
+// Preview which season applies on a date
+router.get('/season', requireRole('pricing:read'), async (req, res) => {
+  try {
+    const { mcdRcd } = req;
+    const date = req.query.date ? new Date(req.query.date) : new Date();
+    
+    if (isNaN(date.getTime())) {
+      return res.status(400).json({ error: 'Invalid date' });
+    }
+    
+    res.json(mcdRcd.getSeason(date));
+    
+  } catch (error) {
+    console.error('Season preview error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
  * @swagger
  * /api/pricing/mcd-multiplier:
@@ -626,15 +1102,14 @@ router.get('/simulate', async (req, res) => {
  */
 
 // Get current MCD multiplier
-router.get('/mcd-multiplier', async (req, res) => {
+router.get('/mcd-multiplier', requireRole('pricing:read'), async (req, res) => {
   try {
-    if (mcdRcd.shouldRecalculateMCD()) {
-      await mcdRcd.calculateMCDMultiplier();
-    }
+    const { mcdRcd } = req;
+    const multiplier = await mcdRcd.getCurrentMCDMultiplier();
     
     res.json({
-      multiplier: mcdRcd.currentMCDMultiplier,
-      lastUpdated: mcdRcd.lastMCDUpdate,
+      multiplier,
+      lastUpdated: mcdRcd.lastMCDUpdate ? new Date(mcdRcd.lastMCDUpdate) : null,
       config: mcdRcd.config.mcd
     });
     
@@ -663,14 +1138,17 @@ router.get('/mcd-multiplier', async (req, res) => {
  */
 
 // Force MCD recalculation
-router.post('/recalculate-mcd', async (req, res) => {
+router.post('/recalculate-mcd', requireRole('admin'), async (req, res) => {
   try {
+    const { mcdRcd } = req;
+    await mcdRcd.loadMCDState();
+    const previousMultiplier = mcdRcd.currentMCDMultiplier;
     const newMultiplier = await mcdRcd.calculateMCDMultiplier();
     
     res.json({
       success: true,
       newMultiplier,
-      previousMultiplier: mcdRcd.currentMCDMultiplier,
+      previousMultiplier,
       lastUpdated: new Date()
     });
     
@@ -708,6 +1186,7 @@ router.post('/recalculate-mcd', async (req, res) => {
  *           enum: [platform, campaign, week, month]
  *         description: Grouping method for results
  *         example: platform
+ *       - $ref: '#/components/parameters/AttributionModel'
  *     responses:
  *       200:
  *         description: Marketing spend data retrieved successfully
@@ -719,123 +1198,98 @@ router.post('/recalculate-mcd', async (req, res) => {
  *         description: Internal server error
  */
 // Get marketing spend by platform
-router.get('/marketing-spend', async (req, res) => {
+router.get('/marketing-spend', requireRole('analytics:read'), async (req, res) => {
   try {
-    const db = getDB();
+    const { mcdRcd } = req;
     const { 
       platform, 
       period = '30d',
-      groupBy = 'platform' // platform, campaign, week, month
+      groupBy = 'platform', // platform, campaign, week, month
+      attributionModel = mcdRcd.config.attribution.model
     } = req.query;
-
-    // Calculate date range based on period
-    const startDate = new Date();
-    switch (period) {
-      case '7d':
-        startDate.setDate(startDate.getDate() - 7);
-        break;
-      case '90d':
-        startDate.setDate(startDate.getDate() - 90);
-        break;
-      case '180d':
-        startDate.setDate(startDate.getDate() - 180);
-        break;
-      case 'ytd':
-        startDate.setMonth(0, 1); // January 1st
-        startDate.setHours(0, 0, 0, 0);
-        break;
-      default: // 30d
-        startDate.setDate(startDate.getDate() - 30);
+    
+    if (!isAttributionModel(attributionModel)) {
+      return res.status(400).json({ error: `Unknown attribution model: ${attributionModel}` });
     }
 
-    // Build match criteria
-    const matchCriteria = {
-      businessId: mcdRcd.config.businessId,
-      date: { $gte: startDate }
-    };
+    // Calculate date range based on period
+    const startDate = periodStart(period);
 
-    // Filter by specific platform if provided
-    if (platform && platform !== 'all') {
-      matchCriteria.platform = platform.toLowerCase();
-    }
+    // Campaign flights only count for the days inside the period
+    const entries = await mcdRcd.getAmortizedSpend(
+      startDate,
+      new Date(),
+      platform && platform !== 'all' ? { platform: platform.toLowerCase() } : {}
+    );
 
-    let groupFormat;
+    let groupKey;
     switch (groupBy) {
       case 'campaign':
-        groupFormat = { 
-          platform: '$platform',
-          campaignName: '$campaignName',
-          campaignId: '$campaignId'
-        };
+        groupKey = (entry) => ({
+          platform: entry.platform,
+          campaignName: entry.campaignName,
+          campaignId: entry.campaignId
+        });
         break;
       case 'week':
-        groupFormat = { 
-          platform: '$platform',
-          week: { $week: '$date' },
-          year: { $year: '$date' }
-        };
+        groupKey = (entry, slice) => ({
+          platform: entry.platform,
+          week: weekOfYear(slice.date),
+          year: slice.date.getUTCFullYear()
+        });
         break;
       case 'month':
-        groupFormat = { 
-          platform: '$platform',
-          month: { $month: '$date' },
-          year: { $year: '$date' }
-        };
+        groupKey = (entry, slice) => ({
+          platform: entry.platform,
+          month: slice.date.getUTCMonth() + 1,
+          year: slice.date.getUTCFullYear()
+        });
         break;
       default: // platform
-        groupFormat = { platform: '$platform' };
+        groupKey = (entry) => ({ platform: entry.platform });
     }
 
     // Get marketing spend data
-    const marketingSpend = await db.collection('marketingSpend')
-      .aggregate([
-        {
-          $match: matchCriteria
-        },
-        {
-          $group: {
-            _id: groupFormat,
-            totalSpend: { $sum: '$amount' },
-            campaignCount: { $sum: 1 },
-            averageSpend: { $avg: '$amount' },
-            minSpend: { $min: '$amount' },
-            maxSpend: { $max: '$amount' },
-            lastSpendDate: { $max: '$date' },
-            firstSpendDate: { $min: '$date' }
-          }
-        },
-        {
-          $sort: { totalSpend: -1 }
-        }
-      ]).toArray();
+    const marketingSpend = groupAmortizedSpend(entries, groupKey)
+      .map(({ _id, entrySpend, firstSpendDate, lastSpendDate }) => {
+        const amounts = [...entrySpend.values()];
+        const totalSpend = amounts.reduce((sum, amount) => sum + amount, 0);
+        return {
+          _id,
+          totalSpend,
+          campaignCount: amounts.length,
+          averageSpend: totalSpend / amounts.length,
+          minSpend: Math.min(...amounts),
+          maxSpend: Math.max(...amounts),
+          lastSpendDate,
+          firstSpendDate
+        };
+      })
+      .sort((a, b) => b.totalSpend - a.totalSpend);
 
     // Get trend data (spend over time)
-    const spendTrend = await db.collection('marketingSpend')
-      .aggregate([
-        {
-          $match: matchCriteria
-        },
-        {
-          $group: {
-            _id: {
-              week: { $week: '$date' },
-              year: { $year: '$date' },
-              platform: '$platform'
-            },
-            weeklySpend: { $sum: '$amount' },
-            weekStart: { $min: '$date' }
-          }
-        },
-        {
-          $sort: { '_id.year': 1, '_id.week': 1 }
-        }
-      ]).toArray();
+    const spendTrend = groupAmortizedSpend(entries, (entry, slice) => ({
+      week: weekOfYear(slice.date),
+      year: slice.date.getUTCFullYear(),
+      platform: entry.platform
+    }))
+      .map(({ _id, entrySpend, firstSpendDate }) => ({
+        _id,
+        weeklySpend: [...entrySpend.values()].reduce((sum, amount) => sum + amount, 0),
+        weekStart: firstSpendDate
+      }))
+      .sort((a, b) => a._id.year - b._id.year || a._id.week - b._id.week);
 
     // Get platform performance metrics
+    const attributedRevenue = await mcdRcd.getAttributedRevenue({
+      groupBy: 'source',
+      start: startDate,
+      model: attributionModel
+    });
     const platformPerformance = [];
     for (const spend of marketingSpend) {
       const platformName = spend._id.platform || spend._id;
-      const revenue = await mcdRcd.calculatePlatformRevenue(platformName);
+      const revenue = attributedRevenue[platformName] || 0;
       const spendAmount = spend.totalSpend;
       const roi = spendAmount > 0 ? ((revenue - spendAmount) / spendAmount) * 100 : 0;
 
@@ -857,7 +1311,8 @@ router.get('/marketing-spend', async (req, res) => {
       },
       filters: {
         platform: platform || 'all',
-        groupBy
+        groupBy,
+        attributionModel
       },
       summary: {
         totalSpend: marketingSpend.reduce((sum, item) => sum + item.totalSpend, 0),
@@ -918,7 +1373,7 @@ router.get('/marketing-spend', async (req, res) => {
  * /api/pricing/marketing-spend/campaign/{campaignId}:
  *   get:
  *     summary: Get campaign-specific marketing spend
- *     description: Retrieves marketing spend data for a specific campaign
+ *     description: Retrieves marketing spend data for a specific campaign. totalSpend only counts the part of each flight amortised up to now.
  *     tags: [Pricing]
  *     parameters:
  *       - in: path
@@ -928,6 +1383,7 @@ router.get('/marketing-spend', async (req, res) => {
  *           type: string
  *         description: Campaign identifier
  *         example: camp_12345
+ *       - $ref: '#/components/parameters/AttributionModel'
  *     responses:
  *       200:
  *         description: Campaign spend data retrieved successfully
@@ -941,11 +1397,18 @@ router.get('/marketing-spend', async (req, res) => {
  *         description: Internal server error
  */
 // Get marketing spend for a specific campaign
-router.get('/marketing-spend/campaign/:campaignId', async (req, res) => {
+router.get('/marketing-spend/campaign/:campaignId', requireRole('analytics:read'), async (req, res) => {
   try {
+    const { mcdRcd } = req;
     const db = getDB();
     const { campaignId } = req.params;
+    const { attributionModel = mcdRcd.config.attribution.model } = req.query;
+    
+    if (!isAttributionModel(attributionModel)) {
+      return res.status(400).json({ error: `Unknown attribution model: ${attributionModel}` });
+    }
 
+    // Identity and full flight of the campaign's entries; spend itself is amortised up to now
     const campaignSpend = await db.collection('marketingSpend')
       .aggregate([
         {
@@ -961,11 +1424,9 @@ router.get('/marketing-spend/campaign/:campaignId', async (req, res) => {
               campaignName: '$campaignName',
               platform: '$platform'
             },
-            totalSpend: { $sum: '$amount' },
             spendEntries: { $sum: 1 },
             startDate: { $min: '$date' },
-            endDate: { $max: '$date' },
-            averageSpend: { $avg: '$amount' }
+            endDate: { $max: { $ifNull: ['$endDate', '$date'] } }
           }
         }
       ]).toArray();
@@ -977,31 +1438,29 @@ router.get('/marketing-spend/campaign/:campaignId', async (req, res) => {
     }
 
     const campaign = campaignSpend[0];
-    const revenue = await mcdRcd.calculatePlatformRevenue(campaign._id.platform);
-    const spendAmount = campaign.totalSpend;
-    const roi = spendAmount > 0 ? ((revenue - spendAmount) / spendAmount) * 100 : 0;
+    // Revenue credited to this campaign's touchpoints over its flight, not the whole platform
+    const report = await mcdRcd.campaigns.getPerformance(campaignId, { model: attributionModel });
+    const totalSpend = report.spend.total;
 
     res.json({
       campaign: {
         id: campaign._id.campaignId,
         name: campaign._id.campaignName,
         platform: campaign._id.platform,
-        totalSpend: Math.round(campaign.totalSpend * 100) / 100,
+        totalSpend,
         spendEntries: campaign.spendEntries,
         durationDays: campaign.endDate && campaign.startDate ? 
           Math.ceil((campaign.endDate - campaign.startDate) / (1000 * 60 * 60 * 24)) : 1,
-        averageSpend: Math.round(campaign.averageSpend * 100) / 100,
+        averageSpend: Math.round((totalSpend / campaign.spendEntries) * 100) / 100,
         dateRange: {
           start: campaign.startDate,
           end: campaign.endDate
-        }
+        },
+        status: report.campaign.status,
+        budget: report.campaign.budget,
+        budgetUtilization: report.spend.budgetUtilization
       },
-      performance: {
-        revenue: Math.round(revenue * 100) / 100,
-        roi: Math.round(roi * 100) / 100,
-        romi: Math.round((revenue / spendAmount) * 100) / 100,
-        breakEven: revenue >= spendAmount
-      }
+      performance: report.performance
     });
 
   } catch (error) {
@@ -1018,8 +1477,17 @@ router.get('/marketing-spend/campaign/:campaignId', async (req, res) => {
  * /api/pricing/marketing-spend/platforms:
  *   get:
  *     summary: Get available marketing platforms
- *     description: Retrieves list of all marketing platforms with spend data
+ *     description: Retrieves list of all marketing platforms with spend data. totalSpend, campaignCount and lastUsed only count the part of each flight amortised into the period.
  *     tags: [Pricing]
+ *     parameters:
+ *       - in: query
+ *         name: period
+ *         schema:
+ *           type: string
+ *           enum: [7d, 30d, 90d, 180d, ytd]
+ *           default: 90d
+ *         description: Time period the platform totals cover
+ *         example: 90d
  *     responses:
  *       200:
  *         description: Platforms list retrieved successfully
@@ -1031,29 +1499,32 @@ router.get('/marketing-spend/campaign/:campaignId', async (req, res) => {
  *         description: Internal server error
  */
 // Get all available platforms
-router.get('/marketing-spend/platforms', async (req, res) => {
+router.get('/marketing-spend/platforms', requireRole('analytics:read'), async (req, res) => {
   try {
+    const { mcdRcd } = req;
     const db = getDB();
 
-    const platforms = await db.collection('marketingSpend')
-      .aggregate([
-        {
-          $match: {
-            businessId: mcdRcd.config.businessId
-          }
-        },
-        {
-          $group: {
-            _id: '$platform',
-            totalSpend: { $sum: '$amount' },
-            campaignCount: { $sum: 1 },
-            lastUsed: { $max: '$date' }
-          }
-        },
-        {
-          $sort: { totalSpend: -1 }
-        }
-      ]).toArray();
+    const { period = '90d' } = req.query;
+
+    // Every platform with spend is listed; totals only count spend amortised into the period
+    const platformNames = await db.collection('marketingSpend')
+      .distinct('platform', { businessId: mcdRcd.config.businessId });
+    const entries = await mcdRcd.getAmortizedSpend(periodStart(period));
+    const spendByPlatform = new Map(groupAmortizedSpend(entries, entry => entry.platform)
+      .map(group => [group._id, group]));
+
+    const platforms = platformNames
+      .map((name) => {
+        const group = spendByPlatform.get(name);
+        const amounts = group ? [...group.entrySpend.values()] : [];
+        return {
+          _id: name,
+          totalSpend: amounts.reduce((sum, amount) => sum + amount, 0),
+          campaignCount: amounts.length,
+          lastUsed: group?.lastSpendDate || null
+        };
+      })
+      .sort((a, b) => b.totalSpend - a.totalSpend);
 
     res.json({
       platforms: platforms.map(platform => ({
@@ -0,0 +1,145 @@
+import { Router } from 'express';
+import { requireRole } from '../middleware/auth.js';
+
+const router = Router();
+
+router.use(requireRole('admin'));
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Privacy
+ *     description: Subject-access exports and right-to-erasure requests (GDPR/CCPA)
+ */
+
+/**
+ * @swagger
+ * /api/privacy/customers/{email}/export:
+ *   get:
+ *     summary: Export a customer's data
+ *     description: Every record stored about the customer - profile, linked identifiers, transactions, refunds, referrals made and received, loyalty ledger, tier history, price quotes and audit entries. The export itself is audited.
+ *     tags: [Privacy]
+ *     parameters:
+ *       - in: path
+ *         name: email
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Export generated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 exportedAt:
+ *                   type: string
+ *                   format: date-time
+ *                 customer:
+ *                   type: object
+ *                   description: Customer profile with the decrypted email
+ *                 identifiers:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CustomerIdentifier'
+ *                 transactions:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 refunds:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 referrals:
+ *                   type: object
+ *                   properties:
+ *                     made:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/ReferralActivity'
+ *                     received:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/ReferralActivity'
+ *                 loyaltyLedger:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/LoyaltyLedgerEntry'
+ *                 tierHistory:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/TierHistoryEntry'
+ *                 quotes:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 auditLog:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *       404:
+ *         description: Customer not found
+ *       500:
+ *         description: Internal server error
+ */
+// Export customer data
+router.get('/customers/:email/export', async (req, res) => {
+  try {
+    const { mcdRcd } = req;
+    const data = await mcdRcd.privacy.export(req.params.email);
+
+    res.set('Content-Disposition', 'attachment; filename="customer-export.json"');
+    res.json(data);
+  } catch (error) {
+    console.error('Customer export error:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/privacy/customers/{email}:
+ *   delete:
+ *     summary: Erase a customer
+ *     description: Removes the customer's email and linked identifiers and replaces their hash with a random pseudonym in every record - transactions, refunds, referrals, loyalty ledger, tier history, quotes, audit log and webhook deliveries. Amounts and dates are kept, so aggregate analytics are unchanged. Per-customer promo usage and the referral code are deleted. Cannot be undone.
+ *     tags: [Privacy]
+ *     parameters:
+ *       - in: path
+ *         name: email
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Customer erased
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 erased:
+ *                   type: boolean
+ *                 customerId:
+ *                   type: string
+ *                 updated:
+ *                   type: object
+ *                   description: Records pseudonymised per collection
+ *       404:
+ *         description: Customer not found
+ *       500:
+ *         description: Internal server error
+ */
+// Erase customer
+router.delete('/customers/:email', async (req, res) => {
+  try {
+    const { mcdRcd } = req;
+    const result = await mcdRcd.privacy.erase(req.params.email);
+    res.json(result);
+  } catch (error) {
+    console.error('Customer erasure error:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+export default router;
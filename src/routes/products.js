@@ -0,0 +1,266 @@
+import { Router } from 'express';
+import { requireRole } from '../middleware/auth.js';
+
+const router = Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Product:
+ *       type: object
+ *       required:
+ *         - sku
+ *         - name
+ *         - basePrice
+ *       properties:
+ *         sku:
+ *           type: string
+ *           example: SKU-1001
+ *         name:
+ *           type: string
+ *           example: Organic Cotton Tee
+ *         basePrice:
+ *           type: number
+ *           example: 49.99
+ *         unitCost:
+ *           type: number
+ *           nullable: true
+ *           description: Cost per unit. When set, the price floor is derived from it instead of 70% of the price.
+ *           example: 18.50
+ *         minMargin:
+ *           type: number
+ *           nullable: true
+ *           description: Minimum gross margin (0-1) kept over unitCost
+ *           example: 0.25
+ *         productCategory:
+ *           type: string
+ *           enum: [premium, standard, budget]
+ *           default: standard
+ *         mcdEligible:
+ *           type: boolean
+ *           default: true
+ *           description: When false the MCD multiplier is not applied
+ *         rcdEligible:
+ *           type: boolean
+ *           default: true
+ *           description: When false no returning-customer discount is given
+ *         active:
+ *           type: boolean
+ *           default: true
+ *           description: Inactive products cannot be priced by sku
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Products
+ *     description: Product catalog used for sku pricing, cost floors and discount eligibility
+ */
+
+/**
+ * @swagger
+ * /api/products:
+ *   get:
+ *     summary: List products
+ *     tags: [Products]
+ *     parameters:
+ *       - in: query
+ *         name: productCategory
+ *         schema:
+ *           type: string
+ *           enum: [premium, standard, budget]
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Products retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 products:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Product'
+ *       500:
+ *         description: Internal server error
+ */
+// List products
+router.get('/', requireRole('analytics:read'), async (req, res) => {
+  try {
+    const { mcdRcd } = req;
+    const { productCategory, active } = req.query;
+
+    const products = await mcdRcd.products.list({
+      productCategory,
+      active: active === undefined ? undefined : active === 'true'
+    });
+    res.json({ products });
+  } catch (error) {
+    console.error('List products error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/products:
+ *   post:
+ *     summary: Create a product
+ *     tags: [Products]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Product'
+ *     responses:
+ *       201:
+ *         description: Product created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Product'
+ *       400:
+ *         description: Invalid product fields
+ *       409:
+ *         description: Product already exists
+ *       500:
+ *         description: Internal server error
+ */
+// Create a product
+router.post('/', requireRole('ingest:write'), async (req, res) => {
+  try {
+    const { mcdRcd } = req;
+    const product = await mcdRcd.products.create(req.body);
+    res.status(201).json(product);
+  } catch (error) {
+    console.error('Create product error:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/products/{sku}:
+ *   get:
+ *     summary: Get a product
+ *     tags: [Products]
+ *     parameters:
+ *       - in: path
+ *         name: sku
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Product retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Product'
+ *       404:
+ *         description: Product not found
+ *       500:
+ *         description: Internal server error
+ */
+// Get a product
+router.get('/:sku', requireRole('analytics:read'), async (req, res) => {
+  try {
+    const { mcdRcd } = req;
+    const product = await mcdRcd.products.get(req.params.sku);
+
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    res.json(product);
+  } catch (error) {
+    console.error('Get product error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/products/{sku}:
+ *   put:
+ *     summary: Update a product
+ *     description: Updates price, cost, category or eligibility. The sku itself cannot be changed.
+ *     tags: [Products]
+ *     parameters:
+ *       - in: path
+ *         name: sku
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Product'
+ *     responses:
+ *       200:
+ *         description: Product updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Product'
+ *       400:
+ *         description: Invalid product fields
+ *       404:
+ *         description: Product not found
+ *       500:
+ *         description: Internal server error
+ */
+// Update a product
+router.put('/:sku', requireRole('ingest:write'), async (req, res) => {
+  try {
+    const { mcdRcd } = req;
+    const product = await mcdRcd.products.update(req.params.sku, req.body);
+    res.json(product);
+  } catch (error) {
+    console.error('Update product error:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/products/{sku}:
+ *   delete:
+ *     summary: Delete a product
+ *     description: Removes the product from the catalog. Past transactions that reference the sku are kept. Set active to false instead to keep the record.
+ *     tags: [Products]
+ *     parameters:
+ *       - in: path
+ *         name: sku
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Product deleted
+ *       404:
+ *         description: Product not found
+ *       500:
+ *         description: Internal server error
+ */
+// Delete a product
+router.delete('/:sku', requireRole('ingest:write'), async (req, res) => {
+  try {
+    const { mcdRcd } = req;
+    await mcdRcd.products.remove(req.params.sku);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete product error:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+export default router;
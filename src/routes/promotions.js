@@ -0,0 +1,278 @@
+import { Router } from 'express';
+import { requireRole } from '../middleware/auth.js';
+
+const router = Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Promotion:
+ *       type: object
+ *       required:
+ *         - code
+ *         - type
+ *       properties:
+ *         code:
+ *           type: string
+ *           description: Case-insensitive; stored uppercase
+ *           example: SUMMER10
+ *         name:
+ *           type: string
+ *           nullable: true
+ *           example: Summer 10% off
+ *         type:
+ *           type: string
+ *           enum: [percent, fixed, free-shipping]
+ *         value:
+ *           type: number
+ *           nullable: true
+ *           description: Percentage (0-100) for percent codes, amount off per unit for fixed codes, unused for free-shipping
+ *           example: 10
+ *         stacking:
+ *           type: string
+ *           enum: [stack, best-of, exclusive]
+ *           default: stack
+ *           description: stack applies on top of the RCD-discounted price, best-of gives whichever of the code and RCD saves more, exclusive replaces RCD
+ *         respectFloor:
+ *           type: boolean
+ *           default: true
+ *           description: When false the code may take the price below the minimum-price floor (never below zero)
+ *         usageLimit:
+ *           type: integer
+ *           nullable: true
+ *           description: Total redemptions allowed
+ *         perCustomerLimit:
+ *           type: integer
+ *           nullable: true
+ *           description: Redemptions allowed per customer email
+ *         usageCount:
+ *           type: integer
+ *           readOnly: true
+ *         startsAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         endsAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         productCategories:
+ *           type: array
+ *           nullable: true
+ *           items:
+ *             type: string
+ *           description: Restricts the code to these categories
+ *           example: [premium]
+ *         active:
+ *           type: boolean
+ *           default: true
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Promotions
+ *     description: Promo codes and how they combine with the returning customer discount
+ */
+
+/**
+ * @swagger
+ * /api/promotions:
+ *   get:
+ *     summary: List promo codes
+ *     tags: [Promotions]
+ *     parameters:
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Promotions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 promotions:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Promotion'
+ *       500:
+ *         description: Internal server error
+ */
+// List promotions
+router.get('/', requireRole('analytics:read'), async (req, res) => {
+  try {
+    const { mcdRcd } = req;
+    const { active } = req.query;
+
+    const promotions = await mcdRcd.promotions.list({
+      active: active === undefined ? undefined : active === 'true'
+    });
+    res.json({ promotions });
+  } catch (error) {
+    console.error('List promotions error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/promotions:
+ *   post:
+ *     summary: Create a promo code
+ *     tags: [Promotions]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Promotion'
+ *     responses:
+ *       201:
+ *         description: Promotion created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Promotion'
+ *       400:
+ *         description: Invalid promotion fields
+ *       409:
+ *         description: Promotion code already exists
+ *       500:
+ *         description: Internal server error
+ */
+// Create a promotion
+router.post('/', requireRole('ingest:write'), async (req, res) => {
+  try {
+    const { mcdRcd } = req;
+    const promotion = await mcdRcd.promotions.create(req.body);
+    res.status(201).json(promotion);
+  } catch (error) {
+    console.error('Create promotion error:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/promotions/{code}:
+ *   get:
+ *     summary: Get a promo code
+ *     tags: [Promotions]
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Promotion retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Promotion'
+ *       404:
+ *         description: Promotion not found
+ *       500:
+ *         description: Internal server error
+ */
+// Get a promotion
+router.get('/:code', requireRole('analytics:read'), async (req, res) => {
+  try {
+    const { mcdRcd } = req;
+    const promotion = await mcdRcd.promotions.get(req.params.code);
+
+    if (!promotion) {
+      return res.status(404).json({ error: 'Promotion not found' });
+    }
+
+    res.json(promotion);
+  } catch (error) {
+    console.error('Get promotion error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/promotions/{code}:
+ *   put:
+ *     summary: Update a promo code
+ *     description: Changes value, limits, validity window, restrictions or stacking. The code and its usage count cannot be changed.
+ *     tags: [Promotions]
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Promotion'
+ *     responses:
+ *       200:
+ *         description: Promotion updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Promotion'
+ *       400:
+ *         description: Invalid promotion fields
+ *       404:
+ *         description: Promotion not found
+ *       500:
+ *         description: Internal server error
+ */
+// Update a promotion
+router.put('/:code', requireRole('ingest:write'), async (req, res) => {
+  try {
+    const { mcdRcd } = req;
+    const promotion = await mcdRcd.promotions.update(req.params.code, req.body);
+    res.json(promotion);
+  } catch (error) {
+    console.error('Update promotion error:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/promotions/{code}:
+ *   delete:
+ *     summary: Delete a promo code
+ *     description: Transactions that used the code keep their record of it. Set active to false instead to keep the usage history.
+ *     tags: [Promotions]
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Promotion deleted
+ *       404:
+ *         description: Promotion not found
+ *       500:
+ *         description: Internal server error
+ */
+// Delete a promotion
+router.delete('/:code', requireRole('ingest:write'), async (req, res) => {
+  try {
+    const { mcdRcd } = req;
+    await mcdRcd.promotions.remove(req.params.code);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete promotion error:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+export default router;
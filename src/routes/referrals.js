@@ -0,0 +1,186 @@
+import { Router } from 'express';
+import { requireRole } from '../middleware/auth.js';
+
+const router = Router();
+
+router.use(requireRole('admin'));
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ReferralActivity:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         referrerEmailHash:
+ *           type: string
+ *         referredEmailHash:
+ *           type: string
+ *         referredNormalizedHash:
+ *           type: string
+ *           description: Hash of the referred email with +tags (and Gmail dots) removed
+ *         purchaseAmount:
+ *           type: number
+ *         transactionId:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [granted, flagged, rejected, clawed_back]
+ *         reason:
+ *           type: string
+ *           nullable: true
+ *           description: Why no bonus was given, e.g. below-minimum-purchase, not-first-purchase, monthly-cap-reached or self-referral
+ *         flags:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [disposable-email, duplicate-identity, velocity]
+ *         bonusApplied:
+ *           type: number
+ *         pendingBonus:
+ *           type: number
+ *           description: Bonus held while the referral is flagged
+ *         review:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             decision:
+ *               type: string
+ *               enum: [approve, reject]
+ *             note:
+ *               type: string
+ *               nullable: true
+ *             reviewedAt:
+ *               type: string
+ *               format: date-time
+ *         timestamp:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Referrals
+ *     description: Referral program rules and the review queue for suspicious referrals
+ */
+
+/**
+ * @swagger
+ * /api/referrals/flagged:
+ *   get:
+ *     summary: List referrals waiting for review
+ *     description: Referrals that passed the program rules but raised a fraud signal. Their bonus is held until approved. Oldest first.
+ *     tags: [Referrals]
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *     responses:
+ *       200:
+ *         description: Flagged referrals retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 referrals:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ReferralActivity'
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     page:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     total:
+ *                       type: integer
+ *       500:
+ *         description: Internal server error
+ */
+// List the review queue
+router.get('/flagged', async (req, res) => {
+  try {
+    const { mcdRcd } = req;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+
+    const { referrals, total } = await mcdRcd.referrals.listFlagged({ limit, skip: (page - 1) * limit });
+
+    res.json({ referrals, pagination: { page, limit, total } });
+  } catch (error) {
+    console.error('List flagged referrals error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/referrals/flagged/{id}/{decision}:
+ *   post:
+ *     summary: Approve or reject a flagged referral
+ *     description: Approving grants the held bonus to the referrer, limited by what is left of their monthly cap. Rejecting closes the referral without a bonus.
+ *     tags: [Referrals]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: decision
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [approve, reject]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 example: Verified household members
+ *     responses:
+ *       200:
+ *         description: Referral resolved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ReferralActivity'
+ *       400:
+ *         description: Unknown decision
+ *       404:
+ *         description: Flagged referral not found
+ *       409:
+ *         description: Referral was already resolved
+ *       500:
+ *         description: Internal server error
+ */
+// Resolve a flagged referral
+router.post('/flagged/:id/:decision', async (req, res) => {
+  try {
+    const { mcdRcd } = req;
+    const referral = await mcdRcd.referrals.review(req.params.id, req.params.decision, {
+      note: req.body?.note || null
+    });
+    res.json(referral);
+  } catch (error) {
+    console.error('Referral review error:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -1,8 +1,7 @@
 import { Router } from 'express';
-import MCDRCDModule from '../models/MCDRCDModule.js';
+import { requireRole } from '../middleware/auth.js';
 
 const router = Router();
-const mcdRcd = new MCDRCDModule();
 /**
  * @swagger
  * components:
@@ -31,6 +30,60 @@ const mcdRcd = new MCDRCDModule();
  *             type: string
  *           description: Array of product IDs purchased
  *           example: ["prod_001", "prod_002"]
+ *         productCategories:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Categories of the products purchased. A promo code restricted to categories only applies when one of them is listed.
+ *           example: ["premium"]
+ *         touchpoints:
+ *           type: array
+ *           description: Marketing touchpoints that led to the purchase, used for revenue attribution
+ *           items:
+ *             $ref: '#/components/schemas/Touchpoint'
+ *         utm:
+ *           $ref: '#/components/schemas/UtmTags'
+ *         quoteToken:
+ *           type: string
+ *           description: Signed token from POST /api/pricing/quote. The amount plus the value of any redeemPoints must equal the quoted final price, the quote must be unexpired and unused, and customer-specific quotes must match the email.
+ *         promoCode:
+ *           type: string
+ *           description: Promo code to redeem. Usage and per-customer limits are claimed atomically; a code priced into the quote is redeemed automatically.
+ *         redeemPoints:
+ *           type: integer
+ *           description: Loyalty points spent on this order, on top of the amount charged. Limited by the balance and loyalty.maxRedeemShare.
+ *     UtmTags:
+ *       type: object
+ *       description: UTM tags captured at checkout. Recorded as the most recent touchpoint; utm_campaign is matched to a registered campaign's utmCampaign or campaignId.
+ *       properties:
+ *         utm_source:
+ *           type: string
+ *           example: google
+ *         utm_medium:
+ *           type: string
+ *           example: cpc
+ *         utm_campaign:
+ *           type: string
+ *           example: summer-sale
+ *     Touchpoint:
+ *       type: object
+ *       required:
+ *         - source
+ *       properties:
+ *         source:
+ *           type: string
+ *           description: Marketing platform or channel
+ *           example: google
+ *         medium:
+ *           type: string
+ *           example: cpc
+ *         campaignId:
+ *           type: string
+ *           example: camp_12345
+ *         timestamp:
+ *           type: string
+ *           format: date-time
+ *           description: When the touchpoint happened; defaults to the transaction time
  *     MarketingSpend:
  *       type: object
  *       required:
@@ -45,9 +98,26 @@ const mcdRcd = new MCDRCDModule();
  *           type: number
  *           description: Amount spent
  *           example: 5000.00
+ *         startDate:
+ *           type: string
+ *           format: date
+ *           description: First day of the flight, or the date of a one-off spend; defaults to now
+ *           example: '2024-03-01'
+ *         endDate:
+ *           type: string
+ *           format: date
+ *           description: Last day of the flight (inclusive). The amount is spread across the days from startDate, so MCD windows, trends and ROI only count the days they cover
+ *           example: '2024-03-31'
+ *         amortizationCurve:
+ *           type: array
+ *           description: Relative weights stretched over the flight instead of an even split, e.g. [3, 2, 1] front-loads the spend
+ *           items:
+ *             type: number
+ *             minimum: 0
+ *           example: [3, 2, 1]
  *         campaignData:
  *           type: object
- *           description: Additional campaign information
+ *           description: Additional campaign information. Only campaignName, campaignId and targetAudience are stored.
  *           properties:
  *             campaignName:
  *               type: string
@@ -158,6 +228,20 @@ const mcdRcd = new MCDRCDModule();
  *                 amount: 200.00
  *                 referralCode: "REF12345"
  *                 productIds: ["prod_001", "prod_002"]
+ *             attributedTransaction:
+ *               summary: Transaction with marketing touchpoints
+ *               value:
+ *                 email: "customer@example.com"
+ *                 amount: 120.00
+ *                 touchpoints:
+ *                   - source: "facebook"
+ *                     medium: "paid_social"
+ *                     campaignId: "camp_67890"
+ *                     timestamp: "2024-01-10T09:00:00.000Z"
+ *                   - source: "google"
+ *                     medium: "cpc"
+ *                     campaignId: "camp_12345"
+ *                     timestamp: "2024-01-14T18:20:00.000Z"
  *     responses:
  *       200:
  *         description: Transaction recorded successfully
@@ -183,7 +267,7 @@ const mcdRcd = new MCDRCDModule();
  *                     loyaltyTier: "silver"
  *                     totalSpend: 1250.00
  *       400:
- *         description: Bad request - missing required fields
+ *         description: Bad request - missing required fields, or the quote token is invalid or does not match the charge
  *         content:
  *           application/json:
  *             schema:
@@ -197,6 +281,10 @@ const mcdRcd = new MCDRCDModule();
  *                 summary: Missing amount field
  *                 value:
  *                   error: "Email and amount required"
+ *       409:
+ *         description: Quote has already been used
+ *       410:
+ *         description: Quote has expired
  *       500:
  *         description: Internal server error
  *         content:
@@ -205,25 +293,32 @@ const mcdRcd = new MCDRCDModule();
  *               $ref: '#/components/schemas/Error'
  */
 // Record transaction
-router.post('/', async (req, res) => {
+router.post('/', requireRole('ingest:write'), async (req, res) => {
   try {
-    const { email, amount, referralCode, productIds } = req.body;
+    const { mcdRcd } = req;
+    const { email, amount, referralCode, productIds, productCategories, touchpoints, utm, quoteToken, promoCode, redeemPoints } = req.body;
     
     if (!email || !amount) {
       return res.status(400).json({ error: 'Email and amount required' });
     }
     
+    if (productCategories !== undefined && !Array.isArray(productCategories)) {
+      return res.status(400).json({ error: 'productCategories must be an array' });
+    }
+    
     const result = await mcdRcd.recordTransaction(
       email, 
       amount, 
       referralCode, 
-      productIds
+      productIds,
+      productCategories,
+      { touchpoints, utm, quoteToken, promoCode, redeemPoints }
     );
     
     res.json({ success: true, ...result });
   } catch (error) {
     console.error('Transaction error:', error);
-    res.status(500).json({ error: error.message });
+    res.status(error.statusCode || 500).json({ error: error.message });
   }
 });
 
@@ -255,6 +350,15 @@ router.post('/', async (req, res) => {
  *                   campaignName: "Holiday Campaign"
  *                   campaignId: "camp_67890"
  *                   targetAudience: "age_18-35"
+ *             monthlyFlight:
+ *               summary: Monthly budget spread over the flight
+ *               value:
+ *                 platform: "google"
+ *                 amount: 10000.00
+ *                 startDate: "2024-03-01"
+ *                 endDate: "2024-03-31"
+ *                 campaignData:
+ *                   campaignId: "camp_12345"
  *     responses:
  *       200:
  *         description: Marketing spend recorded successfully
@@ -275,7 +379,7 @@ router.post('/', async (req, res) => {
  *                     timestamp: "2024-01-15T10:30:00.000Z"
  *                   currentMCDMultiplier: 1.15
  *       400:
- *         description: Bad request - missing required fields
+ *         description: Bad request - missing required fields, or an invalid flight or amortization curve
  *         content:
  *           application/json:
  *             schema:
@@ -297,9 +401,10 @@ router.post('/', async (req, res) => {
  *               $ref: '#/components/schemas/Error'
  */
 // Record marketing spend
-router.post('/marketing', async (req, res) => {
+router.post('/marketing', requireRole('ingest:write'), async (req, res) => {
   try {
-    const { platform, amount, campaignData } = req.body;
+    const { mcdRcd } = req;
+    const { platform, amount, campaignData, startDate, endDate, amortizationCurve } = req.body;
     
     if (!platform || !amount) {
       return res.status(400).json({ error: 'Platform and amount required' });
@@ -308,13 +413,579 @@ router.post('/marketing', async (req, res) => {
     const result = await mcdRcd.recordMarketingSpend(
       platform,
       amount,
-      campaignData
+      campaignData,
+      { startDate, endDate, amortizationCurve }
     );
     
     res.json({ success: true, spend: result });
   } catch (error) {
     console.error('Marketing spend error:', error);
-    res.status(500).json({ error: error.message });
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     TransactionImportReport:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         format:
+ *           type: string
+ *           enum: [csv, ndjson]
+ *         dryRun:
+ *           type: boolean
+ *         status:
+ *           type: string
+ *           enum: [running, completed, failed]
+ *         rows:
+ *           type: integer
+ *           description: Data rows read, header excluded
+ *         imported:
+ *           type: integer
+ *           description: New orders written (or that would be written, on a dry run)
+ *         duplicates:
+ *           type: integer
+ *           description: Rows whose orderId was already imported or appeared earlier in the file
+ *         invalid:
+ *           type: integer
+ *         customersUpdated:
+ *           type: integer
+ *           description: Customers whose spend, tier and discount were recomputed
+ *         errors:
+ *           type: array
+ *           description: The first 1000 invalid rows
+ *           items:
+ *             type: object
+ *             properties:
+ *               row:
+ *                 type: integer
+ *               orderId:
+ *                 type: string
+ *                 nullable: true
+ *               errors:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *         errorsTruncated:
+ *           type: boolean
+ *         failure:
+ *           type: string
+ *           nullable: true
+ *           description: Why the import stopped early; rows already written are kept
+ *         startedAt:
+ *           type: string
+ *           format: date-time
+ *         completedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/transactions/import:
+ *   post:
+ *     summary: Import historical transactions
+ *     description: |
+ *       Streams past orders in from a CSV (header row required) or NDJSON body. Columns/fields: orderId, email, amount, timestamp (ISO 8601, not in the future), and optionally productIds and productCategories (arrays, or ";"-separated in CSV).
+ *       Orders are deduplicated by orderId, so a file can be re-sent safely. Imported orders count towards spend, visits and tiers but earn no loyalty points or referral bonuses. Once every row is in, each affected customer's totalSpend365, tier and discount are recomputed once.
+ *     tags: [Transactions]
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, ndjson]
+ *         description: Defaults from the Content-Type (text/csv or application/x-ndjson)
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *         description: Validate and count without writing anything
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *           example: |
+ *             orderId,email,amount,timestamp,productCategories
+ *             A-1001,jane@example.com,59.90,2024-03-02T14:10:00Z,shoes;socks
+ *         application/x-ndjson:
+ *           schema:
+ *             type: string
+ *           example: |
+ *             {"orderId":"A-1001","email":"jane@example.com","amount":59.9,"timestamp":"2024-03-02T14:10:00Z"}
+ *     responses:
+ *       200:
+ *         description: Import finished; check status and errors
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TransactionImportReport'
+ *       400:
+ *         description: Unknown format
+ *       415:
+ *         description: Body was sent as application/json
+ *       500:
+ *         description: Internal server error
+ */
+// Import transactions
+router.post('/import', requireRole('ingest:write'), async (req, res) => {
+  try {
+    const { mcdRcd } = req;
+    const format = req.query.format
+      || (req.is('text/csv') && 'csv')
+      || (req.is('application/x-ndjson') && 'ndjson');
+
+    // express.json() has already consumed a JSON body
+    if (req.is('application/json')) {
+      return res.status(415).json({ error: 'Send the import as text/csv or application/x-ndjson' });
+    }
+
+    const report = await mcdRcd.imports.run(req, {
+      format,
+      dryRun: req.query.dryRun === 'true'
+    });
+
+    res.json(report);
+  } catch (error) {
+    console.error('Transaction import error:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/transactions/imports/{id}:
+ *   get:
+ *     summary: Get an import report
+ *     tags: [Transactions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Import report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TransactionImportReport'
+ *       404:
+ *         description: Import not found
+ *       500:
+ *         description: Internal server error
+ */
+// Get import report
+router.get('/imports/:id', requireRole('ingest:write'), async (req, res) => {
+  try {
+    const { mcdRcd } = req;
+    const report = await mcdRcd.imports.get(req.params.id);
+    res.json(report);
+  } catch (error) {
+    console.error('Get import error:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     MarketingSpendImportReport:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         source:
+ *           type: string
+ *           enum: [google-ads, meta-ads, generic]
+ *         dryRun:
+ *           type: boolean
+ *         status:
+ *           type: string
+ *           enum: [running, completed, failed]
+ *         rows:
+ *           type: integer
+ *           description: Rows below the header
+ *         skipped:
+ *           type: integer
+ *           description: Total and blank rows
+ *         invalid:
+ *           type: integer
+ *         entries:
+ *           type: integer
+ *           description: Spend entries after summing rows for the same platform, day, campaign and currency
+ *         inserted:
+ *           type: integer
+ *         updated:
+ *           type: integer
+ *           description: Entries from an earlier import whose amount changed
+ *         unchanged:
+ *           type: integer
+ *         totalAmount:
+ *           type: number
+ *           description: Total spend in the base currency
+ *         currency:
+ *           type: string
+ *           example: USD
+ *         platforms:
+ *           type: array
+ *           items:
+ *             type: string
+ *         errors:
+ *           type: array
+ *           description: The first 1000 invalid rows
+ *           items:
+ *             type: object
+ *             properties:
+ *               row:
+ *                 type: integer
+ *               errors:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *         errorsTruncated:
+ *           type: boolean
+ *         failure:
+ *           type: string
+ *           nullable: true
+ *         startedAt:
+ *           type: string
+ *           format: date-time
+ *         completedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/transactions/marketing/import:
+ *   post:
+ *     summary: Import marketing spend from an ad-platform export
+ *     description: |
+ *       Loads a daily spend report exported as CSV. Built-in layouts:
+ *       google-ads (Day, Campaign ID, Campaign, Cost, Currency code), meta-ads (Reporting starts, Reporting ends, Campaign ID, Campaign name, "Amount spent (EUR)")
+ *       and generic (date, endDate, campaignId, campaign, cost, currency, platform). Title rows above the header and total rows below the data are skipped.
+ *       Each row's spend is amortised over its day, or over its reporting period when the export has an end date.
+ *       Amounts in other currencies are converted to currency.base at currency.exchangeRates. Rows for the same platform, day, campaign and
+ *       currency are summed, and each sum replaces the one from an earlier import of the same report, so re-importing is safe.
+ *     tags: [Marketing]
+ *     parameters:
+ *       - in: query
+ *         name: source
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [google-ads, meta-ads, generic]
+ *       - in: query
+ *         name: platform
+ *         schema:
+ *           type: string
+ *         description: Platform for rows without a platform column; defaults to google for google-ads and facebook for meta-ads
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *           example: EUR
+ *         description: Currency of rows without a currency column or header suffix; defaults to the base currency
+ *       - in: query
+ *         name: columns
+ *         style: deepObject
+ *         explode: true
+ *         schema:
+ *           type: object
+ *           properties:
+ *             date:
+ *               type: string
+ *             endDate:
+ *               type: string
+ *             campaignId:
+ *               type: string
+ *             campaignName:
+ *               type: string
+ *             amount:
+ *               type: string
+ *             currency:
+ *               type: string
+ *             platform:
+ *               type: string
+ *         description: Header names that override the layout, e.g. columns[amount]=Spend
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *         description: Validate and total without writing anything
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *           example: |
+ *             Campaign report
+ *             "March 1, 2024 - March 31, 2024"
+ *             Day,Campaign ID,Campaign,Currency code,Cost
+ *             2024-03-01,1234567890,Spring Sale,EUR,"1,204.50"
+ *             Total: Account,,,,"1,204.50"
+ *     responses:
+ *       200:
+ *         description: Import finished; check status and errors
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MarketingSpendImportReport'
+ *       400:
+ *         description: Unknown source or column
+ *       415:
+ *         description: Body was not sent as text/csv
+ *       500:
+ *         description: Internal server error
+ */
+// Import marketing spend
+router.post('/marketing/import', requireRole('ingest:write'), async (req, res) => {
+  try {
+    const { mcdRcd } = req;
+
+    if (!req.is('text/csv')) {
+      return res.status(415).json({ error: 'Send the export as text/csv' });
+    }
+
+    const { source, platform, currency, columns, dryRun } = req.query;
+    const report = await mcdRcd.spendImports.run(req, {
+      source,
+      platform,
+      currency,
+      columns: columns && typeof columns === 'object' ? columns : {},
+      dryRun: dryRun === 'true'
+    });
+
+    res.json(report);
+  } catch (error) {
+    console.error('Marketing spend import error:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/transactions/marketing/imports/{id}:
+ *   get:
+ *     summary: Get a marketing spend import report
+ *     tags: [Marketing]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Import report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MarketingSpendImportReport'
+ *       404:
+ *         description: Import not found
+ *       500:
+ *         description: Internal server error
+ */
+// Get marketing spend import report
+router.get('/marketing/imports/:id', requireRole('ingest:write'), async (req, res) => {
+  try {
+    const { mcdRcd } = req;
+    const report = await mcdRcd.spendImports.get(req.params.id);
+    res.json(report);
+  } catch (error) {
+    console.error('Get marketing spend import error:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     RefundResponse:
+ *       type: object
+ *       properties:
+ *         success:
+ *           type: boolean
+ *           example: true
+ *         reversal:
+ *           type: object
+ *           properties:
+ *             originalTransactionId:
+ *               type: string
+ *             type:
+ *               type: string
+ *               enum: [refund, void]
+ *             amount:
+ *               type: number
+ *             reason:
+ *               type: string
+ *             remainingAmount:
+ *               type: number
+ *             timestamp:
+ *               type: string
+ *               format: date-time
+ *         transaction:
+ *           type: object
+ *           properties:
+ *             _id:
+ *               type: string
+ *             amount:
+ *               type: number
+ *             netAmount:
+ *               type: number
+ *             refundedAmount:
+ *               type: number
+ *             status:
+ *               type: string
+ *               enum: [completed, partially_refunded, refunded, voided]
+ *         discount:
+ *           type: number
+ *           description: Customer discount recalculated after the reversal
+ *         referralClawback:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             referrerEmailHash:
+ *               type: string
+ *             bonusRemoved:
+ *               type: number
+ *             newDiscount:
+ *               type: number
+ *         loyalty:
+ *           type: object
+ *           description: Points taken back (earned on this order) and returned (spent on it) in proportion to the amount refunded
+ *           properties:
+ *             pointsReversed:
+ *               type: integer
+ *             pointsReturned:
+ *               type: integer
+ */
+
+/**
+ * @swagger
+ * /api/transactions/{id}/refund:
+ *   post:
+ *     summary: Refund a transaction
+ *     description: Records a full or partial refund linked to the original transaction. Refunded revenue is excluded from customer spend, loyalty tier, MCD ROI and analytics. A full refund also claws back any referral bonus the transaction earned.
+ *     tags: [Transactions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Transaction ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 description: Amount to refund. Omit to refund the remaining balance.
+ *                 example: 25.00
+ *               reason:
+ *                 type: string
+ *                 example: Item returned damaged
+ *     responses:
+ *       200:
+ *         description: Refund recorded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RefundResponse'
+ *       400:
+ *         description: Invalid refund amount
+ *       404:
+ *         description: Transaction not found
+ *       409:
+ *         description: Transaction already fully reversed or modified concurrently
+ *       500:
+ *         description: Internal server error
+ */
+// Refund a transaction in full or in part
+router.post('/:id/refund', requireRole('ingest:write'), async (req, res) => {
+  try {
+    const { mcdRcd } = req;
+    const { amount, reason } = req.body || {};
+    
+    const result = await mcdRcd.refundTransaction(req.params.id, {
+      amount,
+      reason,
+      type: 'refund'
+    });
+    
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Refund error:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/transactions/{id}/void:
+ *   post:
+ *     summary: Void a transaction
+ *     description: Cancels a transaction, reversing whatever balance has not already been refunded, and claws back any referral bonus it earned
+ *     tags: [Transactions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Transaction ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: Order cancelled before shipping
+ *     responses:
+ *       200:
+ *         description: Transaction voided
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RefundResponse'
+ *       404:
+ *         description: Transaction not found
+ *       409:
+ *         description: Transaction already fully reversed or modified concurrently
+ *       500:
+ *         description: Internal server error
+ */
+// Void (cancel) a transaction
+router.post('/:id/void', requireRole('ingest:write'), async (req, res) => {
+  try {
+    const { mcdRcd } = req;
+    
+    const result = await mcdRcd.refundTransaction(req.params.id, {
+      reason: req.body?.reason,
+      type: 'void'
+    });
+    
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Void error:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
   }
 });
 
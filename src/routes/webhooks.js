@@ -0,0 +1,351 @@
+import { Router } from 'express';
+import { requireRole } from '../middleware/auth.js';
+import { DELIVERY_STATUSES } from '../models/WebhookManager.js';
+
+const router = Router();
+
+router.use(requireRole('admin'));
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Webhook:
+ *       type: object
+ *       required:
+ *         - url
+ *         - events
+ *       properties:
+ *         _id:
+ *           type: string
+ *         url:
+ *           type: string
+ *           description: A public https URL (http is allowed when NODE_ENV=development); private, loopback and link-local hosts are rejected
+ *           example: https://crm.example.com/hooks/pricing
+ *         events:
+ *           type: array
+ *           description: Event types to receive, or '*' for all
+ *           items:
+ *             type: string
+ *             enum: ['*', mcd.multiplier-changed, tier.upgrade, tier.downgrade, tier.downgrade-warning, tier.downgrade-cancelled, referral.bonus-granted]
+ *         description:
+ *           type: string
+ *           nullable: true
+ *         active:
+ *           type: boolean
+ *           default: true
+ *         secret:
+ *           type: string
+ *           description: HMAC signing secret; only returned when the webhook is created
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     WebhookDelivery:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         webhookId:
+ *           type: string
+ *         event:
+ *           type: string
+ *         payload:
+ *           type: object
+ *           description: The signed request body ({ id, event, businessId, createdAt, data })
+ *         status:
+ *           type: string
+ *           enum: [pending, delivered, dead]
+ *         attempts:
+ *           type: integer
+ *         nextAttemptAt:
+ *           type: string
+ *           format: date-time
+ *         lastError:
+ *           type: string
+ *           nullable: true
+ *         responseStatus:
+ *           type: integer
+ *           nullable: true
+ *         deliveredAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Webhooks
+ *     description: Signed event notifications for downstream systems, with retries and a dead-letter list
+ */
+
+/**
+ * @swagger
+ * /api/webhooks:
+ *   get:
+ *     summary: List webhook subscriptions
+ *     tags: [Webhooks]
+ *     responses:
+ *       200:
+ *         description: Webhooks retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 webhooks:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Webhook'
+ *       500:
+ *         description: Internal server error
+ */
+// List webhooks
+router.get('/', async (req, res) => {
+  try {
+    const { mcdRcd } = req;
+    const webhooks = await mcdRcd.webhooks.list();
+    res.json({ webhooks });
+  } catch (error) {
+    console.error('List webhooks error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/webhooks:
+ *   post:
+ *     summary: Subscribe a URL to events
+ *     description: Returns the signing secret once. Each request carries x-webhook-signature = sha256=HMAC-SHA256(secret, "<x-webhook-timestamp>.<body>") in hex.
+ *     tags: [Webhooks]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Webhook'
+ *     responses:
+ *       201:
+ *         description: Webhook created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Webhook'
+ *       400:
+ *         description: Invalid url or unknown event type
+ *       500:
+ *         description: Internal server error
+ */
+// Create webhook
+router.post('/', async (req, res) => {
+  try {
+    const { mcdRcd } = req;
+    const webhook = await mcdRcd.webhooks.create(req.body);
+    res.status(201).json(webhook);
+  } catch (error) {
+    console.error('Create webhook error:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/webhooks/deliveries:
+ *   get:
+ *     summary: List webhook deliveries
+ *     description: Use status=dead for the dead-letter list - deliveries that used up webhooks.maxAttempts or whose webhook was disabled. Newest first.
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, delivered, dead]
+ *       - in: query
+ *         name: webhookId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *     responses:
+ *       200:
+ *         description: Deliveries retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 deliveries:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/WebhookDelivery'
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     page:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     total:
+ *                       type: integer
+ *       400:
+ *         description: Unknown status
+ *       500:
+ *         description: Internal server error
+ */
+// List deliveries
+router.get('/deliveries', async (req, res) => {
+  try {
+    const { mcdRcd } = req;
+    const { status, webhookId } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+
+    if (status && !DELIVERY_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${DELIVERY_STATUSES.join(', ')}` });
+    }
+
+    const { deliveries, total } = await mcdRcd.webhooks.listDeliveries({
+      status,
+      webhookId,
+      limit,
+      skip: (page - 1) * limit
+    });
+
+    res.json({ deliveries, pagination: { page, limit, total } });
+  } catch (error) {
+    console.error('List webhook deliveries error:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/webhooks/deliveries/{id}/redeliver:
+ *   post:
+ *     summary: Send a delivery again
+ *     description: Re-queues a dead or delivered delivery with a fresh set of attempts and makes the first attempt straight away.
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Delivery attempted; check status and lastError for the outcome
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WebhookDelivery'
+ *       404:
+ *         description: Delivery not found
+ *       409:
+ *         description: Delivery is already queued
+ *       500:
+ *         description: Internal server error
+ */
+// Redeliver
+router.post('/deliveries/:id/redeliver', async (req, res) => {
+  try {
+    const { mcdRcd } = req;
+    const delivery = await mcdRcd.webhooks.redeliver(req.params.id);
+    res.json(delivery);
+  } catch (error) {
+    console.error('Redeliver webhook error:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/webhooks/{id}:
+ *   put:
+ *     summary: Update a webhook
+ *     description: Change the url, events, description or active flag. Deliveries to a disabled webhook go to the dead-letter list.
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Webhook'
+ *     responses:
+ *       200:
+ *         description: Webhook updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Webhook'
+ *       400:
+ *         description: Invalid url or unknown event type
+ *       404:
+ *         description: Webhook not found
+ *       500:
+ *         description: Internal server error
+ */
+// Update webhook
+router.put('/:id', async (req, res) => {
+  try {
+    const { mcdRcd } = req;
+    const webhook = await mcdRcd.webhooks.update(req.params.id, req.body);
+    res.json(webhook);
+  } catch (error) {
+    console.error('Update webhook error:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/webhooks/{id}:
+ *   delete:
+ *     summary: Delete a webhook
+ *     description: Pending deliveries are dropped; past deliveries are kept.
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Webhook deleted
+ *       404:
+ *         description: Webhook not found
+ *       500:
+ *         description: Internal server error
+ */
+// Delete webhook
+router.delete('/:id', async (req, res) => {
+  try {
+    const { mcdRcd } = req;
+    await mcdRcd.webhooks.remove(req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete webhook error:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,90 @@
+import { StringDecoder } from 'string_decoder';
+
+// Streaming RFC 4180 reader: yields each record as an array of fields without
+// buffering the whole input. Quoted fields may contain commas, "" and newlines.
+export async function* parseCsvRecords(input) {
+  const decoder = new StringDecoder('utf8');
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+  // A quote inside a quoted field is either an escaped "" or the closing quote
+  let quotePending = false;
+  let recordStarted = false;
+  let atStart = true;
+
+  const chunks = async function* () {
+    for await (const chunk of input) {
+      yield typeof chunk === 'string' ? chunk : decoder.write(chunk);
+    }
+    yield decoder.end();
+  };
+
+  for await (let text of chunks()) {
+    if (atStart && text) {
+      text = text.replace(/^\uFEFF/, '');
+      atStart = false;
+    }
+
+    for (const char of text) {
+      if (inQuotes) {
+        if (quotePending) {
+          quotePending = false;
+          if (char === '"') {
+            field += '"';
+            continue;
+          }
+          inQuotes = false;
+        } else {
+          if (char === '"') {
+            quotePending = true;
+          } else {
+            field += char;
+          }
+          continue;
+        }
+      }
+
+      if (char === '"' && field === '') {
+        inQuotes = true;
+        recordStarted = true;
+      } else if (char === ',') {
+        record.push(field);
+        field = '';
+        recordStarted = true;
+      } else if (char === '\n') {
+        // Blank lines are skipped
+        if (recordStarted || field) {
+          record.push(field);
+          yield record;
+        }
+        record = [];
+        field = '';
+        recordStarted = false;
+      } else if (char !== '\r') {
+        field += char;
+        recordStarted = true;
+      }
+    }
+  }
+
+  if (inQuotes && !quotePending) {
+    throw new Error('CSV ends inside a quoted field');
+  }
+  if (recordStarted || field) {
+    record.push(field);
+    yield record;
+  }
+}
+
+// Yields one object per data row, keyed by the header row
+export async function* parseCsv(input) {
+  let headers = null;
+
+  for await (const record of parseCsvRecords(input)) {
+    if (!headers) {
+      headers = record.map(header => header.trim());
+      continue;
+    }
+    yield Object.fromEntries(headers.map((header, index) => [header, record[index]]));
+  }
+}
@@ -0,0 +1,2 @@
+// Error carrying an HTTP status so routes can map domain failures to 4xx responses
+export const httpError = (statusCode, message) => Object.assign(new Error(message), { statusCode });
@@ -0,0 +1,54 @@
+import crypto from 'crypto';
+
+// Hashing and encryption for customer emails. Changing either key makes existing
+// hashes or ciphertexts unreadable, so keep them stable per deployment.
+
+const getHashKey = () => {
+  const key = process.env.EMAIL_HASH_KEY;
+  if (!key) {
+    throw new Error('EMAIL_HASH_KEY is not configured');
+  }
+  return key;
+};
+
+const getEncryptionKey = () => {
+  const key = process.env.PII_ENCRYPTION_KEY;
+  if (!key) {
+    throw new Error('PII_ENCRYPTION_KEY is not configured');
+  }
+
+  const buffer = Buffer.from(key, 'base64');
+  if (buffer.length !== 32) {
+    throw new Error('PII_ENCRYPTION_KEY must be 32 bytes, base64-encoded');
+  }
+  return buffer;
+};
+
+// Keyed HMAC-SHA256, so a hash can't be matched against a table of hashed known emails
+export const hashIdentifier = (value, key = getHashKey()) => crypto
+  .createHmac('sha256', key)
+  .update(value)
+  .digest('hex');
+
+// AES-256-GCM. Format: v1.base64url(iv).base64url(auth tag).base64url(ciphertext)
+export const encryptPII = (plaintext, key = getEncryptionKey()) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+  return ['v1', iv, cipher.getAuthTag(), ciphertext].map(part => (
+    typeof part === 'string' ? part : part.toString('base64url')
+  )).join('.');
+};
+
+// Throws when the value was tampered with or encrypted under another key
+export const decryptPII = (token, key = getEncryptionKey()) => {
+  const [version, iv, tag, ciphertext] = String(token).split('.');
+  if (version !== 'v1' || !iv || !tag || ciphertext === undefined) {
+    throw new Error('Unsupported encrypted value');
+  }
+
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64url'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64url')), decipher.final()]).toString('utf8');
+};
@@ -0,0 +1,101 @@
+import { jest } from '@jest/globals';
+import { createMemoryDb, mockDatabaseModule } from './helpers/memoryDb.js';
+import { routerRequest } from './helpers/routerRequest.js';
+
+const db = createMemoryDb();
+jest.unstable_mockModule('../src/config/database.js', () => mockDatabaseModule(db));
+const { createApiKey, findActiveApiKey, listApiKeys } = await import('../src/models/apiKeys.js');
+const { default: router } = await import('../src/routes/apiKeys.js');
+
+const request = (method, path, options) => routerRequest(router, method, path, options);
+
+describe('API key rotation', () => {
+  const admin = { name: 'shop-admin', businessId: 'shop', roles: ['admin'] };
+  const minutesFromNow = minutes => new Date(Date.now() + minutes * 60 * 1000);
+  const rotate = (id, body) => request('POST', `/${id}/rotate`, { apiKey: admin, body });
+
+  beforeEach(() => db.reset());
+
+  test('should end the grace period no later than the old key\'s expiry', async () => {
+    const expiresAt = minutesFromNow(5);
+    const { key, apiKey } = await createApiKey({ name: 'checkout', businessId: 'shop', roles: ['pricing:read'], expiresAt });
+
+    const rotated = await rotate(apiKey._id, { graceMinutes: 10000 });
+
+    expect(rotated.status).toBe(200);
+    expect((await findActiveApiKey(key)).expiresAt).toEqual(expiresAt);
+  });
+
+  test('should not rotate an expired key', async () => {
+    const { key, apiKey } = await createApiKey({ name: 'checkout', businessId: 'shop', roles: ['pricing:read'], expiresAt: minutesFromNow(-1) });
+
+    expect((await rotate(apiKey._id, { graceMinutes: 60 })).status).toBe(404);
+    expect(await findActiveApiKey(key)).toBeNull();
+    expect(await listApiKeys('shop')).toHaveLength(1);
+  });
+
+  test('should reject grace periods that are not a bounded whole number of minutes', async () => {
+    const { key, apiKey } = await createApiKey({ name: 'checkout', businessId: 'shop', roles: ['pricing:read'] });
+
+    for (const graceMinutes of ['soon', 1.5, -1, 1e12]) {
+      expect(await rotate(apiKey._id, { graceMinutes })).toEqual({
+        status: 400,
+        body: { error: 'graceMinutes must be an integer between 0 and 10080' }
+      });
+    }
+    expect(await findActiveApiKey(key)).toMatchObject({ expiresAt: null });
+    expect(await listApiKeys('shop')).toHaveLength(1);
+  });
+});
+
+describe('Global API key management', () => {
+  const globalAdmin = { name: 'bootstrap', businessId: null, roles: ['admin'] };
+  const tenantAdmin = { name: 'shop-admin', businessId: 'shop', roles: ['admin'] };
+
+  beforeEach(() => db.reset());
+
+  test('should list global keys only with scope=global', async () => {
+    await createApiKey({ name: 'ops', roles: ['admin'] });
+    await createApiKey({ name: 'default-checkout', businessId: 'default', roles: ['pricing:read'] });
+
+    const global = await request('GET', '/?scope=global', { apiKey: globalAdmin });
+    const tenant = await request('GET', '/', { apiKey: globalAdmin });
+
+    expect(global.body.keys.map(key => key.name)).toEqual(['ops']);
+    expect(tenant.body.keys.map(key => key.name)).toEqual(['default-checkout']);
+  });
+
+  test('should rotate a global key', async () => {
+    const { key, apiKey } = await createApiKey({ name: 'ops', roles: ['admin'] });
+
+    const rotated = await request('POST', `/${apiKey._id}/rotate?scope=global`, { apiKey: globalAdmin });
+
+    expect(rotated.status).toBe(200);
+    expect(rotated.body.apiKey).toMatchObject({ name: 'ops', businessId: null, rotatedFrom: apiKey._id });
+    expect(await findActiveApiKey(rotated.body.key)).toMatchObject({ businessId: null });
+    expect(await findActiveApiKey(key)).toBeNull();
+  });
+
+  test('should revoke a global key', async () => {
+    const { key, apiKey } = await createApiKey({ name: 'ops', roles: ['admin'] });
+
+    const unscoped = await request('DELETE', `/${apiKey._id}`, { apiKey: globalAdmin });
+    expect(unscoped.status).toBe(404);
+
+    const revoked = await request('DELETE', `/${apiKey._id}?scope=global`, { apiKey: globalAdmin });
+    expect(revoked.status).toBe(200);
+    expect(revoked.body.apiKey).toMatchObject({ status: 'revoked', businessId: null });
+    expect(await findActiveApiKey(key)).toBeNull();
+  });
+
+  test('should keep tenant admins away from global keys', async () => {
+    const { key, apiKey } = await createApiKey({ name: 'ops', roles: ['admin'] });
+
+    for (const [method, path] of [['GET', '/?scope=global'], ['POST', `/${apiKey._id}/rotate?scope=global`], ['DELETE', `/${apiKey._id}?scope=global`]]) {
+      const response = await request(method, path, { apiKey: tenantAdmin });
+      expect(response).toEqual({ status: 403, body: { error: 'Only global admin keys can manage global keys' } });
+    }
+    expect(await findActiveApiKey(key)).not.toBeNull();
+    expect(await listApiKeys(null)).toHaveLength(1);
+  });
+});
@@ -0,0 +1,84 @@
+import {
+  attributeRevenue,
+  getTouchpointWeights,
+  normalizeTouchpoints,
+  touchpointFromUtm
+} from '../src/models/attribution.js';
+
+describe('Marketing attribution', () => {
+  const conversionTime = new Date('2024-01-15T00:00:00Z');
+  const touchpoints = normalizeTouchpoints([
+    { source: 'Email', timestamp: '2024-01-14T00:00:00Z' },
+    { source: 'Facebook', campaignId: 'camp_fb', timestamp: '2024-01-01T00:00:00Z' },
+    { source: 'google', medium: 'CPC', campaignId: 'camp_g', timestamp: '2024-01-08T00:00:00Z' }
+  ]);
+
+  const revenueBySource = (model, options) => Object.fromEntries(
+    attributeRevenue(100, touchpoints, model, options).map(tp => [tp.source, tp.revenue])
+  );
+
+  test('should order touchpoints chronologically and lowercase sources', () => {
+    expect(touchpoints.map(tp => tp.source)).toEqual(['facebook', 'google', 'email']);
+    expect(touchpoints[1].medium).toBe('cpc');
+  });
+
+  test('should reject touchpoints without a source', () => {
+    expect(() => normalizeTouchpoints([{ medium: 'cpc' }]))
+      .toThrow('Every touchpoint needs a source');
+  });
+
+  test('should reject invalid touchpoint timestamps', () => {
+    expect(() => normalizeTouchpoints([{ source: 'google', timestamp: 'not-a-date' }]))
+      .toThrow('Invalid touchpoint timestamp');
+  });
+
+  test('should credit the last touchpoint under last-touch', () => {
+    expect(revenueBySource('last-touch')).toEqual({ facebook: 0, google: 0, email: 100 });
+  });
+
+  test('should credit the first touchpoint under first-touch', () => {
+    expect(revenueBySource('first-touch')).toEqual({ facebook: 100, google: 0, email: 0 });
+  });
+
+  test('should split evenly under linear', () => {
+    const revenue = revenueBySource('linear');
+    Object.values(revenue).forEach(value => expect(value).toBeCloseTo(33.33, 2));
+  });
+
+  test('should give 40/20/40 under position-based', () => {
+    const revenue = revenueBySource('position-based');
+    expect(revenue.facebook).toBeCloseTo(40);
+    expect(revenue.google).toBeCloseTo(20);
+    expect(revenue.email).toBeCloseTo(40);
+  });
+
+  test('should split evenly between two touchpoints under position-based', () => {
+    expect(getTouchpointWeights(touchpoints.slice(0, 2), 'position-based')).toEqual([0.5, 0.5]);
+  });
+
+  test('should favour recent touchpoints under time-decay', () => {
+    const revenue = revenueBySource('time-decay', { conversionTime, halfLifeDays: 7 });
+
+    expect(revenue.email).toBeGreaterThan(revenue.google);
+    expect(revenue.google).toBeGreaterThan(revenue.facebook);
+    expect(revenue.email + revenue.google + revenue.facebook).toBeCloseTo(100);
+  });
+
+  test('should give a single touchpoint full credit in every model', () => {
+    ['last-touch', 'first-touch', 'linear', 'time-decay', 'position-based'].forEach((model) => {
+      expect(getTouchpointWeights(touchpoints.slice(0, 1), model, { conversionTime })).toEqual([1]);
+    });
+  });
+
+  test('should throw for unknown models', () => {
+    expect(() => getTouchpointWeights(touchpoints, 'u-shaped')).toThrow('Unknown attribution model');
+  });
+
+  test('should build a touchpoint from UTM tags', () => {
+    const timestamp = new Date('2024-01-15T00:00:00Z');
+
+    expect(touchpointFromUtm({ utm_source: 'google', utm_medium: 'cpc', utm_campaign: 'summer-sale' }, timestamp))
+      .toEqual({ source: 'google', medium: 'cpc', campaignId: 'summer-sale', timestamp });
+    expect(touchpointFromUtm({ utm_campaign: 'summer-sale' })).toBeNull();
+  });
+});
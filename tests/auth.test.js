@@ -0,0 +1,105 @@
+import { jest } from '@jest/globals';
+import { apiKeyAuth, hasRole, requireRole, requireGlobalAdmin } from '../src/middleware/auth.js';
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+describe('API key authentication', () => {
+  const originalApiKey = process.env.API_KEY;
+
+  beforeAll(() => {
+    process.env.API_KEY = 'bootstrap-secret';
+  });
+
+  afterAll(() => {
+    process.env.API_KEY = originalApiKey;
+  });
+
+  test('should reject requests without a key', async () => {
+    const res = mockResponse();
+    const next = jest.fn();
+
+    await apiKeyAuth({ path: '/pricing/calculate', headers: {} }, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  test('should let the info endpoint through without a key', async () => {
+    const next = jest.fn();
+
+    await apiKeyAuth({ path: '/', headers: {} }, mockResponse(), next);
+
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  test('should accept the bootstrap key as a global admin', async () => {
+    const req = { path: '/keys', headers: { 'x-api-key': 'bootstrap-secret' } };
+    const next = jest.fn();
+
+    await apiKeyAuth(req, mockResponse(), next);
+
+    expect(next).toHaveBeenCalledWith();
+    expect(req.apiKey).toEqual({ name: 'bootstrap', businessId: null, roles: ['admin'] });
+  });
+
+  test('should read the key from a bearer authorization header', async () => {
+    const req = { path: '/keys', headers: { authorization: 'Bearer bootstrap-secret' } };
+
+    await apiKeyAuth(req, mockResponse(), jest.fn());
+
+    expect(req.apiKey.name).toBe('bootstrap');
+  });
+});
+
+describe('Role enforcement', () => {
+  test('admin should imply every role', () => {
+    expect(hasRole({ roles: ['admin'] }, 'ingest:write')).toBe(true);
+  });
+
+  test('should require the exact role otherwise', () => {
+    expect(hasRole({ roles: ['pricing:read'] }, 'pricing:read')).toBe(true);
+    expect(hasRole({ roles: ['pricing:read'] }, 'ingest:write')).toBe(false);
+    expect(hasRole(undefined, 'pricing:read')).toBe(false);
+  });
+
+  test('should respond 403 when the role is missing', () => {
+    const res = mockResponse();
+    const next = jest.fn();
+
+    requireRole('ingest:write')({ apiKey: { roles: ['pricing:read'] } }, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  test('should call next when the role is present', () => {
+    const next = jest.fn();
+
+    requireRole('pricing:read')({ apiKey: { roles: ['pricing:read'] } }, mockResponse(), next);
+
+    expect(next).toHaveBeenCalled();
+  });
+
+  test('should reject tenant-bound admin keys for global operations', () => {
+    const res = mockResponse();
+    const next = jest.fn();
+
+    requireGlobalAdmin({ apiKey: { roles: ['admin'], businessId: 'shop-a' } }, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  test('should allow global admin keys for global operations', () => {
+    const next = jest.fn();
+
+    requireGlobalAdmin({ apiKey: { roles: ['admin'], businessId: null } }, mockResponse(), next);
+
+    expect(next).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,63 @@
+import { createPricingModule } from './helpers/pricingModule.js';
+
+describe('Cart pricing', () => {
+  const createModule = ({ mcdMultiplier = 1.1, customerDiscount = 10, products } = {}) =>
+    createPricingModule({ businessId: 'cart-test', mcdMultiplier, customerDiscount, products });
+
+  test('should weight the discount by category on each line', async () => {
+    const cart = await createModule().calculateCartPrice([
+      { sku: 'P-1', quantity: 2, unitPrice: 100, productCategory: 'premium' },
+      { sku: 'B-1', quantity: 1, unitPrice: 100, productCategory: 'budget' }
+    ], 'customer@example.com');
+
+    const [premium, budget] = cart.lines;
+    expect(premium.rcdDiscount).toBe(15);
+    expect(premium.unitFinalPrice).toBe(93.5);
+    expect(premium.lineTotal).toBe(187);
+    expect(budget.rcdDiscount).toBe(8);
+    expect(budget.lineTotal).toBe(101.2);
+    expect(cart.totals).toMatchObject({ itemCount: 3, subtotal: 300, total: 288.2 });
+    expect(cart.customerSegment).toBe('loyal');
+  });
+
+  test('should not discount guest carts', async () => {
+    const cart = await createModule().calculateCartPrice([{ unitPrice: 50, quantity: 3 }]);
+
+    expect(cart.lines[0].rcdDiscount).toBe(0);
+    expect(cart.totals.total).toBe(165);
+    expect(cart.customerSegment).toBe('guest');
+  });
+
+  test('should enforce the price floor per line', async () => {
+    const cart = await createModule({ mcdMultiplier: 0.8 }).calculateCartPrice([
+      { sku: 'P-1', unitPrice: 100, productCategory: 'premium' },
+      { sku: 'S-1', unitPrice: 100, productCategory: 'standard' }
+    ], 'customer@example.com');
+
+    expect(cart.lines[0]).toMatchObject({ floorApplied: true, unitFinalPrice: 70 });
+    expect(cart.lines[1]).toMatchObject({ floorApplied: false, unitFinalPrice: 72 });
+    expect(cart.flooredLines).toBe(1);
+  });
+
+  test('should never report a negative discount on a line', async () => {
+    const mcdRcd = createModule({
+      mcdMultiplier: 1.0,
+      products: [{ sku: 'C-1', basePrice: 100, productCategory: 'standard', unitCost: 95, minMargin: 0.1 }]
+    });
+
+    const cart = await mcdRcd.calculateCartPrice([{ sku: 'C-1', quantity: 2 }], 'customer@example.com');
+
+    expect(cart.lines[0]).toMatchObject({ unitFinalPrice: 100, discountAmount: 0, lineTotal: 200 });
+    expect(cart.totals).toMatchObject({ discountAmount: 0, total: 200 });
+  });
+
+  test('should reject invalid line items', async () => {
+    const mcdRcd = createModule();
+
+    await expect(mcdRcd.calculateCartPrice([])).rejects.toMatchObject({ statusCode: 400 });
+    await expect(mcdRcd.calculateCartPrice([{ unitPrice: 0 }]))
+      .rejects.toThrow('Line 1: unitPrice must be positive');
+    await expect(mcdRcd.calculateCartPrice([{ unitPrice: 10 }, { unitPrice: 10, quantity: 1.5 }]))
+      .rejects.toThrow('Line 2: quantity must be a positive integer');
+  });
+});
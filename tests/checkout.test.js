@@ -0,0 +1,47 @@
+import { jest } from '@jest/globals';
+import { createMemoryDb, mockDatabaseModule } from './helpers/memoryDb.js';
+
+const db = createMemoryDb();
+jest.unstable_mockModule('../src/config/database.js', () => mockDatabaseModule(db));
+const { MCDRCDModule } = await import('../src/models/MCDRCDModule.js');
+
+describe('Quoted checkout', () => {
+  const mcdRcd = new MCDRCDModule({ businessId: 'checkout-test' });
+  mcdRcd.getCurrentMCDMultiplier = async () => 1.0;
+  const email = 'buyer@example.com';
+  const emailHash = mcdRcd.hashEmail(email);
+  const customer = () => db.collection('customers').findOne({ emailHash });
+
+  let quote;
+
+  beforeAll(() => {
+    process.env.QUOTE_SIGNING_SECRET ??= 'checkout-test-secret';
+  });
+
+  beforeEach(async () => {
+    db.reset();
+    await db.collection('customers').insertOne({ businessId: 'checkout-test', emailHash, loyaltyPoints: 2000, currentDiscountPercentage: 0 });
+    quote = await mcdRcd.quotes.createQuote({ basePrice: 100 });
+  });
+
+  test('should redeem points against a quoted price', async () => {
+    const result = await mcdRcd.recordTransaction(email, quote.finalPrice - 5, null, [], [], {
+      quoteToken: quote.token,
+      redeemPoints: 500
+    });
+
+    expect(result.transaction).toMatchObject({ amount: quote.finalPrice - 5, pointsRedeemed: 500, pointsValue: 5, quoteId: quote.quoteId });
+    expect(await db.collection('priceQuotes').findOne({ quoteId: quote.quoteId })).toMatchObject({ status: 'redeemed' });
+    expect(await db.collection('loyaltyLedger').findOne({ type: 'redeem' })).toMatchObject({ customerEmailHash: emailHash, points: -500 });
+  });
+
+  test('should reject points on top of the full quoted price', async () => {
+    await expect(mcdRcd.recordTransaction(email, quote.finalPrice, null, [], [], {
+      quoteToken: quote.token,
+      redeemPoints: 500
+    })).rejects.toMatchObject({ statusCode: 400 });
+
+    expect(await customer()).toMatchObject({ loyaltyPoints: 2000 });
+    expect(await db.collection('priceQuotes').findOne({ quoteId: quote.quoteId })).toMatchObject({ status: 'open' });
+  });
+});
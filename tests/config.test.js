@@ -0,0 +1,114 @@
+import { jest } from '@jest/globals';
+import { createMemoryDb, mockDatabaseModule } from './helpers/memoryDb.js';
+
+const db = createMemoryDb();
+jest.unstable_mockModule('../src/config/database.js', () => mockDatabaseModule(db));
+const { validateTenantConfig } = await import('../src/config/configSchema.js');
+const { diffConfigs, getTenantConfig, updateTenantConfig } = await import('../src/models/tenantConfig.js');
+const { evictTenantModule, getTenantModule } = await import('../src/config/tenants.js');
+
+describe('Tenant config validation', () => {
+  test('should accept a partial override', () => {
+    expect(validateTenantConfig({
+      mcd: { sensitivityCoefficient: 1.2, platformWeights: { google: 1.3 } },
+      rcd: { maxDiscount: 15, thresholds: { minimumSpend: 75 } },
+      attribution: { model: 'linear' }
+    })).toEqual([]);
+  });
+
+  test('should report every invalid field', () => {
+    const errors = validateTenantConfig({
+      mcd: { smoothingFactor: 2 },
+      rcd: { maxDiscount: -5 },
+      attribution: { model: 'u-shaped' }
+    });
+
+    expect(errors).toHaveLength(3);
+    expect(errors).toContain('mcd.smoothingFactor: must be <= 1');
+  });
+
+  test('should reject unknown fields', () => {
+    expect(validateTenantConfig({ rcd: { maxDiscont: 10 } }))
+      .toEqual(['rcd: unknown field maxDiscont']);
+  });
+
+  test('should check rules that span fields', () => {
+    expect(validateTenantConfig({ mcd: { minMultiplier: 1.4, maxMultiplier: 1.2 } }))
+      .toEqual(['mcd.minMultiplier: must not exceed mcd.maxMultiplier']);
+  });
+});
+
+describe('Tenant config diff', () => {
+  test('should list changed, added and removed leaves', () => {
+    const changes = diffConfigs(
+      { rcd: { maxDiscount: 20, thresholds: { minimumSpend: 50 } }, mcd: { enabled: true } },
+      { rcd: { maxDiscount: 15, thresholds: { minimumSpend: 50 } }, optimization: { targetROI: 2.5 } }
+    );
+
+    expect(changes).toEqual([
+      { path: 'mcd', from: { enabled: true }, to: undefined },
+      { path: 'optimization', from: undefined, to: { targetROI: 2.5 } },
+      { path: 'rcd.maxDiscount', from: 20, to: 15 }
+    ]);
+  });
+
+  test('should return no changes for equal configs', () => {
+    expect(diffConfigs({ mcd: { platformWeights: { google: 1.2 } } }, { mcd: { platformWeights: { google: 1.2 } } }))
+      .toEqual([]);
+  });
+});
+
+describe('Tenant config versions', () => {
+  beforeEach(() => db.reset());
+
+  test('should create a single tenant record when first writes race', async () => {
+    const results = await Promise.allSettled([
+      updateTenantConfig('race-test', { rcd: { maxDiscount: 15 } }),
+      updateTenantConfig('race-test', { rcd: { maxDiscount: 20 } })
+    ]);
+
+    const [written] = results.filter(result => result.status === 'fulfilled');
+    const [rejected] = results.filter(result => result.status === 'rejected');
+    expect(written.value.version).toBe(1);
+    expect(rejected.reason).toMatchObject({ statusCode: 409 });
+    expect(await db.collection('tenants').countDocuments({ businessId: 'race-test' })).toBe(1);
+    expect(await getTenantConfig('race-test')).toMatchObject({ version: 1, config: written.value.config });
+  });
+});
+
+describe('Tenant module rebuilds', () => {
+  beforeEach(() => db.reset());
+
+  // What ROI optimisation leaves on an instance between config changes
+  const optimise = (mcdRcd) => {
+    mcdRcd.platformPerformance.google = { totalSpend: 100, totalRevenue: 500, roi: 5, lastUpdated: new Date() };
+    mcdRcd.config.mcd.platformWeights.google = 1.5;
+    mcdRcd.config.mcd.platformWeights.email = 0.6;
+  };
+
+  test('should keep optimised platform weights after a config change', async () => {
+    const before = await getTenantModule('rebuild-test');
+    optimise(before);
+
+    await updateTenantConfig('rebuild-test', { rcd: { maxDiscount: 15 } });
+    evictTenantModule('rebuild-test');
+    const after = await getTenantModule('rebuild-test');
+
+    expect(after).not.toBe(before);
+    expect(after.config.rcd.maxDiscount).toBe(15);
+    expect(after.config.mcd.platformWeights).toMatchObject({ google: 1.5, email: 0.6, facebook: 1.1 });
+    expect(after.platformPerformance.google).toMatchObject({ roi: 5 });
+  });
+
+  test('should take a newly configured platform weight', async () => {
+    await updateTenantConfig('reweight-test', { mcd: { platformWeights: { google: 1.2, email: 1.0 } } });
+    const before = await getTenantModule('reweight-test');
+    optimise(before);
+
+    await updateTenantConfig('reweight-test', { mcd: { platformWeights: { google: 1.2, email: 0.9 } } });
+    evictTenantModule('reweight-test');
+    const after = await getTenantModule('reweight-test');
+
+    expect(after.config.mcd.platformWeights).toEqual({ google: 1.5, email: 0.9 });
+  });
+});
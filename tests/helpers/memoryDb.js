@@ -0,0 +1,526 @@
+// In-memory stand-in for the Mongo collections the models use, so tests can exercise
+// database-backed logic without a server. It covers the query, update and aggregation
+// operators this codebase relies on and throws on anything else, so a gap shows up as
+// a failing test rather than a silently wrong result.
+//
+// Use it with jest.unstable_mockModule before importing the code under test:
+//
+//   const db = createMemoryDb();
+//   jest.unstable_mockModule('../src/config/database.js', () => mockDatabaseModule(db));
+//   const { MCDRCDModule } = await import('../src/models/MCDRCDModule.js');
+import mongoose from 'mongoose';
+
+const { ObjectId } = mongoose.Types;
+
+const isPlainObject = value => value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+const isObjectId = value => value?._bsontype === 'ObjectId' || value?._bsontype === 'ObjectID';
+
+const clone = (value) => {
+  if (value instanceof Date) return new Date(value);
+  if (Array.isArray(value)) return value.map(clone);
+  if (isPlainObject(value)) return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+  return value;
+};
+
+// Dates, ObjectIds and primitives compared the way Mongo orders them
+const comparable = (value) => {
+  if (value instanceof Date) return value.getTime();
+  if (isObjectId(value)) return value.toHexString();
+  return value;
+};
+
+const equals = (a, b) => {
+  if (a === undefined) a = null;
+  if (b === undefined) b = null;
+  if (Array.isArray(a) && Array.isArray(b)) return a.length === b.length && a.every((item, index) => equals(item, b[index]));
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(key => equals(a[key], b[key]));
+  }
+  return comparable(a) === comparable(b);
+};
+
+const compare = (a, b) => {
+  const left = comparable(a);
+  const right = comparable(b);
+  if (left === right) return 0;
+  if (left === null || left === undefined) return -1;
+  if (right === null || right === undefined) return 1;
+  return left < right ? -1 : 1;
+};
+
+const getPath = (doc, path) => path.split('.').reduce((value, key) => {
+  if (value === null || value === undefined) return undefined;
+  if (Array.isArray(value) && !/^\d+$/.test(key)) return value.map(item => item?.[key]).flat();
+  return value[key];
+}, doc);
+
+const setPath = (doc, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((target, key) => {
+    if (!isPlainObject(target[key]) && !Array.isArray(target[key])) target[key] = {};
+    return target[key];
+  }, doc);
+  parent[last] = value;
+};
+
+const unsetPath = (doc, path) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = getPath(doc, keys.join('.')) ?? (keys.length ? undefined : doc);
+  if (parent) delete parent[last];
+};
+
+const duplicateKeyError = (name, key) => Object.assign(
+  new Error(`E11000 duplicate key error collection: ${name} index: ${key.join('_')}`),
+  { code: 11000 }
+);
+
+const isOperatorObject = value => isPlainObject(value) && Object.keys(value).length > 0 &&
+  Object.keys(value).every(key => key.startsWith('$'));
+
+const matchesCondition = (actual, condition) => {
+  if (condition instanceof RegExp) {
+    return [actual].flat().some(item => typeof item === 'string' && condition.test(item));
+  }
+
+  if (!isOperatorObject(condition)) {
+    if (Array.isArray(actual) && !Array.isArray(condition)) return actual.some(item => equals(item, condition));
+    return equals(actual, condition);
+  }
+
+  return Object.entries(condition).every(([operator, operand]) => {
+    const values = Array.isArray(actual) ? actual : [actual];
+    switch (operator) {
+      case '$eq': return matchesCondition(actual, operand);
+      case '$ne': return !matchesCondition(actual, operand);
+      case '$in': return operand.some(item => matchesCondition(actual, item));
+      case '$nin': return !operand.some(item => matchesCondition(actual, item));
+      case '$gt': return values.some(item => item !== null && item !== undefined && compare(item, operand) > 0);
+      case '$gte': return values.some(item => item !== null && item !== undefined && compare(item, operand) >= 0);
+      case '$lt': return values.some(item => item !== null && item !== undefined && compare(item, operand) < 0);
+      case '$lte': return values.some(item => item !== null && item !== undefined && compare(item, operand) <= 0);
+      case '$exists': return (actual !== undefined) === Boolean(operand);
+      case '$size': return Array.isArray(actual) && actual.length === operand;
+      case '$elemMatch': return Array.isArray(actual) && actual.some(item => matches(item, operand));
+      case '$regex': return matchesCondition(actual, new RegExp(operand, condition.$options));
+      case '$options': return true;
+      default: throw new Error(`memoryDb: unsupported query operator ${operator}`);
+    }
+  });
+};
+
+export const matches = (doc, filter = {}) => Object.entries(filter).every(([key, condition]) => {
+  switch (key) {
+    case '$or': return condition.some(part => matches(doc, part));
+    case '$and': return condition.every(part => matches(doc, part));
+    case '$nor': return !condition.some(part => matches(doc, part));
+    default:
+      if (key.startsWith('$')) throw new Error(`memoryDb: unsupported query operator ${key}`);
+      return matchesCondition(getPath(doc, key), condition);
+  }
+});
+
+const applyUpdate = (doc, update, isInsert) => {
+  if (!Object.keys(update).some(key => key.startsWith('$'))) {
+    return { _id: doc._id, ...clone(update) };
+  }
+
+  for (const [operator, fields] of Object.entries(update)) {
+    for (const [path, value] of Object.entries(fields)) {
+      const current = getPath(doc, path);
+      switch (operator) {
+        case '$set': setPath(doc, path, clone(value)); break;
+        case '$setOnInsert': if (isInsert) setPath(doc, path, clone(value)); break;
+        case '$unset': unsetPath(doc, path); break;
+        case '$inc': setPath(doc, path, (current || 0) + value); break;
+        case '$min': if (current === undefined || compare(value, current) < 0) setPath(doc, path, clone(value)); break;
+        case '$max': if (current === undefined || compare(value, current) > 0) setPath(doc, path, clone(value)); break;
+        case '$push': {
+          const items = isPlainObject(value) && '$each' in value ? value.$each : [value];
+          setPath(doc, path, [...(current || []), ...clone(items)]);
+          break;
+        }
+        case '$addToSet': {
+          const items = isPlainObject(value) && '$each' in value ? value.$each : [value];
+          const next = [...(current || [])];
+          for (const item of items) if (!next.some(existing => equals(existing, item))) next.push(clone(item));
+          setPath(doc, path, next);
+          break;
+        }
+        case '$pull': setPath(doc, path, (current || []).filter(item => !matchesCondition(item, value))); break;
+        default: throw new Error(`memoryDb: unsupported update operator ${operator}`);
+      }
+    }
+  }
+  return doc;
+};
+
+// Equality fields of a filter seed the document an upsert inserts
+const upsertSeed = (filter) => {
+  const seed = {};
+  for (const [key, condition] of Object.entries(filter)) {
+    if (key.startsWith('$')) continue;
+    if (isOperatorObject(condition)) {
+      if ('$eq' in condition) setPath(seed, key, clone(condition.$eq));
+      continue;
+    }
+    setPath(seed, key, clone(condition));
+  }
+  return seed;
+};
+
+const sortDocs = (docs, sort) => {
+  if (!sort) return docs;
+  const keys = Object.entries(sort);
+  return [...docs].sort((a, b) => {
+    for (const [path, direction] of keys) {
+      const order = compare(getPath(a, path), getPath(b, path));
+      if (order) return order * direction;
+    }
+    return 0;
+  });
+};
+
+const project = (doc, projection) => {
+  if (!projection || !Object.keys(projection).length) return doc;
+  const included = Object.entries(projection).filter(([, value]) => value);
+
+  if (included.length && !(included.length === 1 && included[0][0] === '_id')) {
+    const result = projection._id === 0 ? {} : { _id: doc._id };
+    for (const [path] of included) {
+      const value = getPath(doc, path);
+      if (value !== undefined && path !== '_id') setPath(result, path, value);
+    }
+    return result;
+  }
+
+  const result = clone(doc);
+  for (const [path, value] of Object.entries(projection)) if (!value) unsetPath(result, path);
+  return result;
+};
+
+// Aggregation expressions used in $group, $project and $addFields stages
+const evaluate = (expression, doc) => {
+  if (typeof expression === 'string' && expression.startsWith('$')) return getPath(doc, expression.slice(1));
+  if (Array.isArray(expression)) return expression.map(item => evaluate(item, doc));
+  if (!isPlainObject(expression)) return expression;
+
+  const [operator] = Object.keys(expression);
+  if (!operator?.startsWith('$')) {
+    return Object.fromEntries(Object.entries(expression).map(([key, value]) => [key, evaluate(value, doc)]));
+  }
+
+  const operand = expression[operator];
+  const args = Array.isArray(operand) ? operand.map(item => evaluate(item, doc)) : null;
+  switch (operator) {
+    case '$ifNull': return args.find(value => value !== null && value !== undefined) ?? null;
+    case '$cond': {
+      const [condition, then, otherwise] = Array.isArray(operand) ? operand : [operand.if, operand.then, operand.else];
+      return evaluate(condition, doc) ? evaluate(then, doc) : evaluate(otherwise, doc);
+    }
+    case '$eq': return equals(args[0], args[1]);
+    case '$ne': return !equals(args[0], args[1]);
+    case '$lt': return compare(args[0], args[1]) < 0;
+    case '$lte': return compare(args[0], args[1]) <= 0;
+    case '$gt': return compare(args[0], args[1]) > 0;
+    case '$gte': return compare(args[0], args[1]) >= 0;
+    case '$in': return args[1].some(item => equals(item, args[0]));
+    case '$and': return args.every(Boolean);
+    case '$or': return args.some(Boolean);
+    case '$add': return args.reduce((sum, value) => sum + (value || 0), 0);
+    case '$subtract': return args[0] - args[1];
+    case '$multiply': return args.reduce((product, value) => product * value, 1);
+    case '$divide': return args[0] / args[1];
+    case '$year': return evaluate(operand, doc).getUTCFullYear();
+    case '$month': return evaluate(operand, doc).getUTCMonth() + 1;
+    case '$dayOfMonth': return evaluate(operand, doc).getUTCDate();
+    default: throw new Error(`memoryDb: unsupported expression ${operator}`);
+  }
+};
+
+const accumulate = (operator, values) => {
+  const numbers = values.filter(value => typeof value === 'number');
+  switch (operator) {
+    case '$sum': return numbers.reduce((sum, value) => sum + value, 0);
+    case '$avg': return numbers.length ? numbers.reduce((sum, value) => sum + value, 0) / numbers.length : null;
+    case '$max': return values.filter(value => value !== null && value !== undefined).reduce((max, value) => (max === null || compare(value, max) > 0 ? value : max), null);
+    case '$min': return values.filter(value => value !== null && value !== undefined).reduce((min, value) => (min === null || compare(value, min) < 0 ? value : min), null);
+    case '$first': return values[0] ?? null;
+    case '$last': return values[values.length - 1] ?? null;
+    case '$push': return values;
+    case '$addToSet': return values.filter((value, index) => values.findIndex(other => equals(other, value)) === index);
+    default: throw new Error(`memoryDb: unsupported accumulator ${operator}`);
+  }
+};
+
+const runPipeline = (docs, pipeline) => pipeline.reduce((current, stage) => {
+  const [name] = Object.keys(stage);
+  const spec = stage[name];
+
+  switch (name) {
+    case '$match': return current.filter(doc => matches(doc, spec));
+    case '$sort': return sortDocs(current, spec);
+    case '$skip': return current.slice(spec);
+    case '$limit': return current.slice(0, spec);
+    case '$project': return current.map(doc => (Object.values(spec).every(value => value === 0 || value === 1 || value === true || value === false)
+      ? project(doc, spec)
+      : Object.fromEntries(Object.entries(spec)
+        .filter(([, value]) => value !== 0)
+        .map(([key, value]) => [key, value === 1 ? getPath(doc, key) : evaluate(value, doc)]))));
+    case '$addFields': return current.map((doc) => {
+      const copy = clone(doc);
+      for (const [path, value] of Object.entries(spec)) setPath(copy, path, evaluate(value, doc));
+      return copy;
+    });
+    case '$unwind': {
+      const path = (typeof spec === 'string' ? spec : spec.path).slice(1);
+      return current.flatMap(doc => (getPath(doc, path) || []).map(item => {
+        const copy = clone(doc);
+        setPath(copy, path, item);
+        return copy;
+      }));
+    }
+    case '$group': {
+      const groups = new Map();
+      for (const doc of current) {
+        const id = evaluate(spec._id, doc) ?? null;
+        const key = JSON.stringify(comparable(id) ?? null, (k, value) => comparable(value));
+        if (!groups.has(key)) groups.set(key, { id, docs: [] });
+        groups.get(key).docs.push(doc);
+      }
+      return [...groups.values()].map(({ id, docs: members }) => {
+        const result = { _id: id };
+        for (const [field, accumulator] of Object.entries(spec)) {
+          if (field === '_id') continue;
+          const [operator] = Object.keys(accumulator);
+          result[field] = accumulate(operator, members.map(doc => evaluate(accumulator[operator], doc)));
+        }
+        return result;
+      });
+    }
+    default: throw new Error(`memoryDb: unsupported pipeline stage ${name}`);
+  }
+}, docs);
+
+const createCursor = (load) => {
+  const options = { sort: null, skip: 0, limit: 0, projection: null };
+  const cursor = {
+    sort(sort) { options.sort = sort; return cursor; },
+    skip(skip) { options.skip = skip; return cursor; },
+    limit(limit) { options.limit = limit; return cursor; },
+    project(projection) { options.projection = projection; return cursor; },
+    async toArray() {
+      const sorted = sortDocs(load(), options.sort).slice(options.skip);
+      return (options.limit ? sorted.slice(0, options.limit) : sorted).map(doc => clone(project(doc, options.projection)));
+    },
+    async *[Symbol.asyncIterator]() {
+      yield* await cursor.toArray();
+    }
+  };
+  return cursor;
+};
+
+const createCollection = (name) => {
+  const docs = [];
+  const uniqueKeys = [['_id']];
+
+  const assertUnique = (candidate, ignore = null) => {
+    for (const key of uniqueKeys) {
+      const clash = docs.some(doc => doc !== ignore && key.every(path => equals(getPath(doc, path), getPath(candidate, path))));
+      if (clash) throw duplicateKeyError(name, key);
+    }
+  };
+
+  const insert = (doc) => {
+    const stored = clone(doc);
+    if (stored._id === undefined) stored._id = new ObjectId();
+    assertUnique(stored);
+    docs.push(stored);
+    if (doc._id === undefined) doc._id = stored._id;
+    return stored;
+  };
+
+  // Applies an update to one matched document, or inserts when upserting
+  const updateDoc = (filter, update, { upsert = false, sort = null } = {}) => {
+    const target = sortDocs(docs.filter(doc => matches(doc, filter)), sort)[0];
+
+    if (target) {
+      const before = clone(target);
+      const updated = applyUpdate(clone(target), update, false);
+      assertUnique(updated, target);
+      docs[docs.indexOf(target)] = updated;
+      return { before, after: updated, matched: true, modified: !equals(before, updated) };
+    }
+
+    if (!upsert) return { before: null, after: null, matched: false, modified: false };
+    const seed = upsertSeed(filter);
+    const created = insert(applyUpdate(seed, update, true));
+    return { before: null, after: created, matched: false, modified: false, upsertedId: created._id };
+  };
+
+  const collection = {
+    name,
+    docs,
+
+    async createIndex(keys, { unique = false } = {}) {
+      const key = Object.keys(keys);
+      if (unique && !uniqueKeys.some(existing => equals(existing, key))) {
+        const seen = new Set();
+        for (const doc of docs) {
+          const value = JSON.stringify(key.map(path => comparable(getPath(doc, path)) ?? null));
+          if (seen.has(value)) throw duplicateKeyError(name, key);
+          seen.add(value);
+        }
+        uniqueKeys.push(key);
+      }
+      return key.join('_');
+    },
+
+    async insertOne(doc) {
+      return { acknowledged: true, insertedId: insert(doc)._id };
+    },
+
+    async insertMany(items) {
+      const insertedIds = {};
+      items.forEach((doc, index) => { insertedIds[index] = insert(doc)._id; });
+      return { acknowledged: true, insertedCount: items.length, insertedIds };
+    },
+
+    async findOne(filter = {}, { sort = null, projection = null } = {}) {
+      const doc = sortDocs(docs.filter(item => matches(item, filter)), sort)[0];
+      return doc ? clone(project(doc, projection)) : null;
+    },
+
+    find(filter = {}, { sort = null, skip = 0, limit = 0, projection = null } = {}) {
+      const cursor = createCursor(() => docs.filter(doc => matches(doc, filter)));
+      if (sort) cursor.sort(sort);
+      if (projection) cursor.project(projection);
+      return cursor.skip(skip).limit(limit);
+    },
+
+    async countDocuments(filter = {}) {
+      return docs.filter(doc => matches(doc, filter)).length;
+    },
+
+    async distinct(path, filter = {}) {
+      const values = docs.filter(doc => matches(doc, filter)).flatMap(doc => [getPath(doc, path)].flat())
+        .filter(value => value !== undefined);
+      return values.filter((value, index) => values.findIndex(other => equals(other, value)) === index);
+    },
+
+    async updateOne(filter, update, options = {}) {
+      const result = updateDoc(filter, update, options);
+      return {
+        acknowledged: true,
+        matchedCount: result.matched ? 1 : 0,
+        modifiedCount: result.modified ? 1 : 0,
+        upsertedCount: result.upsertedId ? 1 : 0,
+        upsertedId: result.upsertedId ?? null
+      };
+    },
+
+    async replaceOne(filter, replacement, options = {}) {
+      return collection.updateOne(filter, replacement, options);
+    },
+
+    async updateMany(filter, update, { upsert = false } = {}) {
+      const targets = docs.filter(doc => matches(doc, filter));
+      if (!targets.length && upsert) return collection.updateOne(filter, update, { upsert });
+
+      let modifiedCount = 0;
+      for (const target of targets) {
+        const updated = applyUpdate(clone(target), update, false);
+        assertUnique(updated, target);
+        if (!equals(target, updated)) modifiedCount += 1;
+        docs[docs.indexOf(target)] = updated;
+      }
+      return { acknowledged: true, matchedCount: targets.length, modifiedCount, upsertedCount: 0, upsertedId: null };
+    },
+
+    async findOneAndUpdate(filter, update, { upsert = false, sort = null, returnDocument = 'before', projection = null } = {}) {
+      const result = updateDoc(filter, update, { upsert, sort });
+      const doc = returnDocument === 'after' ? result.after : result.before;
+      return doc ? clone(project(doc, projection)) : null;
+    },
+
+    async findOneAndDelete(filter, { sort = null } = {}) {
+      const doc = sortDocs(docs.filter(item => matches(item, filter)), sort)[0];
+      if (!doc) return null;
+      docs.splice(docs.indexOf(doc), 1);
+      return clone(doc);
+    },
+
+    async deleteOne(filter) {
+      const index = docs.findIndex(doc => matches(doc, filter));
+      if (index !== -1) docs.splice(index, 1);
+      return { acknowledged: true, deletedCount: index === -1 ? 0 : 1 };
+    },
+
+    async deleteMany(filter = {}) {
+      const remaining = docs.filter(doc => !matches(doc, filter));
+      const deletedCount = docs.length - remaining.length;
+      docs.splice(0, docs.length, ...remaining);
+      return { acknowledged: true, deletedCount };
+    },
+
+    async bulkWrite(operations) {
+      const result = { insertedCount: 0, matchedCount: 0, modifiedCount: 0, deletedCount: 0, upsertedCount: 0, upsertedIds: {} };
+
+      for (const [index, operation] of operations.entries()) {
+        const [type] = Object.keys(operation);
+        const spec = operation[type];
+        if (type === 'insertOne') {
+          insert(spec.document);
+          result.insertedCount += 1;
+        } else if (type === 'updateOne' || type === 'replaceOne') {
+          const outcome = await collection.updateOne(spec.filter, spec.update || spec.replacement, { upsert: spec.upsert });
+          result.matchedCount += outcome.matchedCount;
+          result.modifiedCount += outcome.modifiedCount;
+          if (outcome.upsertedId) {
+            result.upsertedCount += 1;
+            result.upsertedIds[index] = outcome.upsertedId;
+          }
+        } else if (type === 'updateMany') {
+          const outcome = await collection.updateMany(spec.filter, spec.update, { upsert: spec.upsert });
+          result.matchedCount += outcome.matchedCount;
+          result.modifiedCount += outcome.modifiedCount;
+        } else if (type === 'deleteOne' || type === 'deleteMany') {
+          result.deletedCount += (await collection[type](spec.filter)).deletedCount;
+        } else {
+          throw new Error(`memoryDb: unsupported bulk operation ${type}`);
+        }
+      }
+      return result;
+    },
+
+    aggregate(pipeline) {
+      return createCursor(() => runPipeline(docs, pipeline));
+    }
+  };
+
+  return collection;
+};
+
+export const createMemoryDb = () => {
+  const collections = new Map();
+
+  return {
+    collection(name) {
+      if (!collections.has(name)) collections.set(name, createCollection(name));
+      return collections.get(name);
+    },
+    // Empties every collection between tests; unique indexes are kept
+    reset() {
+      collections.forEach(collection => collection.docs.splice(0));
+    }
+  };
+};
+
+// Module factory for jest.unstable_mockModule('../src/config/database.js', ...)
+export const mockDatabaseModule = db => ({
+  connectToDatabase: async () => {},
+  closeDatabase: async () => {},
+  getDB: () => db
+});
@@ -0,0 +1,19 @@
+import { MCDRCDModule } from '../../src/models/MCDRCDModule.js';
+
+// An MCDRCDModule whose pricing inputs are fixed instead of read from the database:
+// the MCD multiplier, the customer's discount and record, and the active catalog.
+// Tests override further methods on the returned instance as they need.
+export const createPricingModule = ({
+  businessId = 'pricing-test',
+  mcdMultiplier = 1.0,
+  customerDiscount = 0,
+  customer = { customerSegment: 'loyal' },
+  products = []
+} = {}) => {
+  const mcdRcd = new MCDRCDModule({ businessId });
+  mcdRcd.getCurrentMCDMultiplier = async () => mcdMultiplier;
+  mcdRcd.getCustomerDiscount = async () => customerDiscount;
+  mcdRcd.getCustomerInfo = async () => customer;
+  mcdRcd.products.findActive = async () => new Map(products.map(product => [product.sku, product]));
+  return mcdRcd;
+};
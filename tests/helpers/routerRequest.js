@@ -0,0 +1,24 @@
+// Runs a request through an Express router without a server and resolves with
+// { status, body } once a handler responds. Auth is skipped: the caller passes
+// the API key record apiKeyAuth would have attached.
+export const routerRequest = (router, method, path, { apiKey, body = {}, headers = {} }) => new Promise((resolve, reject) => {
+  const [pathname, search = ''] = path.split('?');
+  const res = {
+    statusCode: 200,
+    status(code) { this.statusCode = code; return this; },
+    json(payload) { resolve({ status: this.statusCode, body: payload }); return this; }
+  };
+  const req = {
+    method,
+    url: path,
+    originalUrl: path,
+    path: pathname,
+    query: Object.fromEntries(new URLSearchParams(search)),
+    headers,
+    body,
+    apiKey,
+    businessId: apiKey.businessId || 'default'
+  };
+
+  router.handle(req, res, error => reject(error || new Error(`No route for ${method} ${path}`)));
+});
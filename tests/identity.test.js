@@ -0,0 +1,72 @@
+import { jest } from '@jest/globals';
+import { createMemoryDb, mockDatabaseModule } from './helpers/memoryDb.js';
+
+const db = createMemoryDb();
+jest.unstable_mockModule('../src/config/database.js', () => mockDatabaseModule(db));
+const { MCDRCDModule } = await import('../src/models/MCDRCDModule.js');
+const { normalizeIdentifier } = await import('../src/models/IdentityManager.js');
+const { queryAuditLog } = await import('../src/models/auditLog.js');
+const { encryptPII } = await import('../src/utils/pii.js');
+
+describe('Customer identities', () => {
+  const mcdRcd = new MCDRCDModule({ businessId: 'identity-test' });
+
+  test('should normalise identifiers by type', () => {
+    expect(normalizeIdentifier('email', ' Jane@Example.COM ')).toBe('jane@example.com');
+    expect(normalizeIdentifier('phone', '+49 (170) 123-4567')).toBe('+491701234567');
+    expect(normalizeIdentifier('phone', '0049 170 1234567')).toBe('+491701234567');
+    expect(normalizeIdentifier('external-id', ' crm-42 ')).toBe('crm-42');
+  });
+
+  test('should reject invalid identifiers', () => {
+    expect(normalizeIdentifier('email', 'not-an-email')).toBeNull();
+    expect(normalizeIdentifier('phone', '12ab')).toBeNull();
+    expect(normalizeIdentifier('external-id', '  ')).toBeNull();
+    expect(normalizeIdentifier('fax', '123')).toBeNull();
+  });
+
+  test('should key email identifiers like customers', () => {
+    const identifier = mcdRcd.identities.parse('email', 'Jane@Example.com');
+
+    expect(identifier.hash).toBe(mcdRcd.hashEmail('jane@example.com'));
+    expect(identifier._id).toBe(`identity-test:email:${identifier.hash}`);
+  });
+
+  test('should keep identifier types apart', () => {
+    const phone = mcdRcd.identities.parse('phone', '+491701234567');
+    const externalId = mcdRcd.identities.parse('external-id', '+491701234567');
+
+    expect(phone.hash).not.toBe(externalId.hash);
+    expect(() => mcdRcd.identities.parse('fax', '123')).toThrow('type must be one of');
+    expect(() => mcdRcd.identities.parse('phone', 'abc')).toThrow('Invalid phone');
+  });
+
+  test('should leave audit entries as written when merging and find them by the kept customer', async () => {
+    db.reset();
+    const customer = email => ({
+      businessId: 'identity-test',
+      emailHash: mcdRcd.hashEmail(email),
+      emailEncrypted: encryptPII(email),
+      currentDiscountPercentage: 5,
+      referralCode: `REF-${email}`,
+      loyaltyTier: 'new'
+    });
+    const primary = customer('jane@example.com');
+    const secondary = customer('jane.work@example.com');
+    await db.collection('customers').insertMany([primary, secondary]);
+    await mcdRcd.audit({ entityType: 'customer-discount', customerEmailHash: secondary.emailHash, action: 'update', before: 0, after: 5 });
+    const [written] = await db.collection('auditLog').find({}).toArray();
+
+    const { mergeId } = await mcdRcd.identities.merge('jane@example.com', 'jane.work@example.com');
+
+    expect(await db.collection('auditLog').findOne({ _id: written._id })).toEqual(written);
+    const hashes = await mcdRcd.identities.mergedEmailHashes(primary.emailHash);
+    expect(hashes).toEqual([primary.emailHash, secondary.emailHash]);
+    const { entries } = await queryAuditLog('identity-test', { customerEmailHash: hashes });
+    expect(entries.map(entry => entry.action).sort()).toEqual(['merge', 'update', 'update']);
+
+    await mcdRcd.identities.unmerge(mergeId);
+    expect(await mcdRcd.identities.mergedEmailHashes(primary.emailHash)).toEqual([primary.emailHash]);
+    expect(await db.collection('auditLog').findOne({ _id: written._id })).toEqual(written);
+  });
+});
@@ -0,0 +1,79 @@
+import { MCDRCDModule } from '../src/models/MCDRCDModule.js';
+import { calculateEarnedPoints, computePointLots } from '../src/models/LoyaltyLedger.js';
+import { createPricingModule } from './helpers/pricingModule.js';
+
+describe('Loyalty points', () => {
+  const mcdRcd = new MCDRCDModule({ businessId: 'loyalty-test' });
+  const rules = mcdRcd.config.loyalty;
+  const day = n => new Date(Date.UTC(2024, 0, n));
+
+  let nextId = 0;
+  const entry = (type, points, createdAt, fields = {}) => ({ _id: `e${++nextId}`, type, points, createdAt, ...fields });
+
+  test('should scale earned points by category and tier', () => {
+    expect(calculateEarnedPoints(100, ['standard'], 'bronze', rules)).toBe(100);
+    expect(calculateEarnedPoints(100, ['standard', 'premium'], 'bronze', rules)).toBe(150);
+    expect(calculateEarnedPoints(99.99, ['premium'], 'gold', rules)).toBe(224);
+    expect(calculateEarnedPoints(100, [], null, rules)).toBe(100);
+  });
+
+  test('should spend the oldest points first', () => {
+    const lots = computePointLots([
+      entry('earn', 100, day(1), { expiresAt: day(10) }),
+      entry('earn', 50, day(2), { expiresAt: day(20) }),
+      entry('redeem', -120, day(3))
+    ], day(5));
+
+    expect(lots.balance).toBe(30);
+    expect(lots.active).toEqual([{ id: expect.any(String), remaining: 30, expiresAt: day(20) }]);
+    expect(lots.nextExpiry).toEqual(day(20));
+  });
+
+  test('should report unspent points past their expiry', () => {
+    const earned = entry('earn', 100, day(1), { expiresAt: day(10) });
+    const entries = [earned, entry('redeem', -40, day(3)), entry('earn', 20, day(4), { expiresAt: day(30) })];
+
+    const before = computePointLots(entries, day(11));
+    expect(before.balance).toBe(20);
+    expect(before.expired).toEqual([{ id: earned._id, remaining: 60, expiresAt: day(10) }]);
+
+    const after = computePointLots([...entries, entry('expire', -60, day(11), { lotId: earned._id })], day(12));
+    expect(after.balance).toBe(20);
+    expect(after.expired).toEqual([]);
+  });
+
+  test('should carry a deficit until new points cover it', () => {
+    const lots = computePointLots([
+      entry('earn', 50, day(1), { expiresAt: day(30) }),
+      entry('redeem', -50, day(2)),
+      entry('reversal', -30, day(3), { reversalOf: 'earn' }),
+      entry('earn', 100, day(4), { expiresAt: day(40) })
+    ], day(5));
+
+    expect(lots.deficit).toBe(0);
+    expect(lots.balance).toBe(70);
+  });
+
+  test('should enforce redemption limits', () => {
+    expect(mcdRcd.loyalty.quoteRedemption(500, 100)).toEqual({ points: 500, value: 5 });
+    expect(() => mcdRcd.loyalty.quoteRedemption(50, 100)).toThrow('At least 100 points');
+    expect(() => mcdRcd.loyalty.quoteRedemption(6000, 100)).toThrow('at most 50%');
+    expect(() => mcdRcd.loyalty.quoteRedemption(1.5, 100)).toThrow('positive integer');
+  });
+
+  test('should show points to earn and the amount due in cart pricing', async () => {
+    const module = createPricingModule({
+      businessId: 'loyalty-test',
+      customer: { customerSegment: 'loyal', loyaltyTier: 'silver' }
+    });
+    module.loyalty.getBalance = async () => ({ points: 2000 });
+
+    const cart = await module.calculateCartPrice(
+      [{ unitPrice: 40, quantity: 2, productCategory: 'standard' }],
+      'customer@example.com',
+      { redeemPoints: 1000 }
+    );
+
+    expect(cart.loyalty).toEqual({ pointsToEarn: 87, redeemPoints: 1000, redeemValue: 10, amountDue: 70 });
+  });
+});
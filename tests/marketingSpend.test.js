@@ -0,0 +1,86 @@
+import { jest } from '@jest/globals';
+import { createMemoryDb, mockDatabaseModule } from './helpers/memoryDb.js';
+import { routerRequest } from './helpers/routerRequest.js';
+
+const db = createMemoryDb();
+jest.unstable_mockModule('../src/config/database.js', () => mockDatabaseModule(db));
+const { MCDRCDModule } = await import('../src/models/MCDRCDModule.js');
+const { default: routes } = await import('../src/routes/index.js');
+
+describe('Recorded marketing spend', () => {
+  const createModule = (businessId) => {
+    const mcdRcd = new MCDRCDModule({ businessId });
+    mcdRcd.getCurrentMCDMultiplier = async () => 1.0;
+    return mcdRcd;
+  };
+
+  beforeEach(() => db.reset());
+
+  test('should keep spend in the caller\'s tenant whatever campaignData says', async () => {
+    const spend = await createModule('tenant-a').recordMarketingSpend('Google', 300, {
+      campaignId: 'camp-1',
+      campaignName: 'Spring',
+      businessId: 'tenant-b',
+      date: new Date('2020-01-01T00:00:00Z'),
+      endDate: new Date('2030-01-01T00:00:00Z'),
+      platformWeight: 50
+    }, { startDate: '2024-03-01', endDate: '2024-03-31' });
+
+    const [stored] = await db.collection('marketingSpend').find({}).toArray();
+    expect(stored).toMatchObject({
+      businessId: 'tenant-a',
+      platform: 'google',
+      campaignId: 'camp-1',
+      campaignName: 'Spring',
+      date: new Date('2024-03-01T00:00:00Z'),
+      endDate: new Date('2024-03-31T00:00:00Z'),
+      platformWeight: 1.2
+    });
+    expect(spend.businessId).toBe('tenant-a');
+    expect(await db.collection('marketingSpend').countDocuments({ businessId: 'tenant-b' })).toBe(0);
+  });
+
+  test('should only count campaign spend amortised up to now', async () => {
+    const mcdRcd = createModule('tenant-a');
+    const daysFromNow = days => new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+
+    await mcdRcd.recordMarketingSpend('google', 300, { campaignId: 'camp-1' }, { startDate: daysFromNow(-60), endDate: daysFromNow(-31) });
+    await db.collection('marketingSpend').insertOne({
+      businessId: 'tenant-a',
+      platform: 'google',
+      campaignId: 'camp-1',
+      amount: 900,
+      date: daysFromNow(10),
+      endDate: daysFromNow(40)
+    });
+
+    const report = await mcdRcd.campaigns.getPerformance('camp-1');
+    expect(report.spend).toMatchObject({ total: 300, entries: 1 });
+
+    await db.collection('marketingSpend').deleteMany({ amount: 300 });
+    const upcoming = await mcdRcd.campaigns.getPerformance('camp-1');
+    expect(upcoming.spend).toMatchObject({ total: 0, entries: 0, firstSpend: null });
+    await expect(mcdRcd.campaigns.getPerformance('camp-2')).rejects.toThrow('Campaign not found');
+  });
+
+  test('should only read spend inside the reporting window', async () => {
+    const mcdRcd = createModule('tenant-a');
+    const daysFromNow = days => new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+
+    await mcdRcd.campaigns.create({ campaignId: 'camp-1', name: 'Spring', platform: 'google', startDate: daysFromNow(-20) });
+    await mcdRcd.recordMarketingSpend('google', 300, { campaignId: 'camp-1' }, { startDate: daysFromNow(-400), endDate: daysFromNow(-371) });
+    await mcdRcd.recordMarketingSpend('google', 50, { campaignId: 'camp-1' }, { startDate: daysFromNow(-10) });
+    await mcdRcd.recordMarketingSpend('meta', 80, {}, { startDate: daysFromNow(-120) });
+
+    expect((await mcdRcd.campaigns.getPerformance('camp-1')).spend).toMatchObject({ total: 50, entries: 1 });
+
+    const platforms = async query => (await routerRequest(routes, 'GET', `/pricing/marketing-spend/platforms${query}`, {
+      apiKey: { name: 'shop', businessId: 'tenant-a', roles: ['admin'] }
+    })).body;
+    expect(await platforms('')).toMatchObject({
+      platforms: [{ name: 'google', totalSpend: 50, campaignCount: 1 }, { name: 'meta', totalSpend: 0, campaignCount: 0, lastUsed: null }],
+      totalPlatforms: 2
+    });
+    expect((await platforms('?period=180d')).platforms).toMatchObject([{ name: 'meta', totalSpend: 80 }, { name: 'google', totalSpend: 50 }]);
+  });
+});
@@ -0,0 +1,74 @@
+import { jest } from '@jest/globals';
+import { createMemoryDb, mockDatabaseModule } from './helpers/memoryDb.js';
+
+const db = createMemoryDb();
+jest.unstable_mockModule('../src/config/database.js', () => mockDatabaseModule(db));
+const { MCDRCDModule } = await import('../src/models/MCDRCDModule.js');
+
+describe('Persisted MCD multiplier', () => {
+  const hoursAgo = hours => new Date(Date.now() - hours * 60 * 60 * 1000);
+  const adjustments = () => db.collection('priceAdjustments').find({ businessId: 'mcd-test' }).sort({ effectiveFrom: 1 }).toArray();
+  const persisted = (mcdMultiplier, effectiveFrom) => db.collection('priceAdjustments').insertOne({
+    businessId: 'mcd-test',
+    mcdMultiplier,
+    effectiveFrom,
+    status: 'active'
+  });
+
+  beforeEach(() => db.reset());
+
+  test('should start from the persisted multiplier without recalculating', async () => {
+    await persisted(1.23, hoursAgo(1));
+
+    const mcdRcd = new MCDRCDModule({ businessId: 'mcd-test', mcd: { updateFrequency: 'daily' } });
+
+    expect(await mcdRcd.getCurrentMCDMultiplier()).toBe(1.23);
+    expect(mcdRcd.getNextMCDUpdate().getTime()).toBeGreaterThan(Date.now());
+    expect(await adjustments()).toHaveLength(1);
+  });
+
+  test('should supersede the previous multiplier when it is due', async () => {
+    await persisted(1.2, hoursAgo(25));
+
+    const mcdRcd = new MCDRCDModule({ businessId: 'mcd-test', mcd: { updateFrequency: 'daily' } });
+    expect(await mcdRcd.getCurrentMCDMultiplier()).toBe(1.0);
+
+    const [previous, current] = await adjustments();
+    expect(current).toMatchObject({
+      mcdMultiplier: 1.0,
+      status: 'active',
+      calculationDetails: expect.objectContaining({ previousMultiplier: 1.2, reason: 'below-minimum-spend' })
+    });
+    expect(previous).toMatchObject({ mcdMultiplier: 1.2, status: 'superseded', supersededBy: current._id });
+  });
+
+  test('should recalculate once when requests race', async () => {
+    await persisted(1.2, hoursAgo(25));
+    const instances = [1, 2, 3].map(() => new MCDRCDModule({ businessId: 'mcd-test', mcd: { updateFrequency: 'daily' } }));
+
+    await Promise.all(instances.map(mcdRcd => mcdRcd.getCurrentMCDMultiplier()));
+
+    const records = await adjustments();
+    expect(records).toHaveLength(2);
+    expect(records.filter(record => record.status === 'active')).toHaveLength(1);
+
+    // The lock is released for the next due recalculation
+    const lock = await db.collection('jobLocks').findOne({ _id: 'mcd-recalculation:mcd-test' });
+    expect(lock.lockedUntil.getTime()).toBeLessThanOrEqual(Date.now());
+  });
+
+  test('should keep the persisted multiplier while another instance recalculates', async () => {
+    await persisted(1.2, hoursAgo(25));
+    await db.collection('jobLocks').insertOne({
+      _id: 'mcd-recalculation:mcd-test',
+      owner: 'other-instance',
+      lockedUntil: new Date(Date.now() + 60 * 1000)
+    });
+
+    const mcdRcd = new MCDRCDModule({ businessId: 'mcd-test', mcd: { updateFrequency: 'daily' } });
+
+    expect(await mcdRcd.getCurrentMCDMultiplier()).toBe(1.2);
+    expect(await mcdRcd.recalculateMCDIfDue()).toBeNull();
+    expect(await adjustments()).toHaveLength(1);
+  });
+});
@@ -0,0 +1,94 @@
+import { MCDRCDModule } from '../src/models/MCDRCDModule.js';
+import { buildPriceTrace } from '../src/models/priceTrace.js';
+
+describe('Pricing explain trace', () => {
+  const mcdRcd = new MCDRCDModule({ businessId: 'trace-test' });
+
+  const adjustment = {
+    effectiveFrom: new Date('2024-06-01T00:00:00Z'),
+    marketingSpendUsed: 1200,
+    revenueInPeriod: 2400,
+    roi: 2,
+    calculationDetails: {
+      rawSpend: 1000,
+      targetROI: 3,
+      rawMultiplier: 1.3333,
+      previousMultiplier: 1,
+      decayedPrevious: 1,
+      smoothingFactor: 0.3,
+      smoothedMultiplier: 1.1,
+      minMultiplier: 0.85,
+      maxMultiplier: 1.5
+    }
+  };
+
+  const customer = {
+    lastCalculated: new Date('2024-06-01T00:00:00Z'),
+    discountComponents: {
+      totalSpend: 800,
+      count: 4,
+      recencyScore: 0.5,
+      spendComponent: 1.6,
+      frequencyComponent: 0.6,
+      recencyComponent: 0.6,
+      weights: { spend: 2, frequency: 1.5, recency: 1.2 },
+      baseDiscount: 0.5957,
+      season: 'summer',
+      seasonalMultiplier: 1.1,
+      uncappedDiscount: 65.53,
+      maxDiscount: 20
+    }
+  };
+
+  const trace = (unit, overrides = {}) => buildPriceTrace({
+    basePrice: 100,
+    productCategory: 'premium',
+    categoryWeight: unit.categoryWeight,
+    mcd: { enabled: true, multiplier: 1.1, adjustment },
+    rcd: { customer, customerDiscount: 20 },
+    unit,
+    ...overrides
+  });
+
+  test('should list every pricing stage in order', () => {
+    const steps = trace(mcdRcd.priceUnit(100, 'premium', 1.1, 20));
+
+    expect(steps.map(step => step.stage)).toEqual([
+      'mcd-multiplier',
+      'apply-mcd',
+      'customer-discount',
+      'category-weight',
+      'apply-discount',
+      'price-floor'
+    ]);
+    expect(steps.map(step => step.step)).toEqual([1, 2, 3, 4, 5, 6]);
+  });
+
+  test('should explain the MCD and RCD inputs', () => {
+    const [mcdStep, , rcdStep, weightStep] = trace(mcdRcd.priceUnit(100, 'premium', 1.1, 20));
+
+    expect(mcdStep.inputs).toMatchObject({ reason: 'roi-adjusted', roi: 2, targetROI: 3, clamped: false });
+    expect(rcdStep.inputs).toMatchObject({ reason: 'capped-at-max-discount', season: 'summer', seasonalMultiplier: 1.1 });
+    expect(weightStep).toMatchObject({ inputs: { categoryWeight: 1.5 }, output: { rcdDiscount: 30 } });
+  });
+
+  test('should show when the floor clipped the price', () => {
+    const floorStep = trace(mcdRcd.priceUnit(100, 'premium', 1.1, 20)).at(-1);
+
+    expect(floorStep.inputs).toMatchObject({ floorSource: 'default-ratio', minPrice: 70, discountedPrice: 77 });
+    expect(floorStep.output).toEqual({ finalPrice: 77, floorApplied: false });
+
+    const clipped = trace(mcdRcd.priceUnit(100, 'premium', 0.9, 20)).at(-1);
+    expect(clipped.output).toEqual({ finalPrice: 70, floorApplied: true });
+  });
+
+  test('should explain guests and disabled MCD', () => {
+    const steps = trace(mcdRcd.priceUnit(100, 'standard', 1, 0), {
+      mcd: { enabled: false, multiplier: 1, adjustment: null },
+      rcd: { customer: null, customerDiscount: 0 }
+    });
+
+    expect(steps[0].inputs).toEqual({ reason: 'mcd-disabled' });
+    expect(steps[2].inputs).toEqual({ reason: 'guest' });
+  });
+});
@@ -0,0 +1,59 @@
+import crypto from 'crypto';
+import { MCDRCDModule } from '../src/models/MCDRCDModule.js';
+import { decryptPII, encryptPII, hashIdentifier } from '../src/utils/pii.js';
+import { createPseudonym } from '../src/models/PrivacyManager.js';
+
+describe('Customer PII', () => {
+  const mcdRcd = new MCDRCDModule({ businessId: 'privacy-test' });
+  const key = crypto.randomBytes(32);
+
+  test('should hash emails with a keyed HMAC', () => {
+    const unkeyed = crypto.createHash('sha256').update('jane@example.com').digest('hex');
+
+    expect(mcdRcd.hashEmail(' Jane@Example.com ')).toBe(hashIdentifier('jane@example.com'));
+    expect(mcdRcd.hashEmail('jane@example.com')).not.toBe(unkeyed);
+    expect(hashIdentifier('jane@example.com', 'other-key')).not.toBe(mcdRcd.hashEmail('jane@example.com'));
+  });
+
+  test('should round-trip encrypted emails with a fresh IV each time', () => {
+    const first = encryptPII('jane@example.com', key);
+    const second = encryptPII('jane@example.com', key);
+
+    expect(first).toMatch(/^v1\./);
+    expect(first).not.toBe(second);
+    expect(first).not.toContain('jane');
+    expect(decryptPII(first, key)).toBe('jane@example.com');
+  });
+
+  test('should reject tampered ciphertexts and the wrong key', () => {
+    const [version, iv, tag, ciphertext] = encryptPII('jane@example.com', key).split('.');
+    const flipped = Buffer.from(ciphertext, 'base64url');
+    flipped[0] ^= 1;
+
+    expect(() => decryptPII([version, iv, tag, flipped.toString('base64url')].join('.'), key)).toThrow();
+    expect(() => decryptPII(encryptPII('jane@example.com', key), crypto.randomBytes(32))).toThrow();
+    expect(() => decryptPII('jane@example.com', key)).toThrow('Unsupported encrypted value');
+  });
+
+  test('should read encrypted and legacy plaintext customer emails', () => {
+    expect(mcdRcd.getCustomerEmail({ emailEncrypted: encryptPII('jane@example.com') })).toBe('jane@example.com');
+    expect(mcdRcd.getCustomerEmail({ email: 'legacy@example.com' })).toBe('legacy@example.com');
+    expect(mcdRcd.getCustomerEmail({})).toBeNull();
+  });
+
+  test('should refuse to hash without a configured key', () => {
+    const original = process.env.EMAIL_HASH_KEY;
+    delete process.env.EMAIL_HASH_KEY;
+
+    try {
+      expect(() => mcdRcd.hashEmail('jane@example.com')).toThrow('EMAIL_HASH_KEY is not configured');
+    } finally {
+      process.env.EMAIL_HASH_KEY = original;
+    }
+  });
+
+  test('should create unlinkable pseudonyms', () => {
+    expect(createPseudonym()).toMatch(/^erased-[0-9a-f]{32}$/);
+    expect(createPseudonym()).not.toBe(createPseudonym());
+  });
+});
@@ -0,0 +1,62 @@
+import { MCDRCDModule } from '../src/models/MCDRCDModule.js';
+import { ProductCatalog } from '../src/models/ProductCatalog.js';
+import { createPricingModule } from './helpers/pricingModule.js';
+
+describe('Product catalog pricing', () => {
+  const mcdRcd = new MCDRCDModule({ businessId: 'catalog-test' });
+
+  test('should derive the floor from unit cost and minimum margin', () => {
+    expect(ProductCatalog.getPriceFloor({ unitCost: 60, minMargin: 0.25 }, 100)).toBe(80);
+    expect(ProductCatalog.getPriceFloor({ unitCost: 60, minMargin: null }, 100)).toBe(60);
+  });
+
+  test('should fall back to 70% of the price without cost data', () => {
+    expect(ProductCatalog.getPriceFloor(null, 100)).toBe(70);
+    expect(ProductCatalog.getPriceFloor({ unitCost: null }, 100)).toBe(70);
+  });
+
+  test('should skip MCD and RCD for ineligible products', () => {
+    const unit = mcdRcd.priceUnit(100, 'premium', 1.2, 10, { mcdEligible: false, rcdEligible: false });
+
+    expect(unit.appliedMCDMultiplier).toBe(1);
+    expect(unit.rcdDiscount).toBe(0);
+    expect(unit.finalPrice).toBe(100);
+  });
+
+  test('should hold the price at the cost floor', () => {
+    const unit = mcdRcd.priceUnit(100, 'standard', 1.0, 30, { unitCost: 75, minMargin: 0.1 });
+
+    expect(unit.floorApplied).toBe(true);
+    expect(unit.finalPrice).toBeCloseTo(83.33, 2);
+  });
+
+  test('should not raise the price when the floor is above it', () => {
+    const unit = mcdRcd.priceUnit(100, 'standard', 1.0, 30, { unitCost: 95, minMargin: 0.1 });
+
+    expect(unit.minPrice).toBe(100);
+    expect(unit.finalPrice).toBe(100);
+
+    const promoted = mcdRcd.priceUnit(100, 'standard', 1.0, 0, { unitCost: 95, minMargin: 0.1 }, { code: 'SAVE', type: 'percent', value: 20 });
+    expect(promoted.finalPrice).toBe(100);
+  });
+
+  test('should price cart lines from the catalog', async () => {
+    const shop = createPricingModule({
+      businessId: 'catalog-test',
+      products: [{ sku: 'SKU-1', basePrice: 40, productCategory: 'budget', rcdEligible: true }]
+    });
+
+    const cart = await shop.calculateCartPrice([{ sku: 'SKU-1', quantity: 2, productCategory: 'premium' }]);
+
+    expect(cart.lines[0]).toMatchObject({ unitPrice: 40, productCategory: 'budget', lineTotal: 80 });
+  });
+
+  test('should validate product fields', () => {
+    expect(() => mcdRcd.products.validate({ sku: 'A', name: 'A', basePrice: 0 }))
+      .toThrow('basePrice must be positive');
+    expect(() => mcdRcd.products.validate({ sku: 'A', name: 'A', basePrice: 10, minMargin: 1 }))
+      .toThrow('minMargin must be a fraction between 0 and 1');
+    expect(() => mcdRcd.products.validate({ sku: 'A', name: 'A', basePrice: 10, productCategory: 'luxury' }))
+      .toThrow('productCategory must be one of: premium, standard, budget');
+  });
+});
@@ -0,0 +1,87 @@
+import { MCDRCDModule } from '../src/models/MCDRCDModule.js';
+import { createPricingModule } from './helpers/pricingModule.js';
+
+describe('Promo codes', () => {
+  const mcdRcd = new MCDRCDModule({ businessId: 'promo-test' });
+
+  const promo = (fields) => ({ code: 'TEST', stacking: 'stack', respectFloor: true, ...fields });
+
+  test('should stack a percent code on the RCD-discounted price', () => {
+    const unit = mcdRcd.priceUnit(100, 'standard', 1.0, 10, null, promo({ type: 'percent', value: 10 }));
+
+    expect(unit.discountAmount).toBe(10);
+    expect(unit.promotionAmount).toBe(9);
+    expect(unit.finalPrice).toBe(81);
+    expect(unit.promotion).toMatchObject({ applied: true, stacking: 'stack' });
+  });
+
+  test('should replace RCD with an exclusive code', () => {
+    const unit = mcdRcd.priceUnit(100, 'standard', 1.0, 10, null, promo({ type: 'percent', value: 15, stacking: 'exclusive' }));
+
+    expect(unit.rcdDiscount).toBe(0);
+    expect(unit.discountAmount).toBe(0);
+    expect(unit.finalPrice).toBe(85);
+  });
+
+  test('should give the larger saving for best-of codes', () => {
+    const rcdWins = mcdRcd.priceUnit(100, 'standard', 1.0, 10, null, promo({ type: 'fixed', value: 5, stacking: 'best-of' }));
+    expect(rcdWins.finalPrice).toBe(90);
+    expect(rcdWins.promotion).toMatchObject({ applied: false, reason: 'rcd-discount-is-better' });
+
+    const codeWins = mcdRcd.priceUnit(100, 'standard', 1.0, 10, null, promo({ type: 'percent', value: 20, stacking: 'best-of' }));
+    expect(codeWins.rcdDiscount).toBe(0);
+    expect(codeWins.finalPrice).toBe(80);
+  });
+
+  test('should keep the price floor unless the code opts out', () => {
+    const floored = mcdRcd.priceUnit(100, 'standard', 1.0, 10, null, promo({ type: 'percent', value: 30 }));
+    expect(floored.floorApplied).toBe(true);
+    expect(floored.finalPrice).toBe(70);
+
+    const belowFloor = mcdRcd.priceUnit(100, 'standard', 1.0, 10, null, promo({ type: 'percent', value: 30, respectFloor: false }));
+    expect(belowFloor.floorApplied).toBe(false);
+    expect(belowFloor.finalPrice).toBeCloseTo(63, 2);
+
+    const free = mcdRcd.priceUnit(100, 'standard', 1.0, 0, null, promo({ type: 'fixed', value: 250, respectFloor: false }));
+    expect(free.finalPrice).toBe(0);
+  });
+
+  test('should flag free shipping without changing the price', () => {
+    const unit = mcdRcd.priceUnit(100, 'standard', 1.0, 10, null, promo({ type: 'free-shipping', value: null }));
+
+    expect(unit.finalPrice).toBe(90);
+    expect(unit.promotion).toMatchObject({ applied: true, freeShipping: true });
+  });
+
+  test('should report why a code did not apply', async () => {
+    const module = createPricingModule({ businessId: 'promo-test', customerDiscount: 10 });
+    module.promotions.evaluate = async (code) => ({ code, promotion: null, eligible: false, reason: 'expired' });
+
+    const result = await module.calculateFinalPrice(100, 'customer@example.com', 'standard', { promoCode: 'OLD' });
+
+    expect(result.finalPrice).toBe(90);
+    expect(result.promotionDiscount).toBe(0);
+    expect(result.promotion).toEqual({ code: 'OLD', applied: false, reason: 'expired' });
+  });
+
+  test('should only redeem a category-restricted code on a qualifying order', async () => {
+    const restricted = promo({ type: 'percent', value: 10, active: true, productCategories: ['premium'] });
+    const reason = productCategories => mcdRcd.promotions.getIneligibleReason(restricted, { productCategories });
+
+    expect(await reason([])).toBe('category-not-eligible');
+    expect(await reason(['budget'])).toBe('category-not-eligible');
+    expect(await reason(['budget', 'premium'])).toBeNull();
+    expect(await mcdRcd.promotions.getIneligibleReason({ ...restricted, productCategories: [] }, {})).toBeNull();
+  });
+
+  test('should reject invalid promotion definitions', () => {
+    const validate = fields => () => mcdRcd.promotions.validate(fields);
+
+    expect(validate({ code: 'A', type: 'bogus' })).toThrow('type must be one of');
+    expect(validate({ code: 'A', type: 'percent', value: 120 })).toThrow('between 0 and 100');
+    expect(validate({ code: 'A', type: 'fixed', value: 5, stacking: 'always' })).toThrow('stacking must be one of');
+    expect(validate({ code: 'A', type: 'fixed', value: 5, perCustomerLimit: 1.5 })).toThrow('positive integer');
+    expect(validate({ code: 'A', type: 'fixed', value: 5, startsAt: '2024-06-02', endsAt: '2024-06-01' })).toThrow('endsAt');
+    expect(validate({ code: 'A', type: 'free-shipping', usageLimit: 100 })).not.toThrow();
+  });
+});
@@ -0,0 +1,42 @@
+import { signQuoteToken, verifyQuoteToken } from '../src/models/QuoteManager.js';
+
+describe('Price quote tokens', () => {
+  const secret = 'quote-secret';
+  const payload = { qid: 'qt_123', bid: 'default', fp: 85.5, eh: null, exp: 1700000000 };
+
+  test('should round-trip a signed payload', () => {
+    const token = signQuoteToken(payload, secret);
+
+    expect(verifyQuoteToken(token, secret)).toEqual(payload);
+  });
+
+  test('should reject a token signed with a different secret', () => {
+    const token = signQuoteToken(payload, 'other-secret');
+
+    expect(verifyQuoteToken(token, secret)).toBeNull();
+  });
+
+  test('should reject a token whose payload was altered', () => {
+    const [, signature] = signQuoteToken(payload, secret).split('.');
+    const tampered = Buffer.from(JSON.stringify({ ...payload, fp: 1 })).toString('base64url');
+
+    expect(verifyQuoteToken(`${tampered}.${signature}`, secret)).toBeNull();
+  });
+
+  test('should reject malformed tokens', () => {
+    expect(verifyQuoteToken(undefined, secret)).toBeNull();
+    expect(verifyQuoteToken('not-a-token', secret)).toBeNull();
+    expect(verifyQuoteToken('a.b.c', secret)).toBeNull();
+  });
+
+  test('should throw when no signing secret is configured', () => {
+    const original = process.env.QUOTE_SIGNING_SECRET;
+    delete process.env.QUOTE_SIGNING_SECRET;
+
+    try {
+      expect(() => signQuoteToken(payload)).toThrow('QUOTE_SIGNING_SECRET is not configured');
+    } finally {
+      if (original !== undefined) process.env.QUOTE_SIGNING_SECRET = original;
+    }
+  });
+});
@@ -0,0 +1,105 @@
+import { jest } from '@jest/globals';
+import { computeReferralDepths, estimateBonusCost } from '../src/models/referralAnalytics.js';
+import { createMemoryDb, mockDatabaseModule } from './helpers/memoryDb.js';
+import { routerRequest } from './helpers/routerRequest.js';
+
+const db = createMemoryDb();
+jest.unstable_mockModule('../src/config/database.js', () => mockDatabaseModule(db));
+const { default: routes } = await import('../src/routes/index.js');
+
+describe('Referral analytics', () => {
+  const day = n => new Date(Date.UTC(2024, 5, n));
+
+  test('should measure referral tree depth', () => {
+    const tree = computeReferralDepths([
+      { referrerEmailHash: 'root', referredEmailHash: 'a' },
+      { referrerEmailHash: 'root', referredEmailHash: 'b' },
+      { referrerEmailHash: 'a', referredEmailHash: 'c' },
+      { referrerEmailHash: 'c', referredEmailHash: 'd' }
+    ]);
+
+    expect(tree.maxDepth).toBe(3);
+    expect(tree.distribution).toEqual([
+      { depth: 1, customers: 2 },
+      { depth: 2, customers: 1 },
+      { depth: 3, customers: 1 }
+    ]);
+  });
+
+  test('should survive referral cycles', () => {
+    const tree = computeReferralDepths([
+      { referrerEmailHash: 'a', referredEmailHash: 'b' },
+      { referrerEmailHash: 'b', referredEmailHash: 'a' }
+    ]);
+
+    expect(tree.maxDepth).toBe(2);
+  });
+
+  test('should only count the given customers, placed by the edges above them', () => {
+    const tree = computeReferralDepths([
+      { referrerEmailHash: 'root', referredEmailHash: 'a' },
+      { referrerEmailHash: 'a', referredEmailHash: 'b' },
+      { referrerEmailHash: 'root', referredEmailHash: 'c' }
+    ], ['b', 'c']);
+
+    expect(tree).toEqual({ maxDepth: 2, distribution: [{ depth: 1, customers: 1 }, { depth: 2, customers: 1 }] });
+  });
+
+  test('should charge each bonus to the referrer\'s next purchase', () => {
+    const grants = [
+      { referrerEmailHash: 'r', bonusApplied: 5, grantedAt: day(1) },
+      { referrerEmailHash: 'r', bonusApplied: 5, grantedAt: day(2) },
+      { referrerEmailHash: 'r', bonusApplied: 5, grantedAt: day(5), clawedBackAt: day(6) }
+    ];
+    const transactions = [
+      // 20% discount on a 100 list price: paid 80, 10 points of it from bonuses
+      { customerEmailHash: 'r', netAmount: 80, discountApplied: 20, timestamp: day(3) },
+      { customerEmailHash: 'r', netAmount: 90, discountApplied: 10, timestamp: day(4) },
+      { customerEmailHash: 'r', netAmount: 95, discountApplied: 5, timestamp: day(7) }
+    ];
+
+    expect(estimateBonusCost(grants, transactions)).toBe(10);
+  });
+
+  test('should cost nothing when the referrer has not bought since', () => {
+    expect(estimateBonusCost([{ referrerEmailHash: 'r', bonusApplied: 5, grantedAt: day(1) }], [])).toBe(0);
+  });
+});
+
+describe('GET /analytics/referrals', () => {
+  const daysAgo = days => new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+  const grant = (referrerEmailHash, referredEmailHash, days) => ({
+    businessId: 'shop',
+    referrerEmailHash,
+    referredEmailHash,
+    status: 'granted',
+    bonusApplied: 5,
+    purchaseAmount: 50,
+    grantedAt: daysAgo(days),
+    timestamp: daysAgo(days)
+  });
+  const purchase = (customerEmailHash, amount) => ({
+    businessId: 'shop', customerEmailHash, amount, status: 'completed', timestamp: daysAgo(1)
+  });
+
+  beforeEach(() => db.reset());
+
+  test('should report the period\'s referrals, placing them in the tree by older grants', async () => {
+    await db.collection('referralActivities').insertMany([
+      grant('root', 'a', 400),
+      grant('a', 'b', 200),
+      grant('b', 'c', 10)
+    ]);
+    await db.collection('transactions').insertMany([purchase('a', 30), purchase('c', 50), purchase('x', 100)]);
+
+    const { status, body } = await routerRequest(routes, 'GET', '/analytics/referrals?period=30d&groupBy=month', {
+      apiKey: { name: 'shop', businessId: 'shop', roles: ['admin'] }
+    });
+
+    expect(status).toBe(200);
+    expect(body.referrals).toMatchObject({ total: 1, granted: 1 });
+    expect(body.revenue).toEqual({ fromReferredCustomers: 80, referredCustomers: 2 });
+    expect(body.topReferrers.map(referrer => referrer.referrerEmailHash)).toEqual(['b']);
+    expect(body.tree).toEqual({ maxDepth: 3, distribution: [{ depth: 3, customers: 1 }] });
+  });
+});
@@ -0,0 +1,63 @@
+import { MCDRCDModule } from '../src/models/MCDRCDModule.js';
+import { evaluateReferral, isDisposableEmail, normalizeEmail } from '../src/models/ReferralManager.js';
+import { validateTenantConfig } from '../src/config/configSchema.js';
+
+describe('Referral rules', () => {
+  const { referrals: rules } = new MCDRCDModule({ businessId: 'referral-test' }).config;
+
+  const evaluate = (overrides = {}) => evaluateReferral({
+    rules,
+    bonus: 5,
+    purchaseAmount: 100,
+    isFirstPurchase: true,
+    referrerEmail: 'alice@example.com',
+    referredEmail: 'bob@example.com',
+    ...overrides
+  });
+
+  test('should normalize plus tags and Gmail dots', () => {
+    expect(normalizeEmail(' Jane.Doe+promo@GMail.com ')).toBe('janedoe@gmail.com');
+    expect(normalizeEmail('jane.doe@googlemail.com')).toBe('janedoe@gmail.com');
+    expect(normalizeEmail('jane.doe+x@example.com')).toBe('jane.doe@example.com');
+  });
+
+  test('should recognise disposable domains and their subdomains', () => {
+    expect(isDisposableEmail('x@mailinator.com')).toBe(true);
+    expect(isDisposableEmail('x@eu.mailinator.com')).toBe(true);
+    expect(isDisposableEmail('x@example.com')).toBe(false);
+  });
+
+  test('should grant a clean first-purchase referral', () => {
+    expect(evaluate()).toEqual({ status: 'granted', reason: null, bonus: 5, flags: [] });
+  });
+
+  test('should reject referrals that break the program rules', () => {
+    expect(evaluate({ referredEmail: 'alice+2@example.com' }).reason).toBe('self-referral');
+    expect(evaluate({ isFirstPurchase: false }).reason).toBe('not-first-purchase');
+    expect(evaluateReferral({
+      rules: { ...rules, minimumPurchase: 50 },
+      bonus: 5,
+      purchaseAmount: 20,
+      isFirstPurchase: true
+    }).reason).toBe('below-minimum-purchase');
+  });
+
+  test('should cap the monthly bonus', () => {
+    expect(evaluate({ monthlyBonusEarned: 7 })).toMatchObject({ status: 'granted', bonus: 3 });
+    expect(evaluate({ monthlyBonusEarned: 10 })).toMatchObject({ status: 'rejected', reason: 'monthly-cap-reached' });
+  });
+
+  test('should flag suspicious referrals for review', () => {
+    expect(evaluate({ referredEmail: 'bob@yopmail.com' })).toMatchObject({ status: 'flagged', flags: ['disposable-email'] });
+    expect(evaluate({ alreadyReferred: true, recentReferrals: 5 })).toMatchObject({
+      status: 'flagged',
+      bonus: 5,
+      flags: ['duplicate-identity', 'velocity']
+    });
+  });
+
+  test('should validate referral config overrides', () => {
+    expect(validateTenantConfig({ referrals: { minimumPurchase: 0, velocityMaxReferrals: 3 } })).toEqual([]);
+    expect(validateTenantConfig({ referrals: { velocityMaxReferrals: 0 } })).toHaveLength(1);
+  });
+});
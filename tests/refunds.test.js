@@ -0,0 +1,159 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import { createMemoryDb, mockDatabaseModule } from './helpers/memoryDb.js';
+
+const db = createMemoryDb();
+jest.unstable_mockModule('../src/config/database.js', () => mockDatabaseModule(db));
+const { MCDRCDModule } = await import('../src/models/MCDRCDModule.js');
+
+const { ObjectId } = mongoose.Types;
+
+describe('Refunds and voids', () => {
+  const mcdRcd = new MCDRCDModule({ businessId: 'refund-test' });
+  const customerHash = mcdRcd.hashEmail('buyer@example.com');
+  const referrerHash = mcdRcd.hashEmail('friend@example.com');
+  const daysAgo = days => new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+  let order;
+  let repeatOrder;
+
+  const transaction = fields => ({
+    _id: new ObjectId(),
+    businessId: 'refund-test',
+    customerEmailHash: customerHash,
+    amount: 100,
+    netAmount: 100,
+    refundedAmount: 0,
+    status: 'completed',
+    promotion: null,
+    ...fields
+  });
+  const customer = emailHash => db.collection('customers').findOne({ emailHash });
+  const refund = (id, options) => mcdRcd.refundTransaction(String(id), options);
+
+  beforeEach(async () => {
+    db.reset();
+    order = transaction({ timestamp: daysAgo(10) });
+    repeatOrder = transaction({ timestamp: daysAgo(5) });
+
+    await db.collection('transactions').insertMany([order, repeatOrder]);
+    await db.collection('customers').insertMany([
+      { businessId: 'refund-test', emailHash: customerHash, currentDiscountPercentage: 3, loyaltyTier: 'new' },
+      { businessId: 'refund-test', emailHash: referrerHash, currentDiscountPercentage: 12, referralCount: 2, loyaltyTier: 'new' }
+    ]);
+  });
+
+  test('should record a partial refund against the remaining amount', async () => {
+    const result = await refund(order._id, { amount: 30, reason: 'damaged' });
+
+    expect(result.transaction).toMatchObject({ status: 'partially_refunded', netAmount: 70, refundedAmount: 30 });
+    expect(await db.collection('transactions').findOne({ _id: order._id })).toMatchObject({
+      status: 'partially_refunded',
+      netAmount: 70,
+      refundedAmount: 30
+    });
+    expect(await db.collection('refunds').find({}).toArray()).toEqual([
+      expect.objectContaining({ originalTransactionId: order._id, type: 'refund', amount: 30, reason: 'damaged', remainingAmount: 70 })
+    ]);
+  });
+
+  test('should refund whatever remains when no amount is given', async () => {
+    await refund(order._id, { amount: 30 });
+    const result = await refund(order._id);
+
+    expect(result.reversal).toMatchObject({ amount: 70, remainingAmount: 0 });
+    expect(result.transaction).toMatchObject({ status: 'refunded', netAmount: 0, refundedAmount: 100 });
+  });
+
+  test('should void the full remaining amount', async () => {
+    await refund(order._id, { amount: 25 });
+    const result = await refund(order._id, { type: 'void', amount: 10 });
+
+    expect(result.reversal).toMatchObject({ type: 'void', amount: 75 });
+    expect(result.transaction).toMatchObject({ status: 'voided', netAmount: 0, refundedAmount: 100 });
+  });
+
+  test('should reject refunds above the remaining amount', async () => {
+    await refund(order._id, { amount: 30 });
+
+    await expect(refund(order._id, { amount: 70.01 })).rejects.toMatchObject({
+      statusCode: 400,
+      message: 'Refund amount exceeds remaining balance of 70'
+    });
+    await expect(refund(order._id, { amount: 0 })).rejects.toMatchObject({ statusCode: 400 });
+    expect(await db.collection('transactions').findOne({ _id: order._id })).toMatchObject({ netAmount: 70, refundedAmount: 30 });
+    expect(await db.collection('refunds').countDocuments()).toBe(1);
+  });
+
+  test('should reject reversing a voided transaction', async () => {
+    await refund(order._id, { type: 'void' });
+
+    await expect(refund(order._id, { amount: 10 })).rejects.toMatchObject({
+      statusCode: 409,
+      message: 'Transaction has already been fully reversed'
+    });
+    await expect(refund(order._id, { type: 'void' })).rejects.toMatchObject({ statusCode: 409 });
+    await expect(refund(new ObjectId())).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  test('should re-score spend and visits on net amounts of countable orders', async () => {
+    await refund(order._id, { amount: 40 });
+    expect(await customer(customerHash)).toMatchObject({ totalSpend365: 160, purchaseCount365: 2 });
+    expect((await customer(customerHash)).currentDiscountPercentage).toBeGreaterThan(0);
+
+    // A fully refunded order no longer counts as a visit, leaving one, below minimumVisits
+    const result = await refund(order._id);
+    expect(result.discount).toBe(0);
+    expect(await customer(customerHash)).toMatchObject({
+      totalSpend365: 100,
+      purchaseCount365: 1,
+      currentDiscountPercentage: 0,
+      discountComponents: expect.objectContaining({ reason: 'below-threshold' })
+    });
+  });
+
+  test('should claw back the referral bonus when the order is fully reversed', async () => {
+    await db.collection('referralActivities').insertOne({
+      businessId: 'refund-test',
+      transactionId: order._id,
+      referrerEmailHash: referrerHash,
+      referredEmailHash: customerHash,
+      bonusApplied: 5,
+      status: 'granted'
+    });
+
+    const partial = await refund(order._id, { amount: 50 });
+    expect(partial.referralClawback).toBeNull();
+
+    const result = await refund(order._id);
+    expect(result.referralClawback).toEqual({ referrerEmailHash: referrerHash, bonusRemoved: 5, newDiscount: 7 });
+    expect(await customer(referrerHash)).toMatchObject({ currentDiscountPercentage: 7, referralCount: 1 });
+    expect(await db.collection('referralActivities').findOne({ transactionId: order._id })).toMatchObject({ status: 'clawed_back' });
+    expect(await db.collection('auditLog').findOne({ entityType: 'referral-bonus' })).toMatchObject({
+      action: 'clawback',
+      before: 12,
+      after: 7
+    });
+
+    // Nothing left to claw back
+    expect(await mcdRcd.clawbackReferralBonus(order._id)).toBeNull();
+  });
+
+  test('should close a referral still held for review', async () => {
+    await db.collection('referralActivities').insertOne({
+      businessId: 'refund-test',
+      transactionId: order._id,
+      referrerEmailHash: referrerHash,
+      pendingBonus: 5,
+      status: 'flagged'
+    });
+
+    expect(await mcdRcd.clawbackReferralBonus(order._id)).toBeNull();
+    expect(await db.collection('referralActivities').findOne({ transactionId: order._id })).toMatchObject({
+      status: 'rejected',
+      reason: 'transaction-reversed',
+      pendingBonus: 0
+    });
+    expect(await customer(referrerHash)).toMatchObject({ currentDiscountPercentage: 12, referralCount: 2 });
+  });
+});
@@ -0,0 +1,51 @@
+import { jest } from '@jest/globals';
+import { getRequestContext, requestContext, runWithContext } from '../src/middleware/requestContext.js';
+
+describe('Request context', () => {
+  test('should be empty outside a request', () => {
+    expect(getRequestContext()).toBeNull();
+  });
+
+  test('should carry the API key through async calls', async () => {
+    const req = {
+      headers: {},
+      method: 'POST',
+      originalUrl: '/api/transactions',
+      apiKey: { _id: 'key123', name: 'checkout-service' }
+    };
+    const res = { set: jest.fn() };
+    let seen;
+
+    await new Promise((resolve) => {
+      requestContext(req, res, async () => {
+        await Promise.resolve();
+        seen = getRequestContext();
+        resolve();
+      });
+    });
+
+    expect(seen.actor).toEqual({ type: 'api-key', keyId: 'key123', name: 'checkout-service' });
+    expect(res.set).toHaveBeenCalledWith('x-request-id', seen.requestId);
+  });
+
+  test('should reuse an incoming request id', () => {
+    let seen;
+    requestContext({ headers: { 'x-request-id': 'req-1' } }, { set: jest.fn() }, () => {
+      seen = getRequestContext();
+    });
+
+    expect(seen.requestId).toBe('req-1');
+  });
+
+  test('should scope job contexts to the job', async () => {
+    const context = { actor: { type: 'job', name: 'rcd-rescoring' } };
+
+    const actor = await runWithContext(context, async () => {
+      await new Promise(resolve => setTimeout(resolve, 1));
+      return getRequestContext().actor;
+    });
+
+    expect(actor.name).toBe('rcd-rescoring');
+    expect(getRequestContext()).toBeNull();
+  });
+});
@@ -0,0 +1,115 @@
+import { jest } from '@jest/globals';
+import { createMemoryDb, mockDatabaseModule } from './helpers/memoryDb.js';
+
+const db = createMemoryDb();
+const tenants = new Map();
+jest.unstable_mockModule('../src/config/database.js', () => mockDatabaseModule(db));
+jest.unstable_mockModule('../src/config/tenants.js', () => ({
+  listTenantIds: async () => [...tenants.keys()],
+  getTenantModule: async (businessId) => {
+    const tenant = tenants.get(businessId);
+    if (tenant instanceof Error) throw tenant;
+    return tenant;
+  }
+}));
+const { INSTANCE_ID, registerJob, runJob } = await import('../src/jobs/scheduler.js');
+const { MCD_RECALCULATION_JOB, registerPricingJobs } = await import('../src/jobs/pricingJobs.js');
+
+describe('Job scheduler', () => {
+  const minute = 60 * 1000;
+  const handler = jest.fn();
+  const lock = () => db.collection('jobLocks').findOne({ _id: 'test-job' });
+
+  beforeAll(() => {
+    registerJob({ name: 'test-job', intervalMs: minute, handler });
+  });
+
+  beforeEach(() => {
+    db.reset();
+    handler.mockReset();
+  });
+
+  test('should run a job and release its lock', async () => {
+    handler.mockResolvedValue({ processed: 3 });
+
+    expect(await runJob('test-job')).toEqual({ name: 'test-job', status: 'succeeded', result: { processed: 3 }, error: undefined });
+    expect(await lock()).toMatchObject({ owner: INSTANCE_ID, lastStatus: 'succeeded', lastResult: { processed: 3 }, lastRunBy: INSTANCE_ID });
+    expect((await lock()).lockedUntil.getTime()).toBeLessThanOrEqual(Date.now());
+  });
+
+  test('should skip the run while another instance holds the lock', async () => {
+    await db.collection('jobLocks').insertOne({ _id: 'test-job', owner: 'other-instance', lockedUntil: new Date(Date.now() + minute) });
+
+    expect(await runJob('test-job')).toEqual({ name: 'test-job', status: 'locked' });
+    expect(handler).not.toHaveBeenCalled();
+    expect(await lock()).toMatchObject({ owner: 'other-instance' });
+  });
+
+  test('should take over an expired lock', async () => {
+    await db.collection('jobLocks').insertOne({ _id: 'test-job', owner: 'crashed-instance', lockedUntil: new Date(Date.now() - 1000) });
+    handler.mockResolvedValue(null);
+
+    expect(await runJob('test-job')).toMatchObject({ status: 'succeeded' });
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(await lock()).toMatchObject({ owner: INSTANCE_ID, lastStatus: 'succeeded' });
+  });
+
+  test('should release the lock and record a failure', async () => {
+    handler.mockRejectedValue(new Error('tenant store unavailable'));
+
+    expect(await runJob('test-job')).toMatchObject({ status: 'failed', error: 'tenant store unavailable' });
+    expect(await lock()).toMatchObject({ lastStatus: 'failed', lastError: 'tenant store unavailable' });
+    expect((await lock()).lockedUntil.getTime()).toBeLessThanOrEqual(Date.now());
+
+    // The next run, here or on another instance, isn't blocked by the failed one
+    handler.mockResolvedValue(null);
+    expect(await runJob('test-job')).toMatchObject({ status: 'succeeded' });
+    expect(await lock()).toMatchObject({ lastStatus: 'succeeded', lastError: null });
+  });
+
+  test('should reject unknown jobs', async () => {
+    await expect(runJob('missing-job')).rejects.toThrow('Unknown job: missing-job');
+  });
+});
+
+describe('Pricing jobs', () => {
+  // Stands in for a tenant's module; only what the MCD job touches
+  const tenant = due => ({
+    recalculateMCDIfDue: jest.fn(async () => (due ? 1.1 : null)),
+    getNextMCDUpdate: () => new Date('2024-01-02T00:00:00Z')
+  });
+
+  beforeAll(() => {
+    registerPricingJobs();
+  });
+
+  beforeEach(() => {
+    db.reset();
+    tenants.clear();
+  });
+
+  test('should only recalculate tenants whose multiplier is due', async () => {
+    const due = tenant(true);
+    const fresh = tenant(false);
+    tenants.set('due', due).set('fresh', fresh);
+
+    const outcome = await runJob(MCD_RECALCULATION_JOB);
+
+    expect(outcome).toMatchObject({
+      status: 'succeeded',
+      result: { results: { due: { multiplier: 1.1, nextUpdate: new Date('2024-01-02T00:00:00Z') } }, errors: {} }
+    });
+    expect(fresh.recalculateMCDIfDue).toHaveBeenCalled();
+  });
+
+  test('should carry on past a failing tenant', async () => {
+    const after = tenant(true);
+    tenants.set('broken', new Error('config unreadable')).set('after', after);
+
+    const outcome = await runJob(MCD_RECALCULATION_JOB);
+
+    expect(outcome.status).toBe('succeeded');
+    expect(outcome.result.errors).toEqual({ broken: 'config unreadable' });
+    expect(outcome.result.results.after.multiplier).toBe(1.1);
+  });
+});
@@ -0,0 +1,53 @@
+import { getDefaultSeasonalCalendar, getLocalDate, resolveSeason } from '../src/models/seasonalCalendar.js';
+
+describe('Seasonal calendar', () => {
+  const multipliers = { christmas: 1.2, 'black-friday': 1.3, summer: 1.1, default: 1.0 };
+  const calendar = { ...getDefaultSeasonalCalendar(), timezone: 'UTC' };
+
+  test('should reproduce the built-in seasons', () => {
+    expect(resolveSeason(calendar, '2024-12-24T12:00:00Z', multipliers)).toMatchObject({ season: 'christmas', multiplier: 1.2 });
+    expect(resolveSeason(calendar, '2024-11-29T12:00:00Z', multipliers)).toMatchObject({ season: 'black-friday', multiplier: 1.3 });
+    expect(resolveSeason(calendar, '2024-07-04T12:00:00Z', multipliers)).toMatchObject({ season: 'summer', multiplier: 1.1 });
+    expect(resolveSeason(calendar, '2024-03-01T12:00:00Z', multipliers)).toMatchObject({ season: 'default', multiplier: 1.0 });
+  });
+
+  test('should evaluate dates in the calendar timezone', () => {
+    const instant = '2024-12-20T23:30:00Z';
+
+    expect(getLocalDate(new Date(instant), 'Europe/Berlin')).toBe('2024-12-21');
+    expect(resolveSeason({ ...calendar, timezone: 'Europe/Berlin' }, instant, multipliers).season).toBe('christmas');
+    expect(resolveSeason(calendar, instant, multipliers).season).toBe('default');
+  });
+
+  test('should handle recurring ranges that wrap the new year', () => {
+    const winter = { timezone: 'UTC', seasons: [{ name: 'winter-sale', start: '12-26', end: '01-10', recurring: true, multiplier: 1.4 }] };
+
+    expect(resolveSeason(winter, '2025-01-05T00:00:00Z').season).toBe('winter-sale');
+    expect(resolveSeason(winter, '2024-12-30T00:00:00Z').season).toBe('winter-sale');
+    expect(resolveSeason(winter, '2025-01-11T00:00:00Z').season).toBe('default');
+  });
+
+  test('should only match one-off ranges in their year', () => {
+    const launch = { timezone: 'UTC', seasons: [{ name: 'launch', start: '2024-05-01', end: '2024-05-03', multiplier: 1.5 }] };
+
+    expect(resolveSeason(launch, '2024-05-03T23:59:59Z').multiplier).toBe(1.5);
+    expect(resolveSeason(launch, '2025-05-02T00:00:00Z').multiplier).toBe(1.0);
+  });
+
+  test('should settle overlaps by the configured rule', () => {
+    const seasons = [
+      { name: 'summer', start: '06-01', end: '09-30', recurring: true, priority: 1, multiplier: 1.1 },
+      { name: 'anniversary', start: '2024-07-01', end: '2024-07-07', priority: 5, multiplier: 1.05 }
+    ];
+    const date = '2024-07-03T12:00:00Z';
+
+    expect(resolveSeason({ timezone: 'UTC', seasons }, date).season).toBe('anniversary');
+    expect(resolveSeason({ timezone: 'UTC', overlap: 'highest', seasons }, date).season).toBe('summer');
+    expect(resolveSeason({ timezone: 'UTC', overlap: 'lowest', seasons }, date).matches).toHaveLength(2);
+  });
+
+  test('should throw for unknown overlap rules', () => {
+    expect(() => resolveSeason({ timezone: 'UTC', overlap: 'random', seasons: [] }, new Date()))
+      .toThrow('Unknown overlap rule: random');
+  });
+});
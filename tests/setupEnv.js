@@ -0,0 +1,3 @@
+// Keys the app requires at runtime; fixed values keep hashes stable across test runs
+process.env.EMAIL_HASH_KEY ??= 'test-email-hash-key';
+process.env.PII_ENCRYPTION_KEY ??= Buffer.alloc(32, 7).toString('base64');
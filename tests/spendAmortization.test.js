@@ -0,0 +1,57 @@
+import {
+  amortizeSpend,
+  resampleCurve,
+  spendSlices,
+  validateAmortization
+} from '../src/models/spendAmortization.js';
+
+const day = value => new Date(`${value}T00:00:00.000Z`);
+const total = slices => Math.round(slices.reduce((sum, slice) => sum + slice.amount, 0) * 100) / 100;
+
+describe('Spend amortisation', () => {
+  const monthly = { amount: 3100, date: day('2024-03-01'), endDate: day('2024-03-31') };
+
+  test('should split a flight evenly by day', () => {
+    const slices = spendSlices(monthly);
+
+    expect(slices).toHaveLength(31);
+    expect(slices[0]).toEqual({ start: day('2024-03-01'), end: day('2024-03-02'), amount: 100 });
+    expect(slices[30].end).toEqual(day('2024-04-01'));
+  });
+
+  test('should only count the part of a flight inside a window', () => {
+    expect(total(amortizeSpend(monthly, day('2024-03-10'), day('2024-03-11')))).toBe(100);
+    expect(total(amortizeSpend(monthly, new Date('2024-03-10T06:00:00Z'), new Date('2024-03-10T12:00:00Z')))).toBe(25);
+    expect(total(amortizeSpend(monthly, day('2024-02-01'), day('2024-05-01')))).toBe(3100);
+    expect(amortizeSpend(monthly, day('2024-04-01'), day('2024-04-30'))).toEqual([]);
+  });
+
+  test('should keep entries without an end date on their date', () => {
+    const oneOff = { amount: 500, date: new Date('2024-03-10T15:00:00Z') };
+
+    expect(total(amortizeSpend(oneOff, day('2024-03-10'), day('2024-03-11')))).toBe(500);
+    expect(amortizeSpend(oneOff, day('2024-03-11'), day('2024-03-12'))).toEqual([]);
+  });
+
+  test('should follow a supplied curve', () => {
+    const slices = spendSlices({ ...monthly, amount: 600, endDate: day('2024-03-06'), amortizationCurve: [3, 2, 1] });
+
+    expect(slices.map(slice => slice.amount)).toEqual([150, 150, 100, 100, 50, 50]);
+  });
+
+  test('should resample curves while keeping their shape', () => {
+    expect(resampleCurve([1, 3], 4)).toEqual([0.5, 0.5, 1.5, 1.5]);
+    expect(resampleCurve([1, 2, 3, 4], 2)).toEqual([3, 7]);
+    expect(resampleCurve([1, 1, 4], 2)).toEqual([1.5, 4.5]);
+  });
+
+  test('should validate flights and curves', () => {
+    expect(validateAmortization({ date: day('2024-03-01'), endDate: day('2024-03-31'), curve: [1, 2] })).toEqual([]);
+    expect(validateAmortization({ date: day('2024-03-31'), endDate: day('2024-03-01') })).toEqual(['endDate must not be before startDate']);
+    expect(validateAmortization({ date: day('2024-01-01'), endDate: day('2025-06-01') })).toEqual(['flight must not be longer than 366 days']);
+    expect(validateAmortization({ date: day('2024-03-01'), curve: [0, -1] })).toEqual([
+      'amortizationCurve needs an endDate',
+      'amortizationCurve must be 1 to 366 non-negative weights, at least one above 0'
+    ]);
+  });
+});
@@ -0,0 +1,125 @@
+import { Readable } from 'stream';
+import { MCDRCDModule } from '../src/models/MCDRCDModule.js';
+import { SPEND_IMPORT_SOURCES, convertSpend, parseSpendRow, resolveSpendColumns } from '../src/models/SpendImporter.js';
+import { validateTenantConfig } from '../src/config/configSchema.js';
+
+describe('Marketing spend import', () => {
+  const currencies = { base: 'USD', exchangeRates: { EUR: 1.1 } };
+  const now = new Date('2024-04-01T00:00:00Z');
+
+  test('should find the Meta amount column and its currency', () => {
+    const header = resolveSpendColumns(
+      ['Campaign name', 'Campaign ID', 'Reporting starts', 'Reporting ends', 'Amount spent (EUR)'],
+      SPEND_IMPORT_SOURCES['meta-ads'].columns
+    );
+
+    expect(header).toEqual({ indices: { date: 2, endDate: 3, campaignId: 1, campaignName: 0, amount: 4 }, headerCurrency: 'EUR' });
+    expect(resolveSpendColumns(['Campaign report'], SPEND_IMPORT_SOURCES['meta-ads'].columns)).toBeNull();
+  });
+
+  test('should convert to the base currency', () => {
+    expect(convertSpend(100, 'USD', currencies)).toEqual({ amount: 100, exchangeRate: 1 });
+    expect(convertSpend(100, 'EUR', currencies)).toEqual({ amount: 110, exchangeRate: 1.1 });
+    expect(convertSpend(100, 'GBP', currencies)).toBeNull();
+  });
+
+  test('should parse Google Ads rows and skip totals', () => {
+    const header = resolveSpendColumns(['Day', 'Campaign ID', 'Campaign', 'Currency code', 'Cost'], SPEND_IMPORT_SOURCES['google-ads'].columns);
+    const options = { source: 'google-ads', platform: 'google', currencies, now };
+
+    const { spend } = parseSpendRow(['2024-03-01', '123', 'Spring Sale', 'EUR', '1,204.50'], header, options);
+    expect(spend).toMatchObject({
+      platform: 'google',
+      date: new Date('2024-03-01T00:00:00Z'),
+      endDate: new Date('2024-03-01T00:00:00Z'),
+      campaignId: '123',
+      campaignName: 'Spring Sale',
+      amount: 1324.95,
+      currency: 'USD',
+      originalAmount: 1204.5,
+      originalCurrency: 'EUR'
+    });
+    expect(parseSpendRow(['2024-03-02', '123', 'Spring Sale', 'EUR', '--'], header, options).spend.amount).toBe(0);
+    expect(parseSpendRow(['Total: Account', '', '', '', '1,204.50'], header, options)).toEqual({ skip: true });
+  });
+
+  test('should list every problem with a row', () => {
+    const header = resolveSpendColumns(['date', 'cost', 'currency'], SPEND_IMPORT_SOURCES.generic.columns);
+    const options = { source: 'generic', platform: null, currencies, now };
+
+    expect(parseSpendRow(['03/01/2024', '-5', 'USD'], header, options).errors).toEqual([
+      'date must be YYYY-MM-DD',
+      'amount must be a non-negative number',
+      'platform is required'
+    ]);
+    expect(parseSpendRow(['2024-05-01', '10', 'GBP'], header, { ...options, platform: 'tiktok' }).errors).toEqual([
+      'date is in the future',
+      'no exchange rate for GBP'
+    ]);
+  });
+
+  test('should keep Meta reporting periods as flights', () => {
+    const columns = ['Reporting starts', 'Reporting ends', 'Campaign name', 'Amount spent (USD)'];
+    const header = resolveSpendColumns(columns, SPEND_IMPORT_SOURCES['meta-ads'].columns);
+    const options = { source: 'meta-ads', platform: 'facebook', currencies, now };
+
+    expect(parseSpendRow(['2024-03-01', '2024-03-07', 'Spring', '70'], header, options).spend).toMatchObject({
+      date: new Date('2024-03-01T00:00:00Z'),
+      endDate: new Date('2024-03-07T00:00:00Z'),
+      amount: 70
+    });
+    expect(parseSpendRow(['2024-03-07', '2024-03-01', 'Spring', '70'], header, options).errors).toEqual([
+      'endDate must not be before startDate'
+    ]);
+  });
+
+  test('should key entries so re-imports replace them', () => {
+    const header = resolveSpendColumns(['date', 'campaign', 'cost'], SPEND_IMPORT_SOURCES.generic.columns);
+    const options = { source: 'generic', platform: 'email', currencies, now };
+    const key = row => parseSpendRow(row, header, options).spend.importKey;
+
+    expect(key(['2024-03-01', 'Newsletter', '10'])).toBe(key(['2024-03-01', 'Newsletter', '25']));
+    expect(key(['2024-03-01', 'Newsletter', '10'])).not.toBe(key(['2024-03-02', 'Newsletter', '10']));
+  });
+
+  test('should key reporting periods that share a start date apart', () => {
+    const columns = ['Reporting starts', 'Reporting ends', 'Campaign name', 'Amount spent (USD)'];
+    const header = resolveSpendColumns(columns, SPEND_IMPORT_SOURCES['meta-ads'].columns);
+    const options = { source: 'meta-ads', platform: 'facebook', currencies, now };
+    const key = row => parseSpendRow(row, header, options).spend.importKey;
+
+    expect(key(['2024-03-01', '2024-03-07', 'Spring', '70'])).not.toBe(key(['2024-03-01', '2024-03-31', 'Spring', '300']));
+    expect(key(['2024-03-01', '2024-03-07', 'Spring', '70'])).toBe(key(['2024-03-01', '2024-03-07', 'Spring', '80']));
+  });
+
+  test('should sum breakdown rows on a dry run', async () => {
+    const mcdRcd = new MCDRCDModule({ businessId: 'spend-import-test', currency: currencies });
+    const csv = [
+      'Campaign report',
+      '"March 1, 2024 - March 2, 2024"',
+      'Day,Device,Campaign,Cost',
+      '2024-03-01,Mobile,Spring Sale,40.00',
+      '2024-03-01,Desktop,Spring Sale,60.00',
+      '2024-03-02,Mobile,Spring Sale,abc',
+      'Total: Account,,,100.00'
+    ].join('\n');
+
+    const report = await mcdRcd.spendImports.run(Readable.from([csv]), { source: 'google-ads', dryRun: true });
+
+    expect(report).toMatchObject({ status: 'completed', rows: 4, skipped: 1, invalid: 1, entries: 1, totalAmount: 100, platforms: ['google'] });
+    expect(report.errors).toEqual([{ row: 3, errors: ['amount must be a non-negative number'] }]);
+
+    const missing = await mcdRcd.spendImports.run(Readable.from(['foo,bar\n1,2']), { source: 'google-ads', dryRun: true });
+    expect(missing).toMatchObject({ status: 'failed', failure: 'No header row with columns Day, Cost' });
+    await expect(mcdRcd.spendImports.run(Readable.from([csv]), { source: 'tiktok' })).rejects.toThrow('source must be one of');
+  });
+
+  test('should validate currency config', () => {
+    expect(validateTenantConfig({ currency: { base: 'EUR', exchangeRates: { USD: 0.92 } } })).toEqual([]);
+    expect(validateTenantConfig({ currency: { base: 'euro', exchangeRates: { usd: 0.92, GBP: 0 } } })).toEqual([
+      'currency.base: must match pattern "^[A-Z]{3}$"',
+      'currency.exchangeRates: key usd must match pattern "^[A-Z]{3}$"',
+      'currency.exchangeRates.GBP: must be > 0'
+    ]);
+  });
+});
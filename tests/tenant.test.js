@@ -0,0 +1,59 @@
+import { jest } from '@jest/globals';
+import { createMemoryDb, mockDatabaseModule } from './helpers/memoryDb.js';
+import { routerRequest } from './helpers/routerRequest.js';
+
+const db = createMemoryDb();
+jest.unstable_mockModule('../src/config/database.js', () => mockDatabaseModule(db));
+const { default: routes } = await import('../src/routes/index.js');
+
+const request = (method, path, options) => routerRequest(routes, method, path, options);
+
+describe('Tenant resolution', () => {
+  const shopA = { name: 'shop-a', businessId: 'shop-a', roles: ['admin'] };
+  const shopB = { name: 'shop-b', businessId: 'shop-b', roles: ['admin'] };
+  const globalAdmin = { name: 'ops', businessId: null, roles: ['admin'] };
+  const product = { sku: 'SKU-1', name: 'Mug', basePrice: 12 };
+  const skus = response => response.body.products.map(item => item.sku);
+
+  beforeEach(() => db.reset());
+
+  test('should keep a tenant key out of other businesses', async () => {
+    const byHeader = await request('GET', '/products', { apiKey: shopA, headers: { 'x-business-id': 'shop-b' } });
+    const byPath = await request('GET', '/tenants/shop-b/products', { apiKey: shopA });
+
+    for (const response of [byHeader, byPath]) {
+      expect(response).toEqual({ status: 403, body: { error: 'API key is not valid for this business' } });
+    }
+  });
+
+  test('should let a tenant key name its own business', async () => {
+    expect((await request('GET', '/tenants/shop-a/products', { apiKey: shopA })).status).toBe(200);
+    expect((await request('GET', '/products', { apiKey: shopA, headers: { 'x-business-id': 'shop-a' } })).status).toBe(200);
+  });
+
+  test('should reject invalid business ids', async () => {
+    const byHeader = await request('GET', '/products', { apiKey: globalAdmin, headers: { 'x-business-id': 'shop a/../b' } });
+    const byPath = await request('GET', `/tenants/${'x'.repeat(65)}/products`, { apiKey: globalAdmin });
+
+    for (const response of [byHeader, byPath]) {
+      expect(response).toEqual({ status: 400, body: { error: 'Invalid business id' } });
+    }
+  });
+
+  test('should prefer the path tenant over the header', async () => {
+    await request('POST', '/tenants/shop-a/products', { apiKey: globalAdmin, headers: { 'x-business-id': 'shop-b' }, body: product });
+
+    expect(skus(await request('GET', '/products', { apiKey: shopA }))).toEqual(['SKU-1']);
+    expect(skus(await request('GET', '/products', { apiKey: shopB }))).toEqual([]);
+  });
+
+  test('should not show one tenant\'s data to another', async () => {
+    expect((await request('POST', '/products', { apiKey: shopA, body: product })).status).toBe(201);
+    await request('POST', '/products', { apiKey: shopB, body: { ...product, sku: 'SKU-2' } });
+
+    expect(skus(await request('GET', '/products', { apiKey: shopA }))).toEqual(['SKU-1']);
+    expect(skus(await request('GET', '/products', { apiKey: shopB }))).toEqual(['SKU-2']);
+    expect(skus(await request('GET', '/products', { apiKey: globalAdmin, headers: { 'x-business-id': 'shop-b' } }))).toEqual(['SKU-2']);
+    expect((await request('GET', '/products/SKU-1', { apiKey: shopB })).status).toBe(404);
+  });
+});
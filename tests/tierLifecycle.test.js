@@ -0,0 +1,51 @@
+import { MCDRCDModule } from '../src/models/MCDRCDModule.js';
+import { assessDowngradeRisk, resolveTierChange } from '../src/models/tierLifecycle.js';
+import { validateTenantConfig } from '../src/config/configSchema.js';
+
+describe('Tier lifecycle', () => {
+  const { thresholds } = new MCDRCDModule({ businessId: 'tier-test' }).config.rcd;
+  const now = new Date(Date.UTC(2024, 5, 1));
+  const daysFromNow = n => new Date(now.getTime() + n * 24 * 60 * 60 * 1000);
+
+  test('should upgrade immediately and cancel a running grace window', () => {
+    expect(resolveTierChange({ currentTier: 'silver', qualifiedTier: 'gold', now, graceDays: 30 }))
+      .toMatchObject({ tier: 'gold', graceUntil: null, event: 'upgrade', from: 'silver' });
+    expect(resolveTierChange({ currentTier: 'new', qualifiedTier: 'bronze', now, graceDays: 30 }))
+      .toMatchObject({ tier: 'bronze', event: null });
+    expect(resolveTierChange({ currentTier: 'gold', graceUntil: daysFromNow(5), qualifiedTier: 'gold', now, graceDays: 30 }))
+      .toMatchObject({ tier: 'gold', graceUntil: null, event: 'downgrade-cancelled' });
+  });
+
+  test('should hold the tier through the grace window before downgrading', () => {
+    const warning = resolveTierChange({ currentTier: 'gold', qualifiedTier: 'bronze', now, graceDays: 30 });
+    expect(warning).toEqual({ tier: 'gold', graceUntil: daysFromNow(30), event: 'downgrade-warning', from: 'gold', to: 'bronze' });
+
+    expect(resolveTierChange({ currentTier: 'gold', graceUntil: warning.graceUntil, qualifiedTier: 'silver', now: daysFromNow(10), graceDays: 30 }))
+      .toMatchObject({ tier: 'gold', event: null, graceUntil: warning.graceUntil });
+
+    expect(resolveTierChange({ currentTier: 'gold', graceUntil: warning.graceUntil, qualifiedTier: 'silver', now: daysFromNow(30), graceDays: 30 }))
+      .toEqual({ tier: 'silver', graceUntil: null, event: 'downgrade', from: 'gold', to: 'silver' });
+  });
+
+  test('should downgrade straight away without a grace period', () => {
+    expect(resolveTierChange({ currentTier: 'silver', qualifiedTier: 'bronze', now, graceDays: 0 }))
+      .toMatchObject({ tier: 'bronze', event: 'downgrade' });
+  });
+
+  test('should warn when expiring spend would drop the tier', () => {
+    expect(assessDowngradeRisk({ tier: 'gold', qualifyingSpend: 1500, expiringSpend: 300, thresholds }))
+      .toMatchObject({ downgradeRisk: 'none', downgradeTo: null, spendToKeepTier: 0 });
+
+    expect(assessDowngradeRisk({ tier: 'gold', qualifyingSpend: 1200, expiringSpend: 400, thresholds }))
+      .toMatchObject({ downgradeRisk: 'at-risk', downgradeTo: 'silver', spendToKeepTier: 200 });
+
+    const graceUntil = daysFromNow(12);
+    expect(assessDowngradeRisk({ tier: 'silver', graceUntil, qualifyingSpend: 420, thresholds }))
+      .toMatchObject({ downgradeRisk: 'in-grace', downgradeTo: 'bronze', graceUntil, spendToKeepTier: 80 });
+  });
+
+  test('should validate tier config overrides', () => {
+    expect(validateTenantConfig({ tiers: { qualificationDays: 180, graceDays: 0 } })).toEqual([]);
+    expect(validateTenantConfig({ tiers: { warningDays: 0 } })).toHaveLength(1);
+  });
+});
@@ -0,0 +1,99 @@
+import { Readable } from 'stream';
+import { MCDRCDModule } from '../src/models/MCDRCDModule.js';
+import { parseImportRow, readImportRows } from '../src/models/TransactionImporter.js';
+import { parseCsv } from '../src/utils/csv.js';
+
+const collect = async iterable => {
+  const items = [];
+  for await (const item of iterable) items.push(item);
+  return items;
+};
+
+describe('Transaction import', () => {
+  const now = new Date('2024-06-01T00:00:00Z');
+
+  test('should parse quoted CSV fields across chunk boundaries', async () => {
+    const chunks = [
+      '﻿orderId,email,note\r\n',
+      'A-1,jane@example.com,"says ""hi"", ',
+      'twice"\r\n\r\nA-2,bob@example.com,"two\nlines"\n',
+      'A-3,,'
+    ];
+
+    expect(await collect(parseCsv(Readable.from(chunks)))).toEqual([
+      { orderId: 'A-1', email: 'jane@example.com', note: 'says "hi", twice' },
+      { orderId: 'A-2', email: 'bob@example.com', note: 'two\nlines' },
+      { orderId: 'A-3', email: '', note: '' }
+    ]);
+  });
+
+  test('should reject a CSV that ends inside quotes', async () => {
+    await expect(collect(parseCsv(Readable.from(['orderId\n"A-1'])))).rejects.toThrow('quoted field');
+  });
+
+  test('should validate historical orders', () => {
+    const { order } = parseImportRow({
+      orderId: ' A-1 ',
+      email: 'Jane@Example.com',
+      amount: '59.90',
+      timestamp: '2024-03-02T14:10:00Z',
+      productCategories: 'shoes; socks'
+    }, now);
+
+    expect(order).toEqual({
+      orderId: 'A-1',
+      email: 'jane@example.com',
+      amount: 59.9,
+      timestamp: new Date('2024-03-02T14:10:00Z'),
+      productIds: [],
+      productCategories: ['shoes', 'socks']
+    });
+  });
+
+  test('should list every problem with a row', () => {
+    expect(parseImportRow({ email: 'nope', amount: '12abc', timestamp: '2024-07-01', productIds: 5 }, now).errors).toEqual([
+      'orderId is required',
+      'email is missing or invalid',
+      'amount must be a positive number',
+      'timestamp is in the future',
+      'productIds must be a list'
+    ]);
+    expect(parseImportRow({ orderId: 'A-1', email: 'a@b.co', amount: 0, timestamp: 'yesterday' }, now).errors).toEqual([
+      'amount must be a positive number',
+      'timestamp is missing or invalid'
+    ]);
+    expect(parseImportRow(['A-1'], now).errors).toEqual(['row must be an object']);
+  });
+
+  test('should read NDJSON and flag lines that are not JSON', async () => {
+    const input = Readable.from(['{"orderId":"A-1","amount":10}\n\n{oops\n', '{"orderId":"A-2"}']);
+
+    expect(await collect(readImportRows(input, 'ndjson'))).toEqual([
+      { row: { orderId: 'A-1', amount: 10 } },
+      { errors: ['line is not valid JSON'] },
+      { row: { orderId: 'A-2' } }
+    ]);
+  });
+
+  test('should report invalid rows by number on a dry run', async () => {
+    const mcdRcd = new MCDRCDModule({ businessId: 'import-test' });
+    const batches = [];
+    mcdRcd.imports.writeBatch = async (orders, report) => {
+      batches.push(orders.map(({ orderId }) => orderId));
+      report.imported += orders.length;
+    };
+
+    const csv = [
+      'orderId,email,amount,timestamp',
+      'A-1,jane@example.com,20,2024-01-05T10:00:00Z',
+      'A-2,jane@example.com,-5,2024-01-06T10:00:00Z',
+      'A-3,bob@example.com,35,2024-02-01T10:00:00Z'
+    ].join('\n');
+    const report = await mcdRcd.imports.run(Readable.from([csv]), { format: 'csv', dryRun: true });
+
+    expect(report).toMatchObject({ status: 'completed', rows: 3, imported: 2, invalid: 1 });
+    expect(report.errors).toEqual([{ row: 2, orderId: 'A-2', errors: ['amount must be a positive number'] }]);
+    expect(batches).toEqual([['A-1', 'A-3']]);
+    await expect(mcdRcd.imports.run(Readable.from([csv]), { format: 'xlsx' })).rejects.toThrow('format must be one of');
+  });
+});
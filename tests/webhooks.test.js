@@ -0,0 +1,89 @@
+import crypto from 'crypto';
+import { jest } from '@jest/globals';
+import { validateTenantConfig } from '../src/config/configSchema.js';
+import { createMemoryDb, mockDatabaseModule } from './helpers/memoryDb.js';
+
+const db = createMemoryDb();
+jest.unstable_mockModule('../src/config/database.js', () => mockDatabaseModule(db));
+const { MCDRCDModule } = await import('../src/models/MCDRCDModule.js');
+const { getRetryDelaySeconds, isInternalHost, signWebhookPayload } = await import('../src/models/WebhookManager.js');
+
+describe('Webhooks', () => {
+  const mcdRcd = new MCDRCDModule({ businessId: 'webhook-test' });
+
+  test('should sign the timestamp and body with the webhook secret', () => {
+    const body = JSON.stringify({ event: 'tier.upgrade' });
+    const expected = crypto.createHmac('sha256', 'secret').update(`1700000000.${body}`).digest('hex');
+
+    expect(signWebhookPayload('secret', 1700000000, body)).toBe(`sha256=${expected}`);
+    expect(signWebhookPayload('other', 1700000000, body)).not.toBe(`sha256=${expected}`);
+  });
+
+  test('should back off exponentially up to the cap', () => {
+    const rules = { retryBaseSeconds: 30, retryMaxSeconds: 600 };
+
+    expect([1, 2, 3, 4, 5, 6].map(attempt => getRetryDelaySeconds(attempt, rules)))
+      .toEqual([30, 60, 120, 240, 480, 600]);
+  });
+
+  test('should validate subscriptions', () => {
+    const { webhooks } = mcdRcd;
+
+    expect(() => webhooks.validate({ url: 'https://crm.example.com/hook', events: ['tier.upgrade', 'referral.bonus-granted'] })).not.toThrow();
+    expect(() => webhooks.validate({ url: 'https://crm.example.com/hook', events: ['*'] })).not.toThrow();
+    expect(() => webhooks.validate({ url: 'ftp://crm.example.com', events: ['*'] })).toThrow('http or https');
+    expect(() => webhooks.validate({ url: 'not a url', events: ['*'] })).toThrow('valid url');
+    expect(() => webhooks.validate({ url: 'https://crm.example.com/hook', events: [] })).toThrow('non-empty');
+    expect(() => webhooks.validate({ url: 'https://crm.example.com/hook', events: ['tier.renamed'] })).toThrow('Unknown events: tier.renamed');
+  });
+
+  test('should only accept public https receivers', () => {
+    const { webhooks } = mcdRcd;
+    const validate = url => () => webhooks.validate({ url, events: ['*'] });
+
+    expect(validate('http://crm.example.com/hook')).toThrow('url must use https');
+    for (const url of ['https://localhost:8080/hook', 'https://127.0.0.1/hook', 'https://10.0.0.5/hook',
+      'https://169.254.169.254/latest/meta-data', 'https://[::1]/hook', 'https://[::ffff:192.168.1.1]/hook',
+      'https://metadata.google.internal/hook']) {
+      expect(validate(url)).toThrow('private or local address');
+    }
+    expect(isInternalHost('crm.example.com')).toBe(false);
+    expect(isInternalHost('8.8.8.8')).toBe(false);
+  });
+
+  test('should accept http receivers in development', () => {
+    const nodeEnv = process.env.NODE_ENV;
+    process.env.NODE_ENV = 'development';
+    try {
+      expect(() => mcdRcd.webhooks.validate({ url: 'http://crm.example.com/hook', events: ['*'] })).not.toThrow();
+      expect(() => mcdRcd.webhooks.validate({ url: 'http://127.0.0.1:3000/hook', events: ['*'] })).toThrow('private or local address');
+    } finally {
+      process.env.NODE_ENV = nodeEnv;
+    }
+  });
+
+  test('should not deliver to an internal address', async () => {
+    db.reset();
+    const fetch = jest.spyOn(global, 'fetch');
+    const { insertedId: webhookId } = await db.collection('webhooks').insertOne({
+      businessId: 'webhook-test', url: 'https://127.0.0.1/hook', events: ['*'], active: true, secret: 'secret'
+    });
+    const { insertedId } = await db.collection('webhookDeliveries').insertOne({
+      businessId: 'webhook-test', webhookId, event: 'tier.upgrade', payload: {}, status: 'pending', attempts: 0, nextAttemptAt: new Date(0)
+    });
+
+    const delivery = await mcdRcd.webhooks.deliver({ _id: insertedId });
+
+    expect(delivery).toMatchObject({ lastError: 'blocked-address', responseStatus: null, status: 'pending' });
+    expect(fetch).not.toHaveBeenCalled();
+    fetch.mockRestore();
+  });
+
+  test('should validate webhook config overrides', () => {
+    expect(validateTenantConfig({ webhooks: { maxAttempts: 3, retryBaseSeconds: 10 } })).toEqual([]);
+    expect(validateTenantConfig({ webhooks: { maxAttempts: 0 } })).toHaveLength(1);
+    expect(validateTenantConfig({ webhooks: { retryBaseSeconds: 600, retryMaxSeconds: 60 } })).toEqual([
+      'webhooks.retryBaseSeconds: must not exceed webhooks.retryMaxSeconds'
+    ]);
+  });
+});